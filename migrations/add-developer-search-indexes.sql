@@ -0,0 +1,12 @@
+-- Migration: Full-text and fuzzy search indexes for developer
+-- Date: 2026-10-19
+-- Description: Expression GIN index on developer name for the unified /api/search endpoint.
+--              The indexed expression must match SEARCH_DOCUMENTS.developer in src/utils/fullTextSearch.js.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE INDEX IF NOT EXISTS developer_search_vector_idx ON developer USING GIN ((
+    setweight(to_tsvector('simple', coalesce(developer_name, '')), 'A')
+));
+
+CREATE INDEX IF NOT EXISTS developer_name_trgm_idx ON developer USING GIN (developer_name gin_trgm_ops);
@@ -0,0 +1,48 @@
+-- Migration: Full-text and fuzzy search indexes for property, pg_colive_hostel and project
+-- Date: 2026-10-19
+-- Description: Expression GIN indexes for weighted tsvector search (title > locality/city > description)
+--              and trigram indexes for typo-tolerant locality/city matching.
+--              The indexed expressions must match src/utils/fullTextSearch.js exactly.
+--              Expression indexes are used instead of stored columns because
+--              sequelize.sync({ alter: true }) drops columns that are not defined on the entity.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- ====================================
+-- PROPERTY
+-- ====================================
+
+CREATE INDEX IF NOT EXISTS property_search_vector_idx ON property USING GIN ((
+    setweight(to_tsvector('simple', coalesce(title, '') || ' ' || coalesce(property_name, '')), 'A')
+    || setweight(to_tsvector('simple', coalesce(locality, '') || ' ' || coalesce(city, '')), 'B')
+    || setweight(to_tsvector('simple', coalesce(description, '')), 'C')
+));
+
+CREATE INDEX IF NOT EXISTS property_locality_trgm_idx ON property USING GIN (locality gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS property_city_trgm_idx ON property USING GIN (city gin_trgm_ops);
+
+-- ====================================
+-- PG / COLIVE / HOSTEL
+-- ====================================
+
+CREATE INDEX IF NOT EXISTS pg_colive_hostel_search_vector_idx ON pg_colive_hostel USING GIN ((
+    setweight(to_tsvector('simple', coalesce(property_name, '') || ' ' || coalesce(brand_name, '')), 'A')
+    || setweight(to_tsvector('simple', coalesce(locality, '') || ' ' || coalesce(city, '')), 'B')
+    || setweight(to_tsvector('simple', coalesce(description, '')), 'C')
+));
+
+CREATE INDEX IF NOT EXISTS pg_colive_hostel_locality_trgm_idx ON pg_colive_hostel USING GIN (locality gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS pg_colive_hostel_city_trgm_idx ON pg_colive_hostel USING GIN (city gin_trgm_ops);
+
+-- ====================================
+-- PROJECT (locality, city and description live in project_details JSONB)
+-- ====================================
+
+CREATE INDEX IF NOT EXISTS project_search_vector_idx ON project USING GIN ((
+    setweight(to_tsvector('simple', coalesce(project_name, '')), 'A')
+    || setweight(to_tsvector('simple', coalesce(project_details->>'locality', '') || ' ' || coalesce(project_details->>'city', '')), 'B')
+    || setweight(to_tsvector('simple', coalesce(project_details->>'description', '')), 'C')
+));
+
+CREATE INDEX IF NOT EXISTS project_locality_trgm_idx ON project USING GIN ((project_details->>'locality') gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS project_city_trgm_idx ON project USING GIN ((project_details->>'city') gin_trgm_ops);
@@ -0,0 +1,23 @@
+-- Migration: Add automated review columns to listing_moderation
+-- Description: Publishing workflows score listings for price outliers, duplicate photos and
+--              descriptions, contact details and misplaced coordinates. Clean listings are
+--              approved automatically; risky ones wait in AUTOMATED_REVIEW or MANUAL_REVIEW.
+-- Date: 2026-10-19
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_listing_moderation_review_tier') THEN
+        CREATE TYPE enum_listing_moderation_review_tier AS ENUM ('AUTOMATED_REVIEW', 'MANUAL_REVIEW');
+    END IF;
+END$$;
+
+ALTER TABLE listing_moderation
+ADD COLUMN IF NOT EXISTS review_tier enum_listing_moderation_review_tier,
+ADD COLUMN IF NOT EXISTS risk_score INTEGER,
+ADD COLUMN IF NOT EXISTS risk_flags JSONB NOT NULL DEFAULT '[]'::jsonb;
+
+CREATE INDEX IF NOT EXISTS listing_moderation_review_tier_status ON listing_moderation(review_tier, status);
+
+COMMENT ON COLUMN listing_moderation.review_tier IS 'AUTOMATED_REVIEW or MANUAL_REVIEW by risk score; NULL when approved automatically';
+COMMENT ON COLUMN listing_moderation.risk_score IS 'Automated review risk score, 0-100';
+COMMENT ON COLUMN listing_moderation.risk_flags IS 'Failed automated review checks: [{ check, weight, detail }]';
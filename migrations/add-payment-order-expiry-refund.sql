@@ -0,0 +1,13 @@
+-- Migration: Add EXPIRED/REFUNDED statuses and provider_refund_id to payment_order
+-- Description: The credit pack purchase workflow expires unpaid orders and refunds
+--              captured payments it could not credit
+-- Date: 2026-10-19
+
+-- ALTER TYPE ... ADD VALUE cannot run inside a transaction block on older Postgres versions
+ALTER TYPE enum_payment_order_status ADD VALUE IF NOT EXISTS 'EXPIRED';
+ALTER TYPE enum_payment_order_status ADD VALUE IF NOT EXISTS 'REFUNDED';
+
+ALTER TABLE payment_order
+ADD COLUMN IF NOT EXISTS provider_refund_id VARCHAR(100);
+
+COMMENT ON COLUMN payment_order.provider_refund_id IS 'Gateway refund id (rfnd_...) when the payment was refunded';
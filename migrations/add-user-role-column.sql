@@ -0,0 +1,22 @@
+-- Migration: Add user_role column to platform_user table
+-- Date: 2026-10-19
+
+-- Roles used by the route-level authorization middleware (see src/config/roles.config.js)
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_platform_user_user_role') THEN
+        CREATE TYPE enum_platform_user_user_role AS ENUM ('PARTNER', 'REVIEWER', 'FINANCE', 'SUPER_ADMIN');
+    END IF;
+END$$;
+
+-- Every existing user starts as a partner
+ALTER TABLE platform_user
+ADD COLUMN IF NOT EXISTS user_role enum_platform_user_user_role NOT NULL DEFAULT 'PARTNER';
+
+CREATE INDEX IF NOT EXISTS platform_user_user_role ON platform_user (user_role);
+
+-- Add comment to column
+COMMENT ON COLUMN platform_user.user_role IS 'Authorization role: PARTNER, REVIEWER, FINANCE or SUPER_ADMIN';
+
+-- Bootstrap the first super admin by hand, e.g.:
+-- UPDATE platform_user SET user_role = 'SUPER_ADMIN' WHERE user_email = 'admin@example.com';
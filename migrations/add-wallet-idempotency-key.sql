@@ -0,0 +1,12 @@
+-- Migration: Add idempotency_key column to wallet_transaction table
+-- Description: Retried credits/debits (Idempotency-Key header, Temporal activity retries)
+--              return the transaction posted by the first attempt instead of posting again
+-- Date: 2026-10-19
+
+ALTER TABLE wallet_transaction
+ADD COLUMN IF NOT EXISTS idempotency_key VARCHAR(255);
+
+-- Keys are scoped to the wallet owner; NULL keys (operations without a key) do not conflict with each other
+CREATE UNIQUE INDEX IF NOT EXISTS wallet_transaction_user_id_idempotency_key ON wallet_transaction(user_id, idempotency_key);
+
+COMMENT ON COLUMN wallet_transaction.idempotency_key IS 'Client or workflow supplied key; a replay returns this transaction instead of posting again';
@@ -0,0 +1,42 @@
+-- Migration: Create listing_duplicate table
+-- Description: Suspected duplicate pairs of published properties or PG/hostels (the same flat
+--              listed by several brokers, a PG listed twice under different slugs), found by
+--              the publishing workflows and the nightly scan, and confirmed or dismissed by admins.
+-- Date: 2026-10-19
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_listing_duplicate_listing_type') THEN
+        CREATE TYPE enum_listing_duplicate_listing_type AS ENUM ('PROPERTY', 'PG_HOSTEL');
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_listing_duplicate_status') THEN
+        CREATE TYPE enum_listing_duplicate_status AS ENUM ('SUSPECTED', 'CONFIRMED', 'DISMISSED');
+    END IF;
+END$$;
+
+CREATE TABLE IF NOT EXISTS listing_duplicate (
+    duplicate_id SERIAL PRIMARY KEY,
+    listing_type enum_listing_duplicate_listing_type NOT NULL,
+    listing_id INTEGER NOT NULL,
+    duplicate_listing_id INTEGER NOT NULL,
+    score INTEGER NOT NULL,
+    signals JSONB NOT NULL DEFAULT '[]'::jsonb,
+    distance_meters INTEGER NOT NULL,
+    same_owner BOOLEAN NOT NULL DEFAULT FALSE,
+    status enum_listing_duplicate_status NOT NULL DEFAULT 'SUSPECTED',
+    reviewed_by INTEGER,
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS listing_duplicate_listing_type_listing_id_duplicate_listing_id
+    ON listing_duplicate(listing_type, listing_id, duplicate_listing_id);
+CREATE INDEX IF NOT EXISTS listing_duplicate_listing_type_duplicate_listing_id ON listing_duplicate(listing_type, duplicate_listing_id);
+CREATE INDEX IF NOT EXISTS listing_duplicate_status ON listing_duplicate(status);
+
+-- Add comment to table
+COMMENT ON TABLE listing_duplicate IS 'Suspected duplicate listing pairs for admin review';
+COMMENT ON COLUMN listing_duplicate.listing_id IS 'Lower listing id of the pair (property_id or pg_hostel_id by listing_type)';
+COMMENT ON COLUMN listing_duplicate.signals IS 'Matching signals: [{ signal, weight, detail }] (SAME_SPOT, SAME_UNIT, SAME_NAME, SIMILAR_AREA, SIMILAR_IMAGES)';
+COMMENT ON COLUMN listing_duplicate.status IS 'SUSPECTED until an admin confirms or dismisses the pair; reviewed pairs keep their status on rescans';
@@ -0,0 +1,18 @@
+-- Migration: Create listing_media_hash table
+-- Description: Perceptual hashes of uploaded listing photos, computed by the server from the
+--              stored file (at upload time, or when a listing referencing a direct upload is
+--              first checked for duplicates). Duplicate detection compares these instead of
+--              any hash supplied with the listing data.
+-- Date: 2026-10-19
+
+CREATE TABLE IF NOT EXISTS listing_media_hash (
+    media_key VARCHAR(1024) PRIMARY KEY,
+    phash VARCHAR(16),
+    user_id INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Add comment to table
+COMMENT ON TABLE listing_media_hash IS 'Server-computed perceptual hashes of uploaded listing photos, by storage key';
+COMMENT ON COLUMN listing_media_hash.phash IS '64-bit pHash as 16 hex characters; NULL when the file is not a decodable image';
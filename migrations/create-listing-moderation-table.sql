@@ -0,0 +1,45 @@
+-- Migration: Create listing_moderation table
+-- Description: Publishing workflows park here after validation; a reviewer approves, rejects or
+--              requests changes, and unanswered items are escalated on a timer.
+-- Date: 2026-10-19
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_listing_moderation_listing_type') THEN
+        CREATE TYPE enum_listing_moderation_listing_type AS ENUM ('PROPERTY', 'PG_HOSTEL', 'PROJECT', 'DEVELOPER');
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_listing_moderation_status') THEN
+        CREATE TYPE enum_listing_moderation_status AS ENUM ('PENDING', 'ESCALATED', 'APPROVED', 'REJECTED', 'CHANGES_REQUESTED');
+    END IF;
+END$$;
+
+CREATE TABLE IF NOT EXISTS listing_moderation (
+    moderation_id SERIAL PRIMARY KEY,
+    workflow_id VARCHAR(255) UNIQUE,
+    workflow_name VARCHAR(100) NOT NULL,
+    workflow_input JSONB,
+    user_id INTEGER NOT NULL REFERENCES platform_user(user_id) ON DELETE CASCADE ON UPDATE CASCADE,
+    draft_id INTEGER,
+    listing_type enum_listing_moderation_listing_type NOT NULL,
+    is_update BOOLEAN NOT NULL DEFAULT FALSE,
+    status enum_listing_moderation_status NOT NULL DEFAULT 'PENDING',
+    listing_data JSONB NOT NULL,
+    baseline_moderation_id INTEGER,
+    changes JSONB NOT NULL DEFAULT '[]'::jsonb,
+    escalation_level INTEGER NOT NULL DEFAULT 0,
+    escalated_at TIMESTAMP WITH TIME ZONE,
+    reviewer_id INTEGER,
+    review_comment VARCHAR(1000),
+    decided_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS listing_moderation_status_created_at ON listing_moderation(status, created_at);
+CREATE INDEX IF NOT EXISTS listing_moderation_draft_id ON listing_moderation(draft_id);
+
+-- Add comment to table
+COMMENT ON TABLE listing_moderation IS 'Listing submissions awaiting or past reviewer moderation';
+COMMENT ON COLUMN listing_moderation.workflow_id IS 'Temporal workflow signalled with the decision; null in direct mode';
+COMMENT ON COLUMN listing_moderation.changes IS 'Field-level diff against the last approved submission of the same draft';
+COMMENT ON COLUMN listing_moderation.escalation_level IS 'Incremented every MODERATION_ESCALATION_HOURS the item goes unanswered';
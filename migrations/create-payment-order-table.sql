@@ -0,0 +1,42 @@
+-- Migration: Create payment_order table
+-- Description: Credit pack purchases paid through Razorpay; a paid order credits the wallet once
+-- Date: 2026-10-19
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_payment_order_provider') THEN
+        CREATE TYPE enum_payment_order_provider AS ENUM ('RAZORPAY');
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_payment_order_status') THEN
+        CREATE TYPE enum_payment_order_status AS ENUM ('CREATED', 'PAID', 'FAILED');
+    END IF;
+END$$;
+
+CREATE TABLE IF NOT EXISTS payment_order (
+    payment_order_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES platform_user(user_id) ON DELETE CASCADE ON UPDATE CASCADE,
+    provider enum_payment_order_provider NOT NULL DEFAULT 'RAZORPAY',
+    provider_order_id VARCHAR(100),
+    provider_payment_id VARCHAR(100),
+    pack_id VARCHAR(50) NOT NULL,
+    credits INTEGER NOT NULL,
+    amount INTEGER NOT NULL,
+    currency VARCHAR(3) NOT NULL DEFAULT 'INR',
+    status enum_payment_order_status NOT NULL DEFAULT 'CREATED',
+    wallet_transaction_id INTEGER,
+    failure_reason VARCHAR(500),
+    paid_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS payment_order_user_id ON payment_order(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS payment_order_provider_order_id ON payment_order(provider_order_id);
+CREATE INDEX IF NOT EXISTS payment_order_status ON payment_order(status);
+
+-- Add comment to table
+COMMENT ON TABLE payment_order IS 'Credit pack purchases; a paid order credits the wallet once';
+COMMENT ON COLUMN payment_order.provider_order_id IS 'Gateway order id (order_...), set once the gateway order is created';
+COMMENT ON COLUMN payment_order.provider_payment_id IS 'Gateway payment id (pay_...) of the successful or last failed attempt';
+COMMENT ON COLUMN payment_order.amount IS 'Price in the smallest currency unit (paise)';
+COMMENT ON COLUMN payment_order.wallet_transaction_id IS 'Wallet credit posted for this payment';
@@ -0,0 +1,36 @@
+-- Migration: Create refresh_token table
+-- Description: Server-side refresh tokens. Every refresh rotates the token within its family
+--              (one family per login session); reusing a rotated token revokes the whole family.
+-- Date: 2026-10-19
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_refresh_token_status') THEN
+        CREATE TYPE enum_refresh_token_status AS ENUM ('ACTIVE', 'ROTATED', 'REVOKED');
+    END IF;
+END$$;
+
+CREATE TABLE IF NOT EXISTS refresh_token (
+    token_id UUID PRIMARY KEY,
+    family_id UUID NOT NULL,
+    user_id INTEGER NOT NULL REFERENCES platform_user(user_id) ON DELETE CASCADE ON UPDATE CASCADE,
+    status enum_refresh_token_status NOT NULL DEFAULT 'ACTIVE',
+    replaced_by_token_id UUID,
+    user_agent VARCHAR(500),
+    ip_address VARCHAR(64),
+    session_started_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    rotated_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason VARCHAR(50),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS refresh_token_family_id ON refresh_token(family_id);
+CREATE INDEX IF NOT EXISTS refresh_token_user_id_status ON refresh_token(user_id, status);
+
+-- Add comment to table
+COMMENT ON TABLE refresh_token IS 'Refresh tokens per login session (family), rotated on every use';
+COMMENT ON COLUMN refresh_token.token_id IS 'jti claim of the refresh JWT';
+COMMENT ON COLUMN refresh_token.family_id IS 'Login session; reuse of a rotated token revokes every token in the family';
@@ -0,0 +1,38 @@
+-- Migration: Create wallet_account table
+-- Description: One balance row per user. Ledger appends lock this row (SELECT ... FOR UPDATE)
+--              so concurrent credits/debits on the same wallet are applied one at a time.
+-- Date: 2026-10-19
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_wallet_account_reconciliation_status') THEN
+        CREATE TYPE enum_wallet_account_reconciliation_status AS ENUM ('OK', 'DRIFT');
+    END IF;
+END$$;
+
+CREATE TABLE IF NOT EXISTS wallet_account (
+    user_id INTEGER PRIMARY KEY REFERENCES platform_user(user_id) ON DELETE CASCADE ON UPDATE CASCADE,
+    balance INTEGER NOT NULL DEFAULT 0 CHECK (balance >= 0),
+    last_transaction_id INTEGER,
+    reconciliation_status enum_wallet_account_reconciliation_status NOT NULL DEFAULT 'OK',
+    drift_amount INTEGER NOT NULL DEFAULT 0,
+    last_reconciled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS wallet_account_reconciliation_status ON wallet_account(reconciliation_status);
+
+-- Backfill one account per user with a ledger, using the latest balance_after
+INSERT INTO wallet_account (user_id, balance, last_transaction_id)
+SELECT DISTINCT ON (user_id) user_id, balance_after, transaction_id
+FROM wallet_transaction
+ORDER BY user_id, transaction_id DESC
+ON CONFLICT (user_id) DO NOTHING;
+
+-- Add comment to table
+COMMENT ON TABLE wallet_account IS 'Current wallet balance per user, kept in step with wallet_transaction';
+COMMENT ON COLUMN wallet_account.balance IS 'Current balance, updated in the same transaction as each ledger entry';
+COMMENT ON COLUMN wallet_account.last_transaction_id IS 'Latest wallet_transaction applied to the balance';
+COMMENT ON COLUMN wallet_account.reconciliation_status IS 'Result of the last ledger reconciliation';
+COMMENT ON COLUMN wallet_account.drift_amount IS 'Stored balance minus ledger balance at the last reconciliation';
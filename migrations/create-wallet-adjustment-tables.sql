@@ -0,0 +1,61 @@
+-- Migration: Create wallet_adjustment_request and wallet_adjustment_approval tables
+-- Description: Admin wallet credits/debits are requested by one admin and posted to the ledger
+--              only after a different admin approves (two approvers above the configured threshold).
+-- Date: 2026-10-19
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_wallet_adjustment_request_transaction_type') THEN
+        CREATE TYPE enum_wallet_adjustment_request_transaction_type AS ENUM ('CREDIT', 'DEBIT');
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_wallet_adjustment_request_source') THEN
+        CREATE TYPE enum_wallet_adjustment_request_source AS ENUM ('PURCHASED', 'PROMO', 'REFUND');
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_wallet_adjustment_request_status') THEN
+        CREATE TYPE enum_wallet_adjustment_request_status AS ENUM ('PENDING', 'APPROVED', 'POSTED', 'REJECTED', 'FAILED');
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_wallet_adjustment_approval_decision') THEN
+        CREATE TYPE enum_wallet_adjustment_approval_decision AS ENUM ('APPROVED', 'REJECTED');
+    END IF;
+END$$;
+
+CREATE TABLE IF NOT EXISTS wallet_adjustment_request (
+    adjustment_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES platform_user(user_id) ON DELETE CASCADE ON UPDATE CASCADE,
+    transaction_type enum_wallet_adjustment_request_transaction_type NOT NULL,
+    amount INTEGER NOT NULL CHECK (amount > 0),
+    reason VARCHAR(500) NOT NULL,
+    metadata JSONB,
+    source enum_wallet_adjustment_request_source,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    status enum_wallet_adjustment_request_status NOT NULL DEFAULT 'PENDING',
+    required_approvals INTEGER NOT NULL DEFAULT 1,
+    requested_by INTEGER NOT NULL,
+    idempotency_key VARCHAR(255),
+    transaction_id INTEGER,
+    failure_reason VARCHAR(500),
+    decided_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS wallet_adjustment_request_status_created_at ON wallet_adjustment_request(status, created_at);
+CREATE INDEX IF NOT EXISTS wallet_adjustment_request_user_id ON wallet_adjustment_request(user_id);
+
+CREATE TABLE IF NOT EXISTS wallet_adjustment_approval (
+    approval_id SERIAL PRIMARY KEY,
+    adjustment_id INTEGER NOT NULL REFERENCES wallet_adjustment_request(adjustment_id) ON DELETE CASCADE ON UPDATE CASCADE,
+    approver_id INTEGER NOT NULL,
+    decision enum_wallet_adjustment_approval_decision NOT NULL,
+    comment VARCHAR(500),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS wallet_adjustment_approval_adjustment_id_approver_id ON wallet_adjustment_approval(adjustment_id, approver_id);
+
+-- Add comment to table
+COMMENT ON TABLE wallet_adjustment_request IS 'Admin wallet credits/debits awaiting maker-checker approval';
+COMMENT ON TABLE wallet_adjustment_approval IS 'Audit trail of approve/reject decisions on wallet adjustments';
+COMMENT ON COLUMN wallet_adjustment_request.required_approvals IS '2 above WALLET_ADJUSTMENT_DUAL_APPROVAL_THRESHOLD, otherwise 1';
@@ -0,0 +1,47 @@
+-- Migration: Create wallet_credit_bucket table
+-- Description: Every credit opens a bucket with its source (purchased, promo, refund) and an
+--              optional expiry. Debits spend PROMO buckets first, then the oldest; lapsed
+--              buckets are expired by the wallet credit expiry job with a DEBIT ledger entry.
+-- Date: 2026-10-19
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_wallet_credit_bucket_source') THEN
+        CREATE TYPE enum_wallet_credit_bucket_source AS ENUM ('PURCHASED', 'PROMO', 'REFUND');
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_wallet_credit_bucket_status') THEN
+        CREATE TYPE enum_wallet_credit_bucket_status AS ENUM ('ACTIVE', 'EXHAUSTED', 'EXPIRED');
+    END IF;
+END$$;
+
+CREATE TABLE IF NOT EXISTS wallet_credit_bucket (
+    bucket_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES platform_user(user_id) ON DELETE CASCADE ON UPDATE CASCADE,
+    source enum_wallet_credit_bucket_source NOT NULL DEFAULT 'PURCHASED',
+    amount INTEGER NOT NULL CHECK (amount > 0),
+    remaining_amount INTEGER NOT NULL CHECK (remaining_amount >= 0),
+    expired_amount INTEGER NOT NULL DEFAULT 0,
+    status enum_wallet_credit_bucket_status NOT NULL DEFAULT 'ACTIVE',
+    expires_at TIMESTAMP WITH TIME ZONE,
+    credit_transaction_id INTEGER,
+    expired_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS wallet_credit_bucket_user_id_status ON wallet_credit_bucket(user_id, status);
+CREATE INDEX IF NOT EXISTS wallet_credit_bucket_status_expires_at ON wallet_credit_bucket(status, expires_at);
+CREATE INDEX IF NOT EXISTS wallet_credit_bucket_credit_transaction_id ON wallet_credit_bucket(credit_transaction_id);
+
+-- Carry existing balances over as one non-expiring PURCHASED bucket per wallet.
+-- Wallets without a wallet_account row get theirs when the account row is first created.
+INSERT INTO wallet_credit_bucket (user_id, source, amount, remaining_amount, status, created_at, updated_at)
+SELECT a.user_id, 'PURCHASED', a.balance, a.balance, 'ACTIVE', NOW(), NOW()
+FROM wallet_account AS a
+WHERE a.balance > 0
+  AND NOT EXISTS (SELECT 1 FROM wallet_credit_bucket AS b WHERE b.user_id = a.user_id);
+
+-- Add comment to table
+COMMENT ON TABLE wallet_credit_bucket IS 'Credits by source and expiry; remaining amounts of ACTIVE buckets add up to the wallet balance';
+COMMENT ON COLUMN wallet_credit_bucket.expires_at IS 'When the remaining credits lapse (NULL = never)';
+COMMENT ON COLUMN wallet_credit_bucket.credit_transaction_id IS 'Credit that funded the bucket (NULL for balances carried over from before buckets)';
@@ -0,0 +1,37 @@
+-- Migration: Create wallet_reservation table and wallet_account.held_balance
+-- Description: Credits held for a pending charge (e.g. publishing a listing) are captured
+--              as a debit when the charge succeeds or released when it fails
+-- Date: 2026-10-19
+
+ALTER TABLE wallet_account
+ADD COLUMN IF NOT EXISTS held_balance INTEGER NOT NULL DEFAULT 0;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_wallet_reservation_status') THEN
+        CREATE TYPE enum_wallet_reservation_status AS ENUM ('HELD', 'CAPTURED', 'RELEASED');
+    END IF;
+END$$;
+
+CREATE TABLE IF NOT EXISTS wallet_reservation (
+    reservation_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES platform_user(user_id) ON DELETE CASCADE ON UPDATE CASCADE,
+    amount INTEGER NOT NULL CHECK (amount > 0),
+    status enum_wallet_reservation_status NOT NULL DEFAULT 'HELD',
+    reference VARCHAR(255),
+    reason VARCHAR(500),
+    metadata JSONB,
+    transaction_id INTEGER,
+    settled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS wallet_reservation_user_id_status ON wallet_reservation(user_id, status);
+CREATE INDEX IF NOT EXISTS wallet_reservation_reference ON wallet_reservation(reference);
+
+-- Add comment to table
+COMMENT ON TABLE wallet_reservation IS 'Credits held for a pending charge until captured (debited) or released';
+COMMENT ON COLUMN wallet_account.held_balance IS 'Part of the balance held by open wallet_reservation rows; not available for debits';
+COMMENT ON COLUMN wallet_reservation.reference IS 'What the hold is for (e.g. listing-publish:PROPERTY:12); a retry returns the open hold';
+COMMENT ON COLUMN wallet_reservation.transaction_id IS 'Debit posted when the hold was captured';
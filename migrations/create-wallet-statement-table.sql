@@ -0,0 +1,40 @@
+-- Migration: Create wallet_statement table
+-- Description: CSV/PDF wallet statement exports with invoice numbers. Large exports are
+--              generated by the wallet-statement-queue worker and stored in S3.
+-- Date: 2026-10-19
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_wallet_statement_format') THEN
+        CREATE TYPE enum_wallet_statement_format AS ENUM ('CSV', 'PDF');
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'enum_wallet_statement_status') THEN
+        CREATE TYPE enum_wallet_statement_status AS ENUM ('PENDING', 'PROCESSING', 'READY', 'FAILED');
+    END IF;
+END$$;
+
+CREATE TABLE IF NOT EXISTS wallet_statement (
+    statement_id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES platform_user(user_id) ON DELETE CASCADE ON UPDATE CASCADE,
+    requested_by INTEGER NOT NULL,
+    invoice_number VARCHAR(50) UNIQUE,
+    format enum_wallet_statement_format NOT NULL,
+    start_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    end_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    status enum_wallet_statement_status NOT NULL DEFAULT 'PENDING',
+    transaction_count INTEGER,
+    opening_balance INTEGER,
+    closing_balance INTEGER,
+    file_key VARCHAR(500),
+    failure_reason VARCHAR(500),
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS wallet_statement_user_id_created_at ON wallet_statement(user_id, created_at);
+
+-- Add comment to table
+COMMENT ON TABLE wallet_statement IS 'Wallet statement exports (CSV/PDF) with invoice numbering';
+COMMENT ON COLUMN wallet_statement.invoice_number IS 'e.g. WS/2026-27/000042 (prefix / financial year / statement id)';
+COMMENT ON COLUMN wallet_statement.file_key IS 'S3 key of a background export (inline exports are not stored)';
@@ -15,14 +15,36 @@ const developerConsumerApiRoute = require("./src/routes/developer-consumer-api.r
 const pgHostelRoute = require("./src/routes/pgHostel.route.js");
 const propertyRoute = require("./src/routes/property.route.js");
 const projectRoute = require("./src/routes/project.route.js");
+const mapSearchRoute = require("./src/routes/mapSearch.route.js");
+const searchRoute = require("./src/routes/search.route.js");
 const workflowRoute = require("./src/routes/workflow.route.js");
 const uploadRoute = require("./src/routes/upload.route.js");
 const otpAuthRoute = require("./src/routes/otpAuth.route.js");
 const walletRoute = require("./src/routes/wallet.route.js");
+const paymentRoute = require("./src/routes/payment.route.js");
+const moderationRoute = require("./src/routes/moderation.route.js");
+const duplicateRoute = require("./src/routes/duplicate.route.js");
 const healthRoute = require("./src/routes/health.route.js");
 const logger = require("./src/config/winston.config.js");
+const smsWorker = require("./src/workers/smsWorker.js");
+const walletReconciliationWorker = require("./src/workers/walletReconciliationWorker.js");
+const walletCreditExpiryWorker = require("./src/workers/walletCreditExpiryWorker.js");
+const walletStatementWorker = require("./src/workers/walletStatementWorker.js");
+const listingModerationEscalationWorker = require("./src/workers/listingModerationEscalationWorker.js");
+const listingDuplicateScanWorker = require("./src/workers/listingDuplicateScanWorker.js");
 const app = express();
 const port = process.env.PORT || 3000;
+
+// Behind a load balancer req.ip is the balancer's address unless its X-Forwarded-For is trusted;
+// the per-IP OTP send limit and session device info depend on the real client address.
+// TRUST_PROXY: number of proxy hops, true, or comma-separated proxy addresses/subnets
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== "false") {
+  app.set(
+    "trust proxy",
+    /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === "true" ? true : trustProxy
+  );
+}
 const db = require("./src/entity");
 const bodyParser = require("body-parser");
 const swaggerJsdoc = require("swagger-jsdoc");
@@ -76,7 +98,15 @@ app.use(
   })
 );
 app.use(cookieParser());
-app.use(bodyParser.json({ limit: "50mb" }));
+app.use(bodyParser.json({
+  limit: "50mb",
+  // Webhook signatures are computed over the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith("/api/payment/webhook")) {
+      req.rawBody = buf;
+    }
+  },
+}));
 app.use(bodyParser.urlencoded({ limit: "50mb", extended: true }));
 
 // Serve static files for uploaded images
@@ -120,10 +150,15 @@ app.use("/api/developer-consumer-api", developerConsumerApiRoute);
 app.use("/api/pg-hostel", pgHostelRoute);
 app.use("/api/property", propertyRoute);
 app.use("/api/project", projectRoute);
+app.use("/api/map-search", mapSearchRoute);
+app.use("/api/search", searchRoute);
 app.use(workflowRoute);
 app.use("/api/upload", uploadRoute);
 app.use("/api/otp", otpAuthRoute);
 app.use("/api/wallet", walletRoute);
+app.use("/api/payment", paymentRoute);
+app.use("/api/moderation", moderationRoute);
+app.use("/api/duplicates", duplicateRoute);
 
 const server = app.listen(port, "0.0.0.0", () => {
   console.log(`Example app listening on port ${port}`);
@@ -155,27 +190,75 @@ const gracefulShutdown = async (signal) => {
       logger.warn("Could not close Temporal client:", error.message);
     }
 
-    // 3. Stop BullMQ worker (stops processing new jobs but completes current ones)
+    // 3. Stop SMS worker and close its queue
+    console.log("Stopping SMS worker...");
+    await smsWorker.stopSmsWorker();
+    const { closeSmsQueue } = require("./src/queues/smsQueue");
+    await closeSmsQueue();
+    console.log("SMS worker stopped");
+    logger.info("SMS worker stopped");
+
+    // 4. Stop wallet reconciliation worker and close its queue
+    console.log("Stopping wallet reconciliation worker...");
+    await walletReconciliationWorker.stopWalletReconciliationWorker();
+    const { closeWalletReconciliationQueue } = require("./src/queues/walletReconciliationQueue");
+    await closeWalletReconciliationQueue();
+    console.log("Wallet reconciliation worker stopped");
+    logger.info("Wallet reconciliation worker stopped");
+
+    // 5. Stop wallet credit expiry worker and close its queue
+    console.log("Stopping wallet credit expiry worker...");
+    await walletCreditExpiryWorker.stopWalletCreditExpiryWorker();
+    const { closeWalletCreditExpiryQueue } = require("./src/queues/walletCreditExpiryQueue");
+    await closeWalletCreditExpiryQueue();
+    console.log("Wallet credit expiry worker stopped");
+    logger.info("Wallet credit expiry worker stopped");
+
+    // 6. Stop wallet statement worker and close its queue
+    console.log("Stopping wallet statement worker...");
+    await walletStatementWorker.stopWalletStatementWorker();
+    const { closeWalletStatementQueue } = require("./src/queues/walletStatementQueue");
+    await closeWalletStatementQueue();
+    console.log("Wallet statement worker stopped");
+    logger.info("Wallet statement worker stopped");
+
+    // 7. Stop listing moderation escalation worker and close its queue
+    console.log("Stopping listing moderation escalation worker...");
+    await listingModerationEscalationWorker.stopListingModerationEscalationWorker();
+    const { closeListingModerationEscalationQueue } = require("./src/queues/listingModerationEscalationQueue");
+    await closeListingModerationEscalationQueue();
+    console.log("Listing moderation escalation worker stopped");
+    logger.info("Listing moderation escalation worker stopped");
+
+    // 8. Stop listing duplicate scan worker and close its queue
+    console.log("Stopping listing duplicate scan worker...");
+    await listingDuplicateScanWorker.stopListingDuplicateScanWorker();
+    const { closeListingDuplicateScanQueue } = require("./src/queues/listingDuplicateScanQueue");
+    await closeListingDuplicateScanQueue();
+    console.log("Listing duplicate scan worker stopped");
+    logger.info("Listing duplicate scan worker stopped");
+
+    // 9. Stop BullMQ worker (stops processing new jobs but completes current ones)
     console.log("Stopping email worker...");
     await emailWorker.stopEmailWorker();
     console.log("Email worker stopped");
     logger.info("Email worker stopped");
 
-    // 4. Close BullMQ queue
+    // 10. Close BullMQ queue
     console.log("Closing email queue...");
     const { closeQueue } = require("./src/queues/emailQueue");
     await closeQueue();
     console.log("Email queue closed");
     logger.info("Email queue closed");
 
-    // 5. Close Redis connection
+    // 11. Close Redis connection
     console.log("Closing Redis connection...");
     const { closeRedisConnection } = require("./src/config/redis.config");
     await closeRedisConnection();
     console.log("Redis connection closed");
     logger.info("Redis connection closed");
 
-    // 6. Close database connections
+    // 12. Close database connections
     console.log("Closing database connections...");
     await db.sequelize.close();
     console.log("Database connections closed");
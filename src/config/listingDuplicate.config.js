@@ -0,0 +1,98 @@
+require('dotenv').config();
+
+/**
+ * Duplicate Listing Detection
+ * Published properties and PG/hostels within LISTING_DUPLICATE_RADIUS_METERS of each other
+ * are compared on the signals below; a pair scoring LISTING_DUPLICATE_THRESHOLD or more is
+ * recorded as a suspected duplicate for admins to confirm or dismiss. Image signals use
+ * perceptual hashes the server computes from the stored photos (listing_media_hash):
+ * on upload through utils/s3Upload, or on first check for photos uploaded directly
+ * through a presigned URL. Hashes sent by clients are ignored. With LISTING_DUPLICATE_BLOCK=true the publishing workflows refuse to
+ * publish a listing that matches one already live.
+ */
+
+const DUPLICATE_STATUS = {
+    SUSPECTED: 'SUSPECTED',
+    CONFIRMED: 'CONFIRMED',
+    DISMISSED: 'DISMISSED'
+};
+
+const DUPLICATE_SIGNALS = {
+    SAME_SPOT: 'SAME_SPOT',
+    SAME_UNIT: 'SAME_UNIT',
+    SAME_NAME: 'SAME_NAME',
+    SIMILAR_AREA: 'SIMILAR_AREA',
+    SIMILAR_IMAGES: 'SIMILAR_IMAGES'
+};
+
+// Points each matching signal adds to a pair's score
+const DUPLICATE_SIGNAL_WEIGHTS = {
+    [DUPLICATE_SIGNALS.SAME_SPOT]: 20,       // Within SAME_SPOT_METERS
+    [DUPLICATE_SIGNALS.SAME_UNIT]: 50,       // Properties: same unit number (and tower, when both have one)
+    [DUPLICATE_SIGNALS.SAME_NAME]: 50,       // PG/hostels: same property name
+    [DUPLICATE_SIGNALS.SIMILAR_AREA]: 20,    // Properties: carpet or super area within AREA_TOLERANCE
+    [DUPLICATE_SIGNALS.SIMILAR_IMAGES]: 40   // At least one photo within PHASH_MAX_DISTANCE
+};
+
+const LISTING_DUPLICATE_RADIUS_METERS = (() => {
+    const raw = process.env.LISTING_DUPLICATE_RADIUS_METERS;
+    if (raw === undefined || raw === '') {
+        return 150;
+    }
+
+    const meters = Number(raw);
+    if (!Number.isInteger(meters) || meters <= 0 || meters > 5000) {
+        throw new Error(`LISTING_DUPLICATE_RADIUS_METERS must be a whole number of meters from 1 to 5000, got "${raw}"`);
+    }
+    return meters;
+})();
+
+const LISTING_DUPLICATE_THRESHOLD = (() => {
+    const raw = process.env.LISTING_DUPLICATE_THRESHOLD;
+    if (raw === undefined || raw === '') {
+        return 60;
+    }
+
+    const score = Number(raw);
+    if (!Number.isInteger(score) || score <= 0 || score > 100) {
+        throw new Error(`LISTING_DUPLICATE_THRESHOLD must be a whole number from 1 to 100, got "${raw}"`);
+    }
+    return score;
+})();
+
+const LISTING_DUPLICATE_BLOCK = process.env.LISTING_DUPLICATE_BLOCK === 'true';
+
+// Nightly full scan at 03:30 server time unless overridden
+const LISTING_DUPLICATE_SCAN_CRON = process.env.LISTING_DUPLICATE_SCAN_CRON || '30 3 * * *';
+
+const SAME_SPOT_METERS = 25;
+
+const AREA_TOLERANCE = 0.05;
+
+// Hamming distance (of 64 bits) under which two perceptual hashes are the same photo
+const PHASH_MAX_DISTANCE = 6;
+
+// Nearest listings compared against each listing
+const DUPLICATE_CANDIDATE_LIMIT = 50;
+
+// Largest photo downloaded from storage to hash
+const MEDIA_HASH_MAX_BYTES = 20 * 1024 * 1024;
+
+// Highest-scoring pairs grouped into clusters for the admin list
+const DUPLICATE_CLUSTER_PAIR_LIMIT = 5000;
+
+module.exports = {
+    DUPLICATE_STATUS,
+    DUPLICATE_SIGNALS,
+    DUPLICATE_SIGNAL_WEIGHTS,
+    LISTING_DUPLICATE_RADIUS_METERS,
+    LISTING_DUPLICATE_THRESHOLD,
+    LISTING_DUPLICATE_BLOCK,
+    LISTING_DUPLICATE_SCAN_CRON,
+    SAME_SPOT_METERS,
+    AREA_TOLERANCE,
+    PHASH_MAX_DISTANCE,
+    DUPLICATE_CANDIDATE_LIMIT,
+    MEDIA_HASH_MAX_BYTES,
+    DUPLICATE_CLUSTER_PAIR_LIMIT
+};
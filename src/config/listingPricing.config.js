@@ -0,0 +1,59 @@
+require('dotenv').config();
+
+/**
+ * Listing Pricing
+ * Wallet credits charged when a listing is first published (updates are free).
+ * Each price can be overridden with the env var next to it; 0 makes that listing type free.
+ */
+
+const LISTING_TYPES = {
+    PROPERTY: 'PROPERTY',
+    PG_HOSTEL: 'PG_HOSTEL',
+    PROJECT: 'PROJECT',
+    DEVELOPER: 'DEVELOPER'
+};
+
+/**
+ * Read a credit price from the environment
+ * @param {string} name - Env var name
+ * @param {number} fallback - Price when unset
+ * @returns {number} - Whole number of credits
+ */
+const readPrice = (name, fallback) => {
+    const raw = process.env[name];
+    if (raw === undefined || raw === '') {
+        return fallback;
+    }
+
+    const price = Number(raw);
+    if (!Number.isInteger(price) || price < 0) {
+        throw new Error(`${name} must be a whole number of credits, got "${raw}"`);
+    }
+    return price;
+};
+
+const LISTING_PRICES = {
+    [LISTING_TYPES.PROPERTY]: readPrice('LISTING_PRICE_PROPERTY', 10),
+    [LISTING_TYPES.PG_HOSTEL]: readPrice('LISTING_PRICE_PG_HOSTEL', 10),
+    [LISTING_TYPES.PROJECT]: readPrice('LISTING_PRICE_PROJECT', 20),
+    [LISTING_TYPES.DEVELOPER]: readPrice('LISTING_PRICE_DEVELOPER', 20)
+};
+
+/**
+ * Price of publishing a listing
+ * @param {string} listingType - One of LISTING_TYPES
+ * @returns {number} - Credits
+ */
+const getListingPrice = (listingType) => {
+    if (!(listingType in LISTING_PRICES)) {
+        throw new Error(`Unknown listing type: ${listingType}`);
+    }
+
+    return LISTING_PRICES[listingType];
+};
+
+module.exports = {
+    LISTING_TYPES,
+    LISTING_PRICES,
+    getListingPrice
+};
@@ -0,0 +1,88 @@
+require('dotenv').config();
+
+/**
+ * Automated Listing Review
+ * Publishing workflows score every listing before it reaches the moderation queue. Each
+ * failed check adds its weight to the listing's risk score. A listing scoring below
+ * LISTING_REVIEW_THRESHOLD is approved without a reviewer; at or above it the listing is
+ * parked for AUTOMATED_REVIEW, and at or above LISTING_MANUAL_REVIEW_THRESHOLD for
+ * MANUAL_REVIEW, which the queue lists first.
+ */
+
+const REVIEW_TIERS = {
+    AUTOMATED_REVIEW: 'AUTOMATED_REVIEW',
+    MANUAL_REVIEW: 'MANUAL_REVIEW'
+};
+
+const REVIEW_CHECKS = {
+    PRICE_OUTLIER: 'PRICE_OUTLIER',
+    DUPLICATE_PHOTOS: 'DUPLICATE_PHOTOS',
+    DUPLICATE_DESCRIPTION: 'DUPLICATE_DESCRIPTION',
+    CONTACT_IN_DESCRIPTION: 'CONTACT_IN_DESCRIPTION',
+    COORDINATES_OUTSIDE_CITY: 'COORDINATES_OUTSIDE_CITY'
+};
+
+// Risk points added by each failed check (the score is capped at 100)
+const REVIEW_CHECK_WEIGHTS = {
+    [REVIEW_CHECKS.PRICE_OUTLIER]: 30,
+    [REVIEW_CHECKS.DUPLICATE_PHOTOS]: 50,
+    [REVIEW_CHECKS.DUPLICATE_DESCRIPTION]: 30,
+    [REVIEW_CHECKS.CONTACT_IN_DESCRIPTION]: 20,
+    [REVIEW_CHECKS.COORDINATES_OUTSIDE_CITY]: 30
+};
+
+const readScore = (name, fallback) => {
+    const raw = process.env[name];
+    if (raw === undefined || raw === '') {
+        return fallback;
+    }
+
+    const score = Number(raw);
+    if (!Number.isInteger(score) || score < 0 || score > 100) {
+        throw new Error(`${name} must be a whole number from 0 to 100, got "${raw}"`);
+    }
+    return score;
+};
+
+// 0 sends every listing to review
+const LISTING_REVIEW_THRESHOLD = readScore('LISTING_REVIEW_THRESHOLD', 20);
+
+const LISTING_MANUAL_REVIEW_THRESHOLD = (() => {
+    const threshold = readScore('LISTING_MANUAL_REVIEW_THRESHOLD', 50);
+    if (threshold < LISTING_REVIEW_THRESHOLD) {
+        throw new Error(`LISTING_MANUAL_REVIEW_THRESHOLD (${threshold}) must not be below LISTING_REVIEW_THRESHOLD (${LISTING_REVIEW_THRESHOLD})`);
+    }
+    return threshold;
+})();
+
+// A price is an outlier when it is this many times above or below the locality median
+const PRICE_OUTLIER_FACTOR = 3;
+
+// Fewer comparable prices (or listings in a city) than this and the check is skipped
+const MIN_COMPARABLE_LISTINGS = 5;
+
+// Descriptions sharing at least this share of 3-word phrases are near-duplicates
+const DESCRIPTION_SIMILARITY_THRESHOLD = 0.8;
+
+// Shorter descriptions are too generic to compare
+const DESCRIPTION_MIN_WORDS = 15;
+
+// Most recent listings of other accounts in the same city compared against
+const DESCRIPTION_CANDIDATE_LIMIT = 500;
+
+// Distance from the median position of a city's listings beyond which coordinates are outside it
+const CITY_RADIUS_KM = 50;
+
+module.exports = {
+    REVIEW_TIERS,
+    REVIEW_CHECKS,
+    REVIEW_CHECK_WEIGHTS,
+    LISTING_REVIEW_THRESHOLD,
+    LISTING_MANUAL_REVIEW_THRESHOLD,
+    PRICE_OUTLIER_FACTOR,
+    MIN_COMPARABLE_LISTINGS,
+    DESCRIPTION_SIMILARITY_THRESHOLD,
+    DESCRIPTION_MIN_WORDS,
+    DESCRIPTION_CANDIDATE_LIMIT,
+    CITY_RADIUS_KM
+};
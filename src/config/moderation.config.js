@@ -0,0 +1,47 @@
+require('dotenv').config();
+const { MODERATION_DECISIONS } = require('../temporal/config/constants');
+
+/**
+ * Listing Moderation
+ * Every publishing workflow records its listing in moderation after validation and the
+ * automated review (config/listingReview.config). Listings the review flags are only
+ * created or updated once a reviewer approves them. Items left unanswered are escalated
+ * every MODERATION_ESCALATION_HOURS: by the workflow's own timer under Temporal, and by
+ * the listing-moderation-escalation-queue sweep in direct mode.
+ */
+
+const MODERATION_STATUS = {
+    PENDING: 'PENDING',
+    ESCALATED: 'ESCALATED',
+    ...MODERATION_DECISIONS
+};
+
+// Items in these states are still waiting for a reviewer
+const OPEN_MODERATION_STATUSES = [MODERATION_STATUS.PENDING, MODERATION_STATUS.ESCALATED];
+
+const MODERATION_ESCALATION_HOURS = (() => {
+    const raw = process.env.MODERATION_ESCALATION_HOURS;
+    if (raw === undefined || raw === '') {
+        return 24;
+    }
+
+    const hours = Number(raw);
+    if (!Number.isInteger(hours) || hours <= 0) {
+        throw new Error(`MODERATION_ESCALATION_HOURS must be a positive whole number of hours, got "${raw}"`);
+    }
+    return hours;
+})();
+
+const MODERATION_ESCALATION_MS = MODERATION_ESCALATION_HOURS * 60 * 60 * 1000;
+
+// How often the direct-mode sweep looks for overdue items
+const MODERATION_ESCALATION_CRON = process.env.MODERATION_ESCALATION_CRON || '*/15 * * * *';
+
+module.exports = {
+    MODERATION_STATUS,
+    MODERATION_DECISIONS,
+    OPEN_MODERATION_STATUSES,
+    MODERATION_ESCALATION_HOURS,
+    MODERATION_ESCALATION_MS,
+    MODERATION_ESCALATION_CRON
+};
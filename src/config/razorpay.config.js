@@ -0,0 +1,45 @@
+require('dotenv').config();
+
+/**
+ * Razorpay Configuration
+ * RAZORPAY_API_URL points the SDK at another host (a local stub of the Razorpay API
+ * in tests and local development, see test/helpers/razorpayStub.js); leave it unset to use https://api.razorpay.com.
+ */
+
+const razorpayConfig = {
+    keyId: process.env.RAZORPAY_KEY_ID,
+    keySecret: process.env.RAZORPAY_KEY_SECRET,
+
+    // Dashboard > Webhooks secret, used to verify X-Razorpay-Signature
+    webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET,
+
+    apiUrl: process.env.RAZORPAY_API_URL,
+
+    currency: 'INR'
+};
+
+/**
+ * Credit packs partners can buy. amount is in paise (smallest currency unit).
+ */
+const CREDIT_PACKS = {
+    STARTER: {
+        name: 'Starter pack',
+        credits: 100,
+        amount: 49900
+    },
+    GROWTH: {
+        name: 'Growth pack',
+        credits: 500,
+        amount: 199900
+    },
+    PRO: {
+        name: 'Pro pack',
+        credits: 1500,
+        amount: 499900
+    }
+};
+
+module.exports = {
+    razorpayConfig,
+    CREDIT_PACKS
+};
@@ -0,0 +1,57 @@
+/**
+ * Roles & Permissions
+ * Every platform user has exactly one role (PlatformUser.role), carried in the JWT
+ * `role` claim. Routes check permissions rather than roles, so a role's reach can
+ * change here without touching the routes.
+ */
+
+const ROLES = {
+    PARTNER: 'PARTNER',
+    REVIEWER: 'REVIEWER',
+    FINANCE: 'FINANCE',
+    SUPER_ADMIN: 'SUPER_ADMIN'
+};
+
+const PERMISSIONS = {
+    USERS_READ: 'users:read',
+    USERS_UPDATE_STATUS: 'users:update-status',
+    USERS_VERIFY: 'users:verify',
+    USERS_MANAGE_ROLES: 'users:manage-roles',
+    WALLET_ADJUST: 'wallet:adjust',
+    WALLET_APPROVE: 'wallet:approve',
+    WALLET_STATEMENTS: 'wallet:statements',
+    LISTINGS_MODERATE: 'listings:moderate',
+    LISTINGS_DUPLICATES: 'listings:duplicates',
+    WORKFLOWS_MANAGE: 'workflows:manage'
+};
+
+const ROLE_PERMISSIONS = {
+    // Partners only act on their own resources, which the routes already scope by userId
+    [ROLES.PARTNER]: [],
+    [ROLES.REVIEWER]: [
+        PERMISSIONS.USERS_READ,
+        PERMISSIONS.USERS_VERIFY,
+        PERMISSIONS.LISTINGS_MODERATE
+    ],
+    [ROLES.FINANCE]: [
+        PERMISSIONS.USERS_READ,
+        PERMISSIONS.WALLET_ADJUST,
+        PERMISSIONS.WALLET_APPROVE,
+        PERMISSIONS.WALLET_STATEMENTS
+    ],
+    [ROLES.SUPER_ADMIN]: Object.values(PERMISSIONS)
+};
+
+/**
+ * Resolve the permissions granted to a role
+ * @param {string} role - Role name (unknown roles get no permissions)
+ * @returns {Array<string>} - Permission names
+ */
+const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+module.exports = {
+    ROLES,
+    PERMISSIONS,
+    ROLE_PERMISSIONS,
+    getRolePermissions
+};
@@ -0,0 +1,44 @@
+require('dotenv').config();
+
+/**
+ * Login Sessions
+ * A login issues a short-lived access token and a refresh token bound to a server-side
+ * session (token family). Each refresh rotates the refresh token; presenting a rotated
+ * token again is treated as theft and signs the session out.
+ */
+
+const ACCESS_TOKEN_TTL = '15m';
+const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000;
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 7;
+const REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000;
+
+// Tabs refreshing at the same moment present the same token; a rotated token reused within
+// this window is refused without revoking the session
+const REFRESH_TOKEN_REUSE_GRACE_SECONDS = (() => {
+    const raw = process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS;
+    if (raw === undefined || raw === '') {
+        return 10;
+    }
+
+    const seconds = Number(raw);
+    if (!Number.isInteger(seconds) || seconds < 0) {
+        throw new Error(`REFRESH_TOKEN_REUSE_GRACE_SECONDS must be a whole number of seconds, got "${raw}"`);
+    }
+    return seconds;
+})();
+
+const REVOKE_REASONS = {
+    LOGOUT: 'LOGOUT',
+    LOGOUT_ALL: 'LOGOUT_ALL',
+    REUSE_DETECTED: 'REUSE_DETECTED'
+};
+
+module.exports = {
+    ACCESS_TOKEN_TTL,
+    ACCESS_TOKEN_TTL_MS,
+    REFRESH_TOKEN_TTL_DAYS,
+    REFRESH_TOKEN_TTL_MS,
+    REFRESH_TOKEN_REUSE_GRACE_SECONDS,
+    REVOKE_REASONS
+};
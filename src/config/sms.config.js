@@ -0,0 +1,63 @@
+require('dotenv').config();
+
+/**
+ * SMS Configuration
+ * SMS_PROVIDER selects the delivery adapter: twilio, sns, msg91 or sink (the default
+ * outside production; production refuses to start without SMS_PROVIDER).
+ * The sink keeps messages in memory (and optionally appends them to SMS_SINK_FILE)
+ * so local runs and tests can read the OTPs that were "sent".
+ */
+
+const SMS_PROVIDERS = ['twilio', 'sns', 'msg91', 'sink'];
+
+const SMS_PROVIDER = (() => {
+    const raw = process.env.SMS_PROVIDER;
+    if (raw === undefined || raw === '') {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error(`SMS_PROVIDER must be set in production (one of: ${SMS_PROVIDERS.join(', ')})`);
+        }
+        return 'sink';
+    }
+    return raw.toLowerCase();
+})();
+
+const smsConfig = {
+    provider: SMS_PROVIDER,
+
+    // Numbers without a country code are prefixed with this (India by default)
+    defaultCountryCode: process.env.SMS_DEFAULT_COUNTRY_CODE || '91',
+
+    // Set to false to deliver inline instead of through the BullMQ sms-queue
+    queueEnabled: process.env.SMS_QUEUE_ENABLED !== 'false',
+
+    twilio: {
+        accountSid: process.env.TWILIO_ACCOUNT_SID,
+        authToken: process.env.TWILIO_AUTH_TOKEN,
+        from: process.env.TWILIO_FROM_NUMBER,
+        messagingServiceSid: process.env.TWILIO_MESSAGING_SERVICE_SID
+    },
+
+    sns: {
+        region: process.env.SNS_REGION || process.env.S3_REGION || 'ap-south-1',
+        accessKeyId: process.env.SNS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.SNS_SECRET_ACCESS_KEY,
+        senderId: process.env.SNS_SENDER_ID
+    },
+
+    msg91: {
+        authKey: process.env.MSG91_AUTH_KEY,
+        // DLT-registered flow template id per SMS template
+        templateIds: {
+            OTP: process.env.MSG91_OTP_TEMPLATE_ID
+        }
+    },
+
+    sink: {
+        file: process.env.SMS_SINK_FILE
+    }
+};
+
+module.exports = {
+    SMS_PROVIDERS,
+    smsConfig
+};
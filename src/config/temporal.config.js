@@ -14,6 +14,11 @@ module.exports = {
     
     // Task queue name for workers
     taskQueue: process.env.TEMPORAL_TASK_QUEUE || 'partner-platform-queue',
+
+    // Int search attribute tagging workflows with the user who started them, used to list a
+    // user's own workflows. Register it first (temporal operator search-attribute create
+    // --name OwnerUserId --type Int); unset = owner is only recorded in the memo
+    ownerSearchAttribute: process.env.TEMPORAL_OWNER_SEARCH_ATTRIBUTE || null,
     
     // Connection retry settings
     retry: {
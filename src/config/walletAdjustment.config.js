@@ -0,0 +1,42 @@
+require('dotenv').config();
+
+/**
+ * Wallet Adjustments (maker-checker)
+ * Admin credits and debits are recorded as adjustment requests and only post to the ledger
+ * once an admin other than the requester approves them. Adjustments larger than
+ * WALLET_ADJUSTMENT_DUAL_APPROVAL_THRESHOLD need two different approvers.
+ */
+
+const ADJUSTMENT_STATUS = {
+    PENDING: 'PENDING',
+    APPROVED: 'APPROVED',
+    POSTED: 'POSTED',
+    REJECTED: 'REJECTED',
+    FAILED: 'FAILED'
+};
+
+const DUAL_APPROVAL_THRESHOLD = (() => {
+    const raw = process.env.WALLET_ADJUSTMENT_DUAL_APPROVAL_THRESHOLD;
+    if (raw === undefined || raw === '') {
+        return 1000;
+    }
+
+    const units = Number(raw);
+    if (!Number.isInteger(units) || units < 0) {
+        throw new Error(`WALLET_ADJUSTMENT_DUAL_APPROVAL_THRESHOLD must be a whole number of credits, got "${raw}"`);
+    }
+    return units;
+})();
+
+/**
+ * Number of distinct approvers an adjustment needs
+ * @param {number} amount - Adjustment amount in credits
+ * @returns {number} - 2 above the threshold, otherwise 1
+ */
+const getRequiredApprovals = (amount) => (amount > DUAL_APPROVAL_THRESHOLD ? 2 : 1);
+
+module.exports = {
+    ADJUSTMENT_STATUS,
+    DUAL_APPROVAL_THRESHOLD,
+    getRequiredApprovals
+};
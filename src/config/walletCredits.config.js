@@ -0,0 +1,47 @@
+require('dotenv').config();
+
+/**
+ * Wallet Credit Buckets
+ * Every credit lands in a bucket tagged with its source. Debits spend PROMO credits
+ * first, then the oldest; buckets with an expiry lapse and are removed from the balance.
+ */
+
+const CREDIT_SOURCES = {
+    PURCHASED: 'PURCHASED',
+    PROMO: 'PROMO',
+    REFUND: 'REFUND'
+};
+
+/**
+ * Days promotional credits (e.g. the onboarding welcome bonus) stay spendable; 0 = never expire
+ */
+const PROMO_CREDIT_EXPIRY_DAYS = (() => {
+    const raw = process.env.PROMO_CREDIT_EXPIRY_DAYS;
+    if (raw === undefined || raw === '') {
+        return 90;
+    }
+
+    const days = Number(raw);
+    if (!Number.isInteger(days) || days < 0) {
+        throw new Error(`PROMO_CREDIT_EXPIRY_DAYS must be a whole number of days, got "${raw}"`);
+    }
+    return days;
+})();
+
+/**
+ * Expiry date for promotional credits granted now
+ * @param {Date} from - Grant time (default: now)
+ * @returns {Date|null} - null when promo credits do not expire
+ */
+const getPromoCreditExpiry = (from = new Date()) => {
+    if (PROMO_CREDIT_EXPIRY_DAYS === 0) {
+        return null;
+    }
+    return new Date(from.getTime() + PROMO_CREDIT_EXPIRY_DAYS * 24 * 60 * 60 * 1000);
+};
+
+module.exports = {
+    CREDIT_SOURCES,
+    PROMO_CREDIT_EXPIRY_DAYS,
+    getPromoCreditExpiry
+};
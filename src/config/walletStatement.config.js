@@ -0,0 +1,48 @@
+require('dotenv').config();
+
+/**
+ * Wallet Statements
+ * Statement exports (CSV or PDF) carry an invoice number and the GST details below.
+ * Exports covering more than STATEMENT_SYNC_MAX_TRANSACTIONS entries are generated by the
+ * wallet-statement-queue worker and downloaded from S3 afterwards.
+ */
+
+const STATEMENT_FORMATS = {
+    CSV: 'CSV',
+    PDF: 'PDF'
+};
+
+const STATEMENT_SYNC_MAX_TRANSACTIONS = parseInt(process.env.STATEMENT_SYNC_MAX_TRANSACTIONS, 10) || 1000;
+
+// Invoice numbers look like WS/2026-27/000042 (prefix / financial year / statement id)
+const STATEMENT_INVOICE_PREFIX = process.env.STATEMENT_INVOICE_PREFIX || 'WS';
+
+// Seller details printed on every statement
+const STATEMENT_SUPPLIER = {
+    name: process.env.STATEMENT_SUPPLIER_NAME || 'Partner Platform',
+    gstin: process.env.STATEMENT_SUPPLIER_GSTIN || '',
+    address: process.env.STATEMENT_SUPPLIER_ADDRESS || '',
+    // First two digits of the GSTIN unless set explicitly
+    stateCode: process.env.STATEMENT_SUPPLIER_STATE_CODE || (process.env.STATEMENT_SUPPLIER_GSTIN || '').slice(0, 2)
+};
+
+// Credit pack prices include GST at this rate
+const GST_RATE_PERCENT = Number(process.env.GST_RATE_PERCENT || 18);
+
+// Services accounting code for listing credits (sale of internet advertising space)
+const GST_SAC_CODE = process.env.GST_SAC_CODE || '998366';
+
+// Where background exports are stored, and how long their download links last
+const STATEMENT_S3_BUCKET = process.env.S3_STATEMENT_BUCKET || null;
+const STATEMENT_DOWNLOAD_URL_TTL_SECONDS = 15 * 60;
+
+module.exports = {
+    STATEMENT_FORMATS,
+    STATEMENT_SYNC_MAX_TRANSACTIONS,
+    STATEMENT_INVOICE_PREFIX,
+    STATEMENT_SUPPLIER,
+    GST_RATE_PERCENT,
+    GST_SAC_CODE,
+    STATEMENT_S3_BUCKET,
+    STATEMENT_DOWNLOAD_URL_TTL_SECONDS
+};
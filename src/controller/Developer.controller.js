@@ -209,6 +209,7 @@ const listDevelopers = async (req, res) => {
       operatingState,
       projectType,
       search,
+      cursor,
       page = 1,
       limit = 20
     } = req.query;
@@ -220,6 +221,7 @@ const listDevelopers = async (req, res) => {
     if (operatingState) filters.operatingState = operatingState;
     if (projectType) filters.projectType = projectType;
     if (search) filters.search = search;
+    if (cursor) filters.cursor = cursor;
 
     const result = await DeveloperService.listDevelopers(
       filters,
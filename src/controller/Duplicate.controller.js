@@ -0,0 +1,105 @@
+const ListingDuplicateService = require("../service/ListingDuplicateService.service");
+const { sendErrorResponse, sendSuccessResponse } = require("../utils/responseFormatter");
+const logger = require("../config/winston.config");
+
+/**
+ * Get suspected duplicate listings grouped into clusters (Admins only)
+ * GET /api/duplicates
+ * @query listingType - PROPERTY | PG_HOSTEL (optional)
+ * @query status - SUSPECTED | CONFIRMED | DISMISSED (default: SUSPECTED)
+ * @query page - Page number (default: 1)
+ * @query limit - Clusters per page (default: 20, max: 100)
+ */
+const getClusters = async (req, res) => {
+  try {
+    const { listingType, status, page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page) || 1;
+    const limitNum = parseInt(limit) || 20;
+
+    if (limitNum > 100) {
+      return sendErrorResponse(res, 'Maximum limit is 100', 400);
+    }
+
+    const result = await ListingDuplicateService.listDuplicateClusters(
+      { listingType, status },
+      pageNum,
+      limitNum
+    );
+
+    if (!result.success) {
+      return sendErrorResponse(res, result.message || 'Failed to fetch duplicate listings', result.statusCode || 500);
+    }
+
+    return sendSuccessResponse(
+      res,
+      result.data,
+      'Duplicate listings fetched successfully',
+      200
+    );
+  } catch (error) {
+    logger.error('Error in getClusters controller:', error);
+    return sendErrorResponse(res, 'Failed to fetch duplicate listings', 500);
+  }
+};
+
+/**
+ * Queue a full duplicate scan of published listings (Admins only)
+ * POST /api/duplicates/scan
+ */
+const runScan = async (req, res) => {
+  try {
+    const result = await ListingDuplicateService.requestDuplicateScan(req.user.userId);
+
+    if (!result.success) {
+      return sendErrorResponse(res, result.message || 'Failed to queue duplicate scan', result.statusCode || 500);
+    }
+
+    return sendSuccessResponse(
+      res,
+      result.data,
+      'Duplicate scan queued',
+      202
+    );
+  } catch (error) {
+    logger.error('Error in runScan controller:', error);
+    return sendErrorResponse(res, 'Failed to queue duplicate scan', 500);
+  }
+};
+
+/**
+ * Confirm or dismiss a suspected duplicate pair (Admins only)
+ * PATCH /api/duplicates/:duplicateId
+ * @body status - CONFIRMED | DISMISSED
+ */
+const reviewPair = async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    const result = await ListingDuplicateService.reviewDuplicate(
+      req.params.duplicateId,
+      req.user.userId,
+      status
+    );
+
+    if (!result.success) {
+      return sendErrorResponse(res, result.message || 'Failed to review duplicate pair', result.statusCode || 500);
+    }
+
+    return sendSuccessResponse(
+      res,
+      result.data,
+      `Duplicate pair ${result.data.status.toLowerCase()}`,
+      200
+    );
+  } catch (error) {
+    logger.error('Error in reviewPair controller:', error);
+    return sendErrorResponse(res, 'Failed to review duplicate pair', 500);
+  }
+};
+
+module.exports = {
+  getClusters,
+  runScan,
+  reviewPair
+};
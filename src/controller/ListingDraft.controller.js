@@ -130,7 +130,7 @@ const deleteListingDraft = async (req, res) => {
 };
 
 /**
- * Submit a listing draft (creates property and optionally project)
+ * Submit a listing draft (starts the publishing workflow for its type)
  * POST /api/draft/submitListingDraft
  */
 const submitListingDraft = async (req, res) => {
@@ -145,9 +145,9 @@ const submitListingDraft = async (req, res) => {
     const result = await ListingDraftService.submitDraft(draftId, userId);
 
     if (result.success) {
-      return sendSuccessResponse(res, result.data, result.message, 201);
+      return sendSuccessResponse(res, result.data, result.message, 202);
     } else {
-      return sendErrorResponse(res, result.message, 400);
+      return sendErrorResponse(res, result.message, result.statusCode || 400);
     }
   } catch (error) {
     console.error('Error in submitListingDraft:', error);
@@ -0,0 +1,134 @@
+const MapSearchService = require("../service/MapSearchService.service");
+const { sendErrorResponse, sendSuccessResponse } = require("../utils/responseFormatter");
+const logger = require("../config/winston.config");
+
+/**
+ * Parse a bounding box given as "minLng,minLat,maxLng,maxLat", an array or an object
+ * @param {string|Array|object} bbox - Raw bounding box
+ * @returns {object|null} - { minLng, minLat, maxLng, maxLat } or null when missing/malformed
+ */
+const parseBbox = (bbox) => {
+  if (!bbox) {
+    return null;
+  }
+
+  if (typeof bbox === 'object' && !Array.isArray(bbox)) {
+    return {
+      minLng: parseFloat(bbox.minLng),
+      minLat: parseFloat(bbox.minLat),
+      maxLng: parseFloat(bbox.maxLng),
+      maxLat: parseFloat(bbox.maxLat)
+    };
+  }
+
+  const values = (Array.isArray(bbox) ? bbox : String(bbox).split(',')).map(value => parseFloat(value));
+  if (values.length !== 4) {
+    return null;
+  }
+
+  const [minLng, minLat, maxLng, maxLat] = values;
+  return { minLng, minLat, maxLng, maxLat };
+};
+
+/**
+ * Parse listing types given as "PROPERTY,PG" or an array
+ * @param {string|Array} types - Raw listing types
+ * @returns {Array<string>} - Upper-cased listing types
+ */
+const parseTypes = (types) => {
+  if (!types) {
+    return [];
+  }
+
+  return (Array.isArray(types) ? types : String(types).split(','))
+    .map(type => String(type).trim().toUpperCase())
+    .filter(Boolean);
+};
+
+/**
+ * Run a map search from raw request input
+ * @param {object} res - Express response object
+ * @param {object} input - { bbox, polygon, zoom, types, limit }
+ */
+const runMapSearch = async (res, input) => {
+  const bbox = parseBbox(input.bbox);
+
+  if (input.bbox && !bbox) {
+    return sendErrorResponse(res, 'bbox must be minLng,minLat,maxLng,maxLat', 400);
+  }
+
+  let zoom;
+  if (input.zoom !== undefined && input.zoom !== null && input.zoom !== '') {
+    zoom = parseInt(input.zoom);
+
+    if (isNaN(zoom) || zoom < 0 || zoom > 22) {
+      return sendErrorResponse(res, 'Zoom must be an integer between 0 and 22', 400);
+    }
+  }
+
+  const result = await MapSearchService.searchMap({
+    bbox,
+    polygon: input.polygon,
+    zoom,
+    types: parseTypes(input.types),
+    limit: input.limit
+  });
+
+  if (!result.success) {
+    return sendErrorResponse(res, result.message, result.statusCode || 500);
+  }
+
+  return sendSuccessResponse(
+    res,
+    result.data,
+    'Map listings fetched successfully'
+  );
+};
+
+/**
+ * Search listings inside the visible map viewport
+ * GET /api/map-search
+ * @query bbox - minLng,minLat,maxLng,maxLat
+ * @query zoom - Map zoom level (clusters are returned when zoomed out)
+ * @query types - Comma separated listing types (PROPERTY, PG, PROJECT)
+ * @query limit - Maximum pins to return
+ */
+const searchViewport = async (req, res) => {
+  try {
+    if (!req.query.bbox) {
+      return sendErrorResponse(res, 'bbox is required', 400);
+    }
+
+    return await runMapSearch(res, req.query);
+  } catch (error) {
+    logger.error('Error searching map viewport:', error);
+    return sendErrorResponse(res, 'An error occurred while searching the map', 500);
+  }
+};
+
+/**
+ * Search listings inside a drawn polygon or a bounding box
+ * POST /api/map-search
+ * @body polygon - GeoJSON Polygon or MultiPolygon geometry
+ * @body bbox - Bounding box (used when no polygon is given)
+ * @body zoom - Map zoom level (clusters are returned when zoomed out)
+ * @body types - Listing types (PROPERTY, PG, PROJECT)
+ * @body limit - Maximum pins to return
+ */
+const searchArea = async (req, res) => {
+  try {
+    if (!req.body.polygon && !req.body.bbox) {
+      return sendErrorResponse(res, 'Either polygon or bbox is required', 400);
+    }
+
+    return await runMapSearch(res, req.body);
+  } catch (error) {
+    logger.error('Error searching map area:', error);
+    return sendErrorResponse(res, 'An error occurred while searching the map', 500);
+  }
+};
+
+module.exports = {
+  searchViewport,
+  searchArea
+};
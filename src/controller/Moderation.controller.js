@@ -0,0 +1,139 @@
+const ListingModerationService = require("../service/ListingModerationService.service");
+const { MODERATION_DECISIONS } = require("../config/moderation.config");
+const { sendErrorResponse, sendSuccessResponse } = require("../utils/responseFormatter");
+const logger = require("../config/winston.config");
+
+/**
+ * Get the moderation queue (Reviewers only)
+ * GET /api/moderation/queue
+ * @query status - PENDING | ESCALATED | APPROVED | REJECTED | CHANGES_REQUESTED
+ *                 (default: items awaiting review)
+ * @query reviewTier - AUTOMATED_REVIEW | MANUAL_REVIEW (optional)
+ * @query listingType - PROPERTY | PG_HOSTEL | PROJECT | DEVELOPER (optional)
+ * @query userId - Listing owner (optional)
+ * @query page - Page number (default: 1)
+ * @query limit - Items per page (default: 20, max: 100)
+ */
+const getQueue = async (req, res) => {
+  try {
+    const { status, reviewTier, listingType, userId, page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page) || 1;
+    const limitNum = parseInt(limit) || 20;
+
+    if (limitNum > 100) {
+      return sendErrorResponse(res, 'Maximum limit is 100', 400);
+    }
+
+    const result = await ListingModerationService.listQueue(
+      { status, reviewTier, listingType, userId },
+      pageNum,
+      limitNum
+    );
+
+    if (!result.success) {
+      return sendErrorResponse(res, result.message || 'Failed to fetch moderation queue', result.statusCode || 500);
+    }
+
+    return sendSuccessResponse(
+      res,
+      result.data,
+      'Moderation queue fetched successfully',
+      200
+    );
+  } catch (error) {
+    logger.error('Error in getQueue controller:', error);
+    return sendErrorResponse(res, 'Failed to fetch moderation queue', 500);
+  }
+};
+
+/**
+ * Get a moderation item with the submitted listing data and its diff (Reviewers only)
+ * GET /api/moderation/:moderationId
+ */
+const getItem = async (req, res) => {
+  try {
+    const result = await ListingModerationService.getItem(req.params.moderationId);
+
+    if (!result.success) {
+      return sendErrorResponse(res, result.message || 'Failed to fetch moderation item', result.statusCode || 500);
+    }
+
+    return sendSuccessResponse(
+      res,
+      result.data,
+      'Moderation item fetched successfully',
+      200
+    );
+  } catch (error) {
+    logger.error('Error in getItem controller:', error);
+    return sendErrorResponse(res, 'Failed to fetch moderation item', 500);
+  }
+};
+
+/**
+ * Record a reviewer decision and respond
+ * @param {object} req - Express request (body.comment is passed through)
+ * @param {object} res - Express response
+ * @param {string} decision - One of MODERATION_DECISIONS
+ * @param {string} successMessage - Response message on success
+ */
+const decide = async (req, res, decision, successMessage) => {
+  try {
+    const { comment } = req.body;
+
+    const result = await ListingModerationService.decideItem(
+      req.params.moderationId,
+      req.user.userId,
+      decision,
+      comment
+    );
+
+    if (!result.success) {
+      return sendErrorResponse(res, result.message || 'Failed to record moderation decision', result.statusCode || 500);
+    }
+
+    return sendSuccessResponse(
+      res,
+      result.data,
+      successMessage,
+      200
+    );
+  } catch (error) {
+    logger.error(`Error recording ${decision} moderation decision:`, error);
+    return sendErrorResponse(res, 'Failed to record moderation decision', 500);
+  }
+};
+
+/**
+ * Approve a listing; its publishing workflow continues (Reviewers only, not the owner)
+ * POST /api/moderation/:moderationId/approve
+ * @body comment - Note for the owner (optional)
+ */
+const approveItem = (req, res) =>
+  decide(req, res, MODERATION_DECISIONS.APPROVED, 'Listing approved');
+
+/**
+ * Reject a listing; its publishing workflow ends without publishing (Reviewers only, not the owner)
+ * POST /api/moderation/:moderationId/reject
+ * @body comment - Reason for the owner (required)
+ */
+const rejectItem = (req, res) =>
+  decide(req, res, MODERATION_DECISIONS.REJECTED, 'Listing rejected');
+
+/**
+ * Send a listing back to its owner for changes (Reviewers only, not the owner).
+ * The owner edits the draft and publishes it again
+ * POST /api/moderation/:moderationId/request-changes
+ * @body comment - Changes needed (required)
+ */
+const requestChanges = (req, res) =>
+  decide(req, res, MODERATION_DECISIONS.CHANGES_REQUESTED, 'Changes requested');
+
+module.exports = {
+  getQueue,
+  getItem,
+  approveItem,
+  rejectItem,
+  requestChanges
+};
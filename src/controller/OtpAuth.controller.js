@@ -1,10 +1,9 @@
 const logger = require("../config/winston.config.js");
 const OtpAuthService = require("../service/OtpAuthService.service.js");
 const { ApiResponse } = require("../utils/responseFormatter.js");
-const jwt = require("jsonwebtoken");
-
-const accessTokenSecret = process.env.ACCESS_TOKEN_SECRET;
-const refreshTokenSecret = process.env.REFRESH_TOKEN_SECRET;
+const SessionService = require("../service/SessionService.service.js");
+const { getDeviceInfo } = require("../utils/deviceInfo.js");
+const { REFRESH_TOKEN_TTL_MS } = require("../config/session.config.js");
 
 /**
  * Send OTP to mobile number
@@ -39,7 +38,18 @@ async function sendOtp(req, res) {
         .error();
     }
 
-    const result = await OtpAuthService.sendOtp(phone);
+    const result = await OtpAuthService.sendOtp(phone, req.ip);
+
+    if (!result.success) {
+      res.set("Retry-After", String(result.retryAfter));
+      return apiResponse
+        .status(result.statusCode || 429)
+        .withMessage(result.message)
+        .withError(result.message, "OTP_RATE_LIMITED", "sendOtp", {
+          retryAfter: result.retryAfter,
+        })
+        .error();
+    }
 
     apiResponse
       .status(200)
@@ -85,33 +95,24 @@ async function verifyOtp(req, res) {
     const result = await OtpAuthService.verifyOtp(phone, otp);
 
     if (!result.verified) {
+      const locked = result.statusCode === 429;
       return apiResponse
-        .status(401)
+        .status(result.statusCode || 401)
         .withMessage(result.message || "Invalid or expired OTP")
-        .withError(result.message, "INVALID_OTP", "verifyOtp")
+        .withError(result.message, locked ? "OTP_LOCKED" : "INVALID_OTP", "verifyOtp")
         .error();
     }
 
-    // Generate JWT tokens
+    // Generate JWT tokens; the refresh token is stored against a new session
     const user = result.user;
-    const accessToken = jwt.sign(
-      {
-        userId: user.userId,
-        userEmail: user.email,
-        phone: user.phone,
-      },
-      accessTokenSecret,
-      { expiresIn: "15m" }
-    );
-
-    const refreshToken = jwt.sign(
+    const { accessToken, refreshToken } = await SessionService.createSession(
       {
         userId: user.userId,
         userEmail: user.email,
         phone: user.phone,
+        role: user.role,
       },
-      refreshTokenSecret,
-      { expiresIn: "7d" }
+      getDeviceInfo(req)
     );
 
     // Set cookies
@@ -126,7 +127,7 @@ async function verifyOtp(req, res) {
       httpOnly: true,
       secure: process.env.NODE_ENV === "production",
       sameSite: "lax",
-      maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+      maxAge: REFRESH_TOKEN_TTL_MS,
     });
 
     apiResponse
@@ -175,7 +176,18 @@ async function resendOtp(req, res) {
         .error();
     }
 
-    const result = await OtpAuthService.resendOtp(phone);
+    const result = await OtpAuthService.resendOtp(phone, req.ip);
+
+    if (!result.success) {
+      res.set("Retry-After", String(result.retryAfter));
+      return apiResponse
+        .status(result.statusCode || 429)
+        .withMessage(result.message)
+        .withError(result.message, "OTP_RATE_LIMITED", "resendOtp", {
+          retryAfter: result.retryAfter,
+        })
+        .error();
+    }
 
     apiResponse
       .status(200)
@@ -0,0 +1,159 @@
+const PaymentService = require("../service/PaymentService.service");
+const { sendErrorResponse, sendSuccessResponse } = require("../utils/responseFormatter");
+const logger = require("../config/winston.config");
+
+/**
+ * List credit packs on sale
+ * GET /api/payment/packs
+ */
+const getCreditPacks = async (req, res) => {
+  try {
+    const result = PaymentService.getCreditPacks();
+
+    return sendSuccessResponse(
+      res,
+      result.data,
+      'Credit packs fetched successfully',
+      200
+    );
+  } catch (error) {
+    logger.error('Error in getCreditPacks controller:', error);
+    return sendErrorResponse(res, 'Failed to fetch credit packs', 500);
+  }
+};
+
+/**
+ * Create a Razorpay order for a credit pack
+ * POST /api/payment/orders
+ * @body packId - Credit pack to buy
+ */
+const createTopUpOrder = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { packId } = req.body;
+
+    if (!packId) {
+      return sendErrorResponse(res, 'Pack ID is required', 400);
+    }
+
+    const result = await PaymentService.createTopUpOrder(userId, packId);
+
+    if (!result.success) {
+      return sendErrorResponse(res, result.message || 'Failed to create payment order', result.statusCode || 500);
+    }
+
+    return sendSuccessResponse(
+      res,
+      result.data,
+      'Payment order created successfully',
+      201
+    );
+  } catch (error) {
+    logger.error('Error in createTopUpOrder controller:', error);
+    return sendErrorResponse(res, 'Failed to create payment order', 500);
+  }
+};
+
+/**
+ * Verify the Razorpay Checkout response and credit the wallet
+ * POST /api/payment/verify
+ * @body razorpay_order_id - From the Checkout handler
+ * @body razorpay_payment_id - From the Checkout handler
+ * @body razorpay_signature - From the Checkout handler
+ */
+const verifyTopUpPayment = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const {
+      razorpay_order_id: razorpayOrderId,
+      razorpay_payment_id: razorpayPaymentId,
+      razorpay_signature: razorpaySignature
+    } = req.body;
+
+    if (!razorpayOrderId || !razorpayPaymentId || !razorpaySignature) {
+      return sendErrorResponse(res, 'razorpay_order_id, razorpay_payment_id and razorpay_signature are required', 400);
+    }
+
+    const result = await PaymentService.verifyTopUpPayment(userId, {
+      razorpayOrderId,
+      razorpayPaymentId,
+      razorpaySignature
+    });
+
+    if (!result.success) {
+      return sendErrorResponse(res, result.message || 'Failed to verify payment', result.statusCode || 500);
+    }
+
+    return sendSuccessResponse(
+      res,
+      result.data,
+      result.data.status === 'PAID' ? 'Payment verified and credits added' : 'Payment is being processed',
+      200
+    );
+  } catch (error) {
+    logger.error('Error in verifyTopUpPayment controller:', error);
+    return sendErrorResponse(res, 'Failed to verify payment', 500);
+  }
+};
+
+/**
+ * Get one of the user's payment orders
+ * GET /api/payment/orders/:paymentOrderId
+ */
+const getPaymentOrder = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const paymentOrderId = parseInt(req.params.paymentOrderId);
+
+    if (!paymentOrderId) {
+      return sendErrorResponse(res, 'Invalid payment order ID', 400);
+    }
+
+    const result = await PaymentService.getPaymentOrder(userId, paymentOrderId);
+
+    if (!result.success) {
+      return sendErrorResponse(res, result.message || 'Failed to fetch payment order', result.statusCode || 500);
+    }
+
+    return sendSuccessResponse(
+      res,
+      result.data,
+      'Payment order fetched successfully',
+      200
+    );
+  } catch (error) {
+    logger.error('Error in getPaymentOrder controller:', error);
+    return sendErrorResponse(res, 'Failed to fetch payment order', 500);
+  }
+};
+
+/**
+ * Razorpay webhook receiver (signed with the webhook secret, no user session)
+ * POST /api/payment/webhook/razorpay
+ * @header X-Razorpay-Signature - HMAC-SHA256 of the raw body
+ */
+const handleRazorpayWebhook = async (req, res) => {
+  try {
+    const result = await PaymentService.handleRazorpayWebhook(
+      req.rawBody,
+      req.get('X-Razorpay-Signature')
+    );
+
+    if (!result.success) {
+      return res.status(result.statusCode || 500).json({ error: result.message });
+    }
+
+    return res.status(200).json({ received: true, message: result.message });
+  } catch (error) {
+    logger.error('Error in handleRazorpayWebhook controller:', error);
+    return res.status(500).json({ error: 'Failed to process webhook' });
+  }
+};
+
+module.exports = {
+  getCreditPacks,
+  createTopUpOrder,
+  verifyTopUpPayment,
+  getPaymentOrder,
+  handleRazorpayWebhook
+};
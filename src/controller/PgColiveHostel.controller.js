@@ -2,6 +2,7 @@ const PgColiveHostelService = require("../service/PgColiveHostelService.service"
 const { sendErrorResponse, sendSuccessResponse } = require("../utils/responseFormatter");
 const { runWorkflowAsync, runWorkflowDirect, WORKFLOWS } = require("../utils/workflowHelper");
 const logger = require("../config/winston.config");
+const { parseNearbyQuery } = require("../utils/geoQueryBuilder");
 const db = require("../entity");
 const ListingDraft = db.ListingDraft;
 const PgColiveHostel = db.PgColiveHostel;
@@ -163,7 +164,10 @@ const listPgHostels = async (req, res) => {
       locality: req.query.locality,
       genderAllowed: req.query.genderAllowed,
       isBrandManaged: req.query.isBrandManaged,
+      meal: req.query.meal,
       search: req.query.search,
+      includeFacets: req.query.facets === 'true',
+      cursor: req.query.cursor,
       page: req.query.page || 1,
       limit: req.query.limit || 20
     };
@@ -199,46 +203,14 @@ const listPgHostels = async (req, res) => {
  */
 const searchNearbyPgHostels = async (req, res) => {
   try {
-    const { lat, lng, radius } = req.query;
+    // Validate lat, lng and radius for presence, type and range
+    const { params, error } = parseNearbyQuery(req.query);
 
-    // Validate required parameters
-    if (!lat || !lng || !radius) {
-      return sendErrorResponse(
-        res,
-        'Latitude, longitude, and radius are required',
-        400
-      );
-    }
-
-    // Validate numeric values
-    const latitude = parseFloat(lat);
-    const longitude = parseFloat(lng);
-    const radiusKm = parseFloat(radius);
-
-    if (isNaN(latitude) || isNaN(longitude) || isNaN(radiusKm)) {
-      return sendErrorResponse(
-        res,
-        'Invalid latitude, longitude, or radius value',
-        400
-      );
+    if (error) {
+      return sendErrorResponse(res, error, 400);
     }
 
-    // Validate coordinate ranges
-    if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
-      return sendErrorResponse(
-        res,
-        'Invalid coordinate values. Latitude must be between -90 and 90, longitude between -180 and 180',
-        400
-      );
-    }
-
-    if (radiusKm <= 0 || radiusKm > 100) {
-      return sendErrorResponse(
-        res,
-        'Radius must be between 0 and 100 km',
-        400
-      );
-    }
+    const { latitude, longitude, radiusKm } = params;
 
     const filters = {
       genderAllowed: req.query.genderAllowed,
@@ -2,6 +2,7 @@ const ProjectService = require("../service/ProjectService.service");
 const { sendErrorResponse, sendSuccessResponse } = require("../utils/responseFormatter");
 const { runWorkflowAsync, runWorkflowDirect, WORKFLOWS } = require("../utils/workflowHelper");
 const logger = require("../config/winston.config");
+const { parseNearbyQuery } = require("../utils/geoQueryBuilder");
 const db = require("../entity");
 const ListingDraft = db.ListingDraft;
 const Project = db.Project;
@@ -142,7 +143,7 @@ const getMyProjects = async (req, res) => {
 /**
  * List projects with filters and pagination
  * GET /api/project/list
- * @query status, city, search, createdBy, page, limit
+ * @query status, city, search, createdBy, cursor, page, limit
  */
 const listProjects = async (req, res) => {
   try {
@@ -150,7 +151,8 @@ const listProjects = async (req, res) => {
       status: req.query.status,
       city: req.query.city,
       search: req.query.search,
-      createdBy: req.query.createdBy
+      createdBy: req.query.createdBy,
+      cursor: req.query.cursor
     };
 
     // Remove undefined filters
@@ -180,6 +182,63 @@ const listProjects = async (req, res) => {
   }
 };
 
+/**
+ * Search projects near a location
+ * GET /api/project/search-nearby
+ * @query lat, lng, radius (in km), status, city, search, createdBy, page, limit
+ */
+const searchNearbyProjects = async (req, res) => {
+  try {
+    // Validate lat, lng and radius for presence, type and range
+    const { params, error } = parseNearbyQuery(req.query);
+
+    if (error) {
+      return sendErrorResponse(res, error, 400);
+    }
+
+    const { latitude, longitude, radiusKm } = params;
+
+    const filters = {
+      status: req.query.status,
+      city: req.query.city,
+      search: req.query.search,
+      createdBy: req.query.createdBy
+    };
+
+    // Remove undefined filters
+    Object.keys(filters).forEach(key => 
+      filters[key] === undefined && delete filters[key]
+    );
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await ProjectService.searchNearbyProjects(
+      latitude,
+      longitude,
+      radiusKm,
+      filters,
+      page,
+      limit
+    );
+
+    if (!result.success) {
+      return sendErrorResponse(res, result.message, result.statusCode);
+    }
+
+    return sendSuccessResponse(
+      res,
+      result.data,
+      'Nearby projects fetched successfully',
+      result.statusCode
+    );
+
+  } catch (error) {
+    logger.error(`Error in searchNearbyProjects controller: ${error.message}`);
+    return sendErrorResponse(res, 'Failed to search nearby projects', 500);
+  }
+};
+
 /**
  * Get project by ID
  * GET /api/project/:projectId
@@ -287,6 +346,7 @@ module.exports = {
   publishProject,
   getMyProjects,
   listProjects,
+  searchNearbyProjects,
   getProjectById,
   updateProject,
   deleteProject
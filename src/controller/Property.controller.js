@@ -2,6 +2,7 @@ const PropertyService = require("../service/PropertyService.service");
 const { sendErrorResponse, sendSuccessResponse } = require("../utils/responseFormatter");
 const { runWorkflowAsync, runWorkflowDirect, WORKFLOWS } = require("../utils/workflowHelper");
 const logger = require("../config/winston.config");
+const { parseNearbyQuery } = require("../utils/geoQueryBuilder");
 const db = require("../entity");
 const ListingDraft = db.ListingDraft;
 const Property = db.Property;
@@ -177,27 +178,41 @@ const getPropertyById = async (req, res) => {
 };
 
 /**
- * List properties with filters and pagination
- * GET /api/property/list
+ * Parse property list filters from the query string
+ * @param {object} query - Express request query
+ * @returns {object} - { filters } or { error } when a value is invalid
  */
-const listProperties = async (req, res) => {
-  try {
-    const {
-      status,
-      projectId,
-      city,
-      locality,
-      propertyType,
-      listingType,
-      bedrooms,
-      minPrice,
-      maxPrice,
-      search,
-      page = 1,
-      limit = 10
-    } = req.query;
+const parsePropertyListQuery = (query) => {
+  const {
+    status,
+    projectId,
+    city,
+    locality,
+    propertyType,
+    listingType,
+    bedrooms,
+    furnishingStatus,
+    minPrice,
+    maxPrice,
+    priceType,
+    priceUnit,
+    sortBy,
+    search,
+    facets,
+    cursor,
+    page = 1,
+    limit = 10
+  } = query;
+
+  const parsedMinPrice = minPrice ? parseFloat(minPrice) : null;
+  const parsedMaxPrice = maxPrice ? parseFloat(maxPrice) : null;
 
-    const result = await PropertyService.listProperties({
+  if ((minPrice && isNaN(parsedMinPrice)) || (maxPrice && isNaN(parsedMaxPrice))) {
+    return { error: 'minPrice and maxPrice must be valid numbers' };
+  }
+
+  return {
+    filters: {
       status,
       projectId: projectId ? parseInt(projectId) : null,
       city,
@@ -205,12 +220,34 @@ const listProperties = async (req, res) => {
       propertyType,
       listingType,
       bedrooms,
-      minPrice: minPrice ? parseFloat(minPrice) : null,
-      maxPrice: maxPrice ? parseFloat(maxPrice) : null,
+      furnishingStatus,
+      minPrice: parsedMinPrice,
+      maxPrice: parsedMaxPrice,
+      priceType,
+      priceUnit,
+      sortBy,
       search,
+      includeFacets: facets === 'true',
+      cursor,
       page: parseInt(page),
       limit: parseInt(limit)
-    });
+    }
+  };
+};
+
+/**
+ * List properties with filters and pagination
+ * GET /api/property/list
+ */
+const listProperties = async (req, res) => {
+  try {
+    const { filters, error } = parsePropertyListQuery(req.query);
+
+    if (error) {
+      return sendErrorResponse(res, error, 400);
+    }
+
+    const result = await PropertyService.listProperties(filters);
 
     if (result.success) {
       return sendSuccessResponse(
@@ -235,6 +272,57 @@ const listProperties = async (req, res) => {
   }
 };
 
+/**
+ * Search properties near a location
+ * GET /api/property/search-nearby
+ */
+const searchNearbyProperties = async (req, res) => {
+  try {
+    // Validate lat, lng and radius for presence, type and range
+    const nearby = parseNearbyQuery(req.query);
+
+    if (nearby.error) {
+      return sendErrorResponse(res, nearby.error, 400);
+    }
+
+    const { latitude, longitude, radiusKm } = nearby.params;
+
+    const { filters, error } = parsePropertyListQuery(req.query);
+
+    if (error) {
+      return sendErrorResponse(res, error, 400);
+    }
+
+    const result = await PropertyService.searchNearbyProperties(
+      latitude,
+      longitude,
+      radiusKm,
+      filters
+    );
+
+    if (result.success) {
+      return sendSuccessResponse(
+        res,
+        result.data,
+        'Nearby properties fetched successfully'
+      );
+    } else {
+      return sendErrorResponse(
+        res,
+        result.message || 'Failed to search nearby properties',
+        result.statusCode || 500
+      );
+    }
+  } catch (error) {
+    logger.error('Error searching nearby properties:', error);
+    return sendErrorResponse(
+      res,
+      'An error occurred while searching nearby properties',
+      500
+    );
+  }
+};
+
 /**
  * Update property
  * PUT /api/property/:propertyId
@@ -324,6 +412,7 @@ module.exports = {
   getMyProperties,
   getPropertyById,
   listProperties,
+  searchNearbyProperties,
   updateProperty,
   deleteProperty
 };
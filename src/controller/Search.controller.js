@@ -0,0 +1,50 @@
+const SearchService = require("../service/SearchService.service");
+const { sendErrorResponse, sendSuccessResponse } = require("../utils/responseFormatter");
+const logger = require("../config/winston.config");
+
+/**
+ * Unified search across properties, PG/hostels, projects and developers
+ * GET /api/search
+ * @query q - Free text query
+ * @query types - Comma separated result types (PROPERTY, PG, PROJECT, DEVELOPER)
+ * @query city - City filter
+ * @query locality - Locality filter
+ * @query page - Page number (default: 1)
+ * @query limit - Items per page (default: 20, max: 50)
+ */
+const search = async (req, res) => {
+  try {
+    const { q, types, city, locality } = req.query;
+
+    const filters = {
+      search: q,
+      types: types
+        ? String(types).split(',').map(type => type.trim().toUpperCase()).filter(Boolean)
+        : [],
+      city,
+      locality
+    };
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await SearchService.search(filters, page, limit);
+
+    if (!result.success) {
+      return sendErrorResponse(res, result.message, result.statusCode || 500);
+    }
+
+    return sendSuccessResponse(
+      res,
+      result.data,
+      'Search results fetched successfully'
+    );
+  } catch (error) {
+    logger.error('Error in search controller:', error);
+    return sendErrorResponse(res, 'Failed to search listings', 500);
+  }
+};
+
+module.exports = {
+  search
+};
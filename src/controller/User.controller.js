@@ -451,7 +451,7 @@ async function verifyPhone(req, res, next) {
 }
 
 /**
- * Get all users (admin function - add auth check for admin role)
+ * Get all users (requires users:read permission)
  * @route GET /partnerUser/all
  * @query {userStatus?, accountType?, search?, page?, limit?}
  */
@@ -502,7 +502,7 @@ async function getAllUsers(req, res, next) {
 }
 
 /**
- * Update user status (admin function - add auth check for admin role)
+ * Update user status (requires users:update-status permission)
  * @route PATCH /partnerUser/updateStatus
  * @body {targetUserId: number, status: string}
  */
@@ -862,7 +862,7 @@ async function updateBusinessProfile(req, res, next) {
 }
 
 /**
- * Approve user verification (admin function - add auth check for admin role)
+ * Approve user verification (requires users:verify permission)
  * @route PATCH /partnerUser/approveVerification
  * @body {targetUserId: number, verificationNotes?: string}
  * 
@@ -913,7 +913,7 @@ async function approveVerification(req, res, next) {
 }
 
 /**
- * Reject user verification (admin function - add auth check for admin role)
+ * Reject user verification (requires users:verify permission)
  * @route PATCH /partnerUser/rejectVerification
  * @body {targetUserId: number, verificationNotes: string}
  * 
@@ -969,6 +969,50 @@ async function rejectVerification(req, res, next) {
   }
 }
 
+/**
+ * Update user role (requires users:manage-roles permission)
+ * @route PATCH /partnerUser/updateRole
+ * @body {targetUserId: number, role: string}
+ */
+async function updateUserRole(req, res, next) {
+  const apiResponse = new ApiResponse(req, res);
+
+  try {
+    const { targetUserId, role } = req.body;
+
+    if (!targetUserId || !role) {
+      return apiResponse
+        .status(400)
+        .withMessage("Target user ID and role are required")
+        .withError("Missing required fields", "VALIDATION_ERROR", "updateUserRole")
+        .error();
+    }
+
+    const updatedUser = await UserService.updateUserRole(targetUserId, role, req.user.userId);
+
+    apiResponse
+      .status(200)
+      .withMessage("User role updated successfully")
+      .withData({ user: updatedUser })
+      .withMeta({
+        updatedBy: req.user.userId,
+        targetUserId: targetUserId,
+        newRole: role,
+      })
+      .success();
+  } catch (err) {
+    logger.error(`Error occurred while updating user role:`, err.message);
+    apiResponse
+      .status(err.message === "User not found" ? 404 : err.message.startsWith("Invalid role") ? 400 : 500)
+      .withMessage(err.message || "Failed to update user role")
+      .withError(err.message, err.code || "UPDATE_USER_ROLE_ERROR", "updateUserRole")
+      .withMeta({
+        userId: req.user?.userId,
+      })
+      .error();
+  }
+}
+
 module.exports = {
   getUser,
   updateUser,
@@ -980,4 +1024,5 @@ module.exports = {
   updateUserStatus,
   approveVerification,
   rejectVerification,
+  updateUserRole,
 };
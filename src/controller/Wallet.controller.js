@@ -1,7 +1,33 @@
 const WalletService = require("../service/WalletService.service");
+const WalletStatementService = require("../service/WalletStatementService.service");
+const WalletAdjustmentService = require("../service/WalletAdjustmentService.service");
 const { sendErrorResponse, sendSuccessResponse } = require("../utils/responseFormatter");
 const logger = require("../config/winston.config");
 
+/**
+ * Longest accepted Idempotency-Key header (matches wallet_transaction.idempotency_key)
+ */
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+/**
+ * Read the optional Idempotency-Key header
+ * @param {object} req - Express request
+ * @returns {{idempotencyKey?: string, error?: string}}
+ */
+const readIdempotencyKey = (req) => {
+  const header = req.get('Idempotency-Key');
+  if (header === undefined) {
+    return {};
+  }
+
+  const idempotencyKey = header.trim();
+  if (!idempotencyKey || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    return { error: `Idempotency-Key must be 1-${MAX_IDEMPOTENCY_KEY_LENGTH} characters` };
+  }
+
+  return { idempotencyKey };
+};
+
 /**
  * Get wallet balance for authenticated user
  * GET /api/wallet/balance
@@ -18,7 +44,11 @@ const getWalletBalance = async (req, res) => {
 
     return sendSuccessResponse(
       res,
-      { balance: result.balance },
+      {
+        balance: result.balance,
+        heldBalance: result.heldBalance,
+        availableBalance: result.availableBalance
+      },
       'Wallet balance fetched successfully',
       200
     );
@@ -37,6 +67,7 @@ const getWalletBalance = async (req, res) => {
  * @query referenceType - Filter by reference type
  * @query startDate - Filter from date
  * @query endDate - Filter to date
+ * @query cursor - Cursor from the previous response (keyset mode, page is ignored)
  */
 const getTransactionHistory = async (req, res) => {
   try {
@@ -46,7 +77,8 @@ const getTransactionHistory = async (req, res) => {
       limit = 20,
       transactionType,
       startDate,
-      endDate
+      endDate,
+      cursor
     } = req.query;
 
     const result = await WalletService.getTransactionHistory(userId, {
@@ -54,11 +86,12 @@ const getTransactionHistory = async (req, res) => {
       limit,
       transactionType,
       startDate,
-      endDate
+      endDate,
+      cursor
     });
 
     if (!result.success) {
-      return sendErrorResponse(res, result.message || 'Failed to fetch transaction history', 500);
+      return sendErrorResponse(res, result.message || 'Failed to fetch transaction history', result.statusCode || 500);
     }
 
     return sendSuccessResponse(
@@ -100,16 +133,24 @@ const getWalletStats = async (req, res) => {
 };
 
 /**
- * Add funds to a user wallet (Admin only)
+ * Request a credit to a user wallet (Admin only). The credit posts once another admin approves it
  * POST /api/wallet/add
  * @body userId - Target user ID
  * @body amount - Number of units to add
  * @body reason - Reason for adding funds
  * @body metadata - Additional metadata (optional)
+ * @body source - Credit bucket source: PURCHASED (default), PROMO or REFUND (optional)
+ * @body expiresAt - ISO date when these credits lapse (optional, default: never)
+ * @header Idempotency-Key - Retries with the same key return the original adjustment (optional)
  */
 const addFunds = async (req, res) => {
   try {
-    const { userId, amount, reason, metadata } = req.body;
+    const { userId, amount, reason, metadata, source, expiresAt } = req.body;
+    const { idempotencyKey, error: idempotencyKeyError } = readIdempotencyKey(req);
+
+    if (idempotencyKeyError) {
+      return sendErrorResponse(res, idempotencyKeyError, 400);
+    }
 
     // Validate required fields
     if (!userId) {
@@ -124,40 +165,49 @@ const addFunds = async (req, res) => {
       return sendErrorResponse(res, 'Reason is required', 400);
     }
 
-    const result = await WalletService.addFunds(
-      userId,
-      amount,
-      reason,
-      metadata
+    const result = await WalletAdjustmentService.requestAdjustment(
+      { userId, transactionType: 'CREDIT', amount, reason, metadata, source, expiresAt },
+      req.user.userId,
+      { idempotencyKey }
     );
 
     if (!result.success) {
-      return sendErrorResponse(res, result.message || 'Failed to add funds', 400);
+      return sendErrorResponse(res, result.message || 'Failed to request credit', result.statusCode || 500);
+    }
+
+    if (result.replayed) {
+      res.set('Idempotent-Replayed', 'true');
     }
 
     return sendSuccessResponse(
       res,
-      result.transaction,
-      'Funds added successfully',
-      200
+      result.data,
+      'Credit submitted for approval',
+      202
     );
   } catch (error) {
     logger.error('Error in addFunds controller:', error);
-    return sendErrorResponse(res, 'Failed to add funds', 500);
+    return sendErrorResponse(res, 'Failed to request credit', 500);
   }
 };
 
 /**
- * Deduct funds from a user wallet (Admin only)
+ * Request a debit from a user wallet (Admin only). The debit posts once another admin approves it
  * POST /api/wallet/deduct
  * @body userId - Target user ID
  * @body amount - Number of units to deduct
  * @body reason - Reason for deducting funds
  * @body metadata - Additional metadata (optional)
+ * @header Idempotency-Key - Retries with the same key return the original adjustment (optional)
  */
 const deductFunds = async (req, res) => {
   try {
     const { userId, amount, reason, metadata } = req.body;
+    const { idempotencyKey, error: idempotencyKeyError } = readIdempotencyKey(req);
+
+    if (idempotencyKeyError) {
+      return sendErrorResponse(res, idempotencyKeyError, 400);
+    }
 
     // Validate required fields
     if (!userId) {
@@ -172,26 +222,158 @@ const deductFunds = async (req, res) => {
       return sendErrorResponse(res, 'Reason is required', 400);
     }
 
-    const result = await WalletService.deductFunds(
-      userId,
-      amount,
-      reason,
-      metadata
+    const result = await WalletAdjustmentService.requestAdjustment(
+      { userId, transactionType: 'DEBIT', amount, reason, metadata },
+      req.user.userId,
+      { idempotencyKey }
     );
 
     if (!result.success) {
-      return sendErrorResponse(res, result.message || 'Failed to deduct funds', 400);
+      return sendErrorResponse(res, result.message || 'Failed to request debit', result.statusCode || 500);
+    }
+
+    if (result.replayed) {
+      res.set('Idempotent-Replayed', 'true');
     }
 
     return sendSuccessResponse(
       res,
-      result.transaction,
-      'Funds deducted successfully',
-      200
+      result.data,
+      'Debit submitted for approval',
+      202
     );
   } catch (error) {
     logger.error('Error in deductFunds controller:', error);
-    return sendErrorResponse(res, 'Failed to deduct funds', 500);
+    return sendErrorResponse(res, 'Failed to request debit', 500);
+  }
+};
+
+/**
+ * List wallet adjustments (Admin only)
+ * GET /api/wallet/adjustments
+ * @query status - PENDING, APPROVED, POSTED, REJECTED or FAILED (optional)
+ * @query userId - Wallet owner (optional)
+ * @query requestedBy - Requesting admin (optional)
+ * @query page - Page number (default: 1)
+ * @query limit - Items per page (default: 20, max: 100)
+ */
+const getAdjustments = async (req, res) => {
+  try {
+    const { status, userId, requestedBy, page = 1, limit = 20 } = req.query;
+
+    const pageNum = parseInt(page) || 1;
+    const limitNum = parseInt(limit) || 20;
+
+    if (limitNum > 100) {
+      return sendErrorResponse(res, 'Maximum limit is 100', 400);
+    }
+
+    const result = await WalletAdjustmentService.listAdjustments(
+      { status, userId, requestedBy },
+      pageNum,
+      limitNum
+    );
+
+    if (!result.success) {
+      return sendErrorResponse(res, result.message || 'Failed to fetch adjustments', result.statusCode || 500);
+    }
+
+    return sendSuccessResponse(
+      res,
+      result.data,
+      'Adjustments fetched successfully',
+      200
+    );
+  } catch (error) {
+    logger.error('Error in getAdjustments controller:', error);
+    return sendErrorResponse(res, 'Failed to fetch adjustments', 500);
+  }
+};
+
+/**
+ * Get a wallet adjustment with its approval history (Admin only)
+ * GET /api/wallet/adjustments/:adjustmentId
+ */
+const getAdjustment = async (req, res) => {
+  try {
+    const result = await WalletAdjustmentService.getAdjustment(req.params.adjustmentId);
+
+    if (!result.success) {
+      return sendErrorResponse(res, result.message || 'Failed to fetch adjustment', result.statusCode || 500);
+    }
+
+    return sendSuccessResponse(
+      res,
+      result.data,
+      'Adjustment fetched successfully',
+      200
+    );
+  } catch (error) {
+    logger.error('Error in getAdjustment controller:', error);
+    return sendErrorResponse(res, 'Failed to fetch adjustment', 500);
+  }
+};
+
+/**
+ * Approve a wallet adjustment (Admin only, not the requester). The ledger entry posts
+ * once the required number of approvals is reached
+ * POST /api/wallet/adjustments/:adjustmentId/approve
+ * @body comment - Note for the audit trail (optional)
+ */
+const approveAdjustment = async (req, res) => {
+  try {
+    const { comment } = req.body;
+
+    const result = await WalletAdjustmentService.approveAdjustment(
+      req.params.adjustmentId,
+      req.user.userId,
+      comment
+    );
+
+    if (!result.success) {
+      return sendErrorResponse(res, result.message || 'Failed to approve adjustment', result.statusCode || 500);
+    }
+
+    return sendSuccessResponse(
+      res,
+      result.data,
+      result.data.status === 'POSTED' ? 'Adjustment approved and posted' : `Adjustment ${result.data.status.toLowerCase()}`,
+      200
+    );
+  } catch (error) {
+    logger.error('Error in approveAdjustment controller:', error);
+    return sendErrorResponse(res, 'Failed to approve adjustment', 500);
+  }
+};
+
+/**
+ * Reject a pending wallet adjustment (Admin only)
+ * POST /api/wallet/adjustments/:adjustmentId/reject
+ * @body comment - Reason for rejecting
+ */
+const rejectAdjustment = async (req, res) => {
+  try {
+    const { comment } = req.body;
+
+    const result = await WalletAdjustmentService.rejectAdjustment(
+      req.params.adjustmentId,
+      req.user.userId,
+      comment
+    );
+
+    if (!result.success) {
+      return sendErrorResponse(res, result.message || 'Failed to reject adjustment', result.statusCode || 500);
+    }
+
+    return sendSuccessResponse(
+      res,
+      result.data,
+      'Adjustment rejected',
+      200
+    );
+  } catch (error) {
+    logger.error('Error in rejectAdjustment controller:', error);
+    return sendErrorResponse(res, 'Failed to reject adjustment', 500);
   }
 };
 
@@ -220,6 +402,7 @@ const checkSufficientFunds = async (req, res) => {
       {
         hasSufficientFunds: result.hasSufficientFunds,
         currentBalance: result.currentBalance,
+        availableBalance: result.availableBalance,
         requiredAmount: amount
       },
       result.hasSufficientFunds ? 'Sufficient funds available' : 'Insufficient funds',
@@ -231,11 +414,113 @@ const checkSufficientFunds = async (req, res) => {
   }
 };
 
+/**
+ * Get a wallet statement (opening/closing balance and every transaction) for a period
+ * GET /api/wallet/statement
+ * GET /api/wallet/users/:userId/statement (finance)
+ * @query startDate - Period start (YYYY-MM-DD or ISO date-time, UTC)
+ * @query endDate - Period end, inclusive (a date without a time covers the whole day)
+ */
+const getStatement = async (req, res) => {
+  try {
+    const userId = req.params.userId || req.user.userId;
+    const { startDate, endDate } = req.query;
+
+    const result = await WalletStatementService.getStatement(userId, { startDate, endDate });
+
+    if (!result.success) {
+      return sendErrorResponse(res, result.message || 'Failed to fetch wallet statement', result.statusCode || 500);
+    }
+
+    return sendSuccessResponse(
+      res,
+      result.data,
+      'Wallet statement fetched successfully',
+      200
+    );
+  } catch (error) {
+    logger.error('Error in getStatement controller:', error);
+    return sendErrorResponse(res, 'Failed to fetch wallet statement', 500);
+  }
+};
+
+/**
+ * Download a wallet statement as CSV or PDF. Large periods are generated in the background:
+ * the response is 202 with the statement, to be polled at GET /api/wallet/statements/:statementId
+ * GET /api/wallet/statement/export
+ * GET /api/wallet/users/:userId/statement/export (finance)
+ * @query startDate - Period start (YYYY-MM-DD or ISO date-time, UTC)
+ * @query endDate - Period end, inclusive
+ * @query format - csv or pdf
+ */
+const exportStatement = async (req, res) => {
+  try {
+    const userId = req.params.userId || req.user.userId;
+    const { startDate, endDate, format } = req.query;
+
+    const result = await WalletStatementService.requestStatementExport(
+      userId,
+      { startDate, endDate, format },
+      req.user.userId
+    );
+
+    if (!result.success) {
+      return sendErrorResponse(res, result.message || 'Failed to export wallet statement', result.statusCode || 500);
+    }
+
+    if (!result.data.file) {
+      return sendSuccessResponse(res, result.data.statement, result.message, result.statusCode || 202);
+    }
+
+    const { fileName, contentType, content } = result.data.file;
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'X-Invoice-Number': result.data.statement.invoiceNumber
+    });
+    return res.status(200).send(content);
+  } catch (error) {
+    logger.error('Error in exportStatement controller:', error);
+    return sendErrorResponse(res, 'Failed to export wallet statement', 500);
+  }
+};
+
+/**
+ * Get the status of a statement export, with a download link once it is ready
+ * GET /api/wallet/statements/:statementId
+ */
+const getStatementExport = async (req, res) => {
+  try {
+    const result = await WalletStatementService.getStatementExport(req.params.statementId, req.user.userId);
+
+    if (!result.success) {
+      return sendErrorResponse(res, result.message || 'Failed to fetch statement', result.statusCode || 500);
+    }
+
+    return sendSuccessResponse(
+      res,
+      result.data,
+      'Statement fetched successfully',
+      200
+    );
+  } catch (error) {
+    logger.error('Error in getStatementExport controller:', error);
+    return sendErrorResponse(res, 'Failed to fetch statement', 500);
+  }
+};
+
 module.exports = {
   getWalletBalance,
   getTransactionHistory,
   getWalletStats,
   addFunds,
   deductFunds,
-  checkSufficientFunds
+  getAdjustments,
+  getAdjustment,
+  approveAdjustment,
+  rejectAdjustment,
+  checkSufficientFunds,
+  getStatement,
+  exportStatement,
+  getStatementExport
 };
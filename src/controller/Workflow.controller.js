@@ -1,6 +1,33 @@
 const logger = require("../config/winston.config.js");
 const WorkflowService = require("../service/WorkflowService.service.js");
 const { ApiResponse } = require("../utils/responseFormatter.js");
+const { hasPermission } = require("../middleware/authorizationMiddleware.js");
+const { PERMISSIONS } = require("../config/roles.config.js");
+
+/**
+ * HTTP status for errors thrown by WorkflowService
+ */
+const ERROR_STATUS = {
+  TEMPORAL_DISABLED: 503,
+  OWNER_LISTING_UNAVAILABLE: 503,
+  WORKFLOW_NOT_FOUND: 404,
+  WORKFLOW_QUERY_FORBIDDEN: 403,
+  WORKFLOW_SIGNAL_FORBIDDEN: 403,
+  WORKFLOW_TERMINATE_FORBIDDEN: 403,
+  WORKFLOW_NOT_CANCELLABLE: 409,
+  INVALID_WORKFLOW_FILTER: 400,
+};
+
+/**
+ * Caller as seen by WorkflowService: admins (workflows:manage) reach every workflow,
+ * everyone else only the workflows started for them
+ * @param {object} req - Express request (after authMiddleware)
+ * @returns {{userId: number, canManageAll: boolean}}
+ */
+const getViewer = (req) => ({
+  userId: req.user.userId,
+  canManageAll: hasPermission(req, PERMISSIONS.WORKFLOWS_MANAGE),
+});
 
 /**
  * Get workflow status and details using handle.describe()
@@ -20,7 +47,7 @@ async function getWorkflowStatus(req, res, next) {
         .error();
     }
 
-    const status = await WorkflowService.getWorkflowStatus(workflowId);
+    const status = await WorkflowService.getWorkflowStatus(workflowId, getViewer(req));
 
     apiResponse
       .status(200)
@@ -33,7 +60,7 @@ async function getWorkflowStatus(req, res, next) {
   } catch (err) {
     logger.error(`Error occurred while fetching workflow status:`, err.message);
     apiResponse
-      .status(err.code === "TEMPORAL_DISABLED" ? 503 : 500)
+      .status(ERROR_STATUS[err.code] || 500)
       .withMessage(err.message || "Failed to fetch workflow status")
       .withError(err.message, err.code || "GET_WORKFLOW_STATUS_ERROR", "getWorkflowStatus")
       .withMeta({
@@ -61,7 +88,7 @@ async function getWorkflowResult(req, res, next) {
         .error();
     }
 
-    const result = await WorkflowService.getWorkflowResult(workflowId);
+    const result = await WorkflowService.getWorkflowResult(workflowId, getViewer(req));
 
     apiResponse
       .status(200)
@@ -74,7 +101,7 @@ async function getWorkflowResult(req, res, next) {
   } catch (err) {
     logger.error(`Error occurred while fetching workflow result:`, err.message);
     apiResponse
-      .status(err.code === "TEMPORAL_DISABLED" ? 503 : 500)
+      .status(ERROR_STATUS[err.code] || 500)
       .withMessage(err.message || "Failed to fetch workflow result")
       .withError(err.message, err.code || "GET_WORKFLOW_RESULT_ERROR", "getWorkflowResult")
       .withMeta({
@@ -112,7 +139,7 @@ async function queryWorkflow(req, res, next) {
         .error();
     }
 
-    const result = await WorkflowService.queryWorkflow(workflowId, queryType, queryArgs);
+    const result = await WorkflowService.queryWorkflow(workflowId, queryType, queryArgs, getViewer(req));
 
     apiResponse
       .status(200)
@@ -126,7 +153,7 @@ async function queryWorkflow(req, res, next) {
   } catch (err) {
     logger.error(`Error occurred while querying workflow:`, err.message);
     apiResponse
-      .status(err.code === "TEMPORAL_DISABLED" ? 503 : 500)
+      .status(ERROR_STATUS[err.code] || 500)
       .withMessage(err.message || "Failed to query workflow")
       .withError(err.message, err.code || "QUERY_WORKFLOW_ERROR", "queryWorkflow")
       .withMeta({
@@ -139,21 +166,23 @@ async function queryWorkflow(req, res, next) {
 /**
  * List workflows with filters using client.workflow.list()
  * @route GET /api/workflow/list
- * @query {query?: string, pageSize?: number, maxResults?: number}
+ * @query {query?: string (admins only), workflowType?: string, status?: string, pageSize?: number, maxResults?: number}
  */
 async function listWorkflows(req, res, next) {
   const apiResponse = new ApiResponse(req, res);
 
   try {
-    const { query, pageSize, maxResults } = req.query;
+    const { query, workflowType, status, pageSize, maxResults } = req.query;
 
     const options = {
       query: query || undefined,
+      workflowType: workflowType || undefined,
+      status: status || undefined,
       pageSize: pageSize ? parseInt(pageSize) : 10,
       maxResults: maxResults ? parseInt(maxResults) : 100,
     };
 
-    const result = await WorkflowService.listWorkflows(options);
+    const result = await WorkflowService.listWorkflows(options, getViewer(req));
 
     apiResponse
       .status(200)
@@ -167,7 +196,7 @@ async function listWorkflows(req, res, next) {
   } catch (err) {
     logger.error(`Error occurred while listing workflows:`, err.message);
     apiResponse
-      .status(err.code === "TEMPORAL_DISABLED" ? 503 : 500)
+      .status(ERROR_STATUS[err.code] || 500)
       .withMessage(err.message || "Failed to list workflows")
       .withError(err.message, err.code || "LIST_WORKFLOWS_ERROR", "listWorkflows")
       .error();
@@ -175,7 +204,7 @@ async function listWorkflows(req, res, next) {
 }
 
 /**
- * Signal a workflow using handle.signal()
+ * Signal a workflow using handle.signal() (admins only; internal signals are refused)
  * @route POST /api/workflow/:workflowId/signal
  * @body {signalName: string, signalArgs?: any}
  */
@@ -202,7 +231,7 @@ async function signalWorkflow(req, res, next) {
         .error();
     }
 
-    await WorkflowService.signalWorkflow(workflowId, signalName, signalArgs);
+    await WorkflowService.signalWorkflow(workflowId, signalName, signalArgs, getViewer(req));
 
     apiResponse
       .status(200)
@@ -215,7 +244,7 @@ async function signalWorkflow(req, res, next) {
   } catch (err) {
     logger.error(`Error occurred while signaling workflow:`, err.message);
     apiResponse
-      .status(err.code === "TEMPORAL_DISABLED" ? 503 : 500)
+      .status(ERROR_STATUS[err.code] || 500)
       .withMessage(err.message || "Failed to signal workflow")
       .withError(err.message, err.code || "SIGNAL_WORKFLOW_ERROR", "signalWorkflow")
       .withMeta({
@@ -243,7 +272,7 @@ async function cancelWorkflow(req, res, next) {
         .error();
     }
 
-    await WorkflowService.cancelWorkflow(workflowId);
+    await WorkflowService.cancelWorkflow(workflowId, getViewer(req));
 
     apiResponse
       .status(200)
@@ -255,7 +284,7 @@ async function cancelWorkflow(req, res, next) {
   } catch (err) {
     logger.error(`Error occurred while cancelling workflow:`, err.message);
     apiResponse
-      .status(err.code === "TEMPORAL_DISABLED" ? 503 : 500)
+      .status(ERROR_STATUS[err.code] || 500)
       .withMessage(err.message || "Failed to cancel workflow")
       .withError(err.message, err.code || "CANCEL_WORKFLOW_ERROR", "cancelWorkflow")
       .withMeta({
@@ -266,7 +295,7 @@ async function cancelWorkflow(req, res, next) {
 }
 
 /**
- * Terminate a workflow using handle.terminate()
+ * Terminate a workflow using handle.terminate() (admins only)
  * @route POST /api/workflow/:workflowId/terminate
  * @body {reason?: string}
  */
@@ -285,7 +314,7 @@ async function terminateWorkflow(req, res, next) {
         .error();
     }
 
-    await WorkflowService.terminateWorkflow(workflowId, reason);
+    await WorkflowService.terminateWorkflow(workflowId, reason, getViewer(req));
 
     apiResponse
       .status(200)
@@ -298,7 +327,7 @@ async function terminateWorkflow(req, res, next) {
   } catch (err) {
     logger.error(`Error occurred while terminating workflow:`, err.message);
     apiResponse
-      .status(err.code === "TEMPORAL_DISABLED" ? 503 : 500)
+      .status(ERROR_STATUS[err.code] || 500)
       .withMessage(err.message || "Failed to terminate workflow")
       .withError(err.message, err.code || "TERMINATE_WORKFLOW_ERROR", "terminateWorkflow")
       .withMeta({
@@ -0,0 +1,97 @@
+module.exports = (sequelize, Sequelize) => {
+  const ListingDuplicate = sequelize.define("listing_duplicate", {
+    duplicateId: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      field: "duplicate_id",
+    },
+    listingType: {
+      type: Sequelize.ENUM('PROPERTY', 'PG_HOSTEL'),
+      field: "listing_type",
+      allowNull: false
+    },
+    listingId: {
+      type: Sequelize.INTEGER,
+      field: "listing_id",
+      allowNull: false,
+      comment: "Lower listing id of the pair (property_id or pg_hostel_id)"
+    },
+    duplicateListingId: {
+      type: Sequelize.INTEGER,
+      field: "duplicate_listing_id",
+      allowNull: false,
+      comment: "Higher listing id of the pair"
+    },
+    score: {
+      type: Sequelize.INTEGER,
+      field: "score",
+      allowNull: false,
+      comment: "Sum of the matching signal weights, 0-100"
+    },
+    signals: {
+      type: Sequelize.JSONB,
+      field: "signals",
+      allowNull: false,
+      defaultValue: [],
+      comment: "[{ signal, weight, detail }] signals the pair matched on"
+    },
+    distanceMeters: {
+      type: Sequelize.INTEGER,
+      field: "distance_meters",
+      allowNull: false
+    },
+    sameOwner: {
+      type: Sequelize.BOOLEAN,
+      field: "same_owner",
+      allowNull: false,
+      defaultValue: false,
+      comment: "Both listings belong to the same account"
+    },
+    status: {
+      type: Sequelize.ENUM('SUSPECTED', 'CONFIRMED', 'DISMISSED'),
+      field: "status",
+      allowNull: false,
+      defaultValue: 'SUSPECTED'
+    },
+    reviewedBy: {
+      type: Sequelize.INTEGER,
+      field: "reviewed_by",
+      allowNull: true
+    },
+    reviewedAt: {
+      type: Sequelize.DATE,
+      field: "reviewed_at",
+      allowNull: true
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      field: "created_at",
+      defaultValue: Sequelize.NOW,
+    },
+    updatedAt: {
+      type: Sequelize.DATE,
+      field: "updated_at",
+      defaultValue: Sequelize.NOW,
+    },
+  }, {
+    tableName: "listing_duplicate",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        unique: true,
+        fields: ['listing_type', 'listing_id', 'duplicate_listing_id']
+      },
+      {
+        fields: ['listing_type', 'duplicate_listing_id']
+      },
+      {
+        fields: ['status']
+      }
+    ]
+  });
+
+  return ListingDuplicate;
+};
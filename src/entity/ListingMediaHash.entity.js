@@ -0,0 +1,39 @@
+module.exports = (sequelize, Sequelize) => {
+  const ListingMediaHash = sequelize.define("listing_media_hash", {
+    mediaKey: {
+      type: Sequelize.STRING(1024),
+      primaryKey: true,
+      field: "media_key",
+      comment: "Storage key of the uploaded file"
+    },
+    phash: {
+      type: Sequelize.STRING(16),
+      field: "phash",
+      allowNull: true,
+      comment: "64-bit perceptual hash as 16 hex characters; null when the file is not a decodable image"
+    },
+    userId: {
+      type: Sequelize.INTEGER,
+      field: "user_id",
+      allowNull: true,
+      comment: "Uploader, when known"
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      field: "created_at",
+      defaultValue: Sequelize.NOW,
+    },
+    updatedAt: {
+      type: Sequelize.DATE,
+      field: "updated_at",
+      defaultValue: Sequelize.NOW,
+    },
+  }, {
+    tableName: "listing_media_hash",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at'
+  });
+
+  return ListingMediaHash;
+};
@@ -0,0 +1,157 @@
+module.exports = (sequelize, Sequelize) => {
+  const ListingModeration = sequelize.define("listing_moderation", {
+    moderationId: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      field: "moderation_id",
+    },
+    workflowId: {
+      type: Sequelize.STRING(255),
+      field: "workflow_id",
+      allowNull: true,
+      unique: true,
+      comment: "Temporal workflow waiting for the decision; null in direct mode"
+    },
+    workflowName: {
+      type: Sequelize.STRING(100),
+      field: "workflow_name",
+      allowNull: false,
+      comment: "Publishing workflow, e.g. propertyPublishing"
+    },
+    workflowInput: {
+      type: Sequelize.JSONB,
+      field: "workflow_input",
+      allowNull: true,
+      comment: "Direct mode only: input the workflow is re-run with once decided"
+    },
+    userId: {
+      type: Sequelize.INTEGER,
+      field: "user_id",
+      allowNull: false,
+      references: {
+        model: 'platform_user',
+        key: 'user_id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      comment: "Listing owner"
+    },
+    draftId: {
+      type: Sequelize.INTEGER,
+      field: "draft_id",
+      allowNull: true
+    },
+    listingType: {
+      type: Sequelize.ENUM('PROPERTY', 'PG_HOSTEL', 'PROJECT', 'DEVELOPER'),
+      field: "listing_type",
+      allowNull: false
+    },
+    isUpdate: {
+      type: Sequelize.BOOLEAN,
+      field: "is_update",
+      allowNull: false,
+      defaultValue: false,
+      comment: "Changes an already published listing"
+    },
+    status: {
+      type: Sequelize.ENUM('PENDING', 'ESCALATED', 'APPROVED', 'REJECTED', 'CHANGES_REQUESTED'),
+      field: "status",
+      allowNull: false,
+      defaultValue: 'PENDING'
+    },
+    listingData: {
+      type: Sequelize.JSONB,
+      field: "listing_data",
+      allowNull: false,
+      comment: "Listing data as submitted for review"
+    },
+    baselineModerationId: {
+      type: Sequelize.INTEGER,
+      field: "baseline_moderation_id",
+      allowNull: true,
+      comment: "Last approved submission of the same draft; null for a first submission"
+    },
+    changes: {
+      type: Sequelize.JSONB,
+      field: "changes",
+      allowNull: false,
+      defaultValue: [],
+      comment: "[{ path, change, before, after }] against the baseline submission"
+    },
+    reviewTier: {
+      type: Sequelize.ENUM('AUTOMATED_REVIEW', 'MANUAL_REVIEW'),
+      field: "review_tier",
+      allowNull: true,
+      comment: "Set by the automated review when the risk score needs a reviewer; null when approved automatically"
+    },
+    riskScore: {
+      type: Sequelize.INTEGER,
+      field: "risk_score",
+      allowNull: true,
+      comment: "Automated review risk score, 0-100"
+    },
+    riskFlags: {
+      type: Sequelize.JSONB,
+      field: "risk_flags",
+      allowNull: false,
+      defaultValue: [],
+      comment: "[{ check, weight, detail }] failed automated review checks"
+    },
+    escalationLevel: {
+      type: Sequelize.INTEGER,
+      field: "escalation_level",
+      allowNull: false,
+      defaultValue: 0,
+      comment: "Number of escalation intervals the item has gone unanswered"
+    },
+    escalatedAt: {
+      type: Sequelize.DATE,
+      field: "escalated_at",
+      allowNull: true
+    },
+    reviewerId: {
+      type: Sequelize.INTEGER,
+      field: "reviewer_id",
+      allowNull: true
+    },
+    reviewComment: {
+      type: Sequelize.STRING(1000),
+      field: "review_comment",
+      allowNull: true
+    },
+    decidedAt: {
+      type: Sequelize.DATE,
+      field: "decided_at",
+      allowNull: true
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      field: "created_at",
+      defaultValue: Sequelize.NOW,
+    },
+    updatedAt: {
+      type: Sequelize.DATE,
+      field: "updated_at",
+      defaultValue: Sequelize.NOW,
+    },
+  }, {
+    tableName: "listing_moderation",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['status', 'created_at']
+      },
+      {
+        fields: ['draft_id']
+      },
+      {
+        fields: ['review_tier', 'status']
+      }
+    ]
+  });
+
+  return ListingModeration;
+};
@@ -0,0 +1,121 @@
+module.exports = (sequelize, Sequelize) => {
+  const PaymentOrder = sequelize.define("payment_order", {
+    paymentOrderId: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      field: "payment_order_id",
+    },
+    userId: {
+      type: Sequelize.INTEGER,
+      field: "user_id",
+      allowNull: false,
+      references: {
+        model: 'platform_user',
+        key: 'user_id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      comment: "User buying the credits"
+    },
+    provider: {
+      type: Sequelize.ENUM('RAZORPAY'),
+      field: "provider",
+      allowNull: false,
+      defaultValue: 'RAZORPAY'
+    },
+    providerOrderId: {
+      type: Sequelize.STRING(100),
+      field: "provider_order_id",
+      allowNull: true,
+      comment: "Gateway order id (order_...), set once the gateway order is created"
+    },
+    providerPaymentId: {
+      type: Sequelize.STRING(100),
+      field: "provider_payment_id",
+      allowNull: true,
+      comment: "Gateway payment id (pay_...) of the successful or last failed attempt"
+    },
+    packId: {
+      type: Sequelize.STRING(50),
+      field: "pack_id",
+      allowNull: false,
+      comment: "Credit pack key from CREDIT_PACKS"
+    },
+    credits: {
+      type: Sequelize.INTEGER,
+      field: "credits",
+      allowNull: false,
+      comment: "Credits added to the wallet when paid"
+    },
+    amount: {
+      type: Sequelize.INTEGER,
+      field: "amount",
+      allowNull: false,
+      comment: "Price in the smallest currency unit (paise)"
+    },
+    currency: {
+      type: Sequelize.STRING(3),
+      field: "currency",
+      allowNull: false,
+      defaultValue: 'INR'
+    },
+    status: {
+      type: Sequelize.ENUM('CREATED', 'PAID', 'FAILED', 'EXPIRED', 'REFUNDED'),
+      field: "status",
+      allowNull: false,
+      defaultValue: 'CREATED'
+    },
+    walletTransactionId: {
+      type: Sequelize.INTEGER,
+      field: "wallet_transaction_id",
+      allowNull: true,
+      comment: "Wallet credit posted for this payment"
+    },
+    providerRefundId: {
+      type: Sequelize.STRING(100),
+      field: "provider_refund_id",
+      allowNull: true,
+      comment: "Gateway refund id (rfnd_...) when the payment was refunded"
+    },
+    failureReason: {
+      type: Sequelize.STRING(500),
+      field: "failure_reason",
+      allowNull: true
+    },
+    paidAt: {
+      type: Sequelize.DATE,
+      field: "paid_at",
+      allowNull: true
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      field: "created_at",
+      defaultValue: Sequelize.NOW,
+    },
+    updatedAt: {
+      type: Sequelize.DATE,
+      field: "updated_at",
+      defaultValue: Sequelize.NOW,
+    },
+  }, {
+    tableName: "payment_order",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['user_id']
+      },
+      {
+        unique: true,
+        fields: ['provider_order_id']
+      },
+      {
+        fields: ['status']
+      }
+    ]
+  });
+
+  return PaymentOrder;
+};
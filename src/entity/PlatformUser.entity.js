@@ -66,6 +66,13 @@ module.exports = (sequelize, Sequelize) => {
         type: Sequelize.INTEGER,
         field: "verified_by",
       },
+      // Authorization role, see src/config/roles.config.js
+      role: {
+        type: Sequelize.ENUM('PARTNER', 'REVIEWER', 'FINANCE', 'SUPER_ADMIN'),
+        field: "user_role",
+        allowNull: false,
+        defaultValue: 'PARTNER',
+      },
       derivedUserName: {
         type: Sequelize.VIRTUAL,
         get() {
@@ -119,6 +126,9 @@ module.exports = (sequelize, Sequelize) => {
         }, 
         {
           fields: ['verification_status']
+        },
+        {
+          fields: ['user_role']
         }
       ],
     });
@@ -0,0 +1,104 @@
+module.exports = (sequelize, Sequelize) => {
+  const RefreshToken = sequelize.define("refresh_token", {
+    tokenId: {
+      type: Sequelize.UUID,
+      primaryKey: true,
+      field: "token_id",
+      comment: "jti claim of the refresh JWT"
+    },
+    familyId: {
+      type: Sequelize.UUID,
+      field: "family_id",
+      allowNull: false,
+      comment: "Login session; every rotation of a refresh token stays in its family"
+    },
+    userId: {
+      type: Sequelize.INTEGER,
+      field: "user_id",
+      allowNull: false,
+      references: {
+        model: 'platform_user',
+        key: 'user_id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    status: {
+      type: Sequelize.ENUM('ACTIVE', 'ROTATED', 'REVOKED'),
+      field: "status",
+      allowNull: false,
+      defaultValue: 'ACTIVE',
+      comment: "ACTIVE until used (ROTATED) or the session is signed out (REVOKED)"
+    },
+    replacedByTokenId: {
+      type: Sequelize.UUID,
+      field: "replaced_by_token_id",
+      allowNull: true,
+      comment: "Token issued when this one was rotated"
+    },
+    userAgent: {
+      type: Sequelize.STRING(500),
+      field: "user_agent",
+      allowNull: true,
+      comment: "User-Agent of the request that issued the token"
+    },
+    ipAddress: {
+      type: Sequelize.STRING(64),
+      field: "ip_address",
+      allowNull: true,
+      comment: "Client IP of the request that issued the token"
+    },
+    sessionStartedAt: {
+      type: Sequelize.DATE,
+      field: "session_started_at",
+      allowNull: false,
+      comment: "Login time of the family (copied on every rotation)"
+    },
+    expiresAt: {
+      type: Sequelize.DATE,
+      field: "expires_at",
+      allowNull: false
+    },
+    rotatedAt: {
+      type: Sequelize.DATE,
+      field: "rotated_at",
+      allowNull: true
+    },
+    revokedAt: {
+      type: Sequelize.DATE,
+      field: "revoked_at",
+      allowNull: true
+    },
+    revokedReason: {
+      type: Sequelize.STRING(50),
+      field: "revoked_reason",
+      allowNull: true,
+      comment: "LOGOUT, LOGOUT_ALL or REUSE_DETECTED"
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      field: "created_at",
+      defaultValue: Sequelize.NOW,
+    },
+    updatedAt: {
+      type: Sequelize.DATE,
+      field: "updated_at",
+      defaultValue: Sequelize.NOW,
+    },
+  }, {
+    tableName: "refresh_token",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['family_id']
+      },
+      {
+        fields: ['user_id', 'status']
+      }
+    ]
+  });
+
+  return RefreshToken;
+};
@@ -0,0 +1,83 @@
+module.exports = (sequelize, Sequelize) => {
+  const WalletAccount = sequelize.define("wallet_account", {
+    userId: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      field: "user_id",
+      references: {
+        model: 'platform_user',
+        key: 'user_id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      comment: "Wallet owner (one wallet per user)"
+    },
+    balance: {
+      type: Sequelize.INTEGER,
+      field: "balance",
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      },
+      comment: "Current balance, updated in the same transaction as each ledger entry"
+    },
+    heldBalance: {
+      type: Sequelize.INTEGER,
+      field: "held_balance",
+      allowNull: false,
+      defaultValue: 0,
+      validate: {
+        min: 0
+      },
+      comment: "Part of the balance held by open wallet_reservation rows; not available for debits"
+    },
+    lastTransactionId: {
+      type: Sequelize.INTEGER,
+      field: "last_transaction_id",
+      allowNull: true,
+      comment: "Latest wallet_transaction applied to the balance"
+    },
+    reconciliationStatus: {
+      type: Sequelize.ENUM('OK', 'DRIFT'),
+      field: "reconciliation_status",
+      allowNull: false,
+      defaultValue: 'OK',
+      comment: "Result of the last ledger reconciliation"
+    },
+    driftAmount: {
+      type: Sequelize.INTEGER,
+      field: "drift_amount",
+      allowNull: false,
+      defaultValue: 0,
+      comment: "Stored balance minus ledger balance at the last reconciliation"
+    },
+    lastReconciledAt: {
+      type: Sequelize.DATE,
+      field: "last_reconciled_at",
+      allowNull: true
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      field: "created_at",
+      defaultValue: Sequelize.NOW,
+    },
+    updatedAt: {
+      type: Sequelize.DATE,
+      field: "updated_at",
+      defaultValue: Sequelize.NOW,
+    },
+  }, {
+    tableName: "wallet_account",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['reconciliation_status']
+      }
+    ]
+  });
+
+  return WalletAccount;
+};
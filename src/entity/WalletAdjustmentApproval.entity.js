@@ -0,0 +1,61 @@
+module.exports = (sequelize, Sequelize) => {
+  const WalletAdjustmentApproval = sequelize.define("wallet_adjustment_approval", {
+    approvalId: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      field: "approval_id",
+    },
+    adjustmentId: {
+      type: Sequelize.INTEGER,
+      field: "adjustment_id",
+      allowNull: false,
+      references: {
+        model: 'wallet_adjustment_request',
+        key: 'adjustment_id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE'
+    },
+    approverId: {
+      type: Sequelize.INTEGER,
+      field: "approver_id",
+      allowNull: false,
+      comment: "Admin who decided"
+    },
+    decision: {
+      type: Sequelize.ENUM('APPROVED', 'REJECTED'),
+      field: "decision",
+      allowNull: false
+    },
+    comment: {
+      type: Sequelize.STRING(500),
+      field: "comment",
+      allowNull: true
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      field: "created_at",
+      defaultValue: Sequelize.NOW,
+    },
+    updatedAt: {
+      type: Sequelize.DATE,
+      field: "updated_at",
+      defaultValue: Sequelize.NOW,
+    },
+  }, {
+    tableName: "wallet_adjustment_approval",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        // One decision per admin per adjustment
+        unique: true,
+        fields: ['adjustment_id', 'approver_id']
+      }
+    ]
+  });
+
+  return WalletAdjustmentApproval;
+};
@@ -0,0 +1,130 @@
+module.exports = (sequelize, Sequelize) => {
+  const WalletAdjustmentRequest = sequelize.define("wallet_adjustment_request", {
+    adjustmentId: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      field: "adjustment_id",
+    },
+    userId: {
+      type: Sequelize.INTEGER,
+      field: "user_id",
+      allowNull: false,
+      references: {
+        model: 'platform_user',
+        key: 'user_id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      comment: "Wallet being adjusted"
+    },
+    transactionType: {
+      type: Sequelize.ENUM('CREDIT', 'DEBIT'),
+      field: "transaction_type",
+      allowNull: false
+    },
+    amount: {
+      type: Sequelize.INTEGER,
+      field: "amount",
+      allowNull: false,
+      validate: {
+        min: 1
+      }
+    },
+    reason: {
+      type: Sequelize.STRING(500),
+      field: "reason",
+      allowNull: false
+    },
+    metadata: {
+      type: Sequelize.JSONB,
+      field: "metadata",
+      allowNull: true,
+      comment: "Recorded on the ledger entry when posted"
+    },
+    source: {
+      type: Sequelize.ENUM('PURCHASED', 'PROMO', 'REFUND'),
+      field: "source",
+      allowNull: true,
+      comment: "Credit bucket source (credits only)"
+    },
+    expiresAt: {
+      type: Sequelize.DATE,
+      field: "expires_at",
+      allowNull: true,
+      comment: "Credit expiry (credits only)"
+    },
+    status: {
+      type: Sequelize.ENUM('PENDING', 'APPROVED', 'POSTED', 'REJECTED', 'FAILED'),
+      field: "status",
+      allowNull: false,
+      defaultValue: 'PENDING',
+      comment: "PENDING until enough approvals (APPROVED), then POSTED to the ledger or FAILED; REJECTED by any approver"
+    },
+    requiredApprovals: {
+      type: Sequelize.INTEGER,
+      field: "required_approvals",
+      allowNull: false,
+      defaultValue: 1,
+      comment: "2 above WALLET_ADJUSTMENT_DUAL_APPROVAL_THRESHOLD"
+    },
+    requestedBy: {
+      type: Sequelize.INTEGER,
+      field: "requested_by",
+      allowNull: false,
+      comment: "Admin who requested the adjustment (cannot approve it)"
+    },
+    idempotencyKey: {
+      type: Sequelize.STRING(255),
+      field: "idempotency_key",
+      allowNull: true,
+      comment: "Idempotency-Key of the request, scoped to the wallet; a retry returns this adjustment"
+    },
+    transactionId: {
+      type: Sequelize.INTEGER,
+      field: "transaction_id",
+      allowNull: true,
+      comment: "Ledger entry posted once approved"
+    },
+    failureReason: {
+      type: Sequelize.STRING(500),
+      field: "failure_reason",
+      allowNull: true
+    },
+    decidedAt: {
+      type: Sequelize.DATE,
+      field: "decided_at",
+      allowNull: true,
+      comment: "When the adjustment was posted, rejected or failed"
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      field: "created_at",
+      defaultValue: Sequelize.NOW,
+    },
+    updatedAt: {
+      type: Sequelize.DATE,
+      field: "updated_at",
+      defaultValue: Sequelize.NOW,
+    },
+  }, {
+    tableName: "wallet_adjustment_request",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['status', 'created_at']
+      },
+      {
+        fields: ['user_id']
+      },
+      {
+        unique: true,
+        fields: ['user_id', 'idempotency_key']
+      }
+    ]
+  });
+
+  return WalletAdjustmentRequest;
+};
@@ -0,0 +1,107 @@
+module.exports = (sequelize, Sequelize) => {
+  const WalletCreditBucket = sequelize.define("wallet_credit_bucket", {
+    bucketId: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      field: "bucket_id",
+    },
+    userId: {
+      type: Sequelize.INTEGER,
+      field: "user_id",
+      allowNull: false,
+      references: {
+        model: 'platform_user',
+        key: 'user_id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      comment: "Wallet owner"
+    },
+    source: {
+      type: Sequelize.ENUM('PURCHASED', 'PROMO', 'REFUND'),
+      field: "source",
+      allowNull: false,
+      defaultValue: 'PURCHASED',
+      comment: "Where the credits came from; PROMO credits are spent first"
+    },
+    amount: {
+      type: Sequelize.INTEGER,
+      field: "amount",
+      allowNull: false,
+      validate: {
+        min: 1
+      },
+      comment: "Credits granted"
+    },
+    remainingAmount: {
+      type: Sequelize.INTEGER,
+      field: "remaining_amount",
+      allowNull: false,
+      validate: {
+        min: 0
+      },
+      comment: "Credits not yet spent or expired"
+    },
+    expiredAmount: {
+      type: Sequelize.INTEGER,
+      field: "expired_amount",
+      allowNull: false,
+      defaultValue: 0,
+      comment: "Credits removed by expiry"
+    },
+    status: {
+      type: Sequelize.ENUM('ACTIVE', 'EXHAUSTED', 'EXPIRED'),
+      field: "status",
+      allowNull: false,
+      defaultValue: 'ACTIVE',
+      comment: "ACTIVE while credits remain; EXHAUSTED when spent, EXPIRED when the rest lapsed"
+    },
+    expiresAt: {
+      type: Sequelize.DATE,
+      field: "expires_at",
+      allowNull: true,
+      comment: "When the remaining credits lapse (NULL = never)"
+    },
+    creditTransactionId: {
+      type: Sequelize.INTEGER,
+      field: "credit_transaction_id",
+      allowNull: true,
+      comment: "Credit that funded the bucket (NULL for balances carried over from before buckets)"
+    },
+    expiredAt: {
+      type: Sequelize.DATE,
+      field: "expired_at",
+      allowNull: true,
+      comment: "When the bucket was expired"
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      field: "created_at",
+      defaultValue: Sequelize.NOW,
+    },
+    updatedAt: {
+      type: Sequelize.DATE,
+      field: "updated_at",
+      defaultValue: Sequelize.NOW,
+    },
+  }, {
+    tableName: "wallet_credit_bucket",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['user_id', 'status']
+      },
+      {
+        fields: ['status', 'expires_at']
+      },
+      {
+        fields: ['credit_transaction_id']
+      }
+    ]
+  });
+
+  return WalletCreditBucket;
+};
@@ -0,0 +1,93 @@
+module.exports = (sequelize, Sequelize) => {
+  const WalletReservation = sequelize.define("wallet_reservation", {
+    reservationId: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      field: "reservation_id",
+    },
+    userId: {
+      type: Sequelize.INTEGER,
+      field: "user_id",
+      allowNull: false,
+      references: {
+        model: 'platform_user',
+        key: 'user_id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      comment: "Wallet owner whose credits are held"
+    },
+    amount: {
+      type: Sequelize.INTEGER,
+      field: "amount",
+      allowNull: false,
+      validate: {
+        min: 1
+      },
+      comment: "Credits held"
+    },
+    status: {
+      type: Sequelize.ENUM('HELD', 'CAPTURED', 'RELEASED'),
+      field: "status",
+      allowNull: false,
+      defaultValue: 'HELD',
+      comment: "HELD until captured (debited) or released"
+    },
+    reference: {
+      type: Sequelize.STRING(255),
+      field: "reference",
+      allowNull: true,
+      comment: "What the hold is for (e.g. listing-publish:PROPERTY:12); a retry returns the open hold"
+    },
+    reason: {
+      type: Sequelize.STRING(500),
+      field: "reason",
+      allowNull: true,
+      comment: "Reason recorded on the debit when captured"
+    },
+    metadata: {
+      type: Sequelize.JSONB,
+      field: "metadata",
+      allowNull: true,
+      comment: "Recorded on the debit when captured"
+    },
+    transactionId: {
+      type: Sequelize.INTEGER,
+      field: "transaction_id",
+      allowNull: true,
+      comment: "Debit posted when the hold was captured"
+    },
+    settledAt: {
+      type: Sequelize.DATE,
+      field: "settled_at",
+      allowNull: true,
+      comment: "When the hold was captured or released"
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      field: "created_at",
+      defaultValue: Sequelize.NOW,
+    },
+    updatedAt: {
+      type: Sequelize.DATE,
+      field: "updated_at",
+      defaultValue: Sequelize.NOW,
+    },
+  }, {
+    tableName: "wallet_reservation",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['user_id', 'status']
+      },
+      {
+        fields: ['reference']
+      }
+    ]
+  });
+
+  return WalletReservation;
+};
@@ -0,0 +1,111 @@
+module.exports = (sequelize, Sequelize) => {
+  const WalletStatement = sequelize.define("wallet_statement", {
+    statementId: {
+      type: Sequelize.INTEGER,
+      primaryKey: true,
+      autoIncrement: true,
+      field: "statement_id",
+    },
+    userId: {
+      type: Sequelize.INTEGER,
+      field: "user_id",
+      allowNull: false,
+      references: {
+        model: 'platform_user',
+        key: 'user_id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'CASCADE',
+      comment: "Wallet the statement covers"
+    },
+    requestedBy: {
+      type: Sequelize.INTEGER,
+      field: "requested_by",
+      allowNull: false,
+      comment: "User who requested the export (the wallet owner or finance)"
+    },
+    invoiceNumber: {
+      type: Sequelize.STRING(50),
+      field: "invoice_number",
+      allowNull: true,
+      unique: true,
+      comment: "e.g. WS/2026-27/000042; assigned when the export is requested"
+    },
+    format: {
+      type: Sequelize.ENUM('CSV', 'PDF'),
+      field: "format",
+      allowNull: false
+    },
+    startDate: {
+      type: Sequelize.DATE,
+      field: "start_date",
+      allowNull: false,
+      comment: "Period start (inclusive)"
+    },
+    endDate: {
+      type: Sequelize.DATE,
+      field: "end_date",
+      allowNull: false,
+      comment: "Period end (inclusive)"
+    },
+    status: {
+      type: Sequelize.ENUM('PENDING', 'PROCESSING', 'READY', 'FAILED'),
+      field: "status",
+      allowNull: false,
+      defaultValue: 'PENDING'
+    },
+    transactionCount: {
+      type: Sequelize.INTEGER,
+      field: "transaction_count",
+      allowNull: true
+    },
+    openingBalance: {
+      type: Sequelize.INTEGER,
+      field: "opening_balance",
+      allowNull: true
+    },
+    closingBalance: {
+      type: Sequelize.INTEGER,
+      field: "closing_balance",
+      allowNull: true
+    },
+    fileKey: {
+      type: Sequelize.STRING(500),
+      field: "file_key",
+      allowNull: true,
+      comment: "S3 key of a background export (inline exports are not stored)"
+    },
+    failureReason: {
+      type: Sequelize.STRING(500),
+      field: "failure_reason",
+      allowNull: true
+    },
+    completedAt: {
+      type: Sequelize.DATE,
+      field: "completed_at",
+      allowNull: true
+    },
+    createdAt: {
+      type: Sequelize.DATE,
+      field: "created_at",
+      defaultValue: Sequelize.NOW,
+    },
+    updatedAt: {
+      type: Sequelize.DATE,
+      field: "updated_at",
+      defaultValue: Sequelize.NOW,
+    },
+  }, {
+    tableName: "wallet_statement",
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        fields: ['user_id', 'created_at']
+      }
+    ]
+  });
+
+  return WalletStatement;
+};
@@ -50,6 +50,12 @@ module.exports = (sequelize, Sequelize) => {
       allowNull: true,
       comment: "Additional metadata for the transaction"
     },
+    idempotencyKey: {
+      type: Sequelize.STRING(255),
+      field: "idempotency_key",
+      allowNull: true,
+      comment: "Client or workflow supplied key; a replay returns this transaction instead of posting again"
+    },
     createdAt: {
       type: Sequelize.DATE,
       field: "created_at",
@@ -74,6 +80,10 @@ module.exports = (sequelize, Sequelize) => {
       },
       {
         fields: ['created_at']
+      },
+      {
+        unique: true,
+        fields: ['user_id', 'idempotency_key']
       }
     ]
   });
@@ -33,6 +33,17 @@ db.PgColiveHostel = require("./PgColiveHostel.entity.js")(sequelize, Sequelize);
 db.Property = require("./Property.entity.js")(sequelize, Sequelize);
 db.Project = require("./Project.entity.js")(sequelize, Sequelize);
 db.WalletTransaction = require("./WalletTransaction.entity.js")(sequelize, Sequelize);
+db.WalletAccount = require("./WalletAccount.entity.js")(sequelize, Sequelize);
+db.WalletReservation = require("./WalletReservation.entity.js")(sequelize, Sequelize);
+db.WalletCreditBucket = require("./WalletCreditBucket.entity.js")(sequelize, Sequelize);
+db.WalletStatement = require("./WalletStatement.entity.js")(sequelize, Sequelize);
+db.WalletAdjustmentRequest = require("./WalletAdjustmentRequest.entity.js")(sequelize, Sequelize);
+db.WalletAdjustmentApproval = require("./WalletAdjustmentApproval.entity.js")(sequelize, Sequelize);
+db.PaymentOrder = require("./PaymentOrder.entity.js")(sequelize, Sequelize);
+db.RefreshToken = require("./RefreshToken.entity.js")(sequelize, Sequelize);
+db.ListingModeration = require("./ListingModeration.entity.js")(sequelize, Sequelize);
+db.ListingDuplicate = require("./ListingDuplicate.entity.js")(sequelize, Sequelize);
+db.ListingMediaHash = require("./ListingMediaHash.entity.js")(sequelize, Sequelize);
  
 // Relationships
 // User has one PartnerBusiness (for BUSINESS account type)
@@ -175,6 +186,115 @@ db.WalletTransaction.belongsTo(db.PlatformUser, {
     foreignKey: 'user_id',
     as: 'user'
 });
+
+// User has one WalletAccount (balance row locked for every ledger append)
+// Keyed by the userId attribute because user_id is also the account's primary key
+db.PlatformUser.hasOne(db.WalletAccount, {
+    foreignKey: 'userId',
+    as: 'walletAccount'
+});
+
+// WalletAccount belongs to User
+db.WalletAccount.belongsTo(db.PlatformUser, {
+    foreignKey: 'userId',
+    as: 'user'
+});
+
+// User has many WalletReservations (credits held for pending charges)
+db.PlatformUser.hasMany(db.WalletReservation, {
+    foreignKey: 'user_id',
+    as: 'walletReservations'
+});
+
+// WalletReservation belongs to User
+db.WalletReservation.belongsTo(db.PlatformUser, {
+    foreignKey: 'user_id',
+    as: 'user'
+});
+
+// User has many WalletCreditBuckets (credits by source and expiry)
+db.PlatformUser.hasMany(db.WalletCreditBucket, {
+    foreignKey: 'user_id',
+    as: 'walletCreditBuckets'
+});
+
+// WalletCreditBucket belongs to User
+db.WalletCreditBucket.belongsTo(db.PlatformUser, {
+    foreignKey: 'user_id',
+    as: 'user'
+});
+
+// User has many WalletStatements (CSV/PDF statement exports)
+db.PlatformUser.hasMany(db.WalletStatement, {
+    foreignKey: 'user_id',
+    as: 'walletStatements'
+});
+
+// WalletStatement belongs to User
+db.WalletStatement.belongsTo(db.PlatformUser, {
+    foreignKey: 'user_id',
+    as: 'user'
+});
+
+// User has many WalletAdjustmentRequests (admin credits/debits awaiting approval)
+db.PlatformUser.hasMany(db.WalletAdjustmentRequest, {
+    foreignKey: 'user_id',
+    as: 'walletAdjustmentRequests'
+});
+
+// WalletAdjustmentRequest belongs to User
+db.WalletAdjustmentRequest.belongsTo(db.PlatformUser, {
+    foreignKey: 'user_id',
+    as: 'user'
+});
+
+// WalletAdjustmentRequest has many WalletAdjustmentApprovals (approve/reject decisions)
+db.WalletAdjustmentRequest.hasMany(db.WalletAdjustmentApproval, {
+    foreignKey: 'adjustment_id',
+    as: 'approvals'
+});
+
+// WalletAdjustmentApproval belongs to WalletAdjustmentRequest
+db.WalletAdjustmentApproval.belongsTo(db.WalletAdjustmentRequest, {
+    foreignKey: 'adjustment_id',
+    as: 'adjustment'
+});
+
+// User has many PaymentOrders (credit pack purchases)
+db.PlatformUser.hasMany(db.PaymentOrder, {
+    foreignKey: 'user_id',
+    as: 'paymentOrders'
+});
+
+// PaymentOrder belongs to User
+db.PaymentOrder.belongsTo(db.PlatformUser, {
+    foreignKey: 'user_id',
+    as: 'user'
+});
+
+// User has many RefreshTokens (one family per login session)
+db.PlatformUser.hasMany(db.RefreshToken, {
+    foreignKey: 'user_id',
+    as: 'refreshTokens'
+});
+
+// RefreshToken belongs to User
+db.RefreshToken.belongsTo(db.PlatformUser, {
+    foreignKey: 'user_id',
+    as: 'user'
+});
+
+// User has many ListingModerations (publishing submissions awaiting or past review)
+db.PlatformUser.hasMany(db.ListingModeration, {
+    foreignKey: 'user_id',
+    as: 'listingModerations'
+});
+
+// ListingModeration belongs to User
+db.ListingModeration.belongsTo(db.PlatformUser, {
+    foreignKey: 'user_id',
+    as: 'user'
+});
  
  
  
@@ -0,0 +1,76 @@
+// authorizationMiddleware.js
+const logger = require('../config/winston.config');
+const { getRolePermissions } = require('../config/roles.config');
+
+/**
+ * Role from the verified token. A token without a role claim gets no role, and so
+ * no permissions; refreshing it re-reads the role from the user.
+ * @param {object} req - Express request (after authenticateToken)
+ * @returns {string|null} - Role name
+ */
+const getRequestRole = (req) => req.user?.role || null;
+
+/**
+ * Check a permission inside a handler, for routes whose access depends on the resource
+ * (e.g. owners may act on their own records, holders of the permission on any)
+ * @param {object} req - Express request (after authenticateToken)
+ * @param {string} permission - Permission name from PERMISSIONS
+ * @returns {boolean}
+ */
+const hasPermission = (req, permission) =>
+  Boolean(req.user) && getRolePermissions(getRequestRole(req)).includes(permission);
+
+/**
+ * Require every listed permission. Must run after authenticateToken.
+ * @param {...string} permissions - Permission names from PERMISSIONS
+ * @returns {Function} - Express middleware
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+
+  const role = getRequestRole(req);
+  const granted = getRolePermissions(role);
+  const missing = permissions.filter(permission => !granted.includes(permission));
+
+  if (missing.length > 0) {
+    logger.warn(`User ${req.user.userId} (${role}) denied ${req.method} ${req.originalUrl}: missing ${missing.join(', ')}`);
+    return res.status(403).json({
+      error: "You do not have permission to perform this action",
+      code: "FORBIDDEN"
+    });
+  }
+
+  next();
+};
+
+/**
+ * Require one of the listed roles. Prefer requirePermission for new routes.
+ * Must run after authenticateToken.
+ * @param {...string} roles - Role names from ROLES
+ * @returns {Function} - Express middleware
+ */
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: "Authentication required" });
+  }
+
+  const role = getRequestRole(req);
+
+  if (!roles.includes(role)) {
+    logger.warn(`User ${req.user.userId} (${role}) denied ${req.method} ${req.originalUrl}: role not allowed`);
+    return res.status(403).json({
+      error: "You do not have permission to perform this action",
+      code: "FORBIDDEN"
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  hasPermission,
+  requirePermission,
+  requireRole
+};
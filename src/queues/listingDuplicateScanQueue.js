@@ -0,0 +1,83 @@
+const { Queue } = require('bullmq');
+const { getRedisConfig } = require('../config/redis.config');
+const logger = require('../config/winston.config.js');
+const { LISTING_DUPLICATE_SCAN_CRON } = require('../config/listingDuplicate.config');
+
+/**
+ * Listing Duplicate Scan Queue
+ * Scheduled full rescan of published properties and PG/hostels for suspected duplicates,
+ * processed by src/workers/listingDuplicateScanWorker.js
+ */
+
+const LISTING_DUPLICATE_SCAN_QUEUE_NAME = 'listing-duplicate-scan-queue';
+
+const SCHEDULER_ID = 'listing-duplicate-scan-nightly';
+
+const DEFAULT_JOB_OPTIONS = {
+    attempts: 3,
+    backoff: {
+        type: 'exponential',
+        delay: 60000
+    },
+    removeOnComplete: {
+        age: 7 * 24 * 3600, // Keep completed runs (and their summaries) for 7 days
+        count: 50
+    },
+    removeOnFail: {
+        age: 30 * 24 * 3600 // Keep failed runs for 30 days
+    }
+};
+
+let listingDuplicateScanQueue = null;
+
+const getListingDuplicateScanQueue = () => {
+    if (!listingDuplicateScanQueue) {
+        listingDuplicateScanQueue = new Queue(LISTING_DUPLICATE_SCAN_QUEUE_NAME, {
+            connection: getRedisConfig(),
+            defaultJobOptions: DEFAULT_JOB_OPTIONS
+        });
+
+        listingDuplicateScanQueue.on('error', (error) => {
+            logger.error('Listing duplicate scan queue error:', error);
+        });
+    }
+    return listingDuplicateScanQueue;
+};
+
+/**
+ * Register (or update) the repeating duplicate scan. Safe to call on every boot.
+ * @returns {Promise<void>}
+ */
+const scheduleListingDuplicateScan = async () => {
+    await getListingDuplicateScanQueue().upsertJobScheduler(
+        SCHEDULER_ID,
+        { pattern: LISTING_DUPLICATE_SCAN_CRON },
+        { name: 'scan-duplicates' }
+    );
+    logger.info(`Listing duplicate scan scheduled: ${LISTING_DUPLICATE_SCAN_CRON}`);
+};
+
+/**
+ * Queue a one-off duplicate scan
+ * @returns {Promise<{jobId: string}>}
+ */
+const enqueueListingDuplicateScan = async () => {
+    const job = await getListingDuplicateScanQueue().add('scan-duplicates', {});
+    logger.info(`Listing duplicate scan job queued: ${job.id}`);
+    return { jobId: job.id };
+};
+
+const closeListingDuplicateScanQueue = async () => {
+    if (listingDuplicateScanQueue) {
+        await listingDuplicateScanQueue.close();
+        listingDuplicateScanQueue = null;
+        logger.info('Listing duplicate scan queue closed');
+    }
+};
+
+module.exports = {
+    LISTING_DUPLICATE_SCAN_QUEUE_NAME,
+    scheduleListingDuplicateScan,
+    enqueueListingDuplicateScan,
+    closeListingDuplicateScanQueue
+};
@@ -0,0 +1,73 @@
+const { Queue } = require('bullmq');
+const { getRedisConfig } = require('../config/redis.config');
+const logger = require('../config/winston.config.js');
+const { MODERATION_ESCALATION_CRON } = require('../config/moderation.config');
+
+/**
+ * Listing Moderation Escalation Queue
+ * Scheduled sweep that escalates direct-mode moderation items left unanswered,
+ * processed by src/workers/listingModerationEscalationWorker.js
+ */
+
+const LISTING_MODERATION_ESCALATION_QUEUE_NAME = 'listing-moderation-escalation-queue';
+
+
+const SCHEDULER_ID = 'listing-moderation-escalation';
+
+const DEFAULT_JOB_OPTIONS = {
+    attempts: 3,
+    backoff: {
+        type: 'exponential',
+        delay: 60000
+    },
+    removeOnComplete: {
+        age: 24 * 3600, // Keep completed runs for a day
+        count: 50
+    },
+    removeOnFail: {
+        age: 30 * 24 * 3600 // Keep failed runs for 30 days
+    }
+};
+
+let listingModerationEscalationQueue = null;
+
+const getListingModerationEscalationQueue = () => {
+    if (!listingModerationEscalationQueue) {
+        listingModerationEscalationQueue = new Queue(LISTING_MODERATION_ESCALATION_QUEUE_NAME, {
+            connection: getRedisConfig(),
+            defaultJobOptions: DEFAULT_JOB_OPTIONS
+        });
+
+        listingModerationEscalationQueue.on('error', (error) => {
+            logger.error('Listing moderation escalation queue error:', error);
+        });
+    }
+    return listingModerationEscalationQueue;
+};
+
+/**
+ * Register (or update) the repeating escalation sweep. Safe to call on every boot.
+ * @returns {Promise<void>}
+ */
+const scheduleListingModerationEscalation = async () => {
+    await getListingModerationEscalationQueue().upsertJobScheduler(
+        SCHEDULER_ID,
+        { pattern: MODERATION_ESCALATION_CRON },
+        { name: 'escalate-moderation' }
+    );
+    logger.info(`Listing moderation escalation scheduled: ${MODERATION_ESCALATION_CRON}`);
+};
+
+const closeListingModerationEscalationQueue = async () => {
+    if (listingModerationEscalationQueue) {
+        await listingModerationEscalationQueue.close();
+        listingModerationEscalationQueue = null;
+        logger.info('Listing moderation escalation queue closed');
+    }
+};
+
+module.exports = {
+    LISTING_MODERATION_ESCALATION_QUEUE_NAME,
+    scheduleListingModerationEscalation,
+    closeListingModerationEscalationQueue
+};
@@ -0,0 +1,75 @@
+const { Queue } = require('bullmq');
+const { getRedisConfig } = require('../config/redis.config');
+const logger = require('../config/winston.config.js');
+
+/**
+ * SMS Queue
+ * Templated SMS jobs delivered by src/workers/smsWorker.js
+ * Failed deliveries are retried with exponential backoff (2s, 4s, 8s, 16s)
+ */
+
+const SMS_QUEUE_NAME = 'sms-queue';
+
+const DEFAULT_JOB_OPTIONS = {
+    attempts: 5,
+    backoff: {
+        type: 'exponential',
+        delay: 2000
+    },
+    // Job data can hold live OTPs, so delivered jobs are dropped right away
+    removeOnComplete: true,
+    removeOnFail: {
+        age: 24 * 3600 // Keep failed jobs for 24 hours (their OTPs have long expired)
+    }
+};
+
+let smsQueue = null;
+
+const getSmsQueue = () => {
+    if (!smsQueue) {
+        smsQueue = new Queue(SMS_QUEUE_NAME, {
+            connection: getRedisConfig(),
+            defaultJobOptions: DEFAULT_JOB_OPTIONS
+        });
+
+        smsQueue.on('error', (error) => {
+            logger.error('SMS queue error:', error);
+        });
+    }
+    return smsQueue;
+};
+
+/**
+ * Queue a templated SMS
+ * @param {object} message - { to, template, variables }
+ * @param {object} options - BullMQ job options (priority, delay, ...)
+ * @returns {Promise<{jobId: string}>}
+ */
+const enqueueSms = async ({ to, template, variables }, options = {}) => {
+    const job = await getSmsQueue().add('send-sms', { to, template, variables }, options);
+    logger.info(`SMS job queued: ${job.id}, template: ${template}`);
+    return { jobId: job.id };
+};
+
+const getSmsQueueStats = async () => {
+    const counts = await getSmsQueue().getJobCounts('waiting', 'active', 'completed', 'failed', 'delayed');
+    return {
+        ...counts,
+        total: Object.values(counts).reduce((sum, count) => sum + count, 0)
+    };
+};
+
+const closeSmsQueue = async () => {
+    if (smsQueue) {
+        await smsQueue.close();
+        smsQueue = null;
+        logger.info('SMS queue closed');
+    }
+};
+
+module.exports = {
+    SMS_QUEUE_NAME,
+    enqueueSms,
+    getSmsQueueStats,
+    closeSmsQueue
+};
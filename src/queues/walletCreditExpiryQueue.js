@@ -0,0 +1,74 @@
+const { Queue } = require('bullmq');
+const { getRedisConfig } = require('../config/redis.config');
+const logger = require('../config/winston.config.js');
+
+/**
+ * Wallet Credit Expiry Queue
+ * Scheduled job that expires lapsed wallet credit buckets with DEBIT ledger entries,
+ * processed by src/workers/walletCreditExpiryWorker.js
+ */
+
+const WALLET_CREDIT_EXPIRY_QUEUE_NAME = 'wallet-credit-expiry-queue';
+
+// Hourly unless overridden; debits also expire a wallet's lapsed buckets before spending
+const WALLET_CREDIT_EXPIRY_CRON = process.env.WALLET_CREDIT_EXPIRY_CRON || '0 * * * *';
+
+const SCHEDULER_ID = 'wallet-credit-expiry-hourly';
+
+const DEFAULT_JOB_OPTIONS = {
+    attempts: 3,
+    backoff: {
+        type: 'exponential',
+        delay: 60000
+    },
+    removeOnComplete: {
+        age: 24 * 3600, // Keep completed runs for a day
+        count: 50
+    },
+    removeOnFail: {
+        age: 30 * 24 * 3600 // Keep failed runs for 30 days
+    }
+};
+
+let walletCreditExpiryQueue = null;
+
+const getWalletCreditExpiryQueue = () => {
+    if (!walletCreditExpiryQueue) {
+        walletCreditExpiryQueue = new Queue(WALLET_CREDIT_EXPIRY_QUEUE_NAME, {
+            connection: getRedisConfig(),
+            defaultJobOptions: DEFAULT_JOB_OPTIONS
+        });
+
+        walletCreditExpiryQueue.on('error', (error) => {
+            logger.error('Wallet credit expiry queue error:', error);
+        });
+    }
+    return walletCreditExpiryQueue;
+};
+
+/**
+ * Register (or update) the repeating expiry job. Safe to call on every boot.
+ * @returns {Promise<void>}
+ */
+const scheduleWalletCreditExpiry = async () => {
+    await getWalletCreditExpiryQueue().upsertJobScheduler(
+        SCHEDULER_ID,
+        { pattern: WALLET_CREDIT_EXPIRY_CRON },
+        { name: 'expire-credits' }
+    );
+    logger.info(`Wallet credit expiry scheduled: ${WALLET_CREDIT_EXPIRY_CRON}`);
+};
+
+const closeWalletCreditExpiryQueue = async () => {
+    if (walletCreditExpiryQueue) {
+        await walletCreditExpiryQueue.close();
+        walletCreditExpiryQueue = null;
+        logger.info('Wallet credit expiry queue closed');
+    }
+};
+
+module.exports = {
+    WALLET_CREDIT_EXPIRY_QUEUE_NAME,
+    scheduleWalletCreditExpiry,
+    closeWalletCreditExpiryQueue
+};
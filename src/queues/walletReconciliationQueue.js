@@ -0,0 +1,86 @@
+const { Queue } = require('bullmq');
+const { getRedisConfig } = require('../config/redis.config');
+const logger = require('../config/winston.config.js');
+
+/**
+ * Wallet Reconciliation Queue
+ * Scheduled job that recomputes wallet balances from the ledger and flags drift (after
+ * capturing holds flagged by failed listing charges),
+ * processed by src/workers/walletReconciliationWorker.js
+ */
+
+const WALLET_RECONCILIATION_QUEUE_NAME = 'wallet-reconciliation-queue';
+
+// Nightly at 03:00 server time unless overridden
+const WALLET_RECONCILIATION_CRON = process.env.WALLET_RECONCILIATION_CRON || '0 3 * * *';
+
+const SCHEDULER_ID = 'wallet-reconciliation-nightly';
+
+const DEFAULT_JOB_OPTIONS = {
+    attempts: 3,
+    backoff: {
+        type: 'exponential',
+        delay: 60000
+    },
+    removeOnComplete: {
+        age: 7 * 24 * 3600, // Keep completed runs (and their drift summaries) for 7 days
+        count: 50
+    },
+    removeOnFail: {
+        age: 30 * 24 * 3600 // Keep failed runs for 30 days
+    }
+};
+
+let walletReconciliationQueue = null;
+
+const getWalletReconciliationQueue = () => {
+    if (!walletReconciliationQueue) {
+        walletReconciliationQueue = new Queue(WALLET_RECONCILIATION_QUEUE_NAME, {
+            connection: getRedisConfig(),
+            defaultJobOptions: DEFAULT_JOB_OPTIONS
+        });
+
+        walletReconciliationQueue.on('error', (error) => {
+            logger.error('Wallet reconciliation queue error:', error);
+        });
+    }
+    return walletReconciliationQueue;
+};
+
+/**
+ * Register (or update) the repeating reconciliation job. Safe to call on every boot.
+ * @returns {Promise<void>}
+ */
+const scheduleWalletReconciliation = async () => {
+    await getWalletReconciliationQueue().upsertJobScheduler(
+        SCHEDULER_ID,
+        { pattern: WALLET_RECONCILIATION_CRON },
+        { name: 'reconcile-wallets' }
+    );
+    logger.info(`Wallet reconciliation scheduled: ${WALLET_RECONCILIATION_CRON}`);
+};
+
+/**
+ * Queue a one-off reconciliation run
+ * @returns {Promise<{jobId: string}>}
+ */
+const enqueueWalletReconciliation = async () => {
+    const job = await getWalletReconciliationQueue().add('reconcile-wallets', {});
+    logger.info(`Wallet reconciliation job queued: ${job.id}`);
+    return { jobId: job.id };
+};
+
+const closeWalletReconciliationQueue = async () => {
+    if (walletReconciliationQueue) {
+        await walletReconciliationQueue.close();
+        walletReconciliationQueue = null;
+        logger.info('Wallet reconciliation queue closed');
+    }
+};
+
+module.exports = {
+    WALLET_RECONCILIATION_QUEUE_NAME,
+    scheduleWalletReconciliation,
+    enqueueWalletReconciliation,
+    closeWalletReconciliationQueue
+};
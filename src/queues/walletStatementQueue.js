@@ -0,0 +1,70 @@
+const { Queue } = require('bullmq');
+const { getRedisConfig } = require('../config/redis.config');
+const logger = require('../config/winston.config.js');
+
+/**
+ * Wallet Statement Queue
+ * Statement exports too large to generate inside the request,
+ * processed by src/workers/walletStatementWorker.js
+ */
+
+const WALLET_STATEMENT_QUEUE_NAME = 'wallet-statement-queue';
+
+const DEFAULT_JOB_OPTIONS = {
+    attempts: 3,
+    backoff: {
+        type: 'exponential',
+        delay: 30000
+    },
+    removeOnComplete: {
+        age: 24 * 3600, // The statement row keeps the result; jobs only need to outlive retries
+        count: 1000
+    },
+    removeOnFail: {
+        age: 7 * 24 * 3600 // Keep failed jobs for 7 days
+    }
+};
+
+let walletStatementQueue = null;
+
+const getWalletStatementQueue = () => {
+    if (!walletStatementQueue) {
+        walletStatementQueue = new Queue(WALLET_STATEMENT_QUEUE_NAME, {
+            connection: getRedisConfig(),
+            defaultJobOptions: DEFAULT_JOB_OPTIONS
+        });
+
+        walletStatementQueue.on('error', (error) => {
+            logger.error('Wallet statement queue error:', error);
+        });
+    }
+    return walletStatementQueue;
+};
+
+/**
+ * Queue generation of a statement export
+ * @param {number} statementId - WalletStatement ID
+ * @returns {Promise<{jobId: string}>}
+ */
+const enqueueWalletStatement = async (statementId) => {
+    // One job per statement, however often this is called
+    const job = await getWalletStatementQueue().add('generate-statement', { statementId }, {
+        jobId: `wallet-statement-${statementId}`
+    });
+    logger.info(`Wallet statement job queued: ${job.id}`);
+    return { jobId: job.id };
+};
+
+const closeWalletStatementQueue = async () => {
+    if (walletStatementQueue) {
+        await walletStatementQueue.close();
+        walletStatementQueue = null;
+        logger.info('Wallet statement queue closed');
+    }
+};
+
+module.exports = {
+    WALLET_STATEMENT_QUEUE_NAME,
+    enqueueWalletStatement,
+    closeWalletStatementQueue
+};
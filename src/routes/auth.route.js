@@ -5,10 +5,13 @@ const passport = require("passport");
 const jwt = require("jsonwebtoken");
 const authService = require("../service/AuthService.service");
 const UserService = require("../service/UserService.service");
+const SessionService = require("../service/SessionService.service");
+const authenticateToken = require("../middleware/authMiddleware");
+const { getDeviceInfo } = require("../utils/deviceInfo");
+const { REFRESH_TOKEN_TTL_MS } = require("../config/session.config");
 const logger = require("../config/winston.config.js");
 
 const accessTokenSecret = process.env.ACCESS_TOKEN_SECRET;
-const refreshTokenSecret = process.env.REFRESH_TOKEN_SECRET;
 const frontendUrl = process.env.FRONTEND_URL;
 
 
@@ -46,6 +49,7 @@ router.get("/auth/status", async (req, res) => {
           nameInitial: user.nameInitial,
           phone: user.phone,
           accountType: accountType,
+          role: user.role,
           profileImage: user.profileImage,
           profileVideo: user.profileVideo,
           verificationStatus: user.verificationStatus,
@@ -116,6 +120,7 @@ router.get(
       }
 
       let userId;
+      let role;
       if (!userDataFromDB) {
         const newUser = await authService.createUser(
           user.name.givenName || user.displayName,
@@ -124,13 +129,16 @@ router.get(
           null
         );
         userId = newUser.userId;
+        role = newUser.role;
       } else {
         userId = userDataFromDB.userId;
+        role = userDataFromDB.role;
       }
 
       let claims = {
         userId,
         userEmail: email,
+        role,
       };
 
       // Update last login timestamp
@@ -140,14 +148,8 @@ router.get(
 
       const redirectUrl = req.cookies?.postAuthRedirect || `${frontendUrl}/`;
 
-      let accessToken = jwt.sign(claims, accessTokenSecret, {
-        expiresIn: "15m", // 15 minutes - short lived for security
-      });
-      claims = { ...claims };
-
-      const refreshToken = jwt.sign(claims, refreshTokenSecret, {
-        expiresIn: "7d", // 7 days - matches cookie maxAge
-      });
+      // 15 minute access token; the refresh token is stored against a new session
+      const { accessToken, refreshToken } = await SessionService.createSession(claims, getDeviceInfo(req));
 
       res.cookie("accessToken", accessToken, {
         httpOnly: true,
@@ -159,7 +161,7 @@ router.get(
         httpOnly: true,
         secure: process.env.NODE_ENV === "production",
         sameSite: "None",
-        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+        maxAge: REFRESH_TOKEN_TTL_MS,
       });
       res.cookie("userId", userId);
 
@@ -220,6 +222,7 @@ router.get(
       const userDataFromDB = await authService.findUser(email);
 
       let userId;
+      let role;
       if (!userDataFromDB) {
         const newUser = await authService.createUser(
           user.name.givenName || user.displayName,
@@ -228,13 +231,16 @@ router.get(
           null
         );
         userId = newUser.userId;
+        role = newUser.role;
       } else {
         userId = userDataFromDB.userId;
+        role = userDataFromDB.role;
       }
 
       let claims = {
         userId,
         userEmail: email,
+        role,
       };
 
       // Update last login timestamp
@@ -244,14 +250,8 @@ router.get(
 
       const redirectUrl = req.cookies?.postAuthRedirect || `${frontendUrl}/`;
 
-      let accessToken = jwt.sign(claims, accessTokenSecret, {
-        expiresIn: "15m", // 15 minutes - short lived for security
-      });
-      claims = { ...claims };
-
-      const refreshToken = jwt.sign(claims, refreshTokenSecret, {
-        expiresIn: "7d", // 7 days - matches cookie maxAge
-      });
+      // 15 minute access token; the refresh token is stored against a new session
+      const { accessToken, refreshToken } = await SessionService.createSession(claims, getDeviceInfo(req));
 
       res.cookie("accessToken", accessToken, {
         httpOnly: true,
@@ -263,7 +263,7 @@ router.get(
         httpOnly: true,
         secure: process.env.NODE_ENV === "production",
         sameSite: "None",
-        maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+        maxAge: REFRESH_TOKEN_TTL_MS,
       });
       res.cookie("userId", userId);
 
@@ -282,52 +282,117 @@ router.get(
   }
 );
 
-router.post("/auth/refresh-token", (req, res) => {
+/**
+ * Cookie options for the auth cookies set by this router
+ */
+const authCookieOptions = {
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: "None",
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie("accessToken", authCookieOptions);
+  res.clearCookie("refreshToken", authCookieOptions);
+};
+
+/**
+ * Exchange the refresh token cookie for a new access token and a rotated refresh token.
+ * Reusing a refresh token that was already rotated signs the whole session out.
+ */
+router.post("/auth/refresh-token", async (req, res) => {
   const refreshToken = req.cookies?.refreshToken;
 
   if (!refreshToken) {
     return res.status(403).json({ error: "Refresh token is missing" });
   }
 
-  jwt.verify(refreshToken, refreshTokenSecret, (err, decoded) => {
-    if (err) {
-      return res
-        .status(403)
-        .json({ error: "Invalid or expired refresh token" });
+  const result = await SessionService.rotateRefreshToken(refreshToken, getDeviceInfo(req));
+
+  if (!result.success) {
+    // 409: a concurrent request already rotated this token and set the new cookies
+    if (result.statusCode === 409) {
+      return res.status(409).json({ error: result.message });
+    }
+    if (result.statusCode) {
+      clearAuthCookies(res);
     }
+    return res
+      .status(result.statusCode || 500)
+      .json({ error: result.statusCode ? result.message : "Failed to refresh token" });
+  }
 
-    const newAccessToken = jwt.sign(
-      {
-        userId: decoded.userId,
-        userEmail: decoded.userEmail,
-      },
-      accessTokenSecret,
-      { expiresIn: "15m" } // 15 minutes - consistent with login
-    );
+  res.cookie("accessToken", result.data.accessToken, {
+    ...authCookieOptions,
+    maxAge: 15 * 60 * 1000, // 15 minutes
+  });
+  res.cookie("refreshToken", result.data.refreshToken, {
+    ...authCookieOptions,
+    maxAge: REFRESH_TOKEN_TTL_MS,
+  });
 
-    res.cookie("accessToken", newAccessToken, {
-      httpOnly: true,
-      secure: process.env.NODE_ENV === "production",
-      sameSite: "None",
-      maxAge: 15 * 60 * 1000, // 15 minutes
-    });
+  res.json({ accessToken: result.data.accessToken });
+});
 
-    res.json({ accessToken: newAccessToken });
-  });
+router.get("/auth/logout", async (req, res) => {
+  const refreshToken = req.cookies?.refreshToken;
+
+  if (refreshToken) {
+    await SessionService.revokeSessionByToken(refreshToken);
+  }
+
+  clearAuthCookies(res);
+  res.redirect(`${frontendUrl}/signin`);
 });
 
-router.get("/auth/logout", (req, res) => {
-  res.clearCookie("accessToken", {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === "production",
-    sameSite: "None",
-  });
-  res.clearCookie("refreshToken", {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === "production",
-    sameSite: "None",
+/**
+ * List the signed-in sessions (devices) of the current user
+ */
+router.get("/auth/sessions", authenticateToken, async (req, res) => {
+  const currentSessionId = req.cookies?.refreshToken
+    ? SessionService.getSessionId(req.cookies.refreshToken)
+    : null;
+
+  const result = await SessionService.listSessions(req.user.userId, currentSessionId);
+
+  if (!result.success) {
+    return res.status(500).json({ error: "Failed to fetch sessions" });
+  }
+
+  res.json({ sessions: result.data });
+});
+
+/**
+ * Sign out one session (device) of the current user
+ */
+router.delete("/auth/sessions/:sessionId", authenticateToken, async (req, res) => {
+  const result = await SessionService.revokeSession(req.user.userId, req.params.sessionId);
+
+  if (!result.success) {
+    return res
+      .status(result.statusCode || 500)
+      .json({ error: result.statusCode ? result.message : "Failed to sign out session" });
+  }
+
+  res.json({ message: "Session signed out" });
+});
+
+/**
+ * Sign out of all devices: revokes every refresh token of the current user. Access tokens
+ * already issued stay valid until they expire (at most 15 minutes).
+ */
+router.post("/auth/logout-all", authenticateToken, async (req, res) => {
+  const result = await SessionService.revokeAllSessions(req.user.userId);
+
+  if (!result.success) {
+    return res.status(500).json({ error: "Failed to sign out of all devices" });
+  }
+
+  clearAuthCookies(res);
+  res.json({
+    message: "Signed out of all devices",
+    revokedSessions: result.data.revokedSessions,
   });
-  res.redirect(`${frontendUrl}/signin`);
 });
 
 module.exports = router;
@@ -18,7 +18,9 @@ router.post(
  * @route   GET /api/developer/list
  * @desc    List developers with filters and pagination
  * @access  Public
- * @query   developerType, publishStatus, verificationStatus, operatingState, projectType, search, page, limit
+ * @query   developerType, publishStatus, verificationStatus, operatingState, projectType, search, cursor, page, limit
+ *          cursor: pass pagination.nextCursor from the previous response to fetch the next page
+ *          (keyset mode: page is ignored and total is not computed)
  */
 router.get(
   "/list",
@@ -0,0 +1,47 @@
+const express = require("express");
+const router = express.Router();
+const DuplicateController = require("../controller/Duplicate.controller.js");
+const authenticateToken = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/authorizationMiddleware");
+const { PERMISSIONS } = require("../config/roles.config");
+
+/**
+ * @route   GET /api/duplicates
+ * @desc    Suspected duplicate listings grouped into clusters, highest scoring first,
+ *          with the signals each pair matched on
+ * @access  Private (requires listings:duplicates permission - super admin)
+ * @query   listingType, status, page, limit
+ */
+router.get(
+  "/",
+  authenticateToken,
+  requirePermission(PERMISSIONS.LISTINGS_DUPLICATES),
+  DuplicateController.getClusters
+);
+
+/**
+ * @route   POST /api/duplicates/scan
+ * @desc    Queue a full rescan of published properties and PG/hostels (runs nightly anyway)
+ * @access  Private (requires listings:duplicates permission - super admin)
+ */
+router.post(
+  "/scan",
+  authenticateToken,
+  requirePermission(PERMISSIONS.LISTINGS_DUPLICATES),
+  DuplicateController.runScan
+);
+
+/**
+ * @route   PATCH /api/duplicates/:duplicateId
+ * @desc    Confirm or dismiss a suspected duplicate pair; dismissed pairs no longer block publishing
+ * @access  Private (requires listings:duplicates permission - super admin)
+ * @body    status (CONFIRMED | DISMISSED)
+ */
+router.patch(
+  "/:duplicateId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.LISTINGS_DUPLICATES),
+  DuplicateController.reviewPair
+);
+
+module.exports = router;
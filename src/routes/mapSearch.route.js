@@ -0,0 +1,27 @@
+const express = require("express");
+const router = express.Router();
+const MapSearchController = require("../controller/MapSearch.controller.js");
+
+/**
+ * @route   GET /api/map-search
+ * @desc    Listings (property, PG/hostel, project) inside the visible map viewport
+ * @access  Public
+ * @query   bbox (minLng,minLat,maxLng,maxLat), zoom, types, limit
+ */
+router.get(
+  "/",
+  MapSearchController.searchViewport
+);
+
+/**
+ * @route   POST /api/map-search
+ * @desc    Listings inside a hand-drawn GeoJSON polygon (or a bbox)
+ * @access  Public
+ * @body    polygon | bbox, zoom, types, limit
+ */
+router.post(
+  "/",
+  MapSearchController.searchArea
+);
+
+module.exports = router;
@@ -0,0 +1,73 @@
+const express = require("express");
+const router = express.Router();
+const ModerationController = require("../controller/Moderation.controller.js");
+const authenticateToken = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/authorizationMiddleware");
+const { PERMISSIONS } = require("../config/roles.config");
+
+/**
+ * @route   GET /api/moderation/queue
+ * @desc    Listings flagged by the automated review, MANUAL_REVIEW first, then most escalated,
+ *          with their risk flags and a diff against the last approved submission of each draft
+ * @access  Private (requires listings:moderate permission - reviewer, super admin)
+ * @query   status, reviewTier, listingType, userId, page, limit
+ */
+router.get(
+  "/queue",
+  authenticateToken,
+  requirePermission(PERMISSIONS.LISTINGS_MODERATE),
+  ModerationController.getQueue
+);
+
+/**
+ * @route   GET /api/moderation/:moderationId
+ * @desc    A moderation item with the submitted listing data, its risk flags and its diff
+ * @access  Private (requires listings:moderate permission - reviewer, super admin)
+ */
+router.get(
+  "/:moderationId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.LISTINGS_MODERATE),
+  ModerationController.getItem
+);
+
+/**
+ * @route   POST /api/moderation/:moderationId/approve
+ * @desc    Approve a listing; its publishing workflow charges credits and publishes it
+ * @access  Private (requires listings:moderate permission - reviewer, super admin; not the owner)
+ * @body    comment (optional)
+ */
+router.post(
+  "/:moderationId/approve",
+  authenticateToken,
+  requirePermission(PERMISSIONS.LISTINGS_MODERATE),
+  ModerationController.approveItem
+);
+
+/**
+ * @route   POST /api/moderation/:moderationId/reject
+ * @desc    Reject a listing; its publishing workflow ends without publishing
+ * @access  Private (requires listings:moderate permission - reviewer, super admin; not the owner)
+ * @body    comment (required)
+ */
+router.post(
+  "/:moderationId/reject",
+  authenticateToken,
+  requirePermission(PERMISSIONS.LISTINGS_MODERATE),
+  ModerationController.rejectItem
+);
+
+/**
+ * @route   POST /api/moderation/:moderationId/request-changes
+ * @desc    Send a listing back to its owner for changes; the owner publishes the draft again
+ * @access  Private (requires listings:moderate permission - reviewer, super admin; not the owner)
+ * @body    comment (required)
+ */
+router.post(
+  "/:moderationId/request-changes",
+  authenticateToken,
+  requirePermission(PERMISSIONS.LISTINGS_MODERATE),
+  ModerationController.requestChanges
+);
+
+module.exports = router;
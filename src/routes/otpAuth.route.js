@@ -4,21 +4,21 @@ const OtpAuthController = require("../controller/OtpAuth.controller.js");
 
 /**
  * @route POST /api/otp/send
- * @desc Send OTP to phone number
+ * @desc Send OTP to phone number (60s cooldown, per-phone and per-IP hourly limits, 429 with Retry-After when exceeded)
  * @access Public
  */
 router.post("/send", OtpAuthController.sendOtp);
 
 /**
  * @route POST /api/otp/verify
- * @desc Verify OTP and login user
+ * @desc Verify OTP and login user (429 while the phone is locked after repeated wrong codes)
  * @access Public
  */
 router.post("/verify", OtpAuthController.verifyOtp);
 
 /**
  * @route POST /api/otp/resend
- * @desc Resend OTP to phone number
+ * @desc Resend OTP to phone number (same cooldown and limits as /send)
  * @access Public
  */
 router.post("/resend", OtpAuthController.resendOtp);
@@ -0,0 +1,62 @@
+const express = require("express");
+const router = express.Router();
+const PaymentController = require("../controller/Payment.controller.js");
+const authenticateToken = require("../middleware/authMiddleware");
+
+/**
+ * @route   GET /api/payment/packs
+ * @desc    List credit packs partners can buy
+ * @access  Private (requires authentication)
+ */
+router.get(
+  "/packs",
+  authenticateToken,
+  PaymentController.getCreditPacks
+);
+
+/**
+ * @route   POST /api/payment/orders
+ * @desc    Create a Razorpay order for a credit pack; pass the response to Razorpay Checkout
+ * @access  Private (requires authentication)
+ * @body    packId
+ */
+router.post(
+  "/orders",
+  authenticateToken,
+  PaymentController.createTopUpOrder
+);
+
+/**
+ * @route   GET /api/payment/orders/:paymentOrderId
+ * @desc    Get a payment order (poll until status is PAID, FAILED, EXPIRED or REFUNDED)
+ * @access  Private (requires authentication, own orders only)
+ */
+router.get(
+  "/orders/:paymentOrderId",
+  authenticateToken,
+  PaymentController.getPaymentOrder
+);
+
+/**
+ * @route   POST /api/payment/verify
+ * @desc    Verify the Checkout payment signature and credit the wallet once captured (asynchronously under Temporal)
+ * @access  Private (requires authentication, own orders only)
+ * @body    razorpay_order_id, razorpay_payment_id, razorpay_signature
+ */
+router.post(
+  "/verify",
+  authenticateToken,
+  PaymentController.verifyTopUpPayment
+);
+
+/**
+ * @route   POST /api/payment/webhook/razorpay
+ * @desc    Razorpay webhook (payment.captured, order.paid, payment.failed)
+ * @access  Public (verified with X-Razorpay-Signature and RAZORPAY_WEBHOOK_SECRET)
+ */
+router.post(
+  "/webhook/razorpay",
+  PaymentController.handleRazorpayWebhook
+);
+
+module.exports = router;
@@ -29,7 +29,12 @@ router.get(
  * @route   GET /api/pg-hostel/list
  * @desc    List PG/Hostels with filters and pagination
  * @access  Public
- * @query   publishStatus, verificationStatus, city, locality, genderAllowed, isBrandManaged, search, page, limit
+ * @query   publishStatus, verificationStatus, city, locality, genderAllowed, isBrandManaged, meal, search, facets, cursor, page, limit
+ *          meal: matches PGs whose foodMess.meals includes the value
+ *          facets=true: adds counts per genderAllowed, meals, city and locality,
+ *          each computed with every filter except its own
+ *          cursor: pass pagination.nextCursor from the previous response to fetch the next page
+ *          (keyset mode: page is ignored and total is not computed)
  */
 router.get(
   "/list",
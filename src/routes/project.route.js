@@ -15,11 +15,24 @@ router.post(
   ProjectController.publishProject
 );
  
+/**
+ * @route   GET /api/project/search-nearby
+ * @desc    Search projects near a location (lat, lng, radius), nearest first
+ * @access  Public
+ * @query   lat, lng, radius (in km), status, city, search, createdBy, page, limit
+ */
+router.get(
+  "/search-nearby",
+  ProjectController.searchNearbyProjects
+);
+
 /**
  * @route   GET /api/project/list
  * @desc    List projects with filters and pagination
  * @access  Public
- * @query   status, city, search, createdBy, page, limit
+ * @query   status, city, search, createdBy, cursor, page, limit
+ *          cursor: pass pagination.nextCursor from the previous response to fetch the next page
+ *          (keyset mode: page is ignored and total is not computed)
  */
 router.get(
   "/list",
@@ -14,11 +14,29 @@ router.post(
   PropertyController.publishProperty
 );
 
+/**
+ * @route   GET /api/property/search-nearby
+ * @desc    Search properties near a location (lat, lng, radius), nearest first
+ * @access  Public
+ * @query   lat, lng, radius (in km), plus the same filters as /list (sortBy, facets and cursor are ignored), page, limit
+ */
+router.get(
+  "/search-nearby",
+  PropertyController.searchNearbyProperties
+);
+
 /**
  * @route   GET /api/property/list
  * @desc    List properties with filters and pagination
  * @access  Public
- * @query   status, projectId, city, locality, propertyType, listingType, bedrooms, minPrice, maxPrice, search, page, limit
+ * @query   status, projectId, city, locality, propertyType, listingType, bedrooms, furnishingStatus, minPrice, maxPrice, priceType, priceUnit, sortBy, search, facets, cursor, page, limit
+ *          minPrice/maxPrice match any entry of the pricing array (optionally narrowed by priceType/priceUnit)
+ *          search: full-text (title > locality > description) with fuzzy locality/city matching
+ *          sortBy: relevance (default when searching), newest (default otherwise), oldest, price_asc, price_desc
+ *          facets=true: adds counts per propertyType, bedrooms, furnishingStatus, city and locality,
+ *          each computed with every filter except its own
+ *          cursor: pass pagination.nextCursor from the previous response to fetch the next page
+ *          (keyset mode: page is ignored and total is not computed)
  */
 router.get(
   "/list",
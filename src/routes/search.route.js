@@ -0,0 +1,16 @@
+const express = require("express");
+const router = express.Router();
+const SearchController = require("../controller/Search.controller.js");
+
+/**
+ * @route   GET /api/search
+ * @desc    Unified search over properties, PG/hostels, projects and developers with type and city facets
+ * @access  Public
+ * @query   q, types (PROPERTY,PG,PROJECT,DEVELOPER), city, locality, page, limit
+ */
+router.get(
+  "/",
+  SearchController.search
+);
+
+module.exports = router;
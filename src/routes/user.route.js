@@ -2,6 +2,8 @@ const express = require("express");
 const router = express.Router();
 const UserController = require("../controller/User.controller.js");
 const authMiddleware = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/authorizationMiddleware");
+const { PERMISSIONS } = require("../config/roles.config");
 const { uploadProfileVideo, uploadOwnerVideo, handleUploadError } = require("../middleware/uploadMiddleware");
 
 // Get current authenticated user
@@ -47,16 +49,19 @@ router.post(
 // Verify phone number for current user
 router.post("/partnerUser/verifyPhone", authMiddleware, UserController.verifyPhone);
 
-// Get all users (admin function - consider adding admin middleware)
-router.get("/partnerUser/all", authMiddleware, UserController.getAllUsers);
+// Get all users (reviewer, finance, super admin)
+router.get("/partnerUser/all", authMiddleware, requirePermission(PERMISSIONS.USERS_READ), UserController.getAllUsers);
 
-// Update user status (admin function - consider adding admin middleware)
-router.patch("/partnerUser/updateStatus", authMiddleware, UserController.updateUserStatus);
+// Update user status (super admin)
+router.patch("/partnerUser/updateStatus", authMiddleware, requirePermission(PERMISSIONS.USERS_UPDATE_STATUS), UserController.updateUserStatus);
 
-// Approve user verification (admin function - consider adding admin middleware)
-router.patch("/partnerUser/approveVerification", authMiddleware, UserController.approveVerification);
+// Approve user verification (reviewer, super admin)
+router.patch("/partnerUser/approveVerification", authMiddleware, requirePermission(PERMISSIONS.USERS_VERIFY), UserController.approveVerification);
 
-// Reject user verification (admin function - consider adding admin middleware)
-router.patch("/partnerUser/rejectVerification", authMiddleware, UserController.rejectVerification);
+// Reject user verification (reviewer, super admin)
+router.patch("/partnerUser/rejectVerification", authMiddleware, requirePermission(PERMISSIONS.USERS_VERIFY), UserController.rejectVerification);
+
+// Change a user's role (super admin)
+router.patch("/partnerUser/updateRole", authMiddleware, requirePermission(PERMISSIONS.USERS_MANAGE_ROLES), UserController.updateUserRole);
 
 module.exports = router;
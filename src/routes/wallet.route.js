@@ -2,6 +2,8 @@ const express = require("express");
 const router = express.Router();
 const WalletController = require("../controller/Wallet.controller.js");
 const authenticateToken = require("../middleware/authMiddleware");
+const { requirePermission } = require("../middleware/authorizationMiddleware");
+const { PERMISSIONS } = require("../config/roles.config");
 
 /**
  * @route   GET /api/wallet/balance
@@ -18,7 +20,9 @@ router.get(
  * @route   GET /api/wallet/transactions
  * @desc    Get transaction history with pagination
  * @access  Private (requires authentication)
- * @query   page, limit, transactionType, startDate, endDate
+ * @query   page, limit, transactionType, startDate, endDate, cursor
+ *          cursor: pass pagination.nextCursor from the previous response to fetch the next page
+ *          (keyset mode: page is ignored and total is not computed)
  */
 router.get(
   "/transactions",
@@ -28,7 +32,7 @@ router.get(
 
 /**
  * @route   GET /api/wallet/stats
- * @desc    Get wallet statistics for authenticated user
+ * @desc    Get wallet statistics for authenticated user, with the balance broken down by credit bucket
  * @access  Private (requires authentication)
  */
 router.get(
@@ -39,28 +43,87 @@ router.get(
 
 /**
  * @route   POST /api/wallet/add
- * @desc    Add funds to a user wallet (Admin only)
- * @access  Private (requires authentication, admin role recommended)
- * @body    userId, amount, reason, metadata
+ * @desc    Request a credit to a user wallet (Admin only). Returns 202 with the adjustment;
+ *          the credit posts once another admin approves it
+ * @access  Private (requires wallet:adjust permission - finance, super admin)
+ * @body    userId, amount, reason, metadata, source (PURCHASED | PROMO | REFUND), expiresAt
+ * @header  Idempotency-Key (optional) - a retry with the same key returns the original adjustment
  */
 router.post(
   "/add",
   authenticateToken,
+  requirePermission(PERMISSIONS.WALLET_ADJUST),
   WalletController.addFunds
 );
 
 /**
  * @route   POST /api/wallet/deduct
- * @desc    Deduct funds from a user wallet (Admin only)
- * @access  Private (requires authentication, admin role recommended)
+ * @desc    Request a debit from a user wallet (Admin only). Returns 202 with the adjustment;
+ *          the debit posts once another admin approves it
+ * @access  Private (requires wallet:adjust permission - finance, super admin)
  * @body    userId, amount, reason, metadata
+ * @header  Idempotency-Key (optional) - a retry with the same key returns the original adjustment
  */
 router.post(
   "/deduct",
   authenticateToken,
+  requirePermission(PERMISSIONS.WALLET_ADJUST),
   WalletController.deductFunds
 );
 
+/**
+ * @route   GET /api/wallet/adjustments
+ * @desc    List admin wallet adjustments, newest first
+ * @access  Private (requires wallet:approve permission - finance, super admin)
+ * @query   status, userId, requestedBy, page, limit
+ */
+router.get(
+  "/adjustments",
+  authenticateToken,
+  requirePermission(PERMISSIONS.WALLET_APPROVE),
+  WalletController.getAdjustments
+);
+
+/**
+ * @route   GET /api/wallet/adjustments/:adjustmentId
+ * @desc    Get an adjustment with who requested, approved or rejected it
+ * @access  Private (requires wallet:approve permission - finance, super admin)
+ */
+router.get(
+  "/adjustments/:adjustmentId",
+  authenticateToken,
+  requirePermission(PERMISSIONS.WALLET_APPROVE),
+  WalletController.getAdjustment
+);
+
+/**
+ * @route   POST /api/wallet/adjustments/:adjustmentId/approve
+ * @desc    Approve an adjustment; it posts to the ledger once it has enough approvals
+ *          (two above WALLET_ADJUSTMENT_DUAL_APPROVAL_THRESHOLD). Neither the requester nor the wallet owner can approve.
+ *          Approving a FAILED adjustment retries the posting
+ * @access  Private (requires wallet:approve permission - finance, super admin)
+ * @body    comment (optional)
+ */
+router.post(
+  "/adjustments/:adjustmentId/approve",
+  authenticateToken,
+  requirePermission(PERMISSIONS.WALLET_APPROVE),
+  WalletController.approveAdjustment
+);
+
+/**
+ * @route   POST /api/wallet/adjustments/:adjustmentId/reject
+ * @desc    Reject a pending adjustment
+ * @access  Private (requires wallet:approve permission - finance, super admin)
+ * @body    comment
+ */
+router.post(
+  "/adjustments/:adjustmentId/reject",
+  authenticateToken,
+  requirePermission(PERMISSIONS.WALLET_APPROVE),
+  WalletController.rejectAdjustment
+);
+
 /**
  * @route   POST /api/wallet/check
  * @desc    Check if user has sufficient funds
@@ -73,4 +136,66 @@ router.post(
   WalletController.checkSufficientFunds
 );
 
+/**
+ * @route   GET /api/wallet/statement
+ * @desc    Wallet statement for a period: opening/closing balance and every transaction
+ * @access  Private (requires authentication)
+ * @query   startDate, endDate (UTC; a date without a time covers the whole day)
+ */
+router.get(
+  "/statement",
+  authenticateToken,
+  WalletController.getStatement
+);
+
+/**
+ * @route   GET /api/wallet/statement/export
+ * @desc    Download the statement as CSV or PDF (with invoice number and GST details).
+ *          Large periods return 202 and are generated in the background
+ * @access  Private (requires authentication)
+ * @query   startDate, endDate, format (csv | pdf)
+ */
+router.get(
+  "/statement/export",
+  authenticateToken,
+  WalletController.exportStatement
+);
+
+/**
+ * @route   GET /api/wallet/statements/:statementId
+ * @desc    Status of a statement export, with a short-lived download link once ready
+ * @access  Private (wallet owner or the user who requested the export)
+ */
+router.get(
+  "/statements/:statementId",
+  authenticateToken,
+  WalletController.getStatementExport
+);
+
+/**
+ * @route   GET /api/wallet/users/:userId/statement
+ * @desc    Wallet statement of any user (finance reconciliation)
+ * @access  Private (requires wallet:statements permission - finance, super admin)
+ * @query   startDate, endDate
+ */
+router.get(
+  "/users/:userId/statement",
+  authenticateToken,
+  requirePermission(PERMISSIONS.WALLET_STATEMENTS),
+  WalletController.getStatement
+);
+
+/**
+ * @route   GET /api/wallet/users/:userId/statement/export
+ * @desc    Download any user's statement as CSV or PDF (finance reconciliation)
+ * @access  Private (requires wallet:statements permission - finance, super admin)
+ * @query   startDate, endDate, format (csv | pdf)
+ */
+router.get(
+  "/users/:userId/statement/export",
+  authenticateToken,
+  requirePermission(PERMISSIONS.WALLET_STATEMENTS),
+  WalletController.exportStatement
+);
+
 module.exports = router;
@@ -3,6 +3,9 @@ const router = express.Router();
 const WorkflowController = require("../controller/Workflow.controller.js");
 const authMiddleware = require("../middleware/authMiddleware");
 
+// Every route is scoped to the caller's own workflows (memo ownerUserId) unless the caller
+// has the workflows:manage permission
+
 /**
  * @swagger
  * /api/workflow/{workflowId}/status:
@@ -24,6 +27,8 @@ const authMiddleware = require("../middleware/authMiddleware");
  *         description: Workflow status retrieved successfully
  *       400:
  *         description: Workflow ID is required
+ *       404:
+ *         description: Workflow not found, or started for another user (non-admins)
  *       500:
  *         description: Failed to fetch workflow status
  */
@@ -50,6 +55,8 @@ router.get("/api/workflow/:workflowId/status", authMiddleware, WorkflowControlle
  *         description: Workflow result retrieved successfully
  *       400:
  *         description: Workflow ID is required
+ *       404:
+ *         description: Workflow not found, or started for another user (non-admins)
  *       500:
  *         description: Failed to fetch workflow result
  */
@@ -91,6 +98,8 @@ router.get("/api/workflow/:workflowId/result", authMiddleware, WorkflowControlle
  *         description: Workflow query executed successfully
  *       400:
  *         description: Workflow ID or query type is required
+ *       404:
+ *         description: Workflow not found, or started for another user (non-admins)
  *       500:
  *         description: Failed to query workflow
  */
@@ -101,7 +110,9 @@ router.post("/api/workflow/:workflowId/query", authMiddleware, WorkflowControlle
  * /api/workflow/list:
  *   get:
  *     summary: List workflows with filters
- *     description: Retrieves list of workflows using client.workflow.list()
+ *     description: |
+ *       Retrieves list of workflows using client.workflow.list().
+ *       Non-admins only see workflows started for them (requires TEMPORAL_OWNER_SEARCH_ATTRIBUTE).
  *     tags: [Workflow]
  *     security:
  *       - bearerAuth: []
@@ -110,7 +121,18 @@ router.post("/api/workflow/:workflowId/query", authMiddleware, WorkflowControlle
  *         name: query
  *         schema:
  *           type: string
- *         description: Temporal query string (e.g., "WorkflowType='MyWorkflow'")
+ *         description: Temporal query string, admins only (e.g., "WorkflowType='MyWorkflow'")
+ *       - in: query
+ *         name: workflowType
+ *         schema:
+ *           type: string
+ *         description: Only workflows of this type (e.g., propertyPublishing)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [Running, Completed, Failed, Canceled, Terminated, ContinuedAsNew, TimedOut]
+ *         description: Only workflows in this execution status
  *       - in: query
  *         name: pageSize
  *         schema:
@@ -126,6 +148,10 @@ router.post("/api/workflow/:workflowId/query", authMiddleware, WorkflowControlle
  *     responses:
  *       200:
  *         description: Workflows listed successfully
+ *       400:
+ *         description: Invalid workflowType or status filter
+ *       403:
+ *         description: Custom query used by a non-admin
  *       500:
  *         description: Failed to list workflows
  */
@@ -136,7 +162,9 @@ router.get("/api/workflow/list", authMiddleware, WorkflowController.listWorkflow
  * /api/workflow/{workflowId}/signal:
  *   post:
  *     summary: Signal a workflow
- *     description: Sends a signal to a running workflow using handle.signal()
+ *     description: Sends a signal to a running workflow using handle.signal(). Admins only
+ *       (workflows:manage). Internal signals (approve, reject, moderationDecision,
+ *       paymentCaptured) are refused; the payment and moderation endpoints send those.
  *     tags: [Workflow]
  *     security:
  *       - bearerAuth: []
@@ -167,6 +195,10 @@ router.get("/api/workflow/list", authMiddleware, WorkflowController.listWorkflow
  *         description: Workflow signal sent successfully
  *       400:
  *         description: Workflow ID or signal name is required
+ *       403:
+ *         description: Caller is not an admin, or the signal is internal
+ *       404:
+ *         description: Workflow not found
  *       500:
  *         description: Failed to signal workflow
  */
@@ -177,7 +209,7 @@ router.post("/api/workflow/:workflowId/signal", authMiddleware, WorkflowControll
  * /api/workflow/{workflowId}/cancel:
  *   post:
  *     summary: Cancel a workflow
- *     description: Cancels a running workflow using handle.cancel()
+ *     description: Cancels a running workflow using handle.cancel(). Publishing workflows release an open credit hold first; credit pack purchases cannot be cancelled.
  *     tags: [Workflow]
  *     security:
  *       - bearerAuth: []
@@ -193,6 +225,10 @@ router.post("/api/workflow/:workflowId/signal", authMiddleware, WorkflowControll
  *         description: Workflow cancelled successfully
  *       400:
  *         description: Workflow ID is required
+ *       404:
+ *         description: Workflow not found, or started for another user (non-admins)
+ *       409:
+ *         description: Workflow type cannot be cancelled
  *       500:
  *         description: Failed to cancel workflow
  */
@@ -203,7 +239,7 @@ router.post("/api/workflow/:workflowId/cancel", authMiddleware, WorkflowControll
  * /api/workflow/{workflowId}/terminate:
  *   post:
  *     summary: Terminate a workflow
- *     description: Terminates a running workflow using handle.terminate()
+ *     description: Terminates a running workflow using handle.terminate() (admins only; skips the workflow's clean-up)
  *     tags: [Workflow]
  *     security:
  *       - bearerAuth: []
@@ -228,6 +264,10 @@ router.post("/api/workflow/:workflowId/cancel", authMiddleware, WorkflowControll
  *         description: Workflow terminated successfully
  *       400:
  *         description: Workflow ID is required
+ *       403:
+ *         description: Terminating workflows is restricted to admins
+ *       404:
+ *         description: Workflow not found
  *       500:
  *         description: Failed to terminate workflow
  */
@@ -2,6 +2,16 @@ const db = require("../entity");
 const Developer = db.Developer;
 const PlatformUser = db.PlatformUser;
 const { Op } = require("sequelize");
+const { validateCursor, buildKeysetQuery, findKeysetPage } = require("../utils/cursorPagination");
+const { toDeveloperRecord } = require("../utils/listingRecordMapper");
+
+/**
+ * Keyset sort keys for developer listing: newest first, primary key breaks ties
+ */
+const DEVELOPER_LIST_KEYS = [
+  { sql: '"developer"."developer_created_at"', direction: 'DESC' },
+  { sql: '"developer"."developer_id"', direction: 'DESC' }
+];
 
  
 
@@ -26,13 +36,7 @@ const createDeveloper = async (userId, draftId, developerData) => {
     }
 
     // Create developer record
-    const developer = await db.Developer.create({
-      userId,
-      draftId,
-      developerName: developerData.developerName,
-      subscribeForDeveloperPage: developerData.subscribeForDeveloperPage || false,
-      verificationStatus: 'PENDING'
-    });
+    const developer = await db.Developer.create(toDeveloperRecord(userId, draftId, developerData));
 
     return {
       success: true,
@@ -156,6 +160,7 @@ const getDevelopersByUserId = async (userId) => {
 /**
  * List developers with filters and pagination
  * @param {object} filters - Filter criteria
+ * @param {string} filters.cursor - Cursor from the previous page (keyset mode, page is ignored)
  * @param {number} page - Page number
  * @param {number} limit - Items per page
  * @returns {Promise<object>} - Result object with developers and pagination
@@ -190,13 +195,21 @@ const listDevelopers = async (filters = {}, page = 1, limit = 20) => {
       ];
     }
 
-    const offset = (page - 1) * limit;
+    const cursorError = filters.cursor
+      ? validateCursor(filters.cursor, 'newest', DEVELOPER_LIST_KEYS.length)
+      : null;
+    if (cursorError) {
+      return {
+        success: false,
+        message: cursorError,
+        statusCode: 400
+      };
+    }
+
+    const keyset = buildKeysetQuery({ sort: 'newest', keys: DEVELOPER_LIST_KEYS, cursor: filters.cursor });
 
-    const { count, rows } = await db.Developer.findAndCountAll({
+    const { rows, pagination } = await findKeysetPage(db.Developer, {
       where: whereClause,
-      limit,
-      offset,
-      order: [['developer_created_at', 'DESC']],
       include: [
         {
           model: db.PlatformUser,
@@ -204,18 +217,13 @@ const listDevelopers = async (filters = {}, page = 1, limit = 20) => {
           attributes: ['userId', 'firstName', 'lastName', 'profileImage']
         }
       ]
-    });
+    }, { keyset, cursor: filters.cursor, page, limit });
 
     return {
       success: true,
       data: {
         developers: rows,
-        pagination: {
-          total: count,
-          page,
-          limit,
-          totalPages: Math.ceil(count / limit)
-        }
+        pagination
       }
     };
   } catch (error) {
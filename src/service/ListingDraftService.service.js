@@ -1,9 +1,35 @@
 const { Op } = require("sequelize");
 const db = require("../entity");
 const ListingDraft = db.ListingDraft;
-const Property = db.Property;
-const Project = db.Project;
 const PlatformUser = db.PlatformUser;
+const { runWorkflowAsync, WORKFLOWS } = require("../utils/workflowHelper");
+
+/**
+ * Publishing workflow for each draft type, with the workflow id prefix its controller uses
+ * and the input it expects
+ */
+const DRAFT_WORKFLOWS = {
+  PROPERTY: {
+    workflowName: WORKFLOWS.PROPERTY_PUBLISHING,
+    workflowIdPrefix: 'property-publish',
+    toInput: (draft) => ({ userId: draft.userId, draftId: draft.draftId })
+  },
+  PG: {
+    workflowName: WORKFLOWS.PG_HOSTEL_PUBLISHING,
+    workflowIdPrefix: 'pg-hostel-publish',
+    toInput: (draft) => ({ userId: draft.userId, draftId: draft.draftId })
+  },
+  PROJECT: {
+    workflowName: WORKFLOWS.PROJECT_PUBLISHING,
+    workflowIdPrefix: 'project-publish',
+    toInput: (draft) => ({ userId: draft.userId, draftId: draft.draftId, projectData: draft.draftData || {} })
+  },
+  DEVELOPER: {
+    workflowName: WORKFLOWS.DEVELOPER_PUBLISHING,
+    workflowIdPrefix: 'developer-publish',
+    toInput: (draft) => ({ userId: draft.userId, draftId: draft.draftId })
+  }
+};
 
 /**
  * Create a new listing draft
@@ -173,16 +199,15 @@ const deleteDraft = async (draftId, userId) => {
 };
 
 /**
- * Submit a listing draft (create property and optionally project)
+ * Submit a listing draft: starts the publishing workflow for its type, so a submitted
+ * draft goes through the same credit reservation, automated review, moderation and
+ * duplicate checks as one published from its own endpoint
  * @param {number} draftId - The ID of the draft to submit
  * @param {number} userId - The ID of the user
- * @returns {Promise<object>} The created property and project (if applicable)
+ * @returns {Promise<object>} The started workflow (and its result, when run directly)
  */
 const submitDraft = async (draftId, userId) => {
-  const transaction = await db.sequelize.transaction();
-
   try {
-    // Fetch the draft
     const draft = await ListingDraft.findOne({
       where: {
         draftId: draftId,
@@ -193,106 +218,64 @@ const submitDraft = async (draftId, userId) => {
     if (!draft) {
       return {
         success: false,
-        message: 'Draft not found or unauthorized'
+        message: 'Draft not found or unauthorized',
+        statusCode: 404
       };
     }
 
-    const draftData = draft.draftData;
-    const draftType = draft.draftType;
-    let projectId = null;
-    let result = {};
-
-    // Handle different draft types
-    switch (draftType) {
-      case 'PROPERTY':
-      case 'PG':
-        // Check if a new property needs to be created
-        if (draftData.isNewProperty && draftData.customPropertyName) {
-          // Create a new project with the custom property name
-          const newProject = await Project.create({
-            projectName: draftData.customPropertyName,
-            createdBy: userId,
-            projectDetails: {
-              ownershipType: draftData.ownershipType,
-              reraIds: draftData.reraIds || [],
-              ageOfProperty: draftData.ageOfProperty,
-              possessionStatus: draftData.possessionStatus,
-              possessionDate: draftData.possessionDate,
-              createdFromListing: true
-            },
-            status: 'ACTIVE'
-          }, { transaction });
-
-          projectId = newProject.projectId;
-        } else if (draftData.projectName && draftData.projectName !== 'Not Listed') {
-          // Find existing project by name
-          const existingProject = await Project.findOne({
-            where: {
-              projectName: draftData.projectName
-            }
-          });
-
-          if (existingProject) {
-            projectId = existingProject.projectId;
-          }
-        }
-
-        // Create the property (listing)
-        const property = await Property.create({
-          propertyName: draftData.customPropertyName || draftData.projectName,
-          projectId: projectId,
-          createdBy: userId,
-          propertyDetails: draftData,
-          status: 'ACTIVE'
-        }, { transaction });
-
-        result = {
-          property: property,
-          projectCreated: draftData.isNewProperty && projectId !== null
-        };
-        break;
-
-      case 'PROJECT':
-        // Create a new project
-        const newProjectDirect = await Project.create({
-          projectName: draftData.projectName,
-          createdBy: userId,
-          projectDetails: draftData,
-          status: 'ACTIVE'
-        }, { transaction });
-
-        result = {
-          project: newProjectDirect
-        };
-        break;
-
-      case 'DEVELOPER':
-        // Handle developer creation (if Developer entity exists)
-        // For now, store in draftData or create appropriate entity
-        result = {
-          developer: draftData,
-          message: 'Developer draft submitted (entity creation pending)'
-        };
-        break;
-
-      default:
-        throw new Error(`Unknown draft type: ${draftType}`);
+    // One draft = one published listing, as in the publishing workflows
+    if (draft.draftStatus === 'PUBLISHED') {
+      return {
+        success: false,
+        message: 'Draft has already been published',
+        statusCode: 409
+      };
     }
 
-    // Update draft status to PUBLISHED
-    await draft.update({
-      draftStatus: 'PUBLISHED'
-    }, { transaction });
+    const publishing = DRAFT_WORKFLOWS[draft.draftType];
+    if (!publishing) {
+      return {
+        success: false,
+        message: `Unknown draft type: ${draft.draftType}`,
+        statusCode: 400
+      };
+    }
 
-    await transaction.commit();
+    // The workflow ID is derived from the draft, so Temporal refuses a second run for it
+    // (a double submit, or a resubmit once the first run has closed)
+    const { workflowId, mode, result } = await runWorkflowAsync(
+      publishing.workflowName,
+      publishing.toInput(draft),
+      `${publishing.workflowIdPrefix}-draft-${draft.draftId}`,
+      { workflowIdReusePolicy: 'REJECT_DUPLICATE' }
+    );
+
+    // Direct mode runs the workflow before returning; report a run that stopped short
+    if (result && !result.success) {
+      return {
+        success: false,
+        message: result.message || `Failed to publish ${draft.draftType} draft`,
+        statusCode: 422
+      };
+    }
 
     return {
       success: true,
-      data: result,
-      message: `${draftType} listing submitted successfully`
+      data: {
+        workflowId,
+        executionMode: mode,
+        ...(result && { result })
+      },
+      message: `${draft.draftType} listing submitted for publishing`
     };
   } catch (error) {
-    await transaction.rollback();
+    if (error.name === 'WorkflowExecutionAlreadyStartedError') {
+      return {
+        success: false,
+        message: 'Draft has already been submitted for publishing',
+        statusCode: 409
+      };
+    }
     console.error('Error submitting draft:', error);
     throw error;
   }
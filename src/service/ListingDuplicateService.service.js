@@ -0,0 +1,642 @@
+const db = require("../entity");
+const ListingDuplicate = db.ListingDuplicate;
+const { Op, QueryTypes } = require("sequelize");
+const logger = require("../config/winston.config");
+const { enqueueListingDuplicateScan } = require("../queues/listingDuplicateScanQueue");
+const { getImageKeys, getPhashesByKey, hashListingMedia } = require("./ListingMediaHashService.service");
+const {
+  DUPLICATE_STATUS,
+  DUPLICATE_SIGNALS,
+  DUPLICATE_SIGNAL_WEIGHTS,
+  LISTING_DUPLICATE_RADIUS_METERS,
+  LISTING_DUPLICATE_THRESHOLD,
+  SAME_SPOT_METERS,
+  AREA_TOLERANCE,
+  PHASH_MAX_DISTANCE,
+  DUPLICATE_CANDIDATE_LIMIT,
+  DUPLICATE_CLUSTER_PAIR_LIMIT
+} = require("../config/listingDuplicate.config");
+
+/**
+ * Listing types checked for duplicates (same names as ListingModeration.listingType)
+ */
+const DUPLICATE_LISTING_TYPES = ['PROPERTY', 'PG_HOSTEL'];
+
+/**
+ * Listings to scan per batch
+ */
+const SCAN_BATCH_SIZE = 500;
+
+/**
+ * Published listings per listing type.
+ * Every select yields: listing_id, owner_id, draft_id, title, city, locality, location,
+ * unit_number, tower_name, carpet_area, super_area, media_data
+ */
+const LISTING_SELECTS = {
+  PROPERTY: `
+    SELECT p.property_id AS listing_id,
+           p.created_by AS owner_id,
+           p.draft_id,
+           COALESCE(p.title, p.property_name) AS title,
+           p.city,
+           p.locality,
+           p.location,
+           p.unit_number,
+           p.tower_name,
+           p.carpet_area,
+           p.super_area,
+           p.media_data
+    FROM property p
+    WHERE p.property_deleted_at IS NULL`,
+  PG_HOSTEL: `
+    SELECT h.pg_hostel_id AS listing_id,
+           h.user_id AS owner_id,
+           h.draft_id,
+           h.property_name AS title,
+           h.city,
+           h.locality,
+           h.location,
+           NULL AS unit_number,
+           NULL AS tower_name,
+           NULL AS carpet_area,
+           NULL AS super_area,
+           h.media_data
+    FROM pg_colive_hostel h
+    WHERE h.pg_hostel_deleted_at IS NULL`
+};
+
+const SEARCH_POINT_SQL = 'ST_SetSRID(ST_MakePoint(:lng, :lat), 4326)::geography';
+
+/**
+ * Lower-cased letters and digits only, so "Tower-B" and "tower b" compare equal
+ * @param {*} value - Text to normalize
+ * @returns {string}
+ */
+const normalizeText = (value) => (value === null || value === undefined ? '' : String(value).toLowerCase().replace(/[^a-z0-9]/g, ''));
+
+/**
+ * First number in an area value such as "1,250 sq ft"
+ * @param {*} value - Area as stored
+ * @returns {number|null}
+ */
+const parseArea = (value) => {
+  const match = String(value === null || value === undefined ? '' : value).replace(/,/g, '').match(/\d+(\.\d+)?/);
+  return match && Number(match[0]) > 0 ? Number(match[0]) : null;
+};
+
+/**
+ * Number of differing bits between two 64-bit perceptual hashes
+ */
+const hammingDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let bits = 0;
+  while (diff > 0n) {
+    bits += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return bits;
+};
+
+/**
+ * Fields compared between listings, from submitted listing data and its photo hashes
+ */
+const fromListingData = (listingData, ownerId, phashes) => ({
+  ownerId,
+  name: listingData.propertyName,
+  unitNumber: listingData.unitNumber,
+  towerName: listingData.towerName,
+  carpetArea: parseArea(listingData.carpetArea),
+  superArea: parseArea(listingData.superArea),
+  phashes
+});
+
+/**
+ * Fields compared between listings, from a LISTING_SELECTS row and its photo hashes
+ */
+const fromRow = (row, phashes) => ({
+  ownerId: row.owner_id,
+  name: row.title,
+  unitNumber: row.unit_number,
+  towerName: row.tower_name,
+  carpetArea: parseArea(row.carpet_area),
+  superArea: parseArea(row.super_area),
+  phashes
+});
+
+/**
+ * Signals two nearby listings match on
+ * @param {string} listingType - PROPERTY | PG_HOSTEL
+ * @param {object} a - fromListingData / fromRow
+ * @param {object} b - fromListingData / fromRow
+ * @param {number} distanceMeters - Distance between the two listings
+ * @returns {{score: number, signals: Array<{signal: string, weight: number, detail: object}>}}
+ */
+const scorePair = (listingType, a, b, distanceMeters) => {
+  const signals = [];
+  const add = (signal, detail) => signals.push({ signal, weight: DUPLICATE_SIGNAL_WEIGHTS[signal], detail });
+
+  if (distanceMeters <= SAME_SPOT_METERS) {
+    add(DUPLICATE_SIGNALS.SAME_SPOT, { distanceMeters });
+  }
+
+  if (listingType === 'PROPERTY') {
+    const unit = normalizeText(a.unitNumber);
+    const towerA = normalizeText(a.towerName);
+    const towerB = normalizeText(b.towerName);
+    if (unit && unit === normalizeText(b.unitNumber) && (!towerA || !towerB || towerA === towerB)) {
+      add(DUPLICATE_SIGNALS.SAME_UNIT, { unitNumber: b.unitNumber, towerName: b.towerName || null });
+    }
+
+    const areaField = ['carpetArea', 'superArea'].find(field => a[field] && b[field]
+      && Math.abs(a[field] - b[field]) / Math.max(a[field], b[field]) <= AREA_TOLERANCE);
+    if (areaField) {
+      add(DUPLICATE_SIGNALS.SIMILAR_AREA, { field: areaField, areas: [a[areaField], b[areaField]] });
+    }
+  }
+
+  if (listingType === 'PG_HOSTEL') {
+    const name = normalizeText(a.name);
+    if (name && name === normalizeText(b.name)) {
+      add(DUPLICATE_SIGNALS.SAME_NAME, { name: b.name });
+    }
+  }
+
+  const matchingPhotos = a.phashes.filter(phash => b.phashes.some(other => hammingDistance(phash, other) <= PHASH_MAX_DISTANCE)).length;
+  if (matchingPhotos > 0) {
+    add(DUPLICATE_SIGNALS.SIMILAR_IMAGES, { matchingPhotos });
+  }
+
+  return {
+    score: Math.min(100, signals.reduce((sum, signal) => sum + signal.weight, 0)),
+    signals
+  };
+};
+
+/**
+ * Published listings near a point that score as duplicates of the subject
+ * @param {string} listingType - PROPERTY | PG_HOSTEL
+ * @param {object} subject - fromListingData / fromRow
+ * @param {{lat: number, lng: number}} coordinates - Subject position
+ * @param {object} exclude - { listingId, draftId } of the subject itself
+ * @returns {Promise<Array<object>>} - Matches, highest score first
+ */
+const findMatches = async (listingType, subject, { lat, lng }, { listingId = null, draftId = null }) => {
+  const candidates = await db.sequelize.query(
+    `SELECT listing_id, owner_id, draft_id, title, unit_number, tower_name, carpet_area, super_area, media_data,
+            ST_Distance(location, ${SEARCH_POINT_SQL}) AS distance_meters
+     FROM (${LISTING_SELECTS[listingType]}) AS listings
+     WHERE location IS NOT NULL
+       AND ST_DWithin(location, ${SEARCH_POINT_SQL}, :radiusMeters)
+       AND listing_id IS DISTINCT FROM :listingId
+       AND draft_id IS DISTINCT FROM :draftId
+     ORDER BY distance_meters ASC
+     LIMIT :limit`,
+    {
+      replacements: {
+        lat,
+        lng,
+        radiusMeters: LISTING_DUPLICATE_RADIUS_METERS,
+        listingId,
+        draftId,
+        limit: DUPLICATE_CANDIDATE_LIMIT
+      },
+      type: QueryTypes.SELECT
+    }
+  );
+
+  // Candidates are compared on photos already hashed; their own checks hashed the rest
+  const phashesByKey = await getPhashesByKey([...new Set(candidates.flatMap(candidate => getImageKeys(candidate.media_data)))]);
+  const phashesOf = (mediaData) => getImageKeys(mediaData).map(key => phashesByKey.get(key)).filter(Boolean);
+
+  return candidates
+    .map(candidate => {
+      const distanceMeters = Math.round(Number(candidate.distance_meters));
+      return {
+        listingId: candidate.listing_id,
+        ownerId: candidate.owner_id,
+        title: candidate.title,
+        sameOwner: candidate.owner_id === subject.ownerId,
+        distanceMeters,
+        ...scorePair(listingType, subject, fromRow(candidate, phashesOf(candidate.media_data)), distanceMeters)
+      };
+    })
+    .filter(match => match.score >= LISTING_DUPLICATE_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Where clause for the pairs a listing belongs to
+ */
+const pairsOf = (listingType, listingId) => ({
+  listingType,
+  [Op.or]: [{ listingId }, { duplicateListingId: listingId }]
+});
+
+/**
+ * API shape of a duplicate pair
+ * @param {object} pair - ListingDuplicate instance
+ * @returns {object}
+ */
+const toDuplicateResponse = (pair) => ({
+  duplicateId: pair.duplicateId,
+  listingType: pair.listingType,
+  listingIds: [pair.listingId, pair.duplicateListingId],
+  score: pair.score,
+  signals: pair.signals,
+  distanceMeters: pair.distanceMeters,
+  sameOwner: pair.sameOwner,
+  status: pair.status,
+  reviewedBy: pair.reviewedBy,
+  reviewedAt: pair.reviewedAt,
+  updatedAt: pair.updatedAt
+});
+
+/**
+ * Published listings a submission would duplicate. When the draft is already published,
+ * pairs an admin dismissed for that listing are left out.
+ * @param {string} listingType - PROPERTY | PG_HOSTEL
+ * @param {object} listingData - Validated listing data
+ * @param {object} submission - { userId, draftId }
+ * @returns {Promise<{success: boolean, data?: {matches: Array}, message?: string, statusCode?: number}>}
+ */
+const findDuplicatesForSubmission = async (listingType, listingData, { userId, draftId = null }) => {
+  try {
+    if (!DUPLICATE_LISTING_TYPES.includes(listingType)) {
+      return { success: false, message: `Listing type must be one of: ${DUPLICATE_LISTING_TYPES.join(', ')}`, statusCode: 400 };
+    }
+
+    const coordinates = listingData.coordinates || {};
+    const lat = Number(coordinates.lat);
+    const lng = Number(coordinates.lng);
+    if (!coordinates.lat || !coordinates.lng || !Number.isFinite(lat) || !Number.isFinite(lng)) {
+      return { success: true, data: { matches: [] } };
+    }
+
+    const phashes = await hashListingMedia(listingData.mediaData, userId);
+    let matches = await findMatches(listingType, fromListingData(listingData, userId, phashes), { lat, lng }, { draftId });
+
+    if (draftId && matches.length > 0) {
+      const [published] = await db.sequelize.query(
+        `SELECT listing_id FROM (${LISTING_SELECTS[listingType]}) AS listings WHERE draft_id = :draftId LIMIT 1`,
+        { replacements: { draftId }, type: QueryTypes.SELECT }
+      );
+
+      if (published) {
+        const dismissed = await ListingDuplicate.findAll({
+          where: { ...pairsOf(listingType, published.listing_id), status: DUPLICATE_STATUS.DISMISSED }
+        });
+        const dismissedIds = new Set(dismissed.map(pair => (pair.listingId === published.listing_id ? pair.duplicateListingId : pair.listingId)));
+        matches = matches.filter(match => !dismissedIds.has(match.listingId));
+      }
+    }
+
+    return {
+      success: true,
+      data: { matches }
+    };
+  } catch (error) {
+    logger.error(`Error checking ${listingType} draft ${draftId} for duplicates:`, error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+/**
+ * Recompute the suspected duplicates of one published listing. New matches are recorded
+ * as SUSPECTED; pairs admins already reviewed keep their status, and SUSPECTED pairs the
+ * listing no longer matches are removed.
+ * @param {string} listingType - PROPERTY | PG_HOSTEL
+ * @param {number} listingId - property_id or pg_hostel_id
+ * @returns {Promise<{success: boolean, summary?: {matches: number}, message?: string, statusCode?: number}>}
+ */
+const recordDuplicatesForListing = async (listingType, listingId) => {
+  try {
+    if (!DUPLICATE_LISTING_TYPES.includes(listingType)) {
+      return { success: false, message: `Listing type must be one of: ${DUPLICATE_LISTING_TYPES.join(', ')}`, statusCode: 400 };
+    }
+
+    const [listing] = await db.sequelize.query(
+      `SELECT listing_id, owner_id, draft_id, title, unit_number, tower_name, carpet_area, super_area, media_data,
+              ST_Y(location::geometry) AS lat,
+              ST_X(location::geometry) AS lng
+       FROM (${LISTING_SELECTS[listingType]}) AS listings
+       WHERE listing_id = :listingId`,
+      { replacements: { listingId }, type: QueryTypes.SELECT }
+    );
+
+    if (!listing) {
+      return { success: false, message: 'Listing not found', statusCode: 404 };
+    }
+
+    let matches = [];
+    if (listing.lat !== null && listing.lat !== undefined) {
+      const phashes = await hashListingMedia(listing.media_data, listing.owner_id);
+      matches = await findMatches(listingType, fromRow(listing, phashes), { lat: listing.lat, lng: listing.lng }, { listingId });
+    }
+
+    await db.sequelize.transaction(async (transaction) => {
+      if (matches.length > 0) {
+        await ListingDuplicate.bulkCreate(matches.map(match => ({
+          listingType,
+          listingId: Math.min(listingId, match.listingId),
+          duplicateListingId: Math.max(listingId, match.listingId),
+          score: match.score,
+          signals: match.signals,
+          distanceMeters: match.distanceMeters,
+          sameOwner: match.sameOwner,
+          status: DUPLICATE_STATUS.SUSPECTED
+        })), {
+          conflictAttributes: ['listingType', 'listingId', 'duplicateListingId'],
+          updateOnDuplicate: ['score', 'signals', 'distanceMeters', 'sameOwner', 'updatedAt'],
+          transaction
+        });
+      }
+
+      const matchedIds = matches.map(match => match.listingId);
+      await ListingDuplicate.destroy({
+        where: {
+          ...pairsOf(listingType, listingId),
+          status: DUPLICATE_STATUS.SUSPECTED,
+          ...(matchedIds.length > 0 && {
+            [Op.and]: [
+              { listingId: { [Op.notIn]: matchedIds } },
+              { duplicateListingId: { [Op.notIn]: matchedIds } }
+            ]
+          })
+        },
+        transaction
+      });
+    });
+
+    if (matches.length > 0) {
+      logger.warn(`${listingType} ${listingId} has ${matches.length} suspected duplicate(s): ${matches.map(match => `${match.listingId} (${match.score})`).join(', ')}`);
+    }
+
+    return {
+      success: true,
+      summary: { matches: matches.length }
+    };
+  } catch (error) {
+    logger.error(`Error recording duplicates of ${listingType} ${listingId}:`, error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+/**
+ * Recompute suspected duplicates for every published listing
+ * @returns {Promise<{success: boolean, summary?: object, message?: string}>}
+ */
+const scanDuplicates = async () => {
+  try {
+    const summary = {};
+
+    for (const listingType of DUPLICATE_LISTING_TYPES) {
+      const counts = { listings: 0, withDuplicates: 0, failed: 0 };
+      let lastId = 0;
+
+      while (true) {
+        const batch = await db.sequelize.query(
+          `SELECT listing_id
+           FROM (${LISTING_SELECTS[listingType]}) AS listings
+           WHERE location IS NOT NULL
+             AND listing_id > :lastId
+           ORDER BY listing_id ASC
+           LIMIT :batchSize`,
+          { replacements: { lastId, batchSize: SCAN_BATCH_SIZE }, type: QueryTypes.SELECT }
+        );
+
+        if (batch.length === 0) {
+          break;
+        }
+
+        for (const { listing_id: listingId } of batch) {
+          const result = await recordDuplicatesForListing(listingType, listingId);
+          counts.listings++;
+          if (!result.success) {
+            counts.failed++;
+          } else if (result.summary.matches > 0) {
+            counts.withDuplicates++;
+          }
+        }
+
+        lastId = batch[batch.length - 1].listing_id;
+      }
+
+      summary[listingType] = counts;
+    }
+
+    logger.info(`Duplicate listing scan finished: ${JSON.stringify(summary)}`);
+
+    return {
+      success: true,
+      summary
+    };
+  } catch (error) {
+    logger.error('Error scanning listings for duplicates:', error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+/**
+ * Suspected duplicates grouped into clusters: listings linked by any chain of pairs with
+ * the requested status. Highest-scoring clusters first. Only the DUPLICATE_CLUSTER_PAIR_LIMIT
+ * highest-scoring pairs are grouped; pagination.truncated is set when there are more.
+ * @param {object} filters - { listingType, status }; status defaults to SUSPECTED
+ * @param {number} page - Page number
+ * @param {number} limit - Clusters per page
+ * @returns {Promise<{success: boolean, data?: object, message?: string, statusCode?: number}>}
+ */
+const listDuplicateClusters = async ({ listingType, status } = {}, page = 1, limit = 20) => {
+  try {
+    const where = { status: status || DUPLICATE_STATUS.SUSPECTED };
+
+    if (!Object.values(DUPLICATE_STATUS).includes(where.status)) {
+      return { success: false, message: `Status must be one of: ${Object.values(DUPLICATE_STATUS).join(', ')}`, statusCode: 400 };
+    }
+    if (listingType) {
+      if (!DUPLICATE_LISTING_TYPES.includes(listingType)) {
+        return { success: false, message: `Listing type must be one of: ${DUPLICATE_LISTING_TYPES.join(', ')}`, statusCode: 400 };
+      }
+      where.listingType = listingType;
+    }
+
+    const pairs = await ListingDuplicate.findAll({
+      where,
+      order: [['score', 'DESC'], ['duplicateId', 'ASC']],
+      limit: DUPLICATE_CLUSTER_PAIR_LIMIT + 1
+    });
+    const truncated = pairs.length > DUPLICATE_CLUSTER_PAIR_LIMIT;
+    if (truncated) {
+      pairs.pop();
+    }
+
+    // Union-find over listings, keyed by type and id
+    const parent = new Map();
+    const find = (key) => {
+      if (!parent.has(key)) {
+        parent.set(key, key);
+      }
+      while (parent.get(key) !== key) {
+        parent.set(key, parent.get(parent.get(key)));
+        key = parent.get(key);
+      }
+      return key;
+    };
+    pairs.forEach(pair => {
+      parent.set(find(`${pair.listingType}:${pair.listingId}`), find(`${pair.listingType}:${pair.duplicateListingId}`));
+    });
+
+    const clustersByRoot = new Map();
+    pairs.forEach(pair => {
+      const root = find(`${pair.listingType}:${pair.listingId}`);
+      if (!clustersByRoot.has(root)) {
+        clustersByRoot.set(root, { listingType: pair.listingType, listingIds: new Set(), maxScore: 0, pairs: [] });
+      }
+      const cluster = clustersByRoot.get(root);
+      cluster.listingIds.add(pair.listingId);
+      cluster.listingIds.add(pair.duplicateListingId);
+      cluster.maxScore = Math.max(cluster.maxScore, pair.score);
+      cluster.pairs.push(toDuplicateResponse(pair));
+    });
+
+    const clusters = [...clustersByRoot.values()]
+      .sort((a, b) => b.maxScore - a.maxScore || b.listingIds.size - a.listingIds.size);
+    const pageClusters = clusters.slice((page - 1) * limit, page * limit);
+
+    // Listing summaries for the clusters on this page
+    const listings = {};
+    for (const type of DUPLICATE_LISTING_TYPES) {
+      const ids = pageClusters
+        .filter(cluster => cluster.listingType === type)
+        .flatMap(cluster => [...cluster.listingIds]);
+      if (ids.length === 0) {
+        continue;
+      }
+
+      const rows = await db.sequelize.query(
+        `SELECT listing_id, owner_id, title, city, locality
+         FROM (${LISTING_SELECTS[type]}) AS listings
+         WHERE listing_id IN (:ids)`,
+        { replacements: { ids }, type: QueryTypes.SELECT }
+      );
+      rows.forEach(row => {
+        listings[`${type}:${row.listing_id}`] = {
+          listingId: row.listing_id,
+          ownerId: row.owner_id,
+          title: row.title,
+          city: row.city,
+          locality: row.locality
+        };
+      });
+    }
+
+    return {
+      success: true,
+      data: {
+        clusters: pageClusters.map(cluster => ({
+          listingType: cluster.listingType,
+          maxScore: cluster.maxScore,
+          // Listings deleted since the pair was recorded are left out
+          listings: [...cluster.listingIds]
+            .sort((a, b) => a - b)
+            .map(id => listings[`${cluster.listingType}:${id}`])
+            .filter(Boolean),
+          pairs: cluster.pairs
+        })),
+        pagination: {
+          total: clusters.length,
+          page,
+          limit,
+          totalPages: Math.ceil(clusters.length / limit),
+          truncated
+        }
+      }
+    };
+  } catch (error) {
+    logger.error('Error listing duplicate clusters:', error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+/**
+ * Confirm or dismiss a suspected duplicate pair. Dismissed pairs no longer block publishing.
+ * @param {number} duplicateId - Pair ID
+ * @param {number} reviewerId - Reviewing admin
+ * @param {string} status - CONFIRMED | DISMISSED
+ * @returns {Promise<{success: boolean, data?: object, message?: string, statusCode?: number}>}
+ */
+const reviewDuplicate = async (duplicateId, reviewerId, status) => {
+  try {
+    if (![DUPLICATE_STATUS.CONFIRMED, DUPLICATE_STATUS.DISMISSED].includes(status)) {
+      return { success: false, message: `Status must be one of: ${DUPLICATE_STATUS.CONFIRMED}, ${DUPLICATE_STATUS.DISMISSED}`, statusCode: 400 };
+    }
+
+    const pair = await ListingDuplicate.findByPk(duplicateId);
+    if (!pair) {
+      return { success: false, message: 'Duplicate pair not found', statusCode: 404 };
+    }
+
+    await pair.update({
+      status,
+      reviewedBy: reviewerId,
+      reviewedAt: new Date()
+    });
+
+    logger.info(`Duplicate pair ${duplicateId} (${pair.listingType} ${pair.listingId}/${pair.duplicateListingId}) ${status} by ${reviewerId}`);
+
+    return {
+      success: true,
+      data: toDuplicateResponse(pair)
+    };
+  } catch (error) {
+    logger.error(`Error reviewing duplicate pair ${duplicateId}:`, error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+/**
+ * Queue a full duplicate scan outside the nightly schedule
+ * @param {number} adminId - Requesting admin
+ * @returns {Promise<{success: boolean, data?: {jobId: string}, message?: string}>}
+ */
+const requestDuplicateScan = async (adminId) => {
+  try {
+    const { jobId } = await enqueueListingDuplicateScan();
+
+    logger.info(`Duplicate listing scan ${jobId} requested by ${adminId}`);
+
+    return {
+      success: true,
+      data: { jobId }
+    };
+  } catch (error) {
+    logger.error('Error queueing duplicate listing scan:', error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+module.exports = {
+  findDuplicatesForSubmission,
+  recordDuplicatesForListing,
+  scanDuplicates,
+  listDuplicateClusters,
+  reviewDuplicate,
+  requestDuplicateScan
+};
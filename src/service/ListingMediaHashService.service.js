@@ -0,0 +1,147 @@
+const db = require("../entity");
+const ListingMediaHash = db.ListingMediaHash;
+const { Op } = require("sequelize");
+const logger = require("../config/winston.config");
+const { s3, defaultBucket } = require("../config/s3.config");
+const { computePhash } = require("../utils/imageHash");
+const { MEDIA_HASH_MAX_BYTES } = require("../config/listingDuplicate.config");
+
+/**
+ * Extensions hashed when a media entry carries no mimetype
+ */
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.heic', '.heif', '.gif'];
+
+/**
+ * Bucket listing media is uploaded to (as in utils/s3Upload)
+ * @returns {string}
+ */
+const listingBucket = () => process.env.S3_LISTING_BUCKET || defaultBucket;
+
+/**
+ * Storage key of a media entry: its key, or the object path of its URL
+ * @param {object|string} entry - mediaData entry ({ key, url, mimetype } or a URL)
+ * @returns {string|null}
+ */
+const getMediaKey = (entry) => {
+  if (entry && typeof entry === 'object' && typeof entry.key === 'string' && entry.key) {
+    return entry.key;
+  }
+
+  const url = typeof entry === 'string' ? entry : entry && entry.url;
+  if (typeof url !== 'string') {
+    return null;
+  }
+
+  let path;
+  try {
+    path = decodeURIComponent(new URL(url).pathname).replace(/^\/+/, '');
+  } catch (error) {
+    return null;
+  }
+
+  // Path-style URLs (S3_ENDPOINT/bucket/key) carry the bucket in the path
+  const bucketPrefix = `${listingBucket()}/`;
+  return (path.startsWith(bucketPrefix) ? path.slice(bucketPrefix.length) : path) || null;
+};
+
+/**
+ * Whether a media entry is a photo
+ * @param {object|string} entry - mediaData entry
+ * @param {string} key - Its storage key
+ * @returns {boolean}
+ */
+const isImageEntry = (entry, key) => {
+  if (entry && typeof entry === 'object' && typeof entry.mimetype === 'string') {
+    return entry.mimetype.startsWith('image/');
+  }
+  const extension = key.slice(key.lastIndexOf('.')).toLowerCase();
+  return IMAGE_EXTENSIONS.includes(extension);
+};
+
+/**
+ * Storage keys of a listing's photos
+ * @param {Array} mediaData - Listing mediaData
+ * @returns {Array<string>}
+ */
+const getImageKeys = (mediaData) => [...new Set((Array.isArray(mediaData) ? mediaData : [])
+  .map(entry => {
+    const key = getMediaKey(entry);
+    return key && isImageEntry(entry, key) ? key : null;
+  })
+  .filter(Boolean))];
+
+/**
+ * Store the hash of an uploaded file
+ * @param {object} mediaHash - { mediaKey, phash, userId }
+ * @returns {Promise<void>}
+ */
+const recordMediaHash = async ({ mediaKey, phash, userId = null }) => {
+  await ListingMediaHash.upsert({ mediaKey, phash, userId });
+};
+
+/**
+ * Hash a photo already in storage (uploaded directly through a presigned URL)
+ * @param {string} mediaKey - Storage key
+ * @returns {Promise<string|null>} - null when the file is too large or not a decodable image
+ */
+const hashStoredImage = async (mediaKey) => {
+  const params = { Bucket: listingBucket(), Key: mediaKey };
+
+  const head = await s3.headObject(params).promise();
+  if (head.ContentLength > MEDIA_HASH_MAX_BYTES) {
+    return null;
+  }
+
+  const object = await s3.getObject(params).promise();
+  return computePhash(object.Body);
+};
+
+/**
+ * Stored hashes by storage key
+ * @param {Array<string>} mediaKeys - Storage keys
+ * @returns {Promise<Map<string, string|null>>}
+ */
+const getPhashesByKey = async (mediaKeys) => {
+  if (mediaKeys.length === 0) {
+    return new Map();
+  }
+
+  const rows = await ListingMediaHash.findAll({
+    where: { mediaKey: { [Op.in]: mediaKeys } },
+    attributes: ['mediaKey', 'phash']
+  });
+  return new Map(rows.map(row => [row.mediaKey, row.phash]));
+};
+
+/**
+ * Perceptual hashes of a listing's photos, hashing from storage any photo that has none
+ * yet. Only hashes the server computed are used; a photo that cannot be read right now
+ * is skipped and hashed on a later check.
+ * @param {Array} mediaData - Listing mediaData
+ * @param {number} [userId] - Listing owner, recorded with new hashes
+ * @returns {Promise<Array<string>>} - 16 hex character hashes
+ */
+const hashListingMedia = async (mediaData, userId = null) => {
+  const keys = getImageKeys(mediaData);
+  const stored = await getPhashesByKey(keys);
+
+  for (const mediaKey of keys.filter(key => !stored.has(key))) {
+    try {
+      const phash = await hashStoredImage(mediaKey);
+      await recordMediaHash({ mediaKey, phash, userId });
+      stored.set(mediaKey, phash);
+    } catch (error) {
+      logger.warn(`Could not hash listing media ${mediaKey}: ${error.message}`);
+    }
+  }
+
+  return keys.map(key => stored.get(key)).filter(Boolean);
+};
+
+module.exports = {
+  getMediaKey,
+  getImageKeys,
+  recordMediaHash,
+  getPhashesByKey,
+  hashListingMedia
+};
@@ -0,0 +1,278 @@
+const db = require("../entity");
+const ListingModeration = db.ListingModeration;
+const { Op } = require("sequelize");
+const logger = require("../config/winston.config");
+const { runWorkflowDirect } = require("../utils/workflowHelper");
+const { signalWorkflow } = require("../utils/temporalClient");
+const { SIGNALS } = require("../temporal/config/constants");
+const {
+  MODERATION_STATUS,
+  MODERATION_DECISIONS,
+  OPEN_MODERATION_STATUSES,
+  MODERATION_ESCALATION_MS
+} = require("../config/moderation.config");
+const { REVIEW_TIERS } = require("../config/listingReview.config");
+
+const LISTING_TYPES = ['PROPERTY', 'PG_HOSTEL', 'PROJECT', 'DEVELOPER'];
+
+/**
+ * API shape of a moderation item
+ * @param {object} item - ListingModeration instance
+ * @param {boolean} withListingData - Include the full submitted listing data
+ * @returns {object}
+ */
+const toModerationResponse = (item, withListingData = false) => ({
+  moderationId: item.moderationId,
+  workflowId: item.workflowId,
+  workflowName: item.workflowName,
+  userId: item.userId,
+  draftId: item.draftId,
+  listingType: item.listingType,
+  isUpdate: item.isUpdate,
+  status: item.status,
+  reviewTier: item.reviewTier,
+  riskScore: item.riskScore,
+  riskFlags: item.riskFlags,
+  baselineModerationId: item.baselineModerationId,
+  changes: item.changes,
+  escalationLevel: item.escalationLevel,
+  escalatedAt: item.escalatedAt,
+  reviewerId: item.reviewerId,
+  reviewComment: item.reviewComment,
+  decidedAt: item.decidedAt,
+  createdAt: item.createdAt,
+  ...(withListingData && { listingData: item.listingData })
+});
+
+/**
+ * Moderation queue: MANUAL_REVIEW items first, then most escalated, then oldest
+ * @param {object} filters - { status, reviewTier, listingType, userId }; status defaults to items awaiting review
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<{success: boolean, data?: object, message?: string, statusCode?: number}>}
+ */
+const listQueue = async ({ status, reviewTier, listingType, userId } = {}, page = 1, limit = 20) => {
+  try {
+    const where = {
+      status: { [Op.in]: OPEN_MODERATION_STATUSES }
+    };
+
+    if (status) {
+      if (!Object.values(MODERATION_STATUS).includes(status)) {
+        return { success: false, message: `Status must be one of: ${Object.values(MODERATION_STATUS).join(', ')}`, statusCode: 400 };
+      }
+      where.status = status;
+    }
+    if (reviewTier) {
+      if (!Object.values(REVIEW_TIERS).includes(reviewTier)) {
+        return { success: false, message: `Review tier must be one of: ${Object.values(REVIEW_TIERS).join(', ')}`, statusCode: 400 };
+      }
+      where.reviewTier = reviewTier;
+    }
+    if (listingType) {
+      if (!LISTING_TYPES.includes(listingType)) {
+        return { success: false, message: `Listing type must be one of: ${LISTING_TYPES.join(', ')}`, statusCode: 400 };
+      }
+      where.listingType = listingType;
+    }
+    if (userId) {
+      where.userId = userId;
+    }
+
+    const { count, rows } = await ListingModeration.findAndCountAll({
+      where,
+      order: [['reviewTier', 'DESC NULLS LAST'], ['escalationLevel', 'DESC'], ['createdAt', 'ASC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return {
+      success: true,
+      data: {
+        items: rows.map(item => toModerationResponse(item)),
+        pagination: {
+          total: count,
+          page,
+          limit,
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    };
+  } catch (error) {
+    logger.error('Error listing moderation queue:', error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+/**
+ * Get one moderation item with the submitted listing data
+ * @param {number} moderationId - Moderation item ID
+ * @returns {Promise<{success: boolean, data?: object, message?: string, statusCode?: number}>}
+ */
+const getItem = async (moderationId) => {
+  try {
+    const item = await ListingModeration.findByPk(moderationId);
+    if (!item) {
+      return { success: false, message: 'Moderation item not found', statusCode: 404 };
+    }
+
+    return {
+      success: true,
+      data: toModerationResponse(item, true)
+    };
+  } catch (error) {
+    logger.error(`Error fetching moderation item ${moderationId}:`, error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+/**
+ * Hand a recorded decision to the publishing workflow: signal the Temporal workflow
+ * waiting on it, or re-run the workflow directly. Either way the workflow reads the
+ * decision back from the item; only its id is passed along.
+ * @param {object} item - Decided ListingModeration instance
+ * @returns {Promise<{delivery: string, result?: object}>}
+ */
+const deliverDecision = async (item) => {
+  const moderation = { moderationId: item.moderationId };
+
+  if (item.workflowId) {
+    try {
+      await signalWorkflow(item.workflowId, SIGNALS.MODERATION_DECISION, moderation);
+      return { delivery: 'signal' };
+    } catch (error) {
+      // The workflow re-reads the decision at its next escalation check
+      logger.warn(`Could not signal workflow ${item.workflowId} for moderation item ${item.moderationId}: ${error.message}`);
+      return { delivery: 'pending' };
+    }
+  }
+
+  try {
+    const result = await runWorkflowDirect(item.workflowName, {
+      ...item.workflowInput,
+      moderation
+    });
+    return { delivery: 'direct', result };
+  } catch (error) {
+    // The decision stays recorded; the owner can publish the draft again
+    logger.error(`Publishing workflow failed after moderation item ${item.moderationId} was decided:`, error);
+    return { delivery: 'direct', result: { success: false, message: error.message } };
+  }
+};
+
+/**
+ * Record a reviewer's decision and pass it to the publishing workflow.
+ * The first reviewer to decide wins; later decisions get a 409.
+ * @param {number} moderationId - Moderation item ID
+ * @param {number} reviewerId - Deciding reviewer
+ * @param {string} decision - APPROVED | REJECTED | CHANGES_REQUESTED
+ * @param {string} comment - Feedback for the owner (required unless approving)
+ * @returns {Promise<{success: boolean, data?: object, message?: string, statusCode?: number}>}
+ */
+const decideItem = async (moderationId, reviewerId, decision, comment = null) => {
+  try {
+    if (!Object.values(MODERATION_DECISIONS).includes(decision)) {
+      return { success: false, message: `Decision must be one of: ${Object.values(MODERATION_DECISIONS).join(', ')}`, statusCode: 400 };
+    }
+    if (decision !== MODERATION_DECISIONS.APPROVED && !comment) {
+      return { success: false, message: 'A comment is required when rejecting or requesting changes', statusCode: 400 };
+    }
+
+    const item = await ListingModeration.findByPk(moderationId);
+    if (!item) {
+      return { success: false, message: 'Moderation item not found', statusCode: 404 };
+    }
+    if (item.userId === reviewerId) {
+      return { success: false, message: 'You cannot moderate your own listing', statusCode: 403 };
+    }
+
+    // Conditional on the status so two reviewers cannot both decide
+    const [decided] = await ListingModeration.update({
+      status: decision,
+      reviewerId,
+      reviewComment: comment || null,
+      decidedAt: new Date()
+    }, {
+      where: { moderationId, status: { [Op.in]: OPEN_MODERATION_STATUSES } }
+    });
+
+    if (!decided) {
+      await item.reload();
+      return { success: false, message: `Moderation item was already decided (${item.status})`, statusCode: 409 };
+    }
+
+    await item.reload();
+    logger.info(`Moderation item ${moderationId} (${item.listingType} draft ${item.draftId}) ${decision} by reviewer ${reviewerId}`);
+
+    const delivery = await deliverDecision(item);
+
+    return {
+      success: true,
+      data: {
+        ...toModerationResponse(item),
+        delivery: delivery.delivery,
+        ...(delivery.result && { publishResult: delivery.result })
+      }
+    };
+  } catch (error) {
+    logger.error(`Error deciding moderation item ${moderationId}:`, error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+/**
+ * Escalate direct-mode items left unanswered for another escalation interval.
+ * Items with a Temporal workflow are escalated by the workflow's own timer.
+ * @returns {Promise<{success: boolean, summary?: {escalated: number}, message?: string}>}
+ */
+const escalateOverdueItems = async () => {
+  try {
+    const cutoff = new Date(Date.now() - MODERATION_ESCALATION_MS);
+
+    const [escalated] = await ListingModeration.update({
+      status: MODERATION_STATUS.ESCALATED,
+      escalationLevel: db.sequelize.literal('escalation_level + 1'),
+      escalatedAt: new Date()
+    }, {
+      where: {
+        workflowId: null,
+        status: { [Op.in]: OPEN_MODERATION_STATUSES },
+        [Op.or]: [
+          { escalatedAt: null, createdAt: { [Op.lte]: cutoff } },
+          { escalatedAt: { [Op.lte]: cutoff } }
+        ]
+      }
+    });
+
+    if (escalated) {
+      logger.warn(`Escalated ${escalated} unanswered moderation item(s)`);
+    }
+
+    return {
+      success: true,
+      summary: { escalated }
+    };
+  } catch (error) {
+    logger.error('Error escalating moderation items:', error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+module.exports = {
+  listQueue,
+  getItem,
+  decideItem,
+  escalateOverdueItems
+};
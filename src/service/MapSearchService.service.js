@@ -0,0 +1,210 @@
+const db = require("../entity");
+const { QueryTypes } = require("sequelize");
+const logger = require("../config/winston.config");
+const { validateBbox, validatePolygon, buildAreaGeometry } = require("../utils/geoQueryBuilder");
+
+/**
+ * Listing types available on the map (same names as ListingDraft.draftType)
+ */
+const MAP_LISTING_TYPES = ['PROPERTY', 'PG', 'PROJECT'];
+
+/**
+ * Below this zoom level results are clustered instead of returned as pins
+ */
+const CLUSTER_MAX_ZOOM = 13;
+
+/**
+ * Maximum number of pins returned for a single viewport
+ */
+const MAX_PINS = 500;
+
+/**
+ * Lightweight pin projection per listing table.
+ * Every select yields: listing_type, listing_id, title, city, locality, location
+ */
+const LISTING_PIN_SELECTS = {
+  PROPERTY: `
+    SELECT 'PROPERTY' AS listing_type,
+           p.property_id AS listing_id,
+           COALESCE(p.title, p.property_name) AS title,
+           p.city,
+           p.locality,
+           p.location
+    FROM property p
+    WHERE p.property_deleted_at IS NULL
+      AND p.status = 'ACTIVE'
+      AND p.location IS NOT NULL`,
+  PG: `
+    SELECT 'PG' AS listing_type,
+           h.pg_hostel_id AS listing_id,
+           h.property_name AS title,
+           h.city,
+           h.locality,
+           h.location
+    FROM pg_colive_hostel h
+    WHERE h.pg_hostel_deleted_at IS NULL
+      AND h.location IS NOT NULL`,
+  PROJECT: `
+    SELECT 'PROJECT' AS listing_type,
+           pr.project_id AS listing_id,
+           pr.project_name AS title,
+           pr.project_details->>'city' AS city,
+           pr.project_details->>'locality' AS locality,
+           pr.location
+    FROM project pr
+    WHERE pr.project_deleted_at IS NULL
+      AND pr.location IS NOT NULL`
+};
+
+/**
+ * Grid cell size (in degrees) used to cluster pins at a zoom level.
+ * One web-mercator tile spans 360 / 2^zoom degrees; each tile is split into a 4x4 grid.
+ * @param {number} zoom - Map zoom level
+ * @returns {number} - Cell size in degrees
+ */
+const getClusterCellSize = (zoom) => {
+  return 360 / Math.pow(2, zoom) / 4;
+};
+
+/**
+ * Search all listing types inside a map viewport (bbox) or a drawn polygon
+ * @param {object} options - Search options
+ * @param {object} options.bbox - { minLng, minLat, maxLng, maxLat }
+ * @param {object} options.polygon - GeoJSON Polygon/MultiPolygon (takes precedence over bbox)
+ * @param {number} options.zoom - Map zoom level (0-22); clusters are returned below CLUSTER_MAX_ZOOM
+ * @param {Array<string>} options.types - Listing types to include (defaults to all)
+ * @param {number} options.limit - Maximum pins to return (capped at MAX_PINS)
+ * @returns {Promise<object>} - Result object
+ */
+const searchMap = async ({ bbox, polygon, zoom, types, limit = MAX_PINS } = {}) => {
+  try {
+    if (!bbox && !polygon) {
+      return {
+        success: false,
+        message: 'Either a bounding box or a polygon is required',
+        statusCode: 400
+      };
+    }
+
+    const areaError = polygon ? validatePolygon(polygon) : validateBbox(bbox);
+    if (areaError) {
+      return {
+        success: false,
+        message: areaError,
+        statusCode: 400
+      };
+    }
+
+    const listingTypes = types && types.length > 0 ? types : MAP_LISTING_TYPES;
+    const invalidTypes = listingTypes.filter(type => !MAP_LISTING_TYPES.includes(type));
+    if (invalidTypes.length > 0) {
+      return {
+        success: false,
+        message: `Invalid listing types: ${invalidTypes.join(', ')}. Allowed values: ${MAP_LISTING_TYPES.join(', ')}`,
+        statusCode: 400
+      };
+    }
+
+    const { areaSql, replacements } = buildAreaGeometry({ bbox, polygon });
+
+    // Bounding-box overlap (&&) uses the GIST index; ST_Intersects then applies the exact planar shape
+    const listingsSql = listingTypes
+      .map(type => `SELECT * FROM (${LISTING_PIN_SELECTS[type]}) AS ${type.toLowerCase()}_pins
+        WHERE location && ${areaSql}::geography
+          AND ST_Intersects(location::geometry, ${areaSql})`)
+      .join('\nUNION ALL\n');
+
+    const clustered = zoom !== undefined && zoom !== null && zoom < CLUSTER_MAX_ZOOM;
+
+    if (clustered) {
+      const clusters = await db.sequelize.query(
+        `SELECT COUNT(*)::int AS count,
+                ROUND(AVG(ST_Y(location::geometry))::numeric, 6) AS lat,
+                ROUND(AVG(ST_X(location::geometry))::numeric, 6) AS lng,
+                COUNT(*) FILTER (WHERE listing_type = 'PROPERTY')::int AS property_count,
+                COUNT(*) FILTER (WHERE listing_type = 'PG')::int AS pg_count,
+                COUNT(*) FILTER (WHERE listing_type = 'PROJECT')::int AS project_count,
+                CASE WHEN COUNT(*) = 1 THEN MIN(listing_type) END AS listing_type,
+                CASE WHEN COUNT(*) = 1 THEN MIN(listing_id) END AS listing_id
+         FROM (${listingsSql}) AS listings
+         GROUP BY ST_SnapToGrid(location::geometry, :cellSize)
+         ORDER BY count DESC`,
+        {
+          replacements: { ...replacements, cellSize: getClusterCellSize(zoom) },
+          type: QueryTypes.SELECT
+        }
+      );
+
+      return {
+        success: true,
+        data: {
+          mode: 'clusters',
+          zoom,
+          clusters: clusters.map(cluster => ({
+            lat: parseFloat(cluster.lat),
+            lng: parseFloat(cluster.lng),
+            count: cluster.count,
+            countsByType: {
+              PROPERTY: cluster.property_count,
+              PG: cluster.pg_count,
+              PROJECT: cluster.project_count
+            },
+            // Single-listing clusters carry the listing reference so the UI can render a pin
+            ...(cluster.count === 1 && {
+              listingType: cluster.listing_type,
+              listingId: cluster.listing_id
+            })
+          })),
+          total: clusters.reduce((sum, cluster) => sum + cluster.count, 0)
+        }
+      };
+    }
+
+    const pinLimit = Math.min(Math.max(parseInt(limit) || MAX_PINS, 1), MAX_PINS);
+
+    // Fetch one extra row to know whether the result was truncated
+    const pins = await db.sequelize.query(
+      `SELECT listing_type, listing_id, title, city, locality,
+              ST_Y(location::geometry) AS lat,
+              ST_X(location::geometry) AS lng
+       FROM (${listingsSql}) AS listings
+       LIMIT :pinLimit`,
+      {
+        replacements: { ...replacements, pinLimit: pinLimit + 1 },
+        type: QueryTypes.SELECT
+      }
+    );
+
+    const truncated = pins.length > pinLimit;
+
+    return {
+      success: true,
+      data: {
+        mode: 'pins',
+        zoom: zoom ?? null,
+        pins: pins.slice(0, pinLimit).map(pin => ({
+          listingType: pin.listing_type,
+          listingId: pin.listing_id,
+          title: pin.title,
+          city: pin.city,
+          locality: pin.locality,
+          lat: pin.lat,
+          lng: pin.lng
+        })),
+        truncated
+      }
+    };
+  } catch (error) {
+    logger.error('Error searching map listings:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to search map listings',
+      statusCode: 500
+    };
+  }
+};
+
+module.exports = {
+  MAP_LISTING_TYPES,
+  searchMap
+};
@@ -1,19 +1,120 @@
 const db = require("../entity/index.js");
 const logger = require("../config/winston.config.js");
+const { getRedisConnection } = require("../config/redis.config.js");
+const SmsService = require("./SmsService.service.js");
 const crypto = require("crypto");
 
-// In-memory OTP storage (for production, use Redis or database)
-const otpStore = new Map();
-
 // OTP expiry time in minutes
 const OTP_EXPIRY_MINUTES = 5;
 const OTP_LENGTH = 6;
 
+// Wrong codes accepted per OTP before it is invalidated
+const MAX_VERIFY_ATTEMPTS = 3;
+
+// Wrong codes per phone (across resends) before verification is locked
+const MAX_FAILED_VERIFICATIONS = 10;
+const LOCKOUT_MINUTES = 30;
+
+// Minimum gap between two OTPs to the same phone
+const RESEND_COOLDOWN_SECONDS = 60;
+
+// Send limits per rolling window
+const SEND_LIMIT_WINDOW_MINUTES = 60;
+const MAX_SENDS_PER_PHONE = 5;
+const MAX_SENDS_PER_IP = 20;
+
+// Codes are stored as HMACs so a Redis dump does not reveal live OTPs
+const OTP_HASH_SECRET = (() => {
+  const secret = process.env.OTP_HASH_SECRET || process.env.ACCESS_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error("OTP_HASH_SECRET (or ACCESS_TOKEN_SECRET) must be set to hash OTPs");
+  }
+  return secret;
+})();
+
+// Counts a verification attempt only while the code exists: a plain HINCRBY on a code
+// that expired since it was read would recreate it as a hash without a TTL
+const COUNT_ATTEMPT_SCRIPT = `
+if redis.call("EXISTS", KEYS[1]) == 0 then
+  return false
+end
+return redis.call("HINCRBY", KEYS[1], "attempts", 1)
+`;
+
+/**
+ * Redis keys for OTP state
+ */
+const otpKeys = {
+  code: (phone) => `otp:code:${phone}`,
+  cooldown: (phone) => `otp:cooldown:${phone}`,
+  failures: (phone) => `otp:failures:${phone}`,
+  lock: (phone) => `otp:lock:${phone}`,
+  phoneSends: (phone) => `otp:sends:phone:${phone}`,
+  ipSends: (ip) => `otp:sends:ip:${ip}`,
+};
+
 /**
  * Generate a random OTP
  */
 function generateOtp() {
-  return crypto.randomInt(100000, 999999).toString();
+  return crypto.randomInt(100000, 1000000).toString();
+}
+
+/**
+ * Hash an OTP for storage (bound to the phone number)
+ * @param {string} phone - Phone number
+ * @param {string} otp - OTP
+ * @returns {string} - Hex HMAC-SHA256
+ */
+function hashOtp(phone, otp) {
+  return crypto
+    .createHmac("sha256", OTP_HASH_SECRET)
+    .update(`${phone}:${otp}`)
+    .digest("hex");
+}
+
+/**
+ * Compare an OTP with its stored hash in constant time
+ * @param {string} phone - Phone number
+ * @param {string} otp - OTP entered by the user
+ * @param {string} storedHash - Stored hash
+ * @returns {boolean} - True when the OTP matches
+ */
+function otpMatches(phone, otp, storedHash) {
+  const candidate = Buffer.from(hashOtp(phone, String(otp)), "hex");
+  const stored = Buffer.from(storedHash || "", "hex");
+
+  return candidate.length === stored.length && crypto.timingSafeEqual(candidate, stored);
+}
+
+/**
+ * Increment a fixed-window counter
+ * @param {object} redis - Redis client
+ * @param {string} key - Counter key
+ * @param {number} windowSeconds - Window length, starts at the first increment
+ * @returns {Promise<number>} - Count within the current window
+ */
+async function incrementWindowCounter(redis, key, windowSeconds) {
+  const count = await redis.incr(key);
+  if (count === 1) {
+    await redis.expire(key, windowSeconds);
+  }
+  return count;
+}
+
+/**
+ * Build a rate limit result
+ * @param {string} message - Error message
+ * @param {number} retryAfter - Seconds until the client may retry
+ * @returns {{success: boolean, statusCode: number, message: string, retryAfter: number}}
+ */
+function rateLimited(message, retryAfter) {
+  return {
+    success: false,
+    statusCode: 429,
+    message,
+    retryAfter: Math.max(retryAfter, 1),
+  };
 }
 
 /**
@@ -35,28 +136,69 @@ const getInitials = (name) => {
 /**
  * Send OTP to phone number
  * @param {string} phone - Phone number
- * @returns {Promise<{success: boolean, expiresIn: number}>}
+ * @param {string} ip - Requesting client IP (for per-IP send limits)
+ * @returns {Promise<{success: boolean, expiresIn?: number, statusCode?: number, message?: string, retryAfter?: number}>}
  */
-async function sendOtp(phone) {
+async function sendOtp(phone, ip) {
   try {
+    const redis = await getRedisConnection();
+
+    const lockTtl = await redis.ttl(otpKeys.lock(phone));
+    if (lockTtl > 0) {
+      return rateLimited(
+        `Too many failed attempts. Try again in ${Math.ceil(lockTtl / 60)} minutes.`,
+        lockTtl
+      );
+    }
+
+    // Cooldown key doubles as the "last sent" marker for resends
+    const cooldownSet = await redis.set(otpKeys.cooldown(phone), "1", {
+      expiration: { type: "EX", value: RESEND_COOLDOWN_SECONDS },
+      condition: "NX",
+    });
+    if (!cooldownSet) {
+      const cooldownTtl = await redis.ttl(otpKeys.cooldown(phone));
+      return rateLimited(
+        `Please wait ${cooldownTtl} seconds before requesting another OTP.`,
+        cooldownTtl
+      );
+    }
+
+    const windowSeconds = SEND_LIMIT_WINDOW_MINUTES * 60;
+
+    const phoneSends = await incrementWindowCounter(redis, otpKeys.phoneSends(phone), windowSeconds);
+    if (phoneSends > MAX_SENDS_PER_PHONE) {
+      return rateLimited(
+        "Too many OTP requests for this phone number. Please try again later.",
+        await redis.ttl(otpKeys.phoneSends(phone))
+      );
+    }
+
+    if (ip) {
+      const ipSends = await incrementWindowCounter(redis, otpKeys.ipSends(ip), windowSeconds);
+      if (ipSends > MAX_SENDS_PER_IP) {
+        return rateLimited(
+          "Too many OTP requests. Please try again later.",
+          await redis.ttl(otpKeys.ipSends(ip))
+        );
+      }
+    }
+
     // Generate OTP
     const otp = generateOtp();
     const expiresAt = new Date(Date.now() + OTP_EXPIRY_MINUTES * 60 * 1000);
 
-    // Store OTP in memory (use Redis for production)
-    otpStore.set(phone, {
-      otp,
-      expiresAt,
-      attempts: 0,
-    });
-
-    // TODO: Integrate with SMS service provider (Twilio, AWS SNS, etc.)
-    // For development, log OTP to console
-    logger.info(`OTP for ${phone}: ${otp} (expires at ${expiresAt})`);
-    console.log(`\n🔐 OTP for ${phone}: ${otp}\n`);
+    // A new code replaces any previous one and resets its attempt counter
+    await redis
+      .multi()
+      .del(otpKeys.code(phone))
+      .hSet(otpKeys.code(phone), { hash: hashOtp(phone, otp), attempts: 0 })
+      .expire(otpKeys.code(phone), OTP_EXPIRY_MINUTES * 60)
+      .exec();
 
-    // In production, send actual SMS:
-    // await sendSms(phone, `Your OTP is: ${otp}. Valid for ${OTP_EXPIRY_MINUTES} minutes.`);
+    // Delivered through the configured SMS provider (SMS_PROVIDER, sink by default)
+    await SmsService.sendOtpSms(phone, otp, OTP_EXPIRY_MINUTES);
+    logger.info(`OTP sent to ${phone} (expires at ${expiresAt})`);
 
     return {
       success: true,
@@ -74,29 +216,39 @@ async function sendOtp(phone) {
  * @param {string} otp - OTP to verify
  * @returns {Promise<{verified: boolean, user?: object, message?: string}>}
  */
-async function verifyOtp(phone, otp, verificationType) {
+async function verifyOtp(phone, otp) {
   try {
-    const otpData = otpStore.get(phone);
+    const redis = await getRedisConnection();
 
-    if (!otpData) {
+    const lockTtl = await redis.ttl(otpKeys.lock(phone));
+    if (lockTtl > 0) {
       return {
         verified: false,
-        message: "OTP not found. Please request a new OTP.",
+        statusCode: 429,
+        message: `Too many failed attempts. Try again in ${Math.ceil(lockTtl / 60)} minutes.`,
       };
     }
 
-    // Check if OTP is expired
-    if (new Date() > otpData.expiresAt) {
-      otpStore.delete(phone);
+    const otpData = await redis.hGetAll(otpKeys.code(phone));
+
+    // Expired codes are removed by their Redis TTL
+    if (!otpData || !otpData.hash) {
       return {
         verified: false,
-        message: "OTP has expired. Please request a new OTP.",
+        message: "OTP not found or expired. Please request a new OTP.",
       };
     }
 
-    // Check if too many attempts
-    if (otpData.attempts >= 3) {
-      otpStore.delete(phone);
+    // Count the attempt before comparing so parallel guesses cannot exceed the limit
+    const attempts = await redis.eval(COUNT_ATTEMPT_SCRIPT, { keys: [otpKeys.code(phone)] });
+    if (attempts === null) {
+      return {
+        verified: false,
+        message: "OTP not found or expired. Please request a new OTP.",
+      };
+    }
+    if (attempts > MAX_VERIFY_ATTEMPTS) {
+      await redis.del(otpKeys.code(phone));
       return {
         verified: false,
         message: "Too many failed attempts. Please request a new OTP.",
@@ -104,19 +256,41 @@ async function verifyOtp(phone, otp, verificationType) {
     }
 
     // Verify OTP
-    if (otpData.otp !== otp) {
-      otpData.attempts += 1;
-      otpStore.set(phone, otpData);
+    if (!otpMatches(phone, otp, otpData.hash)) {
+      const failures = await incrementWindowCounter(
+        redis,
+        otpKeys.failures(phone),
+        LOCKOUT_MINUTES * 60
+      );
+
+      if (failures >= MAX_FAILED_VERIFICATIONS) {
+        await redis
+          .multi()
+          .set(otpKeys.lock(phone), "1", { expiration: { type: "EX", value: LOCKOUT_MINUTES * 60 } })
+          .del([otpKeys.code(phone), otpKeys.failures(phone)])
+          .exec();
+        logger.warn(`OTP verification locked for ${phone} after ${failures} failed attempts`);
+        return {
+          verified: false,
+          statusCode: 429,
+          message: `Too many failed attempts. Try again in ${LOCKOUT_MINUTES} minutes.`,
+        };
+      }
+
+      if (attempts >= MAX_VERIFY_ATTEMPTS) {
+        await redis.del(otpKeys.code(phone));
+        return {
+          verified: false,
+          message: "Invalid OTP. Please request a new OTP.",
+        };
+      }
+
       return {
         verified: false,
-        message: `Invalid OTP. ${3 - otpData.attempts} attempts remaining.`,
+        message: `Invalid OTP. ${MAX_VERIFY_ATTEMPTS - attempts} attempts remaining.`,
       };
     }
 
-    // OTP verified - clear from store
-    otpStore.delete(phone);
-
-    if(verificationType == "ACCOUNT_VERIFICATION"){
     // Find or create user
     let user = await db.PlatformUser.findOne({
       where: { phone: phone },
@@ -145,8 +319,10 @@ async function verifyOtp(phone, otp, verificationType) {
         phoneVerifiedAt: new Date(),
       });
     }
-  }
-  
+
+    // Consume the code only once the login has gone through, so a failed lookup can be retried
+    await redis.del([otpKeys.code(phone), otpKeys.failures(phone)]);
+
     // Compute accountType dynamically
     const accountType = (user.business && user.business.verificationStatus === 'APPROVED') 
       ? 'BUSINESS' 
@@ -162,6 +338,7 @@ async function verifyOtp(phone, otp, verificationType) {
         phone: user.phone,
         nameInitial: user.nameInitial,
         profileImage: user.profileImage,
+        role: user.role,
         accountType: accountType,
       },
     };
@@ -173,32 +350,15 @@ async function verifyOtp(phone, otp, verificationType) {
 
 /**
  * Resend OTP to phone number
+ * The resend cooldown and send limits are enforced by sendOtp.
  * @param {string} phone - Phone number
- * @returns {Promise<{success: boolean, expiresIn: number}>}
+ * @param {string} ip - Requesting client IP (for per-IP send limits)
+ * @returns {Promise<{success: boolean, expiresIn?: number, statusCode?: number, message?: string, retryAfter?: number}>}
  */
-async function resendOtp(phone) {
-  // Clear existing OTP if any
-  otpStore.delete(phone);
-
-  // Send new OTP
-  return await sendOtp(phone);
-}
-
-/**
- * Clean up expired OTPs (run periodically)
- */
-function cleanupExpiredOtps() {
-  const now = new Date();
-  for (const [phone, data] of otpStore.entries()) {
-    if (now > data.expiresAt) {
-      otpStore.delete(phone);
-    }
-  }
+async function resendOtp(phone, ip) {
+  return await sendOtp(phone, ip);
 }
 
-// Run cleanup every 5 minutes
-setInterval(cleanupExpiredOtps, 5 * 60 * 1000);
-
 module.exports = {
   sendOtp,
   verifyOtp,
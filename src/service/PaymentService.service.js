@@ -0,0 +1,405 @@
+const db = require("../entity");
+const PaymentOrder = db.PaymentOrder;
+const logger = require("../config/winston.config");
+const { razorpayConfig, CREDIT_PACKS } = require("../config/razorpay.config");
+const {
+  getRazorpayClient,
+  verifyPaymentSignature,
+  verifyWebhookSignature
+} = require("../utils/razorpayClient");
+const { runWorkflowAsync, runWorkflowDirect, isUsingTemporal, WORKFLOWS } = require("../utils/workflowHelper");
+const { signalWorkflow } = require("../utils/temporalClient");
+const { SIGNALS } = require("../temporal/config/constants");
+
+/**
+ * Webhook events that mean the money was captured
+ */
+const CAPTURED_EVENTS = ['payment.captured', 'order.paid'];
+
+/**
+ * Order statuses that no gateway callback can change any more
+ */
+const SETTLED_STATUSES = ['PAID', 'REFUNDED'];
+
+/**
+ * Workflow id of the purchase workflow for a payment order
+ * @param {object} order - PaymentOrder instance
+ * @returns {string}
+ */
+const purchaseWorkflowId = (order) => `credit-pack-purchase-${order.paymentOrderId}`;
+
+/**
+ * Public view of a payment order
+ * @param {object} order - PaymentOrder instance
+ * @returns {object}
+ */
+const toPaymentOrderResponse = (order) => ({
+  paymentOrderId: order.paymentOrderId,
+  packId: order.packId,
+  credits: order.credits,
+  amount: order.amount,
+  currency: order.currency,
+  status: order.status,
+  razorpayOrderId: order.providerOrderId,
+  walletTransactionId: order.walletTransactionId,
+  paidAt: order.paidAt,
+  createdAt: order.createdAt
+});
+
+/**
+ * List the credit packs on sale
+ * @returns {{success: boolean, data: Array<object>}}
+ */
+const getCreditPacks = () => {
+  return {
+    success: true,
+    data: Object.entries(CREDIT_PACKS).map(([packId, pack]) => ({
+      packId,
+      name: pack.name,
+      credits: pack.credits,
+      amount: pack.amount,
+      currency: razorpayConfig.currency
+    }))
+  };
+};
+
+/**
+ * Hand a verified capture to the creditPackPurchase workflow.
+ * Under Temporal the running workflow is signalled and credits the wallet on its own.
+ * When it cannot be signalled (it already expired the order, or was started in direct mode
+ * while Temporal was down) or Temporal is disabled, the capture is settled here instead.
+ * Settling twice is harmless: the wallet credit is idempotent per order.
+ * @param {object} order - PaymentOrder instance
+ * @param {string} paymentId - Captured Razorpay payment id
+ * @returns {Promise<{settled: boolean, result?: object}>} - settled is false when the workflow was signalled
+ */
+const settleCapturedPayment = async (order, paymentId) => {
+  if (isUsingTemporal()) {
+    try {
+      await signalWorkflow(purchaseWorkflowId(order), SIGNALS.PAYMENT_CAPTURED, { paymentId });
+      return { settled: false };
+    } catch (error) {
+      logger.warn(`Could not signal purchase workflow for payment order ${order.paymentOrderId}, settling directly: ${error.message}`);
+    }
+  }
+
+  const result = await runWorkflowDirect(WORKFLOWS.CREDIT_PACK_PURCHASE, {
+    paymentOrderId: order.paymentOrderId,
+    userId: order.userId,
+    capture: { paymentId }
+  });
+
+  return { settled: true, result };
+};
+
+/**
+ * Create a Razorpay order for a credit pack
+ * @param {number} userId - Buyer
+ * @param {string} packId - Key of CREDIT_PACKS
+ * @returns {Promise<{success: boolean, data?: object, message?: string, statusCode?: number}>}
+ */
+const createTopUpOrder = async (userId, packId) => {
+  const pack = CREDIT_PACKS[packId];
+  if (!pack) {
+    return {
+      success: false,
+      message: `Invalid packId. Must be one of: ${Object.keys(CREDIT_PACKS).join(', ')}`,
+      statusCode: 400
+    };
+  }
+
+  try {
+    const razorpay = getRazorpayClient();
+
+    // Our row first, so the gateway receipt can point back at it
+    const order = await PaymentOrder.create({
+      userId,
+      packId,
+      credits: pack.credits,
+      amount: pack.amount,
+      currency: razorpayConfig.currency
+    });
+
+    let razorpayOrder;
+    try {
+      razorpayOrder = await razorpay.orders.create({
+        amount: pack.amount,
+        currency: razorpayConfig.currency,
+        receipt: `payment_order_${order.paymentOrderId}`,
+        notes: {
+          paymentOrderId: String(order.paymentOrderId),
+          userId: String(userId),
+          packId
+        }
+      });
+    } catch (error) {
+      // The SDK rejects with { statusCode, error: { description } } rather than an Error
+      const reason = error?.error?.description || error?.message || 'Razorpay order creation failed';
+      await order.update({ status: 'FAILED', failureReason: reason });
+      logger.error(`Razorpay order creation failed for payment order ${order.paymentOrderId}: ${reason}`);
+      return {
+        success: false,
+        message: 'Payment gateway is unavailable, please try again',
+        statusCode: 502
+      };
+    }
+
+    await order.update({ providerOrderId: razorpayOrder.id });
+
+    logger.info(`Created Razorpay order ${razorpayOrder.id} for payment order ${order.paymentOrderId} (user ${userId}, pack ${packId})`);
+
+    try {
+      await runWorkflowAsync(
+        WORKFLOWS.CREDIT_PACK_PURCHASE,
+        { paymentOrderId: order.paymentOrderId, userId },
+        purchaseWorkflowId(order)
+      );
+    } catch (error) {
+      // Not fatal: a capture that cannot be signalled is settled directly
+      logger.error(`Failed to start purchase workflow for payment order ${order.paymentOrderId}:`, error);
+    }
+
+    return {
+      success: true,
+      data: {
+        ...toPaymentOrderResponse(order),
+        // Passed to Razorpay Checkout on the client
+        keyId: razorpayConfig.keyId
+      }
+    };
+  } catch (error) {
+    logger.error(`Error creating top-up order for user ${userId}:`, error);
+    return {
+      success: false,
+      message: error.code === 'RAZORPAY_NOT_CONFIGURED' ? 'Payments are not available' : error.message,
+      statusCode: error.code === 'RAZORPAY_NOT_CONFIGURED' ? 503 : 500
+    };
+  }
+};
+
+/**
+ * Verify the Checkout callback and hand the captured payment to the purchase workflow.
+ * Authorized-but-not-captured payments stay CREATED; the payment.captured webhook credits them.
+ * Under Temporal the credit is posted asynchronously, so the order may still be CREATED here.
+ * @param {number} userId - Buyer (must own the order)
+ * @param {object} payment - { razorpayOrderId, razorpayPaymentId, razorpaySignature }
+ * @returns {Promise<{success: boolean, data?: object, message?: string, statusCode?: number}>}
+ */
+const verifyTopUpPayment = async (userId, { razorpayOrderId, razorpayPaymentId, razorpaySignature }) => {
+  try {
+    const order = await PaymentOrder.findOne({
+      where: { providerOrderId: razorpayOrderId, userId }
+    });
+
+    if (!order) {
+      return {
+        success: false,
+        message: 'Payment order not found',
+        statusCode: 404
+      };
+    }
+
+    if (!verifyPaymentSignature(razorpayOrderId, razorpayPaymentId, razorpaySignature)) {
+      logger.warn(`Invalid payment signature for Razorpay order ${razorpayOrderId} (user ${userId})`);
+      return {
+        success: false,
+        message: 'Invalid payment signature',
+        statusCode: 400
+      };
+    }
+
+    if (SETTLED_STATUSES.includes(order.status)) {
+      return {
+        success: true,
+        data: toPaymentOrderResponse(order)
+      };
+    }
+
+    const payment = await getRazorpayClient().payments.fetch(razorpayPaymentId);
+
+    if (payment.order_id !== razorpayOrderId || payment.amount !== order.amount || payment.currency !== order.currency) {
+      logger.warn(`Razorpay payment ${razorpayPaymentId} does not match payment order ${order.paymentOrderId}`);
+      return {
+        success: false,
+        message: 'Payment does not match this order',
+        statusCode: 400
+      };
+    }
+
+    if (payment.status !== 'captured') {
+      logger.info(`Razorpay payment ${razorpayPaymentId} is ${payment.status}, waiting for capture webhook`);
+      return {
+        success: true,
+        data: toPaymentOrderResponse(order)
+      };
+    }
+
+    const settlement = await settleCapturedPayment(order, razorpayPaymentId);
+    if (settlement.settled && !settlement.result.success) {
+      return {
+        success: false,
+        message: settlement.result.message,
+        statusCode: 500
+      };
+    }
+
+    await order.reload();
+
+    return {
+      success: true,
+      data: toPaymentOrderResponse(order)
+    };
+  } catch (error) {
+    logger.error(`Error verifying payment for Razorpay order ${razorpayOrderId}:`, error);
+    return {
+      success: false,
+      message: error?.error?.description || error.message || 'Failed to verify payment',
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Handle a Razorpay webhook delivery.
+ * Captured payments go to the purchase workflow; failed payments mark the order FAILED unless already paid.
+ * Other events are acknowledged and ignored.
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string} signature - X-Razorpay-Signature header
+ * @returns {Promise<{success: boolean, message: string, statusCode?: number}>}
+ *          statusCode 500 asks Razorpay to redeliver
+ */
+const handleRazorpayWebhook = async (rawBody, signature) => {
+  if (!rawBody || !verifyWebhookSignature(rawBody, signature)) {
+    logger.warn('Rejected Razorpay webhook with invalid signature');
+    return {
+      success: false,
+      message: 'Invalid webhook signature',
+      statusCode: 400
+    };
+  }
+
+  let event;
+  try {
+    event = JSON.parse(rawBody.toString('utf8'));
+  } catch (error) {
+    return {
+      success: false,
+      message: 'Invalid webhook payload',
+      statusCode: 400
+    };
+  }
+
+  const payment = event?.payload?.payment?.entity;
+  const isCaptured = CAPTURED_EVENTS.includes(event.event);
+  const isFailed = event.event === 'payment.failed';
+
+  if (!payment || (!isCaptured && !isFailed)) {
+    return {
+      success: true,
+      message: `Ignored event ${event.event}`
+    };
+  }
+
+  try {
+    const order = await PaymentOrder.findOne({
+      where: { providerOrderId: payment.order_id }
+    });
+
+    if (!order) {
+      // Orders created outside this flow (dashboard, other products) are not ours to credit
+      logger.warn(`Razorpay webhook ${event.event} for unknown order ${payment.order_id}`);
+      return {
+        success: true,
+        message: 'Unknown order ignored'
+      };
+    }
+
+    if (isFailed) {
+      if (order.status === 'CREATED') {
+        await order.update({
+          status: 'FAILED',
+          providerPaymentId: payment.id,
+          failureReason: payment.error_description || payment.error_code || 'Payment failed'
+        });
+        logger.info(`Payment order ${order.paymentOrderId} failed (${payment.id})`);
+      }
+      return {
+        success: true,
+        message: 'Payment failure recorded'
+      };
+    }
+
+    if (SETTLED_STATUSES.includes(order.status)) {
+      return {
+        success: true,
+        message: 'Payment already processed'
+      };
+    }
+
+    if (payment.amount !== order.amount || payment.currency !== order.currency) {
+      logger.error(`Razorpay payment ${payment.id} amount ${payment.amount} ${payment.currency} does not match payment order ${order.paymentOrderId}`);
+      return {
+        success: true,
+        message: 'Amount mismatch ignored'
+      };
+    }
+
+    // A later successful retry supersedes an earlier failed attempt on the same order
+    const settlement = await settleCapturedPayment(order, payment.id);
+
+    return {
+      success: true,
+      // A refunded purchase is settled too; redelivering the webhook would not change it
+      message: settlement.settled ? settlement.result.message : 'Payment captured'
+    };
+  } catch (error) {
+    logger.error(`Error handling Razorpay webhook ${event.event}:`, error);
+    return {
+      success: false,
+      message: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+/**
+ * Get one of the user's payment orders (for polling after Checkout)
+ * @param {number} userId - Buyer
+ * @param {number} paymentOrderId - Payment order ID
+ * @returns {Promise<{success: boolean, data?: object, message?: string, statusCode?: number}>}
+ */
+const getPaymentOrder = async (userId, paymentOrderId) => {
+  try {
+    const order = await PaymentOrder.findOne({
+      where: { paymentOrderId, userId }
+    });
+
+    if (!order) {
+      return {
+        success: false,
+        message: 'Payment order not found',
+        statusCode: 404
+      };
+    }
+
+    return {
+      success: true,
+      data: toPaymentOrderResponse(order)
+    };
+  } catch (error) {
+    logger.error(`Error fetching payment order ${paymentOrderId}:`, error);
+    return {
+      success: false,
+      message: error.message,
+      statusCode: 500
+    };
+  }
+};
+
+module.exports = {
+  getCreditPacks,
+  createTopUpOrder,
+  verifyTopUpPayment,
+  handleRazorpayWebhook,
+  getPaymentOrder
+};
@@ -2,19 +2,29 @@ const db = require("../entity");
 const PgColiveHostel = db.PgColiveHostel;
 const PlatformUser = db.PlatformUser;
 const { Op } = require("sequelize");
+const { validateNearbyParams, buildNearbyQuery } = require("../utils/geoQueryBuilder");
+const { buildFullTextSearch } = require("../utils/fullTextSearch");
+const { buildFacetCounts } = require("../utils/facetCounts");
+const { validateCursor, buildKeysetQuery, findKeysetPage } = require("../utils/cursorPagination");
+const { createSlug, toLocationPoint, toPgHostelRecord } = require("../utils/listingRecordMapper");
 
 /**
- * Create slug from property name
- * @param {string} name - Property name
- * @returns {string} - URL-friendly slug
+ * Meals listed in the foodMess JSONB (foodMess.meals: array of meal names), one row per meal.
+ * Non-array values are treated as empty so a malformed row never breaks the query.
  */
-const createSlug = (name) => {
-  return name
-    .toLowerCase()
-    .replace(/[^\w\s-]/g, '') // Remove special characters
-    .replace(/\s+/g, '-')      // Replace spaces with hyphens
-    .replace(/--+/g, '-')      // Replace multiple hyphens with single hyphen
-    .trim();
+const MEALS_SQL = `jsonb_array_elements_text(
+  CASE WHEN jsonb_typeof("pg_colive_hostel"."food_mess"->'meals') = 'array'
+    THEN "pg_colive_hostel"."food_mess"->'meals' ELSE '[]'::jsonb END
+)`;
+
+/**
+ * Sidebar facets for PG/Hostel listing: filter key dropped while counting and bucket value SQL
+ */
+const PG_HOSTEL_FACETS = {
+  genderAllowed: { filter: 'genderAllowed', valueSql: '"pg_colive_hostel"."gender_allowed"::text' },
+  meals: { filter: 'meal', valueSql: MEALS_SQL },
+  city: { filter: 'city', valueSql: '"pg_colive_hostel"."city"' },
+  locality: { filter: 'locality', valueSql: '"pg_colive_hostel"."locality"' }
 };
 
 /**
@@ -56,46 +66,8 @@ const createPgColiveHostel = async (userId, draftId, pgHostelData) => {
     const baseSlug = createSlug(pgHostelData.propertyName);
     const slug = await ensureUniqueSlug(baseSlug);
 
-    // Validate coordinates are provided (required for location field)
-    if (!pgHostelData.coordinates || !pgHostelData.coordinates.lat || !pgHostelData.coordinates.lng) {
-      throw new Error('Coordinates (lat, lng) are required for creating PG/Hostel listing');
-    }
-
-    // Create location point from coordinates
-    const locationPoint = {
-      type: 'Point',
-      coordinates: [pgHostelData.coordinates.lng, pgHostelData.coordinates.lat], // [longitude, latitude] for PostGIS
-      crs: { type: 'name', properties: { name: 'EPSG:4326' } }
-    };
-
     // Create PG/Hostel record
-    const pgHostel = await PgColiveHostel.create({
-      userId,
-      draftId,
-      propertyName: pgHostelData.propertyName,
-      slug,
-      genderAllowed: pgHostelData.genderAllowed,
-      description: pgHostelData.description,
-      isBrandManaged: pgHostelData.isBrandManaged || false,
-      brandName: pgHostelData.brandName,
-      yearBuilt: pgHostelData.yearBuilt,
-      location: locationPoint,
-      lat: pgHostelData.coordinates.lat,
-      lng: pgHostelData.coordinates.lng,
-      city: pgHostelData.city,
-      locality: pgHostelData.locality,
-      addressText: pgHostelData.addressText,
-      landmark: pgHostelData.landmark,
-      roomTypes: pgHostelData.roomTypes || [],
-      commonAmenities: pgHostelData.commonAmenities || [],
-      commonAmenitiesLegacy: pgHostelData.commonAmenitiesLegacy || [],
-      roomAmenities: pgHostelData.roomAmenities || [],
-      foodMess: pgHostelData.foodMess,
-      rules: pgHostelData.rules || [],
-      mediaData: pgHostelData.mediaData || [],
-      publishStatus: 'PENDING_REVIEW',
-      verificationStatus: 'PENDING'
-    });
+    const pgHostel = await PgColiveHostel.create(toPgHostelRecord(userId, draftId, pgHostelData, slug));
 
     return {
       success: true,
@@ -141,11 +113,7 @@ const updatePgColiveHostel = async (pgHostelId, userId, updateData) => {
 
     // Update location if coordinates changed
     if (updateData.coordinates && updateData.coordinates.lat && updateData.coordinates.lng) {
-      updateData.location = {
-        type: 'Point',
-        coordinates: [updateData.coordinates.lng, updateData.coordinates.lat], // [longitude, latitude] for PostGIS
-        crs: { type: 'name', properties: { name: 'EPSG:4326' } }
-      };
+      updateData.location = toLocationPoint(updateData.coordinates.lat, updateData.coordinates.lng);
       updateData.lat = updateData.coordinates.lat;
       updateData.lng = updateData.coordinates.lng;
       delete updateData.coordinates; // Remove coordinates object as it's not a DB field
@@ -236,88 +204,138 @@ const getPgColiveHostelBySlug = async (slug) => {
   }
 };
 
+/**
+ * Build the where clause for PG/Hostel listing
+ * @param {object} filters - Filter criteria (see listPgColiveHostels)
+ * @returns {object} - { where, searchQuery, replacements }
+ */
+const buildPgHostelListFilters = (filters) => {
+  const {
+    publishStatus,
+    verificationStatus,
+    city,
+    locality,
+    genderAllowed,
+    isBrandManaged,
+    meal,
+    search
+  } = filters;
+
+  const whereClause = {};
+  const replacements = {};
+  const conditions = [];
+
+  // Apply filters
+  if (publishStatus) {
+    whereClause.publishStatus = publishStatus;
+  }
+
+  if (verificationStatus) {
+    whereClause.verificationStatus = verificationStatus;
+  }
+
+  if (city) {
+    whereClause.city = city;
+  }
+
+  if (locality) {
+    whereClause.locality = locality;
+  }
+
+  if (genderAllowed) {
+    whereClause.genderAllowed = genderAllowed;
+  }
+
+  if (isBrandManaged !== undefined) {
+    whereClause.isBrandManaged = isBrandManaged;
+  }
+
+  // Meal offered by the mess (foodMess.meals contains the value)
+  if (meal) {
+    conditions.push(db.sequelize.literal(
+      `"pg_colive_hostel"."food_mess"->'meals' @> jsonb_build_array(CAST(:meal AS text))`
+    ));
+    replacements.meal = meal;
+  }
+
+  // Weighted full-text search over name/brand, locality/city and description
+  const searchQuery = buildFullTextSearch('pgHostel', search);
+  if (searchQuery) {
+    conditions.push(db.sequelize.literal(searchQuery.condition));
+    Object.assign(replacements, searchQuery.replacements);
+  }
+
+  if (conditions.length > 0) {
+    whereClause[Op.and] = conditions;
+  }
+
+  return {
+    where: whereClause,
+    searchQuery,
+    replacements
+  };
+};
+
 /**
  * List PG/Hostels with filters and pagination
  * @param {object} filters - Filter criteria
+ * @param {boolean} filters.includeFacets - Also return per-bucket counts for the filter sidebar
+ * @param {string} filters.cursor - Cursor from the previous page (keyset mode, page is ignored)
  * @returns {Promise<object>} - Result object
  */
 const listPgColiveHostels = async (filters = {}) => {
   try {
     const {
-      publishStatus,
-      verificationStatus,
-      city,
-      locality,
-      genderAllowed,
-      isBrandManaged,
-      search,
+      includeFacets,
+      cursor,
       page = 1,
       limit = 20
     } = filters;
 
-    const whereClause = {};
-
-    // Apply filters
-    if (publishStatus) {
-      whereClause.publishStatus = publishStatus;
-    }
-
-    if (verificationStatus) {
-      whereClause.verificationStatus = verificationStatus;
-    }
-
-    if (city) {
-      whereClause.city = city;
-    }
-
-    if (locality) {
-      whereClause.locality = locality;
-    }
-
-    if (genderAllowed) {
-      whereClause.genderAllowed = genderAllowed;
-    }
+    const { where, searchQuery, replacements } = buildPgHostelListFilters(filters);
 
-    if (isBrandManaged !== undefined) {
-      whereClause.isBrandManaged = isBrandManaged;
-    }
+    // Most relevant first when searching, otherwise newest first (primary key breaks ties)
+    const sort = searchQuery ? 'relevance' : 'newest';
+    const keys = [
+      ...(searchQuery ? [{ sql: searchQuery.rank, direction: 'DESC' }] : []),
+      { sql: '"pg_colive_hostel"."pg_hostel_created_at"', direction: 'DESC' },
+      { sql: '"pg_colive_hostel"."pg_hostel_id"', direction: 'DESC' }
+    ];
 
-    // Search in property name and description
-    if (search) {
-      whereClause[Op.or] = [
-        { propertyName: { [Op.iLike]: `%${search}%` } },
-        { description: { [Op.iLike]: `%${search}%` } },
-        { brandName: { [Op.iLike]: `%${search}%` } }
-      ];
+    const cursorError = cursor ? validateCursor(cursor, sort, keys.length) : null;
+    if (cursorError) {
+      return {
+        success: false,
+        message: cursorError,
+        statusCode: 400
+      };
     }
 
-    // Pagination
-    const offset = (page - 1) * limit;
+    const keyset = buildKeysetQuery({ sort, keys, cursor });
 
-    const { rows, count } = await PgColiveHostel.findAndCountAll({
-      where: whereClause,
-      include: [
-        {
-          model: PlatformUser,
-          as: 'user',
-          attributes: ['userId', 'firstName', 'lastName', 'email', 'phone']
-        }
-      ],
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      order: [['pg_hostel_created_at', 'DESC']]
-    });
+    const [{ rows, pagination }, facets] = await Promise.all([
+      findKeysetPage(PgColiveHostel, {
+        where,
+        include: [
+          {
+            model: PlatformUser,
+            as: 'user',
+            attributes: ['userId', 'firstName', 'lastName', 'email', 'phone']
+          }
+        ],
+        replacements
+      }, { keyset, cursor, page: parseInt(page), limit: parseInt(limit) }),
+      includeFacets
+        ? buildFacetCounts(PgColiveHostel, PG_HOSTEL_FACETS, buildPgHostelListFilters, filters)
+        : null
+    ]);
 
     return {
       success: true,
       data: {
         pgHostels: rows,
-        pagination: {
-          total: count,
-          page: parseInt(page),
-          limit: parseInt(limit),
-          totalPages: Math.ceil(count / limit)
-        }
+        pagination,
+        ...(facets && { facets })
       }
     };
   } catch (error) {
@@ -343,6 +361,15 @@ const searchNearbyPgHostels = async (latitude, longitude, radiusKm, filters = {}
       limit = 20
     } = filters;
 
+    const validationError = validateNearbyParams({ latitude, longitude, radiusKm });
+    if (validationError) {
+      return {
+        success: false,
+        message: validationError,
+        statusCode: 400
+      };
+    }
+
     const whereClause = {
       // publishStatus: 'PUBLISHED',
       // verificationStatus: 'VERIFIED'
@@ -357,41 +384,27 @@ const searchNearbyPgHostels = async (latitude, longitude, radiusKm, filters = {}
       whereClause.isBrandManaged = isBrandManaged;
     }
 
-    // Convert radius from km to meters for PostGIS
-    const radiusMeters = radiusKm * 1000;
-
     // Pagination
     const offset = (page - 1) * limit;
 
-    // Build base where conditions as array
-    const whereConditions = [];
-    
-    // Add spatial query using raw SQL for PostGIS
-    whereConditions.push(
-      db.sequelize.literal(
-        `ST_DWithin(
-          location::geography,
-          ST_SetSRID(ST_MakePoint(${longitude}, ${latitude}), 4326)::geography,
-          ${radiusMeters}
-        )`
-      )
-    );
+    // PostGIS fragments with bound coordinates and radius
+    const nearbyQuery = buildNearbyQuery({
+      column: '"pg_colive_hostel"."location"',
+      latitude,
+      longitude,
+      radiusKm
+    });
 
     // Use PostGIS ST_DWithin for efficient spatial query
     const { rows, count } = await PgColiveHostel.findAndCountAll({
       where: {
         ...whereClause,
-        [Op.and]: whereConditions
+        [Op.and]: [db.sequelize.literal(nearbyQuery.condition)]
       },
       attributes: {
         include: [
           // Calculate distance in kilometers and include it in results
-          [
-            db.sequelize.literal(
-              `ROUND(CAST(ST_Distance(location::geography, ST_SetSRID(ST_MakePoint(${longitude}, ${latitude}), 4326)::geography) / 1000 AS numeric), 2)`
-            ),
-            'distance_km'
-          ]
+          [db.sequelize.literal(nearbyQuery.distanceKm), 'distance_km']
         ]
       },
       include: [
@@ -401,12 +414,11 @@ const searchNearbyPgHostels = async (latitude, longitude, radiusKm, filters = {}
           attributes: ['userId', 'firstName', 'lastName', 'email', 'phone']
         }
       ],
+      replacements: nearbyQuery.replacements,
       limit: parseInt(limit),
       offset: parseInt(offset),
       // Order by distance (nearest first)
-      order: db.sequelize.literal(
-        `ST_Distance(location::geography, ST_SetSRID(ST_MakePoint(${longitude}, ${latitude}), 4326)::geography) ASC`
-      ),
+      order: db.sequelize.literal(nearbyQuery.distanceOrder),
       subQuery: false
     });
 
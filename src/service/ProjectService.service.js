@@ -3,6 +3,10 @@ const Project = db.Project;
 const PlatformUser = db.PlatformUser;
 const { Op } = require("sequelize");
 const logger = require("../config/winston.config");
+const { validateNearbyParams, buildNearbyQuery } = require("../utils/geoQueryBuilder");
+const { buildFullTextSearch } = require("../utils/fullTextSearch");
+const { validateCursor, buildKeysetQuery, findKeysetPage } = require("../utils/cursorPagination");
+const { toLocationPoint, toProjectRecord } = require("../utils/listingRecordMapper");
 
 /**
  * Create a new project record from draft data
@@ -25,67 +29,8 @@ const createProject = async (userId, draftId, projectData) => {
       };
     }
 
-    // Prepare project data
-    const projectRecord = {
-      projectName: projectData.projectName || projectData.name,
-      createdBy: userId,
-      status: projectData.status || 'ACTIVE',
-      
-      // Location
-      lat: projectData.coordinates?.lat || projectData.lat || null,
-      lng: projectData.coordinates?.lng || projectData.lng || null,
-      location: (projectData.coordinates?.lat && projectData.coordinates?.lng) 
-        ? { type: 'Point', coordinates: [projectData.coordinates.lng, projectData.coordinates.lat] }
-        : (projectData.lat && projectData.lng)
-        ? { type: 'Point', coordinates: [projectData.lng, projectData.lat] }
-        : null,
-      
-      // Project details as JSONB
-      projectDetails: {
-        description: projectData.description || null,
-        city: projectData.city || null,
-        locality: projectData.locality || null,
-        area: projectData.area || null,
-        addressText: projectData.addressText || null,
-        landmark: projectData.landmark || null,
-        
-        // Project specifications
-        totalUnits: projectData.totalUnits || null,
-        totalTowers: projectData.totalTowers || null,
-        totalAcres: projectData.totalAcres || null,
-        launchDate: projectData.launchDate || null,
-        possessionDate: projectData.possessionDate || null,
-        completionDate: projectData.completionDate || null,
-        projectStatus: projectData.projectStatus || null, // Upcoming, Ongoing, Completed
-        
-        // Amenities and Features
-        amenities: projectData.amenities || [],
-        features: projectData.features || [],
-        
-        // Media
-        images: projectData.images || [],
-        videos: projectData.videos || [],
-        brochure: projectData.brochure || null,
-        floorPlans: projectData.floorPlans || [],
-        
-        // Developer info (if provided)
-        developerName: projectData.developerName || null,
-        developerId: projectData.developerId || null,
-        
-        // Pricing
-        priceRange: projectData.priceRange || null,
-        
-        // Additional metadata
-        reraNumber: projectData.reraNumber || null,
-        projectType: projectData.projectType || null, // Residential, Commercial, Mixed
-        
-        // Any other custom fields
-        ...projectData.customFields
-      }
-    };
-
     // Create project
-    const project = await Project.create(projectRecord);
+    const project = await Project.create(toProjectRecord(userId, projectData));
 
     logger.info(`Project created successfully with ID: ${project.projectId}`);
 
@@ -163,17 +108,11 @@ const updateProject = async (projectId, userId, projectData) => {
     if (projectData.coordinates?.lat && projectData.coordinates?.lng) {
       updateData.lat = projectData.coordinates.lat;
       updateData.lng = projectData.coordinates.lng;
-      updateData.location = {
-        type: 'Point',
-        coordinates: [projectData.coordinates.lng, projectData.coordinates.lat]
-      };
+      updateData.location = toLocationPoint(projectData.coordinates.lat, projectData.coordinates.lng);
     } else if (projectData.lat && projectData.lng) {
       updateData.lat = projectData.lat;
       updateData.lng = projectData.lng;
-      updateData.location = {
-        type: 'Point',
-        coordinates: [projectData.lng, projectData.lat]
-      };
+      updateData.location = toLocationPoint(projectData.lat, projectData.lng);
     }
 
     // Merge project details
@@ -284,61 +223,178 @@ const getProjectById = async (projectId) => {
   }
 };
 
+/**
+ * Build the where clause shared by project list and nearby search
+ * @param {object} filters - Filter criteria (status, city, search, createdBy)
+ * @returns {object} - { where, searchQuery, replacements }
+ */
+const buildProjectListFilters = (filters = {}) => {
+  const where = {};
+
+  // Status filter
+  if (filters.status) {
+    where.status = filters.status;
+  }
+
+  // City filter (from projectDetails JSONB)
+  if (filters.city) {
+    where['projectDetails.city'] = filters.city;
+  }
+
+  // Created by specific user
+  if (filters.createdBy) {
+    where.createdBy = filters.createdBy;
+  }
+
+  // Weighted full-text search over name, locality/city and description
+  const searchQuery = buildFullTextSearch('project', filters.search);
+  if (searchQuery) {
+    where[Op.and] = [db.sequelize.literal(searchQuery.condition)];
+  }
+
+  return {
+    where,
+    searchQuery,
+    replacements: searchQuery ? searchQuery.replacements : {}
+  };
+};
+
 /**
  * List projects with filters and pagination
  * @param {object} filters - Filter criteria
+ * @param {string} filters.cursor - Cursor from the previous page (keyset mode, page is ignored)
  * @param {number} page - Page number
  * @param {number} limit - Items per page
  * @returns {Promise<object>} - Result object
  */
 const listProjects = async (filters = {}, page = 1, limit = 20) => {
   try {
-    const where = {};
+    const { where, searchQuery, replacements } = buildProjectListFilters(filters);
+
+    // Most relevant first when searching, otherwise newest first (primary key breaks ties)
+    const sort = searchQuery ? 'relevance' : 'newest';
+    const keys = [
+      ...(searchQuery ? [{ sql: searchQuery.rank, direction: 'DESC' }] : []),
+      { sql: '"project"."project_created_at"', direction: 'DESC' },
+      { sql: '"project"."project_id"', direction: 'DESC' }
+    ];
+
+    const cursorError = filters.cursor ? validateCursor(filters.cursor, sort, keys.length) : null;
+    if (cursorError) {
+      return {
+        success: false,
+        message: cursorError,
+        statusCode: 400
+      };
+    }
 
+    const keyset = buildKeysetQuery({ sort, keys, cursor: filters.cursor });
 
+    const { rows, pagination } = await findKeysetPage(Project, {
+      where,
+      replacements,
+      include: [
+        {
+          model: PlatformUser,
+          as: 'creator',
+          attributes: ['userId', 'firstName', 'lastName', 'email']
+        }
+      ]
+    }, { keyset, cursor: filters.cursor, page, limit });
 
-    // Status filter
-    if (filters.status) {
-      where.status = filters.status;
-    }
+    return {
+      success: true,
+      data: {
+        projects: rows,
+        pagination
+      },
+      statusCode: 200
+    };
 
-    // City filter (from projectDetails JSONB)
-    if (filters.city) {
-      where['projectDetails.city'] = filters.city;
-    }
+  } catch (error) {
+    logger.error(`Error listing projects: ${error.message}`, { filters });
+    return {
+      success: false,
+      message: 'Failed to list projects',
+      statusCode: 500,
+      error: error.message
+    };
+  }
+};
 
-    // Search by project name
-    if (filters.search) {
-      where.projectName = {
-        [Op.iLike]: `%${filters.search}%`
+/**
+ * Search projects near a location using PostGIS spatial query
+ * @param {number} latitude - Latitude coordinate
+ * @param {number} longitude - Longitude coordinate
+ * @param {number} radiusKm - Search radius in kilometers
+ * @param {object} filters - Same filter criteria as listProjects
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<object>} - Result object
+ */
+const searchNearbyProjects = async (latitude, longitude, radiusKm, filters = {}, page = 1, limit = 20) => {
+  try {
+    const validationError = validateNearbyParams({ latitude, longitude, radiusKm });
+    if (validationError) {
+      return {
+        success: false,
+        message: validationError,
+        statusCode: 400
       };
     }
 
-    // Created by specific user
-    if (filters.createdBy) {
-      where.createdBy = filters.createdBy;
-    }
+    const { where, replacements } = buildProjectListFilters(filters);
+
+    // PostGIS fragments with bound coordinates and radius (uses the location GIST index)
+    const nearbyQuery = buildNearbyQuery({
+      column: '"project"."location"',
+      latitude,
+      longitude,
+      radiusKm
+    });
+
+    where[Op.and] = [
+      ...(where[Op.and] || []),
+      db.sequelize.literal(nearbyQuery.condition)
+    ];
 
     const offset = (page - 1) * limit;
 
     const { count, rows } = await Project.findAndCountAll({
       where,
-      limit,
-      offset,
-      order: [['project_created_at', 'DESC']],
+      attributes: {
+        include: [
+          // Calculate distance in kilometers and include it in results
+          [db.sequelize.literal(nearbyQuery.distanceKm), 'distance_km']
+        ]
+      },
       include: [
         {
           model: PlatformUser,
           as: 'creator',
           attributes: ['userId', 'firstName', 'lastName', 'email']
         }
-      ]
+      ],
+      replacements: {
+        ...replacements,
+        ...nearbyQuery.replacements
+      },
+      limit,
+      offset,
+      // Order by distance (nearest first)
+      order: db.sequelize.literal(nearbyQuery.distanceOrder),
+      subQuery: false
     });
 
     return {
       success: true,
       data: {
         projects: rows,
+        searchCenter: {
+          lat: latitude,
+          lng: longitude,
+          radiusKm
+        },
         pagination: {
           total: count,
           page,
@@ -350,10 +406,10 @@ const listProjects = async (filters = {}, page = 1, limit = 20) => {
     };
 
   } catch (error) {
-    logger.error(`Error listing projects: ${error.message}`, { filters });
+    logger.error(`Error searching nearby projects: ${error.message}`, { latitude, longitude, radiusKm, filters });
     return {
       success: false,
-      message: 'Failed to list projects',
+      message: 'Failed to search nearby projects',
       statusCode: 500,
       error: error.message
     };
@@ -453,6 +509,7 @@ module.exports = {
   updateProject,
   getProjectById,
   listProjects,
+  searchNearbyProjects,
   getMyProjects,
   deleteProject
 };
@@ -3,34 +3,27 @@ const Property = db.Property;
 const PlatformUser = db.PlatformUser;
 const { Op } = require("sequelize");
 const logger = require("../config/winston.config");
+const { validateNearbyParams, buildNearbyQuery } = require("../utils/geoQueryBuilder");
+const { buildFullTextSearch } = require("../utils/fullTextSearch");
+const { buildFacetCounts } = require("../utils/facetCounts");
+const { buildPricingQuery } = require("../utils/pricingQuery");
+const { validateCursor, buildKeysetQuery, findKeysetPage } = require("../utils/cursorPagination");
+const { validateDate, toLocationPoint, toPropertyRecord } = require("../utils/listingRecordMapper");
 
 /**
- * Validate and format date field
- * @param {any} dateValue - Date value to validate
- * @returns {Date|null} - Valid date or null
+ * Supported sort orders for property listing
  */
-const validateDate = (dateValue) => {
-  if (!dateValue) return null;
-  
-  // If it's already a Date object
-  if (dateValue instanceof Date) {
-    return isNaN(dateValue.getTime()) ? null : dateValue;
-  }
-  
-  // If it's a string
-  if (typeof dateValue === 'string') {
-    // Check for "Invalid date" string
-    if (dateValue === 'Invalid date' || dateValue.trim() === '') {
-      return null;
-    }
-    
-    const parsedDate = new Date(dateValue);
-    return isNaN(parsedDate.getTime()) ? null : parsedDate;
-  }
-  
-  // Try to convert to date
-  const parsedDate = new Date(dateValue);
-  return isNaN(parsedDate.getTime()) ? null : parsedDate;
+const PROPERTY_SORT_OPTIONS = ['relevance', 'newest', 'oldest', 'price_asc', 'price_desc'];
+
+/**
+ * Sidebar facets for property listing: filter key dropped while counting and bucket value SQL
+ */
+const PROPERTY_FACETS = {
+  propertyType: { filter: 'propertyType', valueSql: '"property"."property_type"' },
+  bedrooms: { filter: 'bedrooms', valueSql: '"property"."bedrooms"' },
+  furnishingStatus: { filter: 'furnishingStatus', valueSql: '"property"."furnishing_status"' },
+  city: { filter: 'city', valueSql: '"property"."city"' },
+  locality: { filter: 'locality', valueSql: '"property"."locality"' }
 };
 
 /**
@@ -55,96 +48,8 @@ const createProperty = async (userId, draftId, propertyData) => {
     }
 
 
-    // Prepare property data
-    const propertyRecord = {
-      propertyName: propertyData.propertyName || propertyData.title || propertyData.customPropertyName,
-      projectId: propertyData.projectId || null,
-      createdBy: userId,
-      draftId: draftId,
-      status: propertyData.status || 'ACTIVE',
-      
-      // Basic Information
-      title: propertyData.title,
-      description: propertyData.description,
-      propertyType: propertyData.propertyType,
-      listingType: propertyData.listingType,
-      isNewProperty: propertyData.isNewProperty || false,
-      
-      // Location
-      city: propertyData.city,
-      locality: propertyData.locality,
-      landmark: propertyData.landmark,
-      addressText: propertyData.addressText,
-      lat: propertyData.coordinates?.lat || null,
-      lng: propertyData.coordinates?.lng || null,
-      location: (propertyData.coordinates?.lat && propertyData.coordinates?.lng) 
-        ? { type: 'Point', coordinates: [propertyData.coordinates.lng, propertyData.coordinates.lat] }
-        : null,
-      showMapExact: propertyData.showMapExact || false,
-      
-      // Specifications
-      bedrooms: propertyData.bedrooms,
-      bathrooms: propertyData.bathrooms,
-      facing: propertyData.facing,
-      view: propertyData.view,
-      floorNumber: propertyData.floorNumber,
-      totalFloors: propertyData.totalFloors,
-      unitNumber: propertyData.unitNumber,
-      towerName: propertyData.towerName,
-      isUnitNumberPrivate: propertyData.isUnitNumberPrivate || false,
-      
-      // Area
-      carpetArea: propertyData.carpetArea,
-      superArea: propertyData.superArea,
-      areaConfig: propertyData.areaConfig || [],
-      measurementMethod: propertyData.measurementMethod,
-      
-      // Status & Type
-      ownershipType: propertyData.ownershipType,
-      furnishingStatus: propertyData.furnishingStatus,
-      possessionStatus: propertyData.possessionStatus,
-      ageOfProperty: propertyData.ageOfProperty,
-      propertyPosition: propertyData.propertyPosition,
-      availableFrom: validateDate(propertyData.availableFrom),
-      possessionDate: validateDate(propertyData.possessionDate),
-      
-      // Pricing
-      pricing: propertyData.pricing || [],
-      isPriceVerified: propertyData.isPriceVerified || false,
-      isPriceNegotiable: propertyData.isPriceNegotiable || false,
-      
-      // Project & Names
-      projectName: propertyData.projectName,
-      customPropertyName: propertyData.customPropertyName,
-      
-      // Features & Amenities
-      features: propertyData.features || [],
-      amenities: propertyData.amenities || [],
-      flooringTypes: propertyData.flooringTypes || [],
-      smartHomeDevices: propertyData.smartHomeDevices || [],
-      maintenanceIncludes: propertyData.maintenanceIncludes || [],
-      
-      // Boolean Flags
-      isGated: propertyData.isGated || false,
-      fireSafety: propertyData.fireSafety || false,
-      hasIntercom: propertyData.hasIntercom || false,
-      petFriendly: propertyData.petFriendly || false,
-      hasEmergencyExit: propertyData.hasEmergencyExit || false,
-      
-      // RERA & Documents
-      reraIds: propertyData.reraIds || [],
-      documents: propertyData.documents || [],
-      
-      // Media
-      mediaData: propertyData.mediaData || [],
-      propertyPlans: propertyData.propertyPlans || [],
-      
-      // Additional Details
-      furnishingDetails: propertyData.furnishingDetails || {}
-    };
-
     // Create property record
-    const property = await Property.create(propertyRecord);
+    const property = await Property.create(toPropertyRecord(userId, draftId, propertyData));
 
     logger.info(`Property created successfully: ${property.propertyId}`);
 
@@ -246,10 +151,7 @@ const updateProperty = async (propertyId, userId, updateData) => {
       }
       // Update location GEOGRAPHY field if both lat and lng are provided
       if (updateData.coordinates.lat && updateData.coordinates.lng) {
-        updateFields.location = {
-          type: 'Point',
-          coordinates: [updateData.coordinates.lng, updateData.coordinates.lat]
-        };
+        updateFields.location = toLocationPoint(updateData.coordinates.lat, updateData.coordinates.lng);
       }
     }
 
@@ -345,92 +247,315 @@ const getUserProperties = async (userId) => {
   }
 };
 
+/**
+ * Build the where clause shared by property list and nearby search
+ * @param {object} filters - Filter options (see listProperties)
+ * @returns {object} - { where, pricingQuery, searchQuery, replacements }
+ */
+const buildPropertyListFilters = (filters) => {
+  const {
+    status,
+    projectId,
+    city,
+    locality,
+    propertyType,
+    listingType,
+    bedrooms,
+    furnishingStatus,
+    minPrice,
+    maxPrice,
+    priceType,
+    priceUnit,
+    search
+  } = filters;
+
+  const where = {};
+  const pricingQuery = buildPricingQuery({ minPrice, maxPrice, priceType, priceUnit });
+
+  if (status) {
+    where.status = status;
+  }
+
+  if (projectId) {
+    where.projectId = projectId;
+  }
+
+  if (city) {
+    where.city = {
+      [Op.iLike]: `%${city}%`
+    };
+  }
+
+  if (locality) {
+    where.locality = {
+      [Op.iLike]: `%${locality}%`
+    };
+  }
+
+  if (propertyType) {
+    where.propertyType = propertyType;
+  }
+
+  if (listingType) {
+    where.listingType = listingType;
+  }
+
+  if (bedrooms) {
+    where.bedrooms = bedrooms;
+  }
+
+  if (furnishingStatus) {
+    where.furnishingStatus = furnishingStatus;
+  }
+
+  const conditions = [];
+
+  // Weighted full-text search with fuzzy locality/city matching
+  const searchQuery = buildFullTextSearch('property', search);
+  if (searchQuery) {
+    conditions.push(db.sequelize.literal(searchQuery.condition));
+  }
+
+  // Price range lives inside the pricing JSONB array
+  if (pricingQuery.filter) {
+    conditions.push(db.sequelize.literal(pricingQuery.filter));
+  }
+
+  if (conditions.length > 0) {
+    where[Op.and] = conditions;
+  }
+
+  return {
+    where,
+    pricingQuery,
+    searchQuery,
+    replacements: {
+      ...pricingQuery.replacements,
+      ...(searchQuery ? searchQuery.replacements : {})
+    }
+  };
+};
+
+/**
+ * Keyset sort keys for a property sort order (always ending with the primary key)
+ * @param {string} sortBy - One of PROPERTY_SORT_OPTIONS
+ * @param {object} pricingQuery - Result of buildPricingQuery
+ * @param {object|null} searchQuery - Result of buildFullTextSearch
+ * @returns {Array<object>} - Sort keys for buildKeysetQuery
+ */
+const buildPropertySortKeys = (sortBy, pricingQuery, searchQuery) => {
+  const newestFirst = [
+    { sql: '"property"."property_created_at"', direction: 'DESC' },
+    { sql: '"property"."property_id"', direction: 'DESC' }
+  ];
+
+  if (sortBy === 'price_asc' || sortBy === 'price_desc') {
+    return [
+      { sql: pricingQuery.sortValue, direction: sortBy === 'price_asc' ? 'ASC' : 'DESC', nullable: true },
+      ...newestFirst
+    ];
+  }
+
+  if (sortBy === 'relevance' && searchQuery) {
+    return [{ sql: searchQuery.rank, direction: 'DESC' }, ...newestFirst];
+  }
+
+  if (sortBy === 'oldest') {
+    return [
+      { sql: '"property"."property_created_at"', direction: 'ASC' },
+      { sql: '"property"."property_id"', direction: 'ASC' }
+    ];
+  }
+
+  return newestFirst;
+};
+
+/**
+ * Check that a price range is well-formed
+ * @param {number} minPrice - Minimum price
+ * @param {number} maxPrice - Maximum price
+ * @returns {object|null} - Error result object or null when valid
+ */
+const validatePriceRange = (minPrice, maxPrice) => {
+  if (minPrice !== null && minPrice !== undefined && maxPrice !== null && maxPrice !== undefined && minPrice > maxPrice) {
+    return {
+      success: false,
+      message: 'minPrice cannot be greater than maxPrice',
+      statusCode: 400
+    };
+  }
+
+  return null;
+};
+
 /**
  * List properties with filters and pagination
  * @param {object} filters - Filter options
+ * @param {boolean} filters.includeFacets - Also return per-bucket counts for the filter sidebar
+ * @param {string} filters.cursor - Cursor from the previous page (keyset mode, page is ignored)
  * @returns {Promise<object>} - Result object
  */
 const listProperties = async (filters) => {
   try {
     const {
-      status,
-      projectId,
-      city,
-      locality,
-      propertyType,
-      listingType,
-      bedrooms,
       minPrice,
       maxPrice,
       search,
+      includeFacets,
+      cursor,
       page = 1,
       limit = 10
     } = filters;
 
-    const where = {};
+    // Most relevant first when searching, otherwise newest first
+    const sortBy = filters.sortBy || (search ? 'relevance' : 'newest');
 
-    if (status) {
-      where.status = status;
+    if (!PROPERTY_SORT_OPTIONS.includes(sortBy)) {
+      return {
+        success: false,
+        message: `Invalid sortBy value. Allowed values: ${PROPERTY_SORT_OPTIONS.join(', ')}`,
+        statusCode: 400
+      };
     }
 
-    if (projectId) {
-      where.projectId = projectId;
+    const priceRangeError = validatePriceRange(minPrice, maxPrice);
+    if (priceRangeError) {
+      return priceRangeError;
     }
 
-    if (city) {
-      where.city = {
-        [Op.iLike]: `%${city}%`
-      };
-    }
+    const { where, pricingQuery, searchQuery, replacements } = buildPropertyListFilters(filters);
 
-    if (locality) {
-      where.locality = {
-        [Op.iLike]: `%${locality}%`
+    const keys = buildPropertySortKeys(sortBy, pricingQuery, searchQuery);
+
+    const cursorError = cursor ? validateCursor(cursor, sortBy, keys.length) : null;
+    if (cursorError) {
+      return {
+        success: false,
+        message: cursorError,
+        statusCode: 400
       };
     }
 
-    if (propertyType) {
-      where.propertyType = propertyType;
-    }
+    const keyset = buildKeysetQuery({ sort: sortBy, keys, cursor });
+
+    const [{ rows, pagination }, facets] = await Promise.all([
+      findKeysetPage(Property, {
+        where,
+        replacements,
+        include: [
+          {
+            model: PlatformUser,
+            as: 'creator',
+            attributes: ['userId', 'name', 'email']
+          }
+        ]
+      }, { keyset, cursor, page, limit }),
+      includeFacets
+        ? buildFacetCounts(Property, PROPERTY_FACETS, buildPropertyListFilters, filters)
+        : null
+    ]);
 
-    if (listingType) {
-      where.listingType = listingType;
-    }
+    return {
+      success: true,
+      data: {
+        properties: rows,
+        pagination,
+        ...(facets && { facets })
+      }
+    };
+  } catch (error) {
+    logger.error('Error listing properties:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to list properties',
+      statusCode: 500
+    };
+  }
+};
 
-    if (bedrooms) {
-      where.bedrooms = bedrooms;
+/**
+ * Search properties near a location using PostGIS spatial query
+ * @param {number} latitude - Latitude coordinate
+ * @param {number} longitude - Longitude coordinate
+ * @param {number} radiusKm - Search radius in kilometers
+ * @param {object} filters - Same filter options as listProperties
+ * @returns {Promise<object>} - Result object
+ */
+const searchNearbyProperties = async (latitude, longitude, radiusKm, filters = {}) => {
+  try {
+    const {
+      minPrice,
+      maxPrice,
+      page = 1,
+      limit = 10
+    } = filters;
+
+    const priceRangeError = validatePriceRange(minPrice, maxPrice);
+    if (priceRangeError) {
+      return priceRangeError;
     }
 
-    if (search) {
-      where[Op.or] = [
-        { propertyName: { [Op.iLike]: `%${search}%` } },
-        { title: { [Op.iLike]: `%${search}%` } },
-        { description: { [Op.iLike]: `%${search}%` } },
-        { locality: { [Op.iLike]: `%${search}%` } },
-        { city: { [Op.iLike]: `%${search}%` } }
-      ];
+    const validationError = validateNearbyParams({ latitude, longitude, radiusKm });
+    if (validationError) {
+      return {
+        success: false,
+        message: validationError,
+        statusCode: 400
+      };
     }
 
+    const { where, replacements } = buildPropertyListFilters(filters);
+
+    // PostGIS fragments with bound coordinates and radius (uses the location GIST index)
+    const nearbyQuery = buildNearbyQuery({
+      column: '"property"."location"',
+      latitude,
+      longitude,
+      radiusKm
+    });
+
+    where[Op.and] = [
+      ...(where[Op.and] || []),
+      db.sequelize.literal(nearbyQuery.condition)
+    ];
+
     const offset = (page - 1) * limit;
 
     const { count, rows } = await Property.findAndCountAll({
       where,
-      limit,
-      offset,
-      order: [['property_created_at', 'DESC']],
+      attributes: {
+        include: [
+          // Calculate distance in kilometers and include it in results
+          [db.sequelize.literal(nearbyQuery.distanceKm), 'distance_km']
+        ]
+      },
       include: [
         {
           model: PlatformUser,
           as: 'creator',
           attributes: ['userId', 'name', 'email']
         }
-      ]
+      ],
+      replacements: {
+        ...replacements,
+        ...nearbyQuery.replacements
+      },
+      limit,
+      offset,
+      // Order by distance (nearest first)
+      order: db.sequelize.literal(nearbyQuery.distanceOrder),
+      subQuery: false
     });
 
     return {
       success: true,
       data: {
         properties: rows,
+        searchCenter: {
+          lat: latitude,
+          lng: longitude,
+          radiusKm
+        },
         pagination: {
           total: count,
           page,
@@ -440,10 +565,10 @@ const listProperties = async (filters) => {
       }
     };
   } catch (error) {
-    logger.error('Error listing properties:', error);
+    logger.error('Error searching nearby properties:', error);
     return {
       success: false,
-      message: error.message || 'Failed to list properties',
+      message: error.message || 'Failed to search nearby properties',
       statusCode: 500
     };
   }
@@ -501,5 +626,6 @@ module.exports = {
   getPropertyById,
   getUserProperties,
   listProperties,
+  searchNearbyProperties,
   deleteProperty
 };
@@ -0,0 +1,237 @@
+const db = require("../entity");
+const { QueryTypes } = require("sequelize");
+const logger = require("../config/winston.config");
+const { buildFullTextSearch } = require("../utils/fullTextSearch");
+const { buildPaginatedData } = require("../utils/responseFormatter");
+
+/**
+ * Result types returned by the unified search (same names as ListingDraft.draftType)
+ */
+const SEARCH_RESULT_TYPES = ['PROPERTY', 'PG', 'PROJECT', 'DEVELOPER'];
+
+/**
+ * Maximum page size for unified search
+ */
+const MAX_SEARCH_LIMIT = 50;
+
+/**
+ * Per-type search sources. Each source selects the same columns so they can be unioned:
+ * result_type, result_id, title, city, locality, created_at, score
+ */
+const SEARCH_SOURCES = {
+  PROPERTY: {
+    document: 'property',
+    select: `'PROPERTY' AS result_type,
+             "property"."property_id" AS result_id,
+             COALESCE("property"."title", "property"."property_name") AS title,
+             "property"."city" AS city,
+             "property"."locality" AS locality,
+             "property"."property_created_at" AS created_at`,
+    from: 'property AS "property"',
+    baseConditions: [`"property"."property_deleted_at" IS NULL`, `"property"."status" = 'ACTIVE'`],
+    city: '"property"."city"',
+    locality: '"property"."locality"'
+  },
+  PG: {
+    document: 'pgHostel',
+    select: `'PG' AS result_type,
+             "pg_colive_hostel"."pg_hostel_id" AS result_id,
+             "pg_colive_hostel"."property_name" AS title,
+             "pg_colive_hostel"."city" AS city,
+             "pg_colive_hostel"."locality" AS locality,
+             "pg_colive_hostel"."pg_hostel_created_at" AS created_at`,
+    from: 'pg_colive_hostel AS "pg_colive_hostel"',
+    baseConditions: [`"pg_colive_hostel"."pg_hostel_deleted_at" IS NULL`],
+    city: '"pg_colive_hostel"."city"',
+    locality: '"pg_colive_hostel"."locality"'
+  },
+  PROJECT: {
+    document: 'project',
+    select: `'PROJECT' AS result_type,
+             "project"."project_id" AS result_id,
+             "project"."project_name" AS title,
+             "project"."project_details"->>'city' AS city,
+             "project"."project_details"->>'locality' AS locality,
+             "project"."project_created_at" AS created_at`,
+    from: 'project AS "project"',
+    baseConditions: [`"project"."project_deleted_at" IS NULL`],
+    city: `("project"."project_details"->>'city')`,
+    locality: `("project"."project_details"->>'locality')`
+  },
+  DEVELOPER: {
+    document: 'developer',
+    select: `'DEVELOPER' AS result_type,
+             "developer"."developer_id" AS result_id,
+             "developer"."developer_name" AS title,
+             NULL::text AS city,
+             NULL::text AS locality,
+             "developer"."developer_created_at" AS created_at`,
+    from: 'developer AS "developer"',
+    baseConditions: [`"developer"."developer_deleted_at" IS NULL`],
+    // Developers have no location, so they drop out when city/locality is filtered
+    city: null,
+    locality: null
+  }
+};
+
+/**
+ * Build the UNION ALL over every source matching the shared filters
+ * @param {object} filters - { search, city, locality }
+ * @returns {object} - { sql, replacements }
+ */
+const buildSearchUnion = ({ search, city, locality }) => {
+  const replacements = {};
+  const selects = [];
+
+  Object.values(SEARCH_SOURCES).forEach(source => {
+    if ((city && !source.city) || (locality && !source.locality)) {
+      return;
+    }
+
+    const conditions = [...source.baseConditions];
+    let score = '0';
+
+    const searchQuery = buildFullTextSearch(source.document, search);
+    if (searchQuery) {
+      conditions.push(searchQuery.condition);
+      score = searchQuery.rank;
+      Object.assign(replacements, searchQuery.replacements);
+    }
+
+    if (city) {
+      conditions.push(`LOWER(${source.city}) = LOWER(:searchCity)`);
+      replacements.searchCity = city;
+    }
+
+    if (locality) {
+      conditions.push(`LOWER(${source.locality}) = LOWER(:searchLocality)`);
+      replacements.searchLocality = locality;
+    }
+
+    selects.push(`SELECT ${source.select}, (${score})::double precision AS score
+      FROM ${source.from}
+      WHERE ${conditions.join('\n        AND ')}`);
+  });
+
+  return {
+    sql: selects.join('\nUNION ALL\n'),
+    replacements
+  };
+};
+
+/**
+ * Search properties, PG/hostels, projects and developers in one request
+ * @param {object} filters - Search filters
+ * @param {string} filters.search - Free text query
+ * @param {Array<string>} filters.types - Result types to return (defaults to all)
+ * @param {string} filters.city - City (exact, case-insensitive)
+ * @param {string} filters.locality - Locality (exact, case-insensitive)
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<object>} - Result object with typed items, facets and pagination
+ */
+const search = async (filters = {}, page = 1, limit = 20) => {
+  try {
+    const types = filters.types && filters.types.length > 0 ? filters.types : SEARCH_RESULT_TYPES;
+    const invalidTypes = types.filter(type => !SEARCH_RESULT_TYPES.includes(type));
+
+    if (invalidTypes.length > 0) {
+      return {
+        success: false,
+        message: `Invalid result types: ${invalidTypes.join(', ')}. Allowed values: ${SEARCH_RESULT_TYPES.join(', ')}`,
+        statusCode: 400
+      };
+    }
+
+    const pageSize = Math.min(Math.max(limit, 1), MAX_SEARCH_LIMIT);
+    const currentPage = Math.max(page, 1);
+
+    const union = buildSearchUnion(filters);
+
+    if (!union.sql) {
+      return {
+        success: true,
+        data: buildPaginatedData([], { total: 0, page: currentPage, limit: pageSize }, {
+          facets: { type: {}, city: [] }
+        })
+      };
+    }
+
+    const replacements = {
+      ...union.replacements,
+      resultTypes: types,
+      pageLimit: pageSize,
+      pageOffset: (currentPage - 1) * pageSize
+    };
+
+    // Type facet ignores the type filter so the UI can show counts for every tab;
+    // city facet reflects the selected types
+    const facetRows = await db.sequelize.query(
+      `WITH results AS (${union.sql})
+       SELECT 'type' AS facet, result_type AS value, COUNT(*)::int AS count
+       FROM results
+       GROUP BY result_type
+       UNION ALL
+       SELECT 'city' AS facet, city AS value, COUNT(*)::int AS count
+       FROM results
+       WHERE result_type IN (:resultTypes) AND city IS NOT NULL
+       GROUP BY city`,
+      { replacements, type: QueryTypes.SELECT }
+    );
+
+    const rows = await db.sequelize.query(
+      `WITH results AS (${union.sql})
+       SELECT result_type, result_id, title, city, locality, created_at, score
+       FROM results
+       WHERE result_type IN (:resultTypes)
+       ORDER BY score DESC, created_at DESC, result_type, result_id
+       LIMIT :pageLimit OFFSET :pageOffset`,
+      { replacements, type: QueryTypes.SELECT }
+    );
+
+    const typeFacet = {};
+    const cityFacet = [];
+    facetRows.forEach(row => {
+      if (row.facet === 'type') {
+        typeFacet[row.value] = row.count;
+      } else {
+        cityFacet.push({ value: row.value, count: row.count });
+      }
+    });
+    cityFacet.sort((a, b) => b.count - a.count);
+
+    const total = types.reduce((sum, type) => sum + (typeFacet[type] || 0), 0);
+
+    const items = rows.map(row => ({
+      type: row.result_type,
+      id: row.result_id,
+      title: row.title,
+      city: row.city,
+      locality: row.locality,
+      score: parseFloat(row.score),
+      createdAt: row.created_at
+    }));
+
+    return {
+      success: true,
+      data: buildPaginatedData(items, { total, page: currentPage, limit: pageSize }, {
+        facets: {
+          type: typeFacet,
+          city: cityFacet
+        }
+      })
+    };
+  } catch (error) {
+    logger.error('Error running unified search:', error);
+    return {
+      success: false,
+      message: error.message || 'Failed to search listings',
+      statusCode: 500
+    };
+  }
+};
+
+module.exports = {
+  SEARCH_RESULT_TYPES,
+  search
+};
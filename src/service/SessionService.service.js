@@ -0,0 +1,344 @@
+const { randomUUID } = require("crypto");
+const jwt = require("jsonwebtoken");
+const { Op } = require("sequelize");
+const db = require("../entity");
+const RefreshToken = db.RefreshToken;
+const PlatformUser = db.PlatformUser;
+const logger = require("../config/winston.config");
+const {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_MS,
+  REFRESH_TOKEN_REUSE_GRACE_SECONDS,
+  REVOKE_REASONS
+} = require("../config/session.config");
+
+const accessTokenSecret = process.env.ACCESS_TOKEN_SECRET;
+const refreshTokenSecret = process.env.REFRESH_TOKEN_SECRET;
+
+// Registered JWT claims that are set per token rather than copied between tokens
+const PER_TOKEN_CLAIMS = ['iat', 'exp', 'nbf', 'jti', 'sid'];
+
+/**
+ * Claims carried over from a decoded token
+ * @param {object} decoded - Decoded JWT payload
+ * @returns {object} - User claims (userId, userEmail, role, ...)
+ */
+const userClaims = (decoded) => {
+  const claims = { ...decoded };
+  PER_TOKEN_CLAIMS.forEach(claim => delete claims[claim]);
+  return claims;
+};
+
+/**
+ * Store a refresh token and sign both tokens
+ * @param {object} claims - User claims for the access and refresh tokens
+ * @param {object} session - { familyId, sessionStartedAt, userAgent, ipAddress }
+ * @param {object} transaction - Open Sequelize transaction (optional)
+ * @returns {Promise<{accessToken: string, refreshToken: string, sessionId: string, tokenId: string}>}
+ */
+const issueTokens = async (claims, { familyId, sessionStartedAt, userAgent, ipAddress }, transaction = null) => {
+  const tokenId = randomUUID();
+
+  await RefreshToken.create({
+    tokenId,
+    familyId,
+    userId: claims.userId,
+    status: 'ACTIVE',
+    userAgent,
+    ipAddress,
+    sessionStartedAt,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+  }, { transaction });
+
+  const accessToken = jwt.sign(claims, accessTokenSecret, { expiresIn: ACCESS_TOKEN_TTL });
+  const refreshToken = jwt.sign({ ...claims, sid: familyId }, refreshTokenSecret, {
+    jwtid: tokenId,
+    expiresIn: Math.floor(REFRESH_TOKEN_TTL_MS / 1000)
+  });
+
+  return { accessToken, refreshToken, sessionId: familyId, tokenId };
+};
+
+/**
+ * Start a login session for a user
+ * @param {object} claims - Token claims: { userId, userEmail, role, ... }
+ * @param {object} deviceInfo - { userAgent, ipAddress } of the login request
+ * @returns {Promise<{accessToken: string, refreshToken: string, sessionId: string}>}
+ */
+const createSession = async (claims, { userAgent = null, ipAddress = null } = {}) => {
+  const tokens = await issueTokens(claims, {
+    familyId: randomUUID(),
+    sessionStartedAt: new Date(),
+    userAgent,
+    ipAddress
+  });
+
+  logger.info(`Session ${tokens.sessionId} started for user ${claims.userId}`);
+
+  return {
+    accessToken: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    sessionId: tokens.sessionId
+  };
+};
+
+/**
+ * Revoke every live token of a session
+ * @param {string} familyId - Session ID
+ * @param {string} reason - One of REVOKE_REASONS
+ * @param {object} transaction - Open Sequelize transaction (optional)
+ * @returns {Promise<number>} - Tokens revoked
+ */
+const revokeFamily = async (familyId, reason, transaction = null) => {
+  const [revoked] = await RefreshToken.update({
+    status: 'REVOKED',
+    revokedAt: new Date(),
+    revokedReason: reason
+  }, {
+    where: { familyId, status: 'ACTIVE' },
+    transaction
+  });
+  return revoked;
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token.
+ * The presented token is marked ROTATED; presenting it again after the grace window
+ * means it was copied, so the whole session is revoked.
+ * @param {string} refreshToken - Refresh JWT from the cookie
+ * @param {object} deviceInfo - { userAgent, ipAddress } of the refresh request
+ * @returns {Promise<{success: boolean, data?: object, message?: string, statusCode?: number}>}
+ */
+const rotateRefreshToken = async (refreshToken, { userAgent = null, ipAddress = null } = {}) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, refreshTokenSecret);
+  } catch (error) {
+    return { success: false, message: 'Invalid or expired refresh token', statusCode: 403 };
+  }
+
+  // Tokens issued before sessions were stored carry no jti and cannot be rotated
+  if (!decoded.jti) {
+    return { success: false, message: 'Invalid or expired refresh token', statusCode: 403 };
+  }
+
+  const transaction = await db.sequelize.transaction();
+
+  try {
+    // Row lock so two refreshes with the same token cannot both rotate it
+    const stored = await RefreshToken.findByPk(decoded.jti, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!stored || stored.status === 'REVOKED') {
+      await transaction.rollback();
+      return { success: false, message: 'Session has been signed out', statusCode: 403 };
+    }
+
+    if (stored.status === 'ROTATED') {
+      const rotatedAgo = (Date.now() - new Date(stored.rotatedAt).getTime()) / 1000;
+      if (rotatedAgo <= REFRESH_TOKEN_REUSE_GRACE_SECONDS) {
+        await transaction.rollback();
+        return { success: false, message: 'Refresh token was just rotated by another request', statusCode: 409 };
+      }
+
+      const revoked = await revokeFamily(stored.familyId, REVOKE_REASONS.REUSE_DETECTED, transaction);
+      await transaction.commit();
+
+      logger.warn(`Refresh token reuse detected for user ${stored.userId} (session ${stored.familyId}, token ${stored.tokenId}, ip ${ipAddress}); revoked ${revoked} token(s)`);
+      return { success: false, message: 'Refresh token reuse detected; session has been signed out', statusCode: 403 };
+    }
+
+    // Re-read the role so role changes apply within one access token lifetime
+    const user = await PlatformUser.findByPk(stored.userId, {
+      attributes: ['userId', 'role'],
+      transaction
+    });
+    if (!user) {
+      await transaction.rollback();
+      return { success: false, message: 'Invalid or expired refresh token', statusCode: 403 };
+    }
+
+    const tokens = await issueTokens({ ...userClaims(decoded), role: user.role }, {
+      familyId: stored.familyId,
+      sessionStartedAt: stored.sessionStartedAt,
+      userAgent,
+      ipAddress
+    }, transaction);
+
+    await stored.update({
+      status: 'ROTATED',
+      rotatedAt: new Date(),
+      replacedByTokenId: tokens.tokenId
+    }, { transaction });
+
+    await transaction.commit();
+
+    return {
+      success: true,
+      data: {
+        accessToken: tokens.accessToken,
+        refreshToken: tokens.refreshToken,
+        sessionId: tokens.sessionId
+      }
+    };
+  } catch (error) {
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
+    logger.error(`Error rotating refresh token for user ${decoded.userId}:`, error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+/**
+ * Sign out the session a refresh token belongs to (expired tokens are accepted)
+ * @param {string} refreshToken - Refresh JWT from the cookie
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+const revokeSessionByToken = async (refreshToken) => {
+  try {
+    const decoded = jwt.verify(refreshToken, refreshTokenSecret, { ignoreExpiration: true });
+    if (!decoded.sid) {
+      return { success: true };
+    }
+
+    await revokeFamily(decoded.sid, REVOKE_REASONS.LOGOUT);
+    logger.info(`Session ${decoded.sid} signed out by user ${decoded.userId}`);
+
+    return { success: true };
+  } catch (error) {
+    logger.warn(`Could not revoke session on logout: ${error.message}`);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+/**
+ * Sign out one of a user's sessions
+ * @param {number} userId - Session owner
+ * @param {string} sessionId - Session (family) ID
+ * @returns {Promise<{success: boolean, message?: string, statusCode?: number}>}
+ */
+const revokeSession = async (userId, sessionId) => {
+  try {
+    const owned = await RefreshToken.count({ where: { familyId: sessionId, userId } });
+    if (!owned) {
+      return { success: false, message: 'Session not found', statusCode: 404 };
+    }
+
+    await revokeFamily(sessionId, REVOKE_REASONS.LOGOUT);
+    logger.info(`Session ${sessionId} signed out by user ${userId}`);
+
+    return { success: true };
+  } catch (error) {
+    logger.error(`Error revoking session ${sessionId} for user ${userId}:`, error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+/**
+ * Sign out every session of a user ("sign out of all devices")
+ * @param {number} userId - User ID
+ * @returns {Promise<{success: boolean, data?: {revokedSessions: number}, message?: string}>}
+ */
+const revokeAllSessions = async (userId) => {
+  try {
+    const families = await RefreshToken.count({
+      where: { userId, status: 'ACTIVE' },
+      distinct: true,
+      col: 'familyId'
+    });
+
+    await RefreshToken.update({
+      status: 'REVOKED',
+      revokedAt: new Date(),
+      revokedReason: REVOKE_REASONS.LOGOUT_ALL
+    }, {
+      where: { userId, status: 'ACTIVE' }
+    });
+
+    logger.info(`Signed out ${families} session(s) of user ${userId}`);
+
+    return {
+      success: true,
+      data: { revokedSessions: families }
+    };
+  } catch (error) {
+    logger.error(`Error revoking sessions for user ${userId}:`, error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+/**
+ * Active sessions of a user, most recent login first
+ * @param {number} userId - User ID
+ * @param {string} currentSessionId - Session of the caller, flagged as current (optional)
+ * @returns {Promise<{success: boolean, data?: Array<object>, message?: string}>}
+ */
+const listSessions = async (userId, currentSessionId = null) => {
+  try {
+    const tokens = await RefreshToken.findAll({
+      where: {
+        userId,
+        status: 'ACTIVE',
+        expiresAt: { [Op.gt]: new Date() }
+      },
+      order: [['sessionStartedAt', 'DESC']]
+    });
+
+    return {
+      success: true,
+      data: tokens.map(token => ({
+        sessionId: token.familyId,
+        userAgent: token.userAgent,
+        ipAddress: token.ipAddress,
+        startedAt: token.sessionStartedAt,
+        lastRefreshedAt: token.createdAt,
+        expiresAt: token.expiresAt,
+        current: token.familyId === currentSessionId
+      }))
+    };
+  } catch (error) {
+    logger.error(`Error listing sessions for user ${userId}:`, error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+/**
+ * Session ID carried by a refresh token, without checking it against the database
+ * @param {string} refreshToken - Refresh JWT from the cookie
+ * @returns {string|null}
+ */
+const getSessionId = (refreshToken) => {
+  try {
+    return jwt.verify(refreshToken, refreshTokenSecret, { ignoreExpiration: true }).sid || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  revokeSessionByToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+  getSessionId
+};
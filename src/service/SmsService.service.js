@@ -0,0 +1,40 @@
+const logger = require("../config/winston.config");
+const { smsConfig } = require("../config/sms.config");
+const { deliverSms } = require("../utils/sms");
+const { enqueueSms } = require("../queues/smsQueue");
+
+/**
+ * Send a templated SMS.
+ * Queued through BullMQ (with retries) unless SMS_QUEUE_ENABLED=false, in which case
+ * it is delivered inline with a single attempt.
+ * @param {string} to - Phone number
+ * @param {string} template - Key of SMS_TEMPLATES
+ * @param {object} variables - Template variables
+ * @returns {Promise<object>} - { queued: true, jobId } or { queued: false, provider, messageId }
+ */
+const sendTemplatedSms = async (to, template, variables) => {
+  if (smsConfig.queueEnabled) {
+    const { jobId } = await enqueueSms({ to, template, variables });
+    return { queued: true, jobId };
+  }
+
+  const result = await deliverSms({ to, template, variables });
+  logger.info(`SMS sent inline via ${result.provider}, messageId: ${result.messageId}`);
+  return { queued: false, ...result };
+};
+
+/**
+ * Send an OTP SMS
+ * @param {string} phone - Phone number
+ * @param {string} otp - One-time password
+ * @param {number} expiryMinutes - Validity in minutes
+ * @returns {Promise<object>} - See sendTemplatedSms
+ */
+const sendOtpSms = async (phone, otp, expiryMinutes) => {
+  return await sendTemplatedSms(phone, "OTP", { otp, expiryMinutes });
+};
+
+module.exports = {
+  sendTemplatedSms,
+  sendOtpSms
+};
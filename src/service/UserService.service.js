@@ -1,5 +1,6 @@
 const db = require("../entity/index.js");
 const logger = require("../config/winston.config.js");
+const { ROLES } = require("../config/roles.config.js");
 
 const getInitials = (name) => {
   const trimmedName = name.trim();
@@ -282,6 +283,44 @@ async function rejectVerification(userId, verificationNotes) {
   }
 }
 
+/**
+ * Update user role
+ * The new role is picked up by the user's next token refresh or login
+ * @param {number} userId - User ID
+ * @param {string} newRole - New role (PARTNER, REVIEWER, FINANCE, SUPER_ADMIN)
+ * @param {number} updatedBy - Admin user ID making the change
+ * @returns {Promise<Object>} Updated user data
+ */
+async function updateUserRole(userId, newRole, updatedBy) {
+  const validRoles = Object.values(ROLES);
+
+  if (!validRoles.includes(newRole)) {
+    throw new Error(`Invalid role. Must be one of: ${validRoles.join(', ')}`);
+  }
+
+  if (Number(userId) === Number(updatedBy)) {
+    // Prevents a super admin from locking everyone out by demoting themselves
+    throw new Error("Invalid role change: you cannot change your own role");
+  }
+
+  try {
+    const user = await db.PlatformUser.findByPk(userId);
+
+    if (!user) {
+      throw new Error("User not found");
+    }
+
+    const previousRole = user.role;
+    await user.update({ role: newRole });
+
+    logger.info(`User ${userId} role changed from ${previousRole} to ${newRole} by ${updatedBy}`);
+    return user.toJSON();
+  } catch (error) {
+    logger.error(`Error updating role for user ${userId}:`, error);
+    throw error;
+  }
+}
+
 /**
  * Update last login timestamp
  * @param {number} userId - User ID
@@ -320,6 +359,7 @@ module.exports = {
   updateUserStatus,
   approveVerification,
   rejectVerification,
+  updateUserRole,
   updateLastLogin,
   getAccountType,
 };
@@ -0,0 +1,452 @@
+const db = require("../entity");
+const WalletAdjustmentRequest = db.WalletAdjustmentRequest;
+const WalletAdjustmentApproval = db.WalletAdjustmentApproval;
+const PlatformUser = db.PlatformUser;
+const { UniqueConstraintError } = require("sequelize");
+const logger = require("../config/winston.config");
+const WalletService = require("./WalletService.service");
+const { CREDIT_SOURCES } = require("../config/walletCredits.config");
+const { ADJUSTMENT_STATUS, getRequiredApprovals } = require("../config/walletAdjustment.config");
+
+const TRANSACTION_TYPES = ['CREDIT', 'DEBIT'];
+
+/**
+ * API shape of an adjustment request, with its approve/reject decisions when loaded
+ * @param {object} adjustment - WalletAdjustmentRequest instance
+ * @returns {object}
+ */
+const toAdjustmentResponse = (adjustment) => ({
+  adjustmentId: adjustment.adjustmentId,
+  userId: adjustment.userId,
+  transactionType: adjustment.transactionType,
+  amount: adjustment.amount,
+  reason: adjustment.reason,
+  metadata: adjustment.metadata,
+  source: adjustment.source,
+  expiresAt: adjustment.expiresAt,
+  status: adjustment.status,
+  requiredApprovals: adjustment.requiredApprovals,
+  requestedBy: adjustment.requestedBy,
+  transactionId: adjustment.transactionId,
+  failureReason: adjustment.failureReason,
+  createdAt: adjustment.createdAt,
+  decidedAt: adjustment.decidedAt,
+  approvals: (adjustment.approvals || []).map(approval => ({
+    approverId: approval.approverId,
+    decision: approval.decision,
+    comment: approval.comment,
+    createdAt: approval.createdAt
+  }))
+});
+
+/**
+ * Load an adjustment with its decisions, oldest first
+ * @param {number} adjustmentId - Adjustment ID
+ * @returns {Promise<object|null>}
+ */
+const findAdjustment = (adjustmentId) =>
+  WalletAdjustmentRequest.findByPk(adjustmentId, {
+    include: [{ model: WalletAdjustmentApproval, as: 'approvals' }],
+    order: [[{ model: WalletAdjustmentApproval, as: 'approvals' }, 'approvalId', 'ASC']]
+  });
+
+/**
+ * Request an admin credit or debit. Nothing posts to the ledger until the adjustment is approved.
+ * With an idempotency key, a retry for the same wallet returns the adjustment created by the first call.
+ * @param {object} adjustment - { userId, transactionType, amount, reason, metadata, source, expiresAt }
+ * @param {number} requestedBy - Admin requesting the adjustment
+ * @param {object} options - { idempotencyKey }
+ * @returns {Promise<{success: boolean, data?: object, replayed?: boolean, message?: string, statusCode?: number}>}
+ */
+const requestAdjustment = async ({ userId, transactionType, amount, reason, metadata = null, source, expiresAt }, requestedBy, { idempotencyKey = null } = {}) => {
+  try {
+    if (!TRANSACTION_TYPES.includes(transactionType)) {
+      return { success: false, message: `Transaction type must be one of: ${TRANSACTION_TYPES.join(', ')}`, statusCode: 400 };
+    }
+
+    const units = Number(amount);
+    if (!Number.isInteger(units) || units <= 0) {
+      return { success: false, message: 'Amount must be a positive whole number', statusCode: 400 };
+    }
+
+    // Credit bucket options are checked now so an approver never signs off on an entry that cannot post
+    let bucketSource = null;
+    let bucketExpiresAt = null;
+    if (transactionType === 'CREDIT') {
+      bucketSource = source || CREDIT_SOURCES.PURCHASED;
+      if (!Object.values(CREDIT_SOURCES).includes(bucketSource)) {
+        return { success: false, message: `Source must be one of: ${Object.values(CREDIT_SOURCES).join(', ')}`, statusCode: 400 };
+      }
+
+      bucketExpiresAt = expiresAt ? new Date(expiresAt) : null;
+      if (bucketExpiresAt && (isNaN(bucketExpiresAt.getTime()) || bucketExpiresAt <= new Date())) {
+        return { success: false, message: 'Expiry must be a valid future date', statusCode: 400 };
+      }
+    }
+
+    if (idempotencyKey) {
+      const existing = await WalletAdjustmentRequest.findOne({ where: { userId, idempotencyKey } });
+      if (existing) {
+        return replayAdjustment(existing, { transactionType, amount: units });
+      }
+    }
+
+    const user = await PlatformUser.findByPk(userId);
+    if (!user) {
+      return { success: false, message: 'User not found', statusCode: 404 };
+    }
+
+    const adjustment = await WalletAdjustmentRequest.create({
+      userId,
+      transactionType,
+      amount: units,
+      reason,
+      metadata,
+      source: bucketSource,
+      expiresAt: bucketExpiresAt,
+      status: ADJUSTMENT_STATUS.PENDING,
+      requiredApprovals: getRequiredApprovals(units),
+      requestedBy,
+      idempotencyKey
+    });
+
+    logger.info(`Wallet adjustment ${adjustment.adjustmentId} requested by user ${requestedBy}: ${transactionType} ${units} for user ${userId} (${adjustment.requiredApprovals} approval(s) required)`);
+
+    return {
+      success: true,
+      data: toAdjustmentResponse(adjustment)
+    };
+  } catch (error) {
+    // Same key submitted concurrently: the first request won the unique index
+    if (idempotencyKey && error instanceof UniqueConstraintError) {
+      const existing = await WalletAdjustmentRequest.findOne({ where: { userId, idempotencyKey } });
+      if (existing) {
+        return replayAdjustment(existing, { transactionType, amount: Number(amount) });
+      }
+    }
+
+    logger.error(`Error requesting wallet adjustment for user ${userId}:`, error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+/**
+ * Result for a retried adjustment request
+ * @param {object} existing - Adjustment created with the idempotency key
+ * @param {object} operation - The retried operation: { transactionType, amount }
+ * @returns {object} - Replay result, or 409 when the key belongs to a different adjustment
+ */
+const replayAdjustment = (existing, { transactionType, amount }) => {
+  if (existing.transactionType !== transactionType || existing.amount !== amount) {
+    return {
+      success: false,
+      message: 'Idempotency key has already been used for a different wallet adjustment',
+      statusCode: 409
+    };
+  }
+
+  return {
+    success: true,
+    replayed: true,
+    data: toAdjustmentResponse(existing)
+  };
+};
+
+/**
+ * Post an approved adjustment to the ledger. The ledger idempotency key is derived from the
+ * adjustment, so retrying after a crash or a failed attempt can never post it twice.
+ * @param {object} adjustment - Adjustment in APPROVED or FAILED status
+ * @param {Array<number>} approvedBy - Approver IDs, recorded on the ledger entry
+ * @returns {Promise<void>}
+ */
+const postAdjustment = async (adjustment, approvedBy) => {
+  const metadata = {
+    ...(adjustment.metadata || {}),
+    adjustmentId: adjustment.adjustmentId,
+    requestedBy: adjustment.requestedBy,
+    approvedBy
+  };
+  const options = { idempotencyKey: `wallet-adjustment:${adjustment.adjustmentId}` };
+
+  const result = adjustment.transactionType === 'CREDIT'
+    ? await WalletService.addFunds(adjustment.userId, adjustment.amount, adjustment.reason, metadata, {
+      ...options,
+      source: adjustment.source,
+      expiresAt: adjustment.expiresAt
+    })
+    : await WalletService.deductFunds(adjustment.userId, adjustment.amount, adjustment.reason, metadata, options);
+
+  if (result.success) {
+    await adjustment.update({
+      status: ADJUSTMENT_STATUS.POSTED,
+      transactionId: result.transaction.transactionId,
+      failureReason: null,
+      decidedAt: new Date()
+    });
+    logger.info(`Wallet adjustment ${adjustment.adjustmentId} posted as transaction ${result.transaction.transactionId}`);
+    return;
+  }
+
+  await adjustment.update({
+    status: ADJUSTMENT_STATUS.FAILED,
+    failureReason: String(result.message || 'Failed to post adjustment').slice(0, 500),
+    decidedAt: new Date()
+  });
+  logger.warn(`Wallet adjustment ${adjustment.adjustmentId} failed to post: ${result.message}`);
+};
+
+/**
+ * Approve an adjustment. Neither the requester nor the wallet owner can approve it and each admin
+ * approves at most once; the entry posts when the required number of approvals is reached.
+ * Approving an APPROVED or FAILED adjustment retries the posting (e.g. after a top-up).
+ * @param {number} adjustmentId - Adjustment ID
+ * @param {number} approverId - Approving admin
+ * @param {string} comment - Optional note for the audit trail
+ * @returns {Promise<{success: boolean, data?: object, message?: string, statusCode?: number}>}
+ */
+const approveAdjustment = async (adjustmentId, approverId, comment = null) => {
+  const transaction = await db.sequelize.transaction();
+
+  try {
+    // Row lock so two approvers cannot both see the last missing approval
+    const adjustment = await WalletAdjustmentRequest.findByPk(adjustmentId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!adjustment) {
+      await transaction.rollback();
+      return { success: false, message: 'Adjustment not found', statusCode: 404 };
+    }
+
+    if (adjustment.requestedBy === Number(approverId)) {
+      await transaction.rollback();
+      return { success: false, message: 'An adjustment cannot be approved by the admin who requested it', statusCode: 403 };
+    }
+
+    if (adjustment.userId === Number(approverId)) {
+      await transaction.rollback();
+      return { success: false, message: 'An adjustment cannot be approved by the owner of the wallet', statusCode: 403 };
+    }
+
+    if (adjustment.status === ADJUSTMENT_STATUS.POSTED || adjustment.status === ADJUSTMENT_STATUS.REJECTED) {
+      await transaction.rollback();
+      return { success: false, message: `Adjustment is already ${adjustment.status.toLowerCase()}`, statusCode: 409 };
+    }
+
+    if (adjustment.status === ADJUSTMENT_STATUS.PENDING) {
+      const previous = await WalletAdjustmentApproval.findOne({
+        where: { adjustmentId: adjustment.adjustmentId, approverId },
+        transaction
+      });
+      if (previous) {
+        await transaction.rollback();
+        return { success: false, message: 'You have already decided on this adjustment', statusCode: 409 };
+      }
+
+      await WalletAdjustmentApproval.create({
+        adjustmentId: adjustment.adjustmentId,
+        approverId,
+        decision: 'APPROVED',
+        comment
+      }, { transaction });
+
+      const approvals = await WalletAdjustmentApproval.count({
+        where: { adjustmentId: adjustment.adjustmentId, decision: 'APPROVED' },
+        transaction
+      });
+
+      if (approvals >= adjustment.requiredApprovals) {
+        await adjustment.update({ status: ADJUSTMENT_STATUS.APPROVED }, { transaction });
+      }
+
+      logger.info(`Wallet adjustment ${adjustment.adjustmentId} approved by user ${approverId} (${approvals}/${adjustment.requiredApprovals})`);
+    }
+
+    await transaction.commit();
+
+    // Posting takes the wallet lock, so it runs after the approval is committed
+    if (adjustment.status !== ADJUSTMENT_STATUS.PENDING) {
+      const approvers = await WalletAdjustmentApproval.findAll({
+        where: { adjustmentId: adjustment.adjustmentId, decision: 'APPROVED' },
+        order: [['approvalId', 'ASC']]
+      });
+      await postAdjustment(adjustment, approvers.map(approval => approval.approverId));
+    }
+
+    return {
+      success: true,
+      data: toAdjustmentResponse(await findAdjustment(adjustment.adjustmentId))
+    };
+  } catch (error) {
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
+    logger.error(`Error approving wallet adjustment ${adjustmentId}:`, error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+/**
+ * Reject a pending adjustment; a single rejection closes it without posting
+ * @param {number} adjustmentId - Adjustment ID
+ * @param {number} approverId - Rejecting admin (may be the requester, withdrawing it)
+ * @param {string} comment - Why it was rejected
+ * @returns {Promise<{success: boolean, data?: object, message?: string, statusCode?: number}>}
+ */
+const rejectAdjustment = async (adjustmentId, approverId, comment) => {
+  if (!comment) {
+    return { success: false, message: 'A comment is required to reject an adjustment', statusCode: 400 };
+  }
+
+  const transaction = await db.sequelize.transaction();
+
+  try {
+    const adjustment = await WalletAdjustmentRequest.findByPk(adjustmentId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
+
+    if (!adjustment) {
+      await transaction.rollback();
+      return { success: false, message: 'Adjustment not found', statusCode: 404 };
+    }
+
+    if (adjustment.status !== ADJUSTMENT_STATUS.PENDING) {
+      await transaction.rollback();
+      return { success: false, message: `Only pending adjustments can be rejected (status: ${adjustment.status})`, statusCode: 409 };
+    }
+
+    const previous = await WalletAdjustmentApproval.findOne({
+      where: { adjustmentId: adjustment.adjustmentId, approverId },
+      transaction
+    });
+    if (previous) {
+      await transaction.rollback();
+      return { success: false, message: 'You have already decided on this adjustment', statusCode: 409 };
+    }
+
+    await WalletAdjustmentApproval.create({
+      adjustmentId: adjustment.adjustmentId,
+      approverId,
+      decision: 'REJECTED',
+      comment
+    }, { transaction });
+
+    await adjustment.update({
+      status: ADJUSTMENT_STATUS.REJECTED,
+      decidedAt: new Date()
+    }, { transaction });
+
+    await transaction.commit();
+
+    logger.info(`Wallet adjustment ${adjustment.adjustmentId} rejected by user ${approverId}`);
+
+    return {
+      success: true,
+      data: toAdjustmentResponse(await findAdjustment(adjustment.adjustmentId))
+    };
+  } catch (error) {
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
+    logger.error(`Error rejecting wallet adjustment ${adjustmentId}:`, error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+/**
+ * List adjustments, newest first
+ * @param {object} filters - { status, userId, requestedBy }
+ * @param {number} page - Page number
+ * @param {number} limit - Items per page
+ * @returns {Promise<{success: boolean, data?: object, message?: string, statusCode?: number}>}
+ */
+const listAdjustments = async ({ status, userId, requestedBy } = {}, page = 1, limit = 20) => {
+  try {
+    const where = {};
+
+    if (status) {
+      if (!Object.values(ADJUSTMENT_STATUS).includes(status)) {
+        return { success: false, message: `Status must be one of: ${Object.values(ADJUSTMENT_STATUS).join(', ')}`, statusCode: 400 };
+      }
+      where.status = status;
+    }
+    if (userId) {
+      where.userId = userId;
+    }
+    if (requestedBy) {
+      where.requestedBy = requestedBy;
+    }
+
+    const { count, rows } = await WalletAdjustmentRequest.findAndCountAll({
+      where,
+      include: [{ model: WalletAdjustmentApproval, as: 'approvals' }],
+      order: [['adjustmentId', 'DESC']],
+      limit,
+      offset: (page - 1) * limit,
+      distinct: true
+    });
+
+    return {
+      success: true,
+      data: {
+        adjustments: rows.map(toAdjustmentResponse),
+        pagination: {
+          total: count,
+          page,
+          limit,
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    };
+  } catch (error) {
+    logger.error('Error listing wallet adjustments:', error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+/**
+ * Get one adjustment with its audit trail
+ * @param {number} adjustmentId - Adjustment ID
+ * @returns {Promise<{success: boolean, data?: object, message?: string, statusCode?: number}>}
+ */
+const getAdjustment = async (adjustmentId) => {
+  try {
+    const adjustment = await findAdjustment(adjustmentId);
+    if (!adjustment) {
+      return { success: false, message: 'Adjustment not found', statusCode: 404 };
+    }
+
+    return {
+      success: true,
+      data: toAdjustmentResponse(adjustment)
+    };
+  } catch (error) {
+    logger.error(`Error fetching wallet adjustment ${adjustmentId}:`, error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+module.exports = {
+  requestAdjustment,
+  approveAdjustment,
+  rejectAdjustment,
+  listAdjustments,
+  getAdjustment
+};
@@ -1,62 +1,405 @@
 const db = require("../entity");
 const WalletTransaction = db.WalletTransaction;
+const WalletAccount = db.WalletAccount;
+const WalletReservation = db.WalletReservation;
+const WalletCreditBucket = db.WalletCreditBucket;
 const PlatformUser = db.PlatformUser;
-const { Op } = require("sequelize");
+const { Op, QueryTypes, UniqueConstraintError } = require("sequelize");
 const logger = require("../config/winston.config");
+const { validateCursor, buildKeysetQuery, findKeysetPage } = require("../utils/cursorPagination");
+const { CREDIT_SOURCES } = require("../config/walletCredits.config");
+
+/**
+ * Keyset sort keys for transaction history: newest transaction first
+ */
+const TRANSACTION_HISTORY_KEYS = [
+  { sql: '"wallet_transaction"."transaction_id"', direction: 'DESC' }
+];
+
+/**
+ * Number of wallet accounts compared per reconciliation query
+ */
+const RECONCILIATION_BATCH_SIZE = 500;
+
+/**
+ * Number of wallets with lapsed credit buckets expired per batch
+ */
+const CREDIT_EXPIRY_BATCH_SIZE = 500;
+
+/**
+ * Ledger totals per wallet: balance recomputed from every entry, and the balance_after
+ * of the newest entry. Used by reconciliation for a batch of accounts.
+ */
+const ACCOUNT_LEDGER_SQL = `
+  SELECT "account"."user_id" AS user_id,
+         "account"."balance" AS stored_balance,
+         COALESCE("ledger"."ledger_balance", 0)::int AS ledger_balance,
+         "ledger"."last_balance_after" AS last_balance_after
+  FROM wallet_account AS "account"
+  LEFT JOIN LATERAL (
+    SELECT SUM(CASE WHEN t.transaction_type = 'CREDIT' THEN t.amount ELSE -t.amount END) AS ledger_balance,
+           (ARRAY_AGG(t.balance_after ORDER BY t.transaction_id DESC))[1] AS last_balance_after
+    FROM wallet_transaction AS t
+    WHERE t.user_id = "account"."user_id"
+  ) AS "ledger" ON TRUE`;
+
+/**
+ * Lock the user's wallet account row until the transaction ends, creating it on first use.
+ * A new account is seeded from the latest ledger entry, so wallets that predate
+ * wallet_account keep their balance. Every ledger append takes this lock first, which
+ * serialises appends per wallet: a second deduction waits here and then sees the
+ * balance the first one committed. A carried-over balance becomes one PURCHASED credit bucket.
+ * @param {number} userId - User ID
+ * @param {object} transaction - Open Sequelize transaction
+ * @returns {Promise<object>} - Locked WalletAccount instance
+ */
+const lockWalletAccount = async (userId, transaction) => {
+  const lockOptions = { transaction, lock: transaction.LOCK.UPDATE };
+
+  const account = await WalletAccount.findByPk(userId, lockOptions);
+  if (account) {
+    return account;
+  }
+
+  // Concurrent first uses race on the primary key; the loser waits for the winner's row
+  await db.sequelize.query(
+    `INSERT INTO wallet_account (user_id, balance, last_transaction_id, reconciliation_status, drift_amount, created_at, updated_at)
+     SELECT :userId, COALESCE(latest.balance_after, 0), latest.transaction_id, 'OK', 0, NOW(), NOW()
+     FROM (SELECT 1) AS seed
+     LEFT JOIN LATERAL (
+       SELECT balance_after, transaction_id
+       FROM wallet_transaction
+       WHERE user_id = :userId
+       ORDER BY transaction_id DESC
+       LIMIT 1
+     ) AS latest ON TRUE
+     ON CONFLICT (user_id) DO NOTHING`,
+    { replacements: { userId }, transaction }
+  );
+
+  const seeded = await WalletAccount.findByPk(userId, lockOptions);
+
+  // Whichever first use locks first opens the bucket; the other sees it
+  if (seeded.balance > 0) {
+    const buckets = await WalletCreditBucket.count({ where: { userId }, transaction });
+    if (buckets === 0) {
+      await WalletCreditBucket.create({
+        userId,
+        source: CREDIT_SOURCES.PURCHASED,
+        amount: seeded.balance,
+        remainingAmount: seeded.balance
+      }, { transaction });
+    }
+  }
+
+  return seeded;
+};
+
+/**
+ * Append a ledger entry and move the locked account balance in the same transaction
+ * @param {object} account - WalletAccount locked by lockWalletAccount
+ * @param {object} entry - { transactionType, amount, reason, metadata, idempotencyKey }
+ * @param {object} transaction - Open Sequelize transaction
+ * @returns {Promise<object>} - Created WalletTransaction instance
+ */
+const appendLedgerEntry = async (account, { transactionType, amount, reason, metadata, idempotencyKey = null }, transaction) => {
+  const balanceAfter = transactionType === 'CREDIT'
+    ? account.balance + amount
+    : account.balance - amount;
+
+  const walletTransaction = await WalletTransaction.create({
+    userId: account.userId,
+    transactionType,
+    amount,
+    balanceAfter,
+    reason,
+    metadata,
+    idempotencyKey
+  }, { transaction });
+
+  await account.update({
+    balance: balanceAfter,
+    lastTransactionId: walletTransaction.transactionId
+  }, { transaction });
+
+  return walletTransaction;
+};
+
+/**
+ * Open the credit bucket for a credit just appended to the ledger
+ * @param {object} walletTransaction - The CREDIT entry
+ * @param {object} bucket - { source, expiresAt }
+ * @param {object} transaction - Open Sequelize transaction
+ * @returns {Promise<object>} - Created WalletCreditBucket instance
+ */
+const openCreditBucket = (walletTransaction, { source = CREDIT_SOURCES.PURCHASED, expiresAt = null }, transaction) =>
+  WalletCreditBucket.create({
+    userId: walletTransaction.userId,
+    source,
+    amount: walletTransaction.amount,
+    remainingAmount: walletTransaction.amount,
+    expiresAt,
+    creditTransactionId: walletTransaction.transactionId
+  }, { transaction });
+
+/**
+ * Take debited credits out of the user's active buckets. Spending order: the bucket funded
+ * by creditTransactionId (when given), lapsed buckets still awaiting expiry (they can only
+ * hold credits reserved before they lapsed), PROMO buckets, then everything else; oldest
+ * first within each group. The caller holds the wallet account lock.
+ * @param {number} userId - User ID
+ * @param {number} amount - Credits debited
+ * @param {object} options - { creditTransactionId }
+ * @param {object} transaction - Open Sequelize transaction
+ * @returns {Promise<Array<{bucketId: number, amount: number}>>} - Credits taken per bucket
+ */
+const consumeCreditBuckets = async (userId, amount, { creditTransactionId = null } = {}, transaction) => {
+  const buckets = await WalletCreditBucket.findAll({
+    where: { userId, status: 'ACTIVE' },
+    order: [['bucketId', 'ASC']],
+    transaction
+  });
+
+  const now = Date.now();
+  const spendingRank = (bucket) => {
+    if (creditTransactionId && bucket.creditTransactionId === creditTransactionId) {
+      return 0;
+    }
+    if (bucket.expiresAt && new Date(bucket.expiresAt).getTime() <= now) {
+      return 1;
+    }
+    return bucket.source === CREDIT_SOURCES.PROMO ? 2 : 3;
+  };
+  // Array sort is stable, so buckets keep their age order within a rank
+  buckets.sort((a, b) => spendingRank(a) - spendingRank(b));
+
+  const taken = [];
+  let outstanding = amount;
+
+  for (const bucket of buckets) {
+    if (outstanding === 0) {
+      break;
+    }
+
+    const units = Math.min(bucket.remainingAmount, outstanding);
+    const remainingAmount = bucket.remainingAmount - units;
+
+    await bucket.update({
+      remainingAmount,
+      status: remainingAmount === 0 ? 'EXHAUSTED' : 'ACTIVE'
+    }, { transaction });
+
+    taken.push({ bucketId: bucket.bucketId, amount: units });
+    outstanding -= units;
+  }
+
+  if (outstanding > 0) {
+    logger.warn(`Wallet ${userId}: ${outstanding} debited credits were not in any credit bucket`);
+  }
+
+  return taken;
+};
+
+/**
+ * Expire the user's lapsed credit buckets, posting a DEBIT for each one's remaining credits.
+ * Credits held by open reservations are left in place: they are spent first if the hold is
+ * captured, and expire on a later pass if it is released. The caller holds the wallet account lock.
+ * @param {object} account - WalletAccount locked by lockWalletAccount
+ * @param {object} transaction - Open Sequelize transaction
+ * @returns {Promise<Array<{bucketId: number, amount: number, transactionId: number}>>} - Expiry debits posted
+ */
+const expireLapsedBuckets = async (account, transaction) => {
+  const lapsed = await WalletCreditBucket.findAll({
+    where: {
+      userId: account.userId,
+      status: 'ACTIVE',
+      expiresAt: { [Op.lte]: new Date() }
+    },
+    order: [['expiresAt', 'ASC'], ['bucketId', 'ASC']],
+    transaction
+  });
+
+  const expired = [];
+
+  for (const bucket of lapsed) {
+    const units = Math.min(bucket.remainingAmount, account.balance - account.heldBalance);
+    if (units <= 0) {
+      break;
+    }
+
+    const walletTransaction = await appendLedgerEntry(account, {
+      transactionType: 'DEBIT',
+      amount: units,
+      reason: 'Credits expired',
+      metadata: {
+        type: 'CREDIT_EXPIRY',
+        bucketId: bucket.bucketId,
+        source: bucket.source,
+        expiresAt: bucket.expiresAt
+      }
+    }, transaction);
+
+    const remainingAmount = bucket.remainingAmount - units;
+    await bucket.update({
+      remainingAmount,
+      expiredAmount: bucket.expiredAmount + units,
+      status: remainingAmount === 0 ? 'EXPIRED' : 'ACTIVE',
+      expiredAt: new Date()
+    }, { transaction });
+
+    expired.push({
+      bucketId: bucket.bucketId,
+      amount: units,
+      transactionId: walletTransaction.transactionId
+    });
+  }
+
+  return expired;
+};
+
+/**
+ * Parse a wallet amount (request bodies may carry numbers as strings)
+ * @param {number|string} amount - Raw amount
+ * @returns {number|null} - Positive whole number of units, or null when invalid
+ */
+const parseAmount = (amount) => {
+  const units = Number(amount);
+  return Number.isInteger(units) && units > 0 ? units : null;
+};
 
 /**
  * Get user's current wallet balance
  * @param {number} userId - User ID
- * @returns {Promise<{success: boolean, balance: number, message?: string}>}
+ * @returns {Promise<{success: boolean, balance: number, heldBalance: number, availableBalance: number, message?: string}>}
+ *          availableBalance is what debits and new reservations can use (balance minus held credits)
  */
 const getWalletBalance = async (userId) => {
   try {
-    // Get the latest transaction to find current balance
-    const latestTransaction = await WalletTransaction.findOne({
-      where: { userId },
-      order: [['transactionId', 'DESC']],
-      attributes: ['balanceAfter']
+    const account = await WalletAccount.findByPk(userId, {
+      attributes: ['balance', 'heldBalance']
     });
 
-    const balance = latestTransaction ? latestTransaction.balanceAfter : 0;
+    let balance;
+    let heldBalance = 0;
+    if (account) {
+      balance = account.balance;
+      heldBalance = account.heldBalance;
+    } else {
+      // No account row until the first wallet operation: fall back to the latest ledger entry
+      const latestTransaction = await WalletTransaction.findOne({
+        where: { userId },
+        order: [['transactionId', 'DESC']],
+        attributes: ['balanceAfter']
+      });
+
+      balance = latestTransaction ? latestTransaction.balanceAfter : 0;
+    }
 
     return {
       success: true,
-      balance
+      balance,
+      heldBalance,
+      availableBalance: balance - heldBalance
     };
   } catch (error) {
     logger.error(`Error fetching wallet balance for user ${userId}:`, error);
     return {
       success: false,
       balance: 0,
+      heldBalance: 0,
+      availableBalance: 0,
       message: error.message
     };
   }
 };
 
 /**
- * Add funds to user wallet
- * @param {number} userId - User ID
- * @param {number} amount - Number of units to add
- * @param {string} reason - Reason for adding funds
- * @param {object} metadata - Additional metadata (optional)
- * @returns {Promise<{success: boolean, transaction?: object, message?: string}>}
+ * Look up the transaction already posted to this wallet under an idempotency key
+ * @param {string} idempotencyKey - Client or workflow supplied key
+ * @param {object} entry - The operation being retried: { userId, transactionType, amount }
+ * @param {object} transaction - Open Sequelize transaction (optional)
+ * @returns {Promise<object|null>} - Replay result, 409 result when the key belongs to a
+ *                                   different operation, or null when the key is unused
  */
-const addFunds = async (userId, amount, reason, metadata = null) => {
-  const transaction = await db.sequelize.transaction();
-  
-  try {
-    // Validate amount
-    if (!amount || amount <= 0) {
-      await transaction.rollback();
+const findIdempotentReplay = async (idempotencyKey, { userId, transactionType, amount }, transaction = null) => {
+  const existing = await WalletTransaction.findOne({
+    where: { userId, idempotencyKey },
+    transaction
+  });
+
+  if (!existing) {
+    return null;
+  }
+
+  if (existing.transactionType !== transactionType || existing.amount !== amount) {
+    return {
+      success: false,
+      message: 'Idempotency key has already been used for a different wallet operation',
+      statusCode: 409
+    };
+  }
+
+  logger.info(`Idempotent replay of ${transactionType} transaction ${existing.transactionId} for user ${userId} (key ${idempotencyKey})`);
+
+  return {
+    success: true,
+    replayed: true,
+    transaction: existing.toJSON()
+  };
+};
+
+/**
+ * Post a credit or debit: lock the wallet account, append the ledger entry and move the balance.
+ * With an idempotency key, a repeated call returns the transaction posted by the first call
+ * instead of posting again; the unique index on (user_id, idempotency_key) backs this up.
+ * A credit opens a credit bucket; a debit first expires lapsed buckets, then spends from the rest.
+ * @param {object} entry - { userId, transactionType, amount, reason, metadata }
+ * @param {object} options - { idempotencyKey, source, expiresAt, creditTransactionId }
+ * @returns {Promise<{success: boolean, transaction?: object, replayed?: boolean, message?: string, statusCode?: number}>}
+ */
+const postWalletEntry = async ({ userId, transactionType, amount, reason, metadata }, { idempotencyKey, source, expiresAt, creditTransactionId } = {}) => {
+  const units = parseAmount(amount);
+  if (!units) {
+    return {
+      success: false,
+      message: 'Amount must be a positive whole number'
+    };
+  }
+
+  const bucket = {
+    source: source || CREDIT_SOURCES.PURCHASED,
+    expiresAt: expiresAt ? new Date(expiresAt) : null
+  };
+  if (transactionType === 'CREDIT') {
+    if (!Object.values(CREDIT_SOURCES).includes(bucket.source)) {
+      return {
+        success: false,
+        message: `Source must be one of: ${Object.values(CREDIT_SOURCES).join(', ')}`
+      };
+    }
+    if (bucket.expiresAt && (isNaN(bucket.expiresAt.getTime()) || bucket.expiresAt <= new Date())) {
       return {
         success: false,
-        message: 'Amount must be a positive number'
+        message: 'Expiry must be a valid future date'
       };
     }
+  }
+
+  const operation = { userId, transactionType, amount: units };
+
+  // Cheap path for retries of operations that already committed
+  if (idempotencyKey) {
+    const replay = await findIdempotentReplay(idempotencyKey, operation);
+    if (replay) {
+      return replay;
+    }
+  }
+
+  const transaction = await db.sequelize.transaction();
 
+  try {
     // Validate user exists
-    const user = await PlatformUser.findByPk(userId);
+    const user = await PlatformUser.findByPk(userId, { transaction });
     if (!user) {
       await transaction.rollback();
       return {
@@ -65,31 +408,97 @@ const addFunds = async (userId, amount, reason, metadata = null) => {
       };
     }
 
-    // Get current balance
-    const currentBalanceResult = await getWalletBalance(userId);
-    const currentBalance = currentBalanceResult.balance;
-    const newBalance = currentBalance + amount;
+    // Balance is read under the row lock, so concurrent deductions cannot both pass the funds check
+    const account = await lockWalletAccount(userId, transaction);
 
-    // Create credit transaction
-    const walletTransaction = await WalletTransaction.create({
-      userId,
-      transactionType: 'CREDIT',
-      amount,
-      balanceAfter: newBalance,
-      reason: reason || 'Funds added',
-      metadata
-    }, { transaction });
+    // A concurrent call with the same key held the lock first; its entry is visible now
+    if (idempotencyKey) {
+      const replay = await findIdempotentReplay(idempotencyKey, operation, transaction);
+      if (replay) {
+        await transaction.rollback();
+        return replay;
+      }
+    }
 
-    await transaction.commit();
+    if (transactionType === 'DEBIT') {
+      await expireLapsedBuckets(account, transaction);
+    }
+
+    // Check if user has sufficient balance; credits held by reservations are not spendable
+    const availableBalance = account.balance - account.heldBalance;
+    if (transactionType === 'DEBIT' && availableBalance < units) {
+      await transaction.rollback();
+      return {
+        success: false,
+        message: `Insufficient funds. Available balance: ${availableBalance}, Required: ${units}`
+      };
+    }
+
+    const walletTransaction = await appendLedgerEntry(account, {
+      transactionType,
+      amount: units,
+      reason,
+      metadata,
+      idempotencyKey
+    }, transaction);
 
-    logger.info(`Added ${amount} funds to user ${userId}. New balance: ${newBalance}`);
+    if (transactionType === 'CREDIT') {
+      await openCreditBucket(walletTransaction, bucket, transaction);
+    } else {
+      await consumeCreditBuckets(userId, units, { creditTransactionId }, transaction);
+    }
+
+    await transaction.commit();
 
     return {
       success: true,
       transaction: walletTransaction.toJSON()
     };
   } catch (error) {
-    await transaction.rollback();
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
+
+    // Same key posted concurrently for this wallet: report it like any other reuse
+    if (idempotencyKey && error instanceof UniqueConstraintError) {
+      const replay = await findIdempotentReplay(idempotencyKey, operation);
+      if (replay) {
+        return replay;
+      }
+    }
+
+    throw error;
+  }
+};
+
+/**
+ * Add funds to user wallet
+ * @param {number} userId - User ID
+ * @param {number} amount - Number of units to add
+ * @param {string} reason - Reason for adding funds
+ * @param {object} metadata - Additional metadata (optional)
+ * @param {object} options - Posting options (optional)
+ * @param {string} options.idempotencyKey - Repeated calls with the same key return the original transaction
+ * @param {string} options.source - Credit bucket source: PURCHASED (default), PROMO or REFUND
+ * @param {Date|string} options.expiresAt - When these credits lapse (optional, default: never)
+ * @returns {Promise<{success: boolean, transaction?: object, replayed?: boolean, message?: string, statusCode?: number}>}
+ */
+const addFunds = async (userId, amount, reason, metadata = null, options = {}) => {
+  try {
+    const result = await postWalletEntry({
+      userId,
+      transactionType: 'CREDIT',
+      amount,
+      reason: reason || 'Funds added',
+      metadata
+    }, options);
+
+    if (result.success && !result.replayed) {
+      logger.info(`Added ${result.transaction.amount} funds to user ${userId}. New balance: ${result.transaction.balanceAfter}`);
+    }
+
+    return result;
+  } catch (error) {
     logger.error(`Error adding funds to user ${userId}:`, error);
     return {
       success: false,
@@ -104,67 +513,286 @@ const addFunds = async (userId, amount, reason, metadata = null) => {
  * @param {number} amount - Number of units to deduct
  * @param {string} reason - Reason for deducting funds
  * @param {object} metadata - Additional metadata (optional)
- * @returns {Promise<{success: boolean, transaction?: object, message?: string}>}
+ * @param {object} options - Posting options (optional)
+ * @param {string} options.idempotencyKey - Repeated calls with the same key return the original transaction
+ * @param {number} options.creditTransactionId - Spend the credits of this credit's bucket first (optional,
+ *                                               e.g. when reversing it); otherwise PROMO first, then oldest
+ * @returns {Promise<{success: boolean, transaction?: object, replayed?: boolean, message?: string, statusCode?: number}>}
+ */
+const deductFunds = async (userId, amount, reason, metadata = null, options = {}) => {
+  try {
+    const result = await postWalletEntry({
+      userId,
+      transactionType: 'DEBIT',
+      amount,
+      reason: reason || 'Funds deducted',
+      metadata
+    }, options);
+
+    if (result.success && !result.replayed) {
+      logger.info(`Deducted ${result.transaction.amount} funds from user ${userId}. New balance: ${result.transaction.balanceAfter}`);
+    }
+
+    return result;
+  } catch (error) {
+    logger.error(`Error deducting funds from user ${userId}:`, error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+/**
+ * Hold credits for a pending charge. Held credits stay in the balance but cannot be
+ * debited or reserved again until the hold is captured or released.
+ * With a reference, a retry while the hold is still open returns that hold instead of
+ * holding the credits twice.
+ * @param {number} userId - User ID
+ * @param {number} amount - Number of units to hold
+ * @param {object} options - { reference, reason, metadata }
+ * @param {string} options.reference - What the hold is for (optional)
+ * @param {string} options.reason - Reason recorded on the debit when captured
+ * @param {object} options.metadata - Metadata recorded on the debit when captured (optional)
+ * @returns {Promise<{success: boolean, reservation?: object, replayed?: boolean, message?: string}>}
  */
-const deductFunds = async (userId, amount, reason, metadata = null) => {
+const reserveFunds = async (userId, amount, { reference = null, reason = null, metadata = null } = {}) => {
+  const units = parseAmount(amount);
+  if (!units) {
+    return {
+      success: false,
+      message: 'Amount must be a positive whole number'
+    };
+  }
+
   const transaction = await db.sequelize.transaction();
-  
+
   try {
-    // Validate amount
-    if (!amount || amount <= 0) {
+    const user = await PlatformUser.findByPk(userId, { transaction });
+    if (!user) {
       await transaction.rollback();
       return {
         success: false,
-        message: 'Amount must be a positive number'
+        message: 'User not found'
       };
     }
 
-    // Validate user exists
-    const user = await PlatformUser.findByPk(userId);
-    if (!user) {
+    // Holds take the same lock as ledger appends, so a debit cannot spend credits being held
+    const account = await lockWalletAccount(userId, transaction);
+
+    if (reference) {
+      const open = await WalletReservation.findOne({
+        where: { userId, reference, status: 'HELD' },
+        transaction
+      });
+      if (open) {
+        await transaction.rollback();
+        return {
+          success: true,
+          replayed: true,
+          reservation: open.toJSON()
+        };
+      }
+    }
+
+    await expireLapsedBuckets(account, transaction);
+
+    const availableBalance = account.balance - account.heldBalance;
+    if (availableBalance < units) {
       await transaction.rollback();
       return {
         success: false,
-        message: 'User not found'
+        message: `Insufficient funds. Available balance: ${availableBalance}, Required: ${units}`
       };
     }
 
-    // Get current balance
-    const currentBalanceResult = await getWalletBalance(userId);
-    const currentBalance = currentBalanceResult.balance;
+    const reservation = await WalletReservation.create({
+      userId,
+      amount: units,
+      reference,
+      reason,
+      metadata
+    }, { transaction });
+
+    await account.update({
+      heldBalance: account.heldBalance + units
+    }, { transaction });
+
+    await transaction.commit();
+
+    logger.info(`Reserved ${units} funds for user ${userId} (reservation ${reservation.reservationId}${reference ? `, ${reference}` : ''})`);
+
+    return {
+      success: true,
+      reservation: reservation.toJSON()
+    };
+  } catch (error) {
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
+    logger.error(`Error reserving funds for user ${userId}:`, error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+/**
+ * Close an open hold: CAPTURED posts the held credits as a debit, RELEASED returns them
+ * to the available balance. Settling a hold again with the same outcome is a no-op.
+ * @param {number} reservationId - Reservation ID
+ * @param {string} status - 'CAPTURED' or 'RELEASED'
+ * @param {object} metadata - Merged into the debit metadata when capturing (optional)
+ * @returns {Promise<{success: boolean, reservation?: object, transaction?: object, replayed?: boolean, message?: string, statusCode?: number}>}
+ */
+const settleReservation = async (reservationId, status, metadata = null) => {
+  const transaction = await db.sequelize.transaction();
 
-    // Check if user has sufficient balance
-    if (currentBalance < amount) {
+  try {
+    const pending = await WalletReservation.findByPk(reservationId, { transaction });
+    if (!pending) {
       await transaction.rollback();
       return {
         success: false,
-        message: `Insufficient funds. Current balance: ${currentBalance}, Required: ${amount}`
+        message: 'Reservation not found',
+        statusCode: 404
       };
     }
 
-    const newBalance = currentBalance - amount;
+    // Wallet lock first, as for every ledger append, then the reservation under it
+    const account = await lockWalletAccount(pending.userId, transaction);
+    const reservation = await WalletReservation.findByPk(reservationId, {
+      transaction,
+      lock: transaction.LOCK.UPDATE
+    });
 
-    // Create debit transaction
-    const debitTransaction = await WalletTransaction.create({
-      userId,
-      transactionType: 'DEBIT',
-      amount,
-      balanceAfter: newBalance,
-      reason: reason || 'Funds deducted',
-      metadata
+    if (reservation.status !== 'HELD') {
+      await transaction.rollback();
+      if (reservation.status === status) {
+        return {
+          success: true,
+          replayed: true,
+          reservation: reservation.toJSON()
+        };
+      }
+      return {
+        success: false,
+        message: `Reservation is already ${reservation.status}`,
+        statusCode: 409
+      };
+    }
+
+    let walletTransaction = null;
+    if (status === 'CAPTURED') {
+      walletTransaction = await appendLedgerEntry(account, {
+        transactionType: 'DEBIT',
+        amount: reservation.amount,
+        reason: reservation.reason || 'Reserved funds captured',
+        metadata: {
+          ...reservation.metadata,
+          ...metadata,
+          reservationId: reservation.reservationId
+        },
+        idempotencyKey: `wallet-reservation:${reservation.reservationId}`
+      }, transaction);
+
+      await consumeCreditBuckets(reservation.userId, reservation.amount, {}, transaction);
+    }
+
+    await account.update({
+      heldBalance: account.heldBalance - reservation.amount
+    }, { transaction });
+
+    await reservation.update({
+      status,
+      transactionId: walletTransaction ? walletTransaction.transactionId : null,
+      settledAt: new Date()
     }, { transaction });
 
     await transaction.commit();
 
-    logger.info(`Deducted ${amount} funds from user ${userId}. New balance: ${newBalance}`);
+    logger.info(`Reservation ${reservationId} ${status.toLowerCase()} (${reservation.amount} funds, user ${reservation.userId})`);
 
     return {
       success: true,
-      transaction: debitTransaction.toJSON()
+      reservation: reservation.toJSON(),
+      transaction: walletTransaction ? walletTransaction.toJSON() : null
     };
   } catch (error) {
-    await transaction.rollback();
-    logger.error(`Error deducting funds from user ${userId}:`, error);
+    if (!transaction.finished) {
+      await transaction.rollback();
+    }
+    logger.error(`Error settling reservation ${reservationId} as ${status}:`, error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+/**
+ * Debit the credits held by a reservation
+ * @param {number} reservationId - Reservation ID
+ * @param {object} metadata - Merged into the debit metadata (optional)
+ * @returns {Promise<{success: boolean, reservation?: object, transaction?: object, replayed?: boolean, message?: string, statusCode?: number}>}
+ */
+const captureReservation = (reservationId, metadata = null) =>
+  settleReservation(reservationId, 'CAPTURED', metadata);
+
+/**
+ * Return the credits held by a reservation to the available balance
+ * @param {number} reservationId - Reservation ID
+ * @returns {Promise<{success: boolean, reservation?: object, replayed?: boolean, message?: string, statusCode?: number}>}
+ */
+const releaseReservation = (reservationId) =>
+  settleReservation(reservationId, 'RELEASED');
+
+/**
+ * Flag an open hold whose capture failed after what it pays for was delivered, so the
+ * wallet reconciliation job captures it. The failure is kept in the hold's metadata
+ * (metadata.captureFailure) and so ends up on the debit once captured.
+ * @param {number} reservationId - Reservation ID
+ * @param {object} failure - { reason, ...details merged into the debit metadata (e.g. listingId) }
+ * @returns {Promise<{success: boolean, reservation?: object, message?: string, statusCode?: number}>}
+ */
+const flagReservationForCapture = async (reservationId, { reason, ...details } = {}) => {
+  try {
+    const reservation = await WalletReservation.findByPk(reservationId);
+    if (!reservation) {
+      return {
+        success: false,
+        message: 'Reservation not found',
+        statusCode: 404
+      };
+    }
+
+    // Settled in the meantime: nothing left to capture
+    if (reservation.status !== 'HELD') {
+      return {
+        success: true,
+        reservation: reservation.toJSON()
+      };
+    }
+
+    await WalletReservation.update({
+      metadata: {
+        ...reservation.metadata,
+        ...details,
+        captureFailure: { reason: reason || null, failedAt: new Date().toISOString() }
+      }
+    }, {
+      where: { reservationId, status: 'HELD' }
+    });
+
+    logger.warn(`Reservation ${reservationId} flagged for capture by reconciliation: ${reason}`);
+
+    return {
+      success: true,
+      reservation: (await reservation.reload()).toJSON()
+    };
+  } catch (error) {
+    logger.error(`Error flagging reservation ${reservationId} for capture:`, error);
     return {
       success: false,
       message: error.message
@@ -182,6 +810,7 @@ const deductFunds = async (userId, amount, reason, metadata = null) => {
  * @param {string} options.referenceType - Filter by reference type (optional)
  * @param {Date} options.startDate - Filter transactions from this date (optional)
  * @param {Date} options.endDate - Filter transactions until this date (optional)
+ * @param {string} options.cursor - Cursor from the previous page (optional, page is ignored)
  * @returns {Promise<{success: boolean, data?: object, message?: string}>}
  */
 const getTransactionHistory = async (userId, options = {}) => {
@@ -191,9 +820,21 @@ const getTransactionHistory = async (userId, options = {}) => {
       limit = 20,
       transactionType,
       startDate,
-      endDate
+      endDate,
+      cursor
     } = options;
 
+    const cursorError = cursor
+      ? validateCursor(cursor, 'newest', TRANSACTION_HISTORY_KEYS.length)
+      : null;
+    if (cursorError) {
+      return {
+        success: false,
+        message: cursorError,
+        statusCode: 400
+      };
+    }
+
     // Validate user exists
     const user = await PlatformUser.findByPk(userId);
     if (!user) {
@@ -220,22 +861,18 @@ const getTransactionHistory = async (userId, options = {}) => {
       }
     }
 
-    // Calculate pagination
-    const offset = (page - 1) * limit;
+    const keyset = buildKeysetQuery({ sort: 'newest', keys: TRANSACTION_HISTORY_KEYS, cursor });
 
     // Fetch transactions
-    const { count, rows: transactions } = await WalletTransaction.findAndCountAll({
+    const { rows: transactions, pagination } = await findKeysetPage(WalletTransaction, {
       where: whereClause,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      order: [['transactionId', 'DESC']],
       include: [
         {
           model: PlatformUser,
           as: 'user',
         }
       ]
-    });
+    }, { keyset, cursor, page: parseInt(page), limit: parseInt(limit) });
 
     // Get current balance
     const balanceResult = await getWalletBalance(userId);
@@ -245,12 +882,7 @@ const getTransactionHistory = async (userId, options = {}) => {
       data: {
         transactions,
         currentBalance: balanceResult.balance,
-        pagination: {
-          total: count,
-          page: parseInt(page),
-          limit: parseInt(limit),
-          totalPages: Math.ceil(count / limit)
-        }
+        pagination
       }
     };
   } catch (error) {
@@ -266,7 +898,7 @@ const getTransactionHistory = async (userId, options = {}) => {
  * Check if user has sufficient funds
  * @param {number} userId - User ID
  * @param {number} requiredAmount - Required amount
- * @returns {Promise<{success: boolean, hasSufficientFunds: boolean, currentBalance: number, message?: string}>}
+ * @returns {Promise<{success: boolean, hasSufficientFunds: boolean, currentBalance: number, availableBalance: number, message?: string}>}
  */
 const checkSufficientFunds = async (userId, requiredAmount) => {
   try {
@@ -277,16 +909,18 @@ const checkSufficientFunds = async (userId, requiredAmount) => {
         success: false,
         hasSufficientFunds: false,
         currentBalance: 0,
+        availableBalance: 0,
         message: balanceResult.message
       };
     }
 
-    const hasSufficientFunds = balanceResult.balance >= requiredAmount;
+    const hasSufficientFunds = balanceResult.availableBalance >= requiredAmount;
 
     return {
       success: true,
       hasSufficientFunds,
-      currentBalance: balanceResult.balance
+      currentBalance: balanceResult.balance,
+      availableBalance: balanceResult.availableBalance
     };
   } catch (error) {
     logger.error(`Error checking funds for user ${userId}:`, error);
@@ -294,6 +928,7 @@ const checkSufficientFunds = async (userId, requiredAmount) => {
       success: false,
       hasSufficientFunds: false,
       currentBalance: 0,
+      availableBalance: 0,
       message: error.message
     };
   }
@@ -301,6 +936,8 @@ const checkSufficientFunds = async (userId, requiredAmount) => {
 
 /**
  * Get wallet statistics for a user
+ * totalSpent excludes expired credits, which are reported as totalExpired. The balance is
+ * broken down by credit bucket source, with the active buckets listed oldest first.
  * @param {number} userId - User ID
  * @returns {Promise<{success: boolean, stats?: object, message?: string}>}
  */
@@ -338,13 +975,44 @@ const getWalletStats = async (userId) => {
       where: { userId }
     });
 
+    // Expiry debits are ledger DEBITs too
+    const totalExpired = await WalletCreditBucket.sum('expiredAmount', {
+      where: { userId }
+    });
+
+    const buckets = await WalletCreditBucket.findAll({
+      where: { userId, status: 'ACTIVE' },
+      attributes: ['bucketId', 'source', 'amount', 'remainingAmount', 'expiresAt', 'createdAt'],
+      order: [['bucketId', 'ASC']]
+    });
+
+    const balanceBySource = {};
+    for (const source of Object.values(CREDIT_SOURCES)) {
+      balanceBySource[source] = 0;
+    }
+    for (const bucket of buckets) {
+      balanceBySource[bucket.source] += bucket.remainingAmount;
+    }
+
     return {
       success: true,
       stats: {
         currentBalance: balanceResult.balance,
+        heldBalance: balanceResult.heldBalance,
+        availableBalance: balanceResult.availableBalance,
         totalEarned: totalEarned || 0,
-        totalSpent: totalSpent || 0,
-        transactionCount
+        totalSpent: (totalSpent || 0) - (totalExpired || 0),
+        totalExpired: totalExpired || 0,
+        transactionCount,
+        balanceBySource,
+        creditBuckets: buckets.map(bucket => ({
+          bucketId: bucket.bucketId,
+          source: bucket.source,
+          amount: bucket.amount,
+          remainingAmount: bucket.remainingAmount,
+          expiresAt: bucket.expiresAt,
+          createdAt: bucket.createdAt
+        }))
       }
     };
   } catch (error) {
@@ -356,11 +1024,239 @@ const getWalletStats = async (userId) => {
   }
 };
 
+/**
+ * Re-check one wallet flagged by the batch comparison, holding its row lock so no
+ * ledger append can land between reading the balance and recomputing the ledger
+ * @param {number} userId - User ID
+ * @returns {Promise<object>} - { userId, storedBalance, ledgerBalance, lastBalanceAfter, driftAmount, drifted }
+ */
+const recheckWalletDrift = async (userId) => {
+  return db.sequelize.transaction(async (transaction) => {
+    const account = await WalletAccount.findByPk(userId, { transaction, lock: transaction.LOCK.UPDATE });
+    if (!account) {
+      // User deleted since the batch read (cascade)
+      return { userId, drifted: false };
+    }
+
+    const [ledger] = await db.sequelize.query(
+      `${ACCOUNT_LEDGER_SQL}
+       WHERE "account"."user_id" = :userId`,
+      { replacements: { userId }, type: QueryTypes.SELECT, transaction }
+    );
+
+    const driftAmount = account.balance - ledger.ledger_balance;
+    const chainBroken = ledger.last_balance_after !== null && ledger.last_balance_after !== ledger.ledger_balance;
+    const drifted = driftAmount !== 0 || chainBroken;
+
+    await account.update({
+      reconciliationStatus: drifted ? 'DRIFT' : 'OK',
+      driftAmount,
+      lastReconciledAt: new Date()
+    }, { transaction });
+
+    return {
+      userId,
+      storedBalance: account.balance,
+      ledgerBalance: ledger.ledger_balance,
+      lastBalanceAfter: ledger.last_balance_after,
+      driftAmount,
+      drifted
+    };
+  });
+};
+
+/**
+ * Recompute every wallet balance from WalletTransaction and flag drift.
+ * A wallet drifts when its stored balance, or the balance_after of its newest entry,
+ * differs from the sum of its credits minus debits. Balances are never corrected here;
+ * drifted accounts are marked DRIFT with the difference for finance to investigate.
+ * Holds flagged by flagReservationForCapture are captured first.
+ * @returns {Promise<{success: boolean, summary?: object, message?: string}>}
+ */
+const reconcileWallets = async () => {
+  const summary = {
+    checked: 0,
+    drifted: [],
+    walletsWithoutAccount: 0,
+    capturedReservations: 0,
+    uncapturedReservations: []
+  };
+
+  try {
+    const flagged = await WalletReservation.findAll({
+      where: {
+        status: 'HELD',
+        metadata: { captureFailure: { [Op.ne]: null } }
+      },
+      order: [['reservationId', 'ASC']]
+    });
+
+    for (const reservation of flagged) {
+      const result = await captureReservation(reservation.reservationId);
+      if (result.success) {
+        summary.capturedReservations++;
+      } else {
+        logger.error(`Reconciliation could not capture reservation ${reservation.reservationId}: ${result.message}`);
+        summary.uncapturedReservations.push(reservation.reservationId);
+      }
+    }
+
+    let afterUserId = 0;
+
+    while (true) {
+      const rows = await db.sequelize.query(
+        `${ACCOUNT_LEDGER_SQL}
+         WHERE "account"."user_id" > :afterUserId
+         ORDER BY "account"."user_id"
+         LIMIT :batchSize`,
+        {
+          replacements: { afterUserId, batchSize: RECONCILIATION_BATCH_SIZE },
+          type: QueryTypes.SELECT
+        }
+      );
+
+      if (rows.length === 0) {
+        break;
+      }
+
+      const consistentIds = [];
+      for (const row of rows) {
+        const consistent = row.stored_balance === row.ledger_balance &&
+          (row.last_balance_after === null || row.last_balance_after === row.ledger_balance);
+
+        if (consistent) {
+          consistentIds.push(row.user_id);
+          continue;
+        }
+
+        // The batch read is not locked, so confirm before flagging
+        const result = await recheckWalletDrift(row.user_id);
+        if (result.drifted) {
+          logger.warn(`Wallet drift for user ${row.user_id}: stored ${result.storedBalance}, ledger ${result.ledgerBalance}, last balance_after ${result.lastBalanceAfter}`);
+          summary.drifted.push(result);
+        }
+      }
+
+      if (consistentIds.length > 0) {
+        await WalletAccount.update(
+          { reconciliationStatus: 'OK', driftAmount: 0, lastReconciledAt: new Date() },
+          { where: { userId: consistentIds } }
+        );
+      }
+
+      summary.checked += rows.length;
+      afterUserId = rows[rows.length - 1].user_id;
+    }
+
+    // Ledgers whose account row has not been created yet (no wallet operation since wallet_account)
+    const [{ count }] = await db.sequelize.query(
+      `SELECT COUNT(DISTINCT t.user_id)::int AS count
+       FROM wallet_transaction AS t
+       WHERE NOT EXISTS (SELECT 1 FROM wallet_account AS a WHERE a.user_id = t.user_id)`,
+      { type: QueryTypes.SELECT }
+    );
+    summary.walletsWithoutAccount = count;
+
+    logger.info(`Wallet reconciliation finished: ${summary.checked} checked, ${summary.drifted.length} drifted, ${count} without account, ${summary.capturedReservations} flagged hold(s) captured`);
+
+    return {
+      success: true,
+      summary
+    };
+  } catch (error) {
+    logger.error('Error reconciling wallets:', error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+/**
+ * Expire every lapsed credit bucket. Each wallet is handled in its own transaction under
+ * its row lock. Credits still held by open reservations are deferred to a later run.
+ * @returns {Promise<{success: boolean, summary?: object, message?: string}>}
+ */
+const expireCredits = async () => {
+  const summary = {
+    walletsProcessed: 0,
+    bucketsExpired: 0,
+    creditsExpired: 0,
+    bucketsDeferred: 0
+  };
+
+  try {
+    let afterUserId = 0;
+
+    while (true) {
+      const rows = await db.sequelize.query(
+        `SELECT DISTINCT user_id
+         FROM wallet_credit_bucket
+         WHERE status = 'ACTIVE'
+           AND expires_at <= NOW()
+           AND user_id > :afterUserId
+         ORDER BY user_id
+         LIMIT :batchSize`,
+        {
+          replacements: { afterUserId, batchSize: CREDIT_EXPIRY_BATCH_SIZE },
+          type: QueryTypes.SELECT
+        }
+      );
+
+      if (rows.length === 0) {
+        break;
+      }
+
+      for (const row of rows) {
+        const expired = await db.sequelize.transaction(async (transaction) => {
+          const account = await lockWalletAccount(row.user_id, transaction);
+          return expireLapsedBuckets(account, transaction);
+        });
+
+        for (const entry of expired) {
+          summary.creditsExpired += entry.amount;
+        }
+        summary.bucketsExpired += expired.length;
+        summary.walletsProcessed += 1;
+      }
+
+      afterUserId = rows[rows.length - 1].user_id;
+    }
+
+    // Lapsed buckets left ACTIVE because their credits are held
+    summary.bucketsDeferred = await WalletCreditBucket.count({
+      where: {
+        status: 'ACTIVE',
+        expiresAt: { [Op.lte]: new Date() }
+      }
+    });
+
+    logger.info(`Wallet credit expiry finished: ${summary.creditsExpired} credits from ${summary.bucketsExpired} buckets in ${summary.walletsProcessed} wallets, ${summary.bucketsDeferred} deferred`);
+
+    return {
+      success: true,
+      summary
+    };
+  } catch (error) {
+    logger.error('Error expiring wallet credits:', error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
 module.exports = {
   getWalletBalance,
   addFunds,
   deductFunds,
+  reserveFunds,
+  captureReservation,
+  releaseReservation,
+  flagReservationForCapture,
   getTransactionHistory,
   checkSufficientFunds,
-  getWalletStats
+  getWalletStats,
+  reconcileWallets,
+  expireCredits
 };
@@ -0,0 +1,588 @@
+const db = require("../entity");
+const WalletTransaction = db.WalletTransaction;
+const WalletStatement = db.WalletStatement;
+const PaymentOrder = db.PaymentOrder;
+const PlatformUser = db.PlatformUser;
+const PartnerBusiness = db.PartnerBusiness;
+const { Op } = require("sequelize");
+const logger = require("../config/winston.config");
+const { s3, defaultBucket } = require("../config/s3.config");
+const { buildTextPdf } = require("../utils/pdfDocument");
+const { enqueueWalletStatement } = require("../queues/walletStatementQueue");
+const {
+  STATEMENT_FORMATS,
+  STATEMENT_SYNC_MAX_TRANSACTIONS,
+  STATEMENT_INVOICE_PREFIX,
+  STATEMENT_SUPPLIER,
+  GST_RATE_PERCENT,
+  GST_SAC_CODE,
+  STATEMENT_S3_BUCKET,
+  STATEMENT_DOWNLOAD_URL_TTL_SECONDS
+} = require("../config/walletStatement.config");
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// 15-character Indian GST number; the first two digits are the state code
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+const CSV_COLUMNS = ['date', 'transaction_id', 'type', 'reason', 'credit', 'debit', 'balance_after', 'metadata'];
+
+const CONTENT_TYPES = {
+  [STATEMENT_FORMATS.CSV]: 'text/csv; charset=utf-8',
+  [STATEMENT_FORMATS.PDF]: 'application/pdf'
+};
+
+/**
+ * Parse a statement period. Dates are UTC; a date without a time covers the whole day.
+ * @param {string} startDate - ISO date or date-time
+ * @param {string} endDate - ISO date or date-time
+ * @returns {{start?: Date, end?: Date, error?: string}}
+ */
+const parseStatementPeriod = (startDate, endDate) => {
+  if (!startDate || !endDate) {
+    return { error: 'startDate and endDate are required' };
+  }
+
+  const start = new Date(startDate);
+  const end = DATE_ONLY_PATTERN.test(endDate) ? new Date(`${endDate}T23:59:59.999Z`) : new Date(endDate);
+
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+    return { error: 'startDate and endDate must be valid dates' };
+  }
+
+  if (start > end) {
+    return { error: 'startDate must be on or before endDate' };
+  }
+
+  return { start, end };
+};
+
+/**
+ * Indian financial year (April to March) of a date, e.g. 2026-27
+ * @param {Date} date
+ * @returns {string}
+ */
+const financialYear = (date) => {
+  const year = date.getUTCMonth() >= 3 ? date.getUTCFullYear() : date.getUTCFullYear() - 1;
+  return `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Invoice number of a statement export
+ * @param {object} statement - WalletStatement instance (after insert)
+ * @returns {string} - e.g. WS/2026-27/000042
+ */
+const buildInvoiceNumber = (statement) =>
+  `${STATEMENT_INVOICE_PREFIX}/${financialYear(new Date(statement.createdAt))}/${String(statement.statementId).padStart(6, '0')}`;
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const formatRupees = (paise) => (paise / 100).toFixed(2);
+
+/**
+ * Public view of a statement export
+ * @param {object} statement - WalletStatement instance
+ * @returns {object}
+ */
+const toStatementResponse = (statement) => ({
+  statementId: statement.statementId,
+  userId: statement.userId,
+  invoiceNumber: statement.invoiceNumber,
+  format: statement.format,
+  startDate: statement.startDate,
+  endDate: statement.endDate,
+  status: statement.status,
+  transactionCount: statement.transactionCount,
+  openingBalance: statement.openingBalance,
+  closingBalance: statement.closingBalance,
+  failureReason: statement.failureReason,
+  createdAt: statement.createdAt,
+  completedAt: statement.completedAt
+});
+
+/**
+ * Ledger entries of a wallet for a period, with opening and closing balances
+ * @param {number} userId - User ID
+ * @param {{start: Date, end: Date}} period
+ * @returns {Promise<object>} - { openingBalance, closingBalance, totalCredits, totalDebits, transactions }
+ */
+const loadLedgerPeriod = async (userId, { start, end }) => {
+  const previous = await WalletTransaction.findOne({
+    where: { userId, createdAt: { [Op.lt]: start } },
+    order: [['transactionId', 'DESC']],
+    attributes: ['balanceAfter']
+  });
+
+  const rows = await WalletTransaction.findAll({
+    where: { userId, createdAt: { [Op.between]: [start, end] } },
+    order: [['transactionId', 'ASC']],
+    attributes: ['transactionId', 'transactionType', 'amount', 'balanceAfter', 'reason', 'metadata', 'createdAt']
+  });
+
+  const openingBalance = previous ? previous.balanceAfter : 0;
+  let totalCredits = 0;
+  let totalDebits = 0;
+
+  const transactions = rows.map(row => {
+    if (row.transactionType === 'CREDIT') {
+      totalCredits += row.amount;
+    } else {
+      totalDebits += row.amount;
+    }
+    return {
+      transactionId: row.transactionId,
+      transactionType: row.transactionType,
+      amount: row.amount,
+      balanceAfter: row.balanceAfter,
+      reason: row.reason,
+      metadata: row.metadata,
+      createdAt: row.createdAt
+    };
+  });
+
+  return {
+    openingBalance,
+    closingBalance: transactions.length > 0 ? transactions[transactions.length - 1].balanceAfter : openingBalance,
+    totalCredits,
+    totalDebits,
+    transactions
+  };
+};
+
+/**
+ * Get a wallet statement for a period
+ * @param {number} userId - User ID
+ * @param {object} options - { startDate, endDate }
+ * @returns {Promise<{success: boolean, data?: object, message?: string, statusCode?: number}>}
+ */
+const getStatement = async (userId, { startDate, endDate } = {}) => {
+  try {
+    const period = parseStatementPeriod(startDate, endDate);
+    if (period.error) {
+      return { success: false, message: period.error, statusCode: 400 };
+    }
+
+    const user = await PlatformUser.findByPk(userId, { attributes: ['userId'] });
+    if (!user) {
+      return { success: false, message: 'User not found', statusCode: 404 };
+    }
+
+    const ledger = await loadLedgerPeriod(userId, period);
+
+    return {
+      success: true,
+      data: {
+        userId: Number(userId),
+        startDate: period.start,
+        endDate: period.end,
+        ...ledger
+      }
+    };
+  } catch (error) {
+    logger.error(`Error building wallet statement for user ${userId}:`, error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+/**
+ * Quote a CSV cell. Text starting with a formula character is prefixed with ' so
+ * spreadsheets do not evaluate it.
+ * @param {*} value
+ * @returns {string}
+ */
+const csvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = typeof value === 'object' && !(value instanceof Date) ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Render a statement as CSV: an opening balance row, one row per transaction, a closing balance row
+ * @param {object} statement - Ledger period from loadLedgerPeriod plus { start, end }
+ * @returns {Buffer}
+ */
+const renderStatementCsv = (statement) => {
+  const rows = [CSV_COLUMNS];
+
+  rows.push([statement.start.toISOString(), '', 'OPENING_BALANCE', '', '', '', statement.openingBalance, '']);
+  for (const entry of statement.transactions) {
+    rows.push([
+      new Date(entry.createdAt).toISOString(),
+      entry.transactionId,
+      entry.transactionType,
+      entry.reason,
+      entry.transactionType === 'CREDIT' ? entry.amount : '',
+      entry.transactionType === 'DEBIT' ? entry.amount : '',
+      entry.balanceAfter,
+      entry.metadata
+    ]);
+  }
+  rows.push([statement.end.toISOString(), '', 'CLOSING_BALANCE', '', '', '', statement.closingBalance, '']);
+
+  return Buffer.from(rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n', 'utf8');
+};
+
+/**
+ * GST breakdown of a GST-inclusive amount
+ * @param {number} amount - Amount in paise, GST included
+ * @param {boolean} intraState - Supplier and recipient in the same state (CGST + SGST instead of IGST)
+ * @returns {{taxable: number, cgst: number, sgst: number, igst: number, total: number}} - Paise
+ */
+const splitGst = (amount, intraState) => {
+  const taxable = Math.round(amount * 100 / (100 + GST_RATE_PERCENT));
+  const tax = amount - taxable;
+
+  if (intraState) {
+    const cgst = Math.floor(tax / 2);
+    return { taxable, cgst, sgst: tax - cgst, igst: 0, total: amount };
+  }
+  return { taxable, cgst: 0, sgst: 0, igst: tax, total: amount };
+};
+
+/**
+ * Pad or truncate a table cell for the monospaced PDF tables
+ * @param {*} value - Cell value
+ * @param {number} width - Column width in characters
+ * @param {boolean} alignRight - Right-align (numbers)
+ * @returns {string}
+ */
+const cell = (value, width, alignRight = false) => {
+  const text = String(value === null || value === undefined ? '' : value);
+  const fitted = text.length > width ? `${text.slice(0, width - 1)}~` : text;
+  return alignRight ? fitted.padStart(width) : fitted.padEnd(width);
+};
+
+/**
+ * Render a statement as a PDF with invoice and GST details
+ * @param {object} statement - Ledger period plus { start, end, invoiceNumber, issuedAt, recipient, purchases }
+ * @returns {Buffer}
+ */
+const renderStatementPdf = (statement) => {
+  const { recipient } = statement;
+  const intraState = Boolean(STATEMENT_SUPPLIER.stateCode) && recipient.stateCode === STATEMENT_SUPPLIER.stateCode;
+  const lines = [];
+  const text = (value, options = {}) => lines.push({ text: value, ...options });
+  const gap = (size = 8) => lines.push({ gap: size });
+
+  text('Wallet Statement', { font: 'bold', size: 16 });
+  text(`Invoice No: ${statement.invoiceNumber}    Invoice date: ${formatDate(statement.issuedAt)}`);
+  text(`Statement period: ${formatDate(statement.start)} to ${formatDate(statement.end)}`);
+  gap();
+
+  text('Supplier', { font: 'bold' });
+  text(STATEMENT_SUPPLIER.name);
+  text(`GSTIN: ${STATEMENT_SUPPLIER.gstin || 'Not registered'}`);
+  if (STATEMENT_SUPPLIER.address) {
+    text(STATEMENT_SUPPLIER.address);
+  }
+  gap();
+
+  text('Recipient', { font: 'bold' });
+  text(recipient.name);
+  text(`GSTIN: ${recipient.gstin || 'Unregistered'}`);
+  if (recipient.address) {
+    text(recipient.address);
+  }
+  text(`Place of supply (state code): ${recipient.stateCode || STATEMENT_SUPPLIER.stateCode || 'N/A'}    SAC: ${GST_SAC_CODE}`);
+  gap();
+
+  text('Summary (credits)', { font: 'bold' });
+  text(`Opening balance: ${statement.openingBalance}`);
+  text(`Credits added: ${statement.totalCredits}`);
+  text(`Credits used or expired: ${statement.totalDebits}`);
+  text(`Closing balance: ${statement.closingBalance}`);
+  gap();
+
+  text(`Credit pack purchases (INR, prices include GST at ${GST_RATE_PERCENT}%)`, { font: 'bold' });
+  if (statement.purchases.length === 0) {
+    text('No credit pack purchases in this period.');
+  } else {
+    const header = [cell('Date', 10), cell('Order', 10), cell('Credits', 8, true), cell('Taxable', 11, true),
+      cell('CGST', 9, true), cell('SGST', 9, true), cell('IGST', 9, true), cell('Total', 11, true)].join(' ');
+    text(header, { font: 'mono', size: 8 });
+
+    const totals = { taxable: 0, cgst: 0, sgst: 0, igst: 0, total: 0 };
+    for (const order of statement.purchases) {
+      const gst = splitGst(order.amount, intraState);
+      Object.keys(totals).forEach(key => { totals[key] += gst[key]; });
+      text([cell(formatDate(order.paidAt), 10), cell(order.paymentOrderId, 10), cell(order.credits, 8, true),
+        cell(formatRupees(gst.taxable), 11, true), cell(formatRupees(gst.cgst), 9, true), cell(formatRupees(gst.sgst), 9, true),
+        cell(formatRupees(gst.igst), 9, true), cell(formatRupees(gst.total), 11, true)].join(' '), { font: 'mono', size: 8 });
+    }
+    text([cell('Total', 10), cell('', 10), cell('', 8), cell(formatRupees(totals.taxable), 11, true),
+      cell(formatRupees(totals.cgst), 9, true), cell(formatRupees(totals.sgst), 9, true),
+      cell(formatRupees(totals.igst), 9, true), cell(formatRupees(totals.total), 11, true)].join(' '), { font: 'mono', size: 8 });
+  }
+  gap();
+
+  text('Transactions', { font: 'bold' });
+  text([cell('Date', 10), cell('ID', 8), cell('Type', 6), cell('Credit', 7, true), cell('Debit', 7, true),
+    cell('Balance', 8, true), cell('Reason', 52)].join(' '), { font: 'mono', size: 8 });
+  for (const entry of statement.transactions) {
+    const isCredit = entry.transactionType === 'CREDIT';
+    text([cell(formatDate(entry.createdAt), 10), cell(entry.transactionId, 8), cell(entry.transactionType, 6),
+      cell(isCredit ? entry.amount : '', 7, true), cell(isCredit ? '' : entry.amount, 7, true),
+      cell(entry.balanceAfter, 8, true), cell(entry.reason, 52)].join(' '), { font: 'mono', size: 8 });
+
+    if (entry.metadata) {
+      // Full metadata on wrapped continuation lines under the reason
+      const metadata = JSON.stringify(entry.metadata);
+      for (let offset = 0; offset < metadata.length; offset += 96) {
+        text(metadata.slice(offset, offset + 96), { font: 'mono', size: 7, indent: 24 });
+      }
+    }
+  }
+  if (statement.transactions.length === 0) {
+    text('No transactions in this period.');
+  }
+
+  return buildTextPdf(lines, {
+    title: `Wallet Statement ${statement.invoiceNumber}`,
+    footer: (pageNumber, pageCount) => `${statement.invoiceNumber} - Page ${pageNumber} of ${pageCount}`
+  });
+};
+
+/**
+ * Recipient details printed on a PDF statement: the partner business when there is one
+ * @param {number} userId - User ID
+ * @returns {Promise<{name: string, gstin: string|null, address: string|null, stateCode: string|null}>}
+ */
+const loadRecipient = async (userId) => {
+  const [user, business] = await Promise.all([
+    PlatformUser.findByPk(userId, { attributes: ['userId', 'firstName', 'lastName', 'email', 'address'] }),
+    PartnerBusiness.findOne({ where: { userId }, attributes: ['businessName', 'registrationNumber', 'businessAddress'] })
+  ]);
+
+  const registration = business && business.registrationNumber ? business.registrationNumber.trim().toUpperCase() : '';
+  const gstin = GSTIN_PATTERN.test(registration) ? registration : null;
+
+  return {
+    name: (business && business.businessName) || [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email,
+    gstin,
+    address: (business && business.businessAddress) || user.address || null,
+    stateCode: gstin ? gstin.slice(0, 2) : null
+  };
+};
+
+/**
+ * Generate the file for a statement export
+ * @param {object} record - WalletStatement instance
+ * @returns {Promise<{fileName: string, contentType: string, content: Buffer, ledger: object}>}
+ */
+const renderStatementFile = async (record) => {
+  const period = { start: new Date(record.startDate), end: new Date(record.endDate) };
+  const ledger = await loadLedgerPeriod(record.userId, period);
+  const statement = { ...ledger, ...period, invoiceNumber: record.invoiceNumber, issuedAt: record.createdAt };
+
+  let content;
+  if (record.format === STATEMENT_FORMATS.PDF) {
+    statement.recipient = await loadRecipient(record.userId);
+    statement.purchases = await PaymentOrder.findAll({
+      where: { userId: record.userId, status: 'PAID', paidAt: { [Op.between]: [period.start, period.end] } },
+      order: [['paidAt', 'ASC']],
+      attributes: ['paymentOrderId', 'credits', 'amount', 'paidAt']
+    });
+    content = renderStatementPdf(statement);
+  } else {
+    content = renderStatementCsv(statement);
+  }
+
+  return {
+    fileName: `wallet-statement-${record.invoiceNumber.replace(/\//g, '-')}.${record.format.toLowerCase()}`,
+    contentType: CONTENT_TYPES[record.format],
+    content,
+    ledger
+  };
+};
+
+/**
+ * Request a CSV or PDF statement export. Every export gets an invoice number. Periods with up to
+ * STATEMENT_SYNC_MAX_TRANSACTIONS entries are generated now and returned as `file`; larger ones
+ * are queued (statusCode 202) and downloaded through getStatementExport once READY.
+ * @param {number} userId - Wallet owner
+ * @param {object} options - { startDate, endDate, format: 'csv' | 'pdf' }
+ * @param {number} requestedBy - User requesting the export
+ * @returns {Promise<{success: boolean, data?: {statement: object, file?: object}, message?: string, statusCode?: number}>}
+ */
+const requestStatementExport = async (userId, { startDate, endDate, format } = {}, requestedBy) => {
+  try {
+    const normalizedFormat = String(format || '').toUpperCase();
+    if (!Object.values(STATEMENT_FORMATS).includes(normalizedFormat)) {
+      return { success: false, message: 'format must be csv or pdf', statusCode: 400 };
+    }
+
+    const period = parseStatementPeriod(startDate, endDate);
+    if (period.error) {
+      return { success: false, message: period.error, statusCode: 400 };
+    }
+
+    const user = await PlatformUser.findByPk(userId, { attributes: ['userId'] });
+    if (!user) {
+      return { success: false, message: 'User not found', statusCode: 404 };
+    }
+
+    const transactionCount = await WalletTransaction.count({
+      where: { userId, createdAt: { [Op.between]: [period.start, period.end] } }
+    });
+
+    const record = await db.sequelize.transaction(async (transaction) => {
+      const created = await WalletStatement.create({
+        userId,
+        requestedBy,
+        format: normalizedFormat,
+        startDate: period.start,
+        endDate: period.end
+      }, { transaction });
+
+      return created.update({ invoiceNumber: buildInvoiceNumber(created) }, { transaction });
+    });
+
+    if (transactionCount > STATEMENT_SYNC_MAX_TRANSACTIONS) {
+      try {
+        await enqueueWalletStatement(record.statementId);
+      } catch (error) {
+        logger.error(`Failed to queue wallet statement ${record.statementId}:`, error);
+        await record.update({ status: 'FAILED', failureReason: 'Could not queue the export' });
+        return { success: false, message: 'Statement export is unavailable right now, please retry', statusCode: 503 };
+      }
+
+      logger.info(`Wallet statement ${record.invoiceNumber} queued for user ${userId} (${transactionCount} transactions)`);
+
+      return {
+        success: true,
+        statusCode: 202,
+        message: 'Statement is being generated',
+        data: { statement: toStatementResponse(record) }
+      };
+    }
+
+    const file = await renderStatementFile(record);
+    await record.update({
+      status: 'READY',
+      transactionCount: file.ledger.transactions.length,
+      openingBalance: file.ledger.openingBalance,
+      closingBalance: file.ledger.closingBalance,
+      completedAt: new Date()
+    });
+
+    logger.info(`Wallet statement ${record.invoiceNumber} generated for user ${userId} by user ${requestedBy}`);
+
+    return {
+      success: true,
+      data: {
+        statement: toStatementResponse(record),
+        file: {
+          fileName: file.fileName,
+          contentType: file.contentType,
+          content: file.content
+        }
+      }
+    };
+  } catch (error) {
+    logger.error(`Error exporting wallet statement for user ${userId}:`, error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+/**
+ * Generate a queued statement export and store it in S3 (wallet statement worker)
+ * @param {number} statementId - Statement ID
+ * @returns {Promise<{success: boolean, statement?: object, message?: string}>}
+ */
+const processStatementExport = async (statementId) => {
+  const record = await WalletStatement.findByPk(statementId);
+  if (!record) {
+    return { success: false, message: `Statement ${statementId} not found` };
+  }
+
+  if (record.status === 'READY') {
+    return { success: true, statement: toStatementResponse(record) };
+  }
+
+  await record.update({ status: 'PROCESSING', failureReason: null });
+
+  try {
+    const file = await renderStatementFile(record);
+    const fileKey = `wallet-statements/${record.userId}/${file.fileName}`;
+
+    await s3.putObject({
+      Bucket: STATEMENT_S3_BUCKET || defaultBucket,
+      Key: fileKey,
+      Body: file.content,
+      ContentType: file.contentType,
+      ContentDisposition: `attachment; filename="${file.fileName}"`
+    }).promise();
+
+    await record.update({
+      status: 'READY',
+      fileKey,
+      transactionCount: file.ledger.transactions.length,
+      openingBalance: file.ledger.openingBalance,
+      closingBalance: file.ledger.closingBalance,
+      completedAt: new Date()
+    });
+
+    logger.info(`Wallet statement ${record.invoiceNumber} stored at ${fileKey}`);
+
+    return { success: true, statement: toStatementResponse(record) };
+  } catch (error) {
+    logger.error(`Error generating wallet statement ${statementId}:`, error);
+    await record.update({ status: 'FAILED', failureReason: error.message.slice(0, 500) });
+    return { success: false, message: error.message };
+  }
+};
+
+/**
+ * Get a statement export's status, with a short-lived download link once a queued export is READY.
+ * Visible to the wallet owner and to whoever requested it.
+ * @param {number} statementId - Statement ID
+ * @param {number} viewerId - Requesting user
+ * @returns {Promise<{success: boolean, data?: object, message?: string, statusCode?: number}>}
+ */
+const getStatementExport = async (statementId, viewerId) => {
+  try {
+    const record = await WalletStatement.findByPk(statementId);
+    if (!record || (record.userId !== Number(viewerId) && record.requestedBy !== Number(viewerId))) {
+      return { success: false, message: 'Statement not found', statusCode: 404 };
+    }
+
+    const data = toStatementResponse(record);
+
+    if (record.status === 'READY' && record.fileKey) {
+      data.downloadUrl = await s3.getSignedUrlPromise('getObject', {
+        Bucket: STATEMENT_S3_BUCKET || defaultBucket,
+        Key: record.fileKey,
+        Expires: STATEMENT_DOWNLOAD_URL_TTL_SECONDS
+      });
+      data.downloadUrlExpiresIn = STATEMENT_DOWNLOAD_URL_TTL_SECONDS;
+    }
+
+    return { success: true, data };
+  } catch (error) {
+    logger.error(`Error fetching wallet statement ${statementId}:`, error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+};
+
+module.exports = {
+  getStatement,
+  requestStatementExport,
+  processStatementExport,
+  getStatementExport
+};
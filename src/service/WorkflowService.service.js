@@ -1,20 +1,82 @@
 const { getTemporalClient } = require("../utils/temporalClient.js");
+const temporalConfig = require("../config/temporal.config.js");
 const logger = require("../config/winston.config.js");
+const { INTERNAL_SIGNALS } = require("../temporal/config/constants");
+
+// Workflows that are never cancelled on request: a purchase may have money in flight
+// with the gateway, and unpaid orders expire on their own
+const NON_CANCELLABLE_WORKFLOW_TYPES = ["creditPackPurchase"];
+
+// Execution statuses accepted by the list filter (Temporal visibility ExecutionStatus values)
+const EXECUTION_STATUSES = ["Running", "Completed", "Failed", "Canceled", "Terminated", "ContinuedAsNew", "TimedOut"];
+
+/**
+ * Error with a code the workflow controller maps to an HTTP status
+ * @param {string} message - Error message
+ * @param {string} code - WORKFLOW_NOT_FOUND, WORKFLOW_QUERY_FORBIDDEN, WORKFLOW_SIGNAL_FORBIDDEN,
+ *                        WORKFLOW_TERMINATE_FORBIDDEN, WORKFLOW_NOT_CANCELLABLE,
+ *                        INVALID_WORKFLOW_FILTER or OWNER_LISTING_UNAVAILABLE
+ * @returns {Error}
+ */
+function workflowError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * User the workflow was started for, from the memo set by temporalClient when starting it
+ * @param {Object} description - handle.describe() result or list entry
+ * @returns {number|null} - null for workflows started before owners were recorded
+ */
+function getWorkflowOwner(description) {
+  const ownerUserId = Number(description.memo && description.memo.ownerUserId);
+  return Number.isInteger(ownerUserId) && ownerUserId > 0 ? ownerUserId : null;
+}
+
+/**
+ * Load a workflow the viewer may access. Other users' workflows (and workflows with no
+ * recorded owner) are reported as not found, so IDs cannot be probed.
+ * @param {Object} client - Temporal client
+ * @param {string} workflowId - Workflow ID
+ * @param {{userId: number, canManageAll: boolean}} viewer - Caller; canManageAll for admins
+ * @returns {Promise<{handle: Object, description: Object}>}
+ */
+async function getAuthorizedWorkflow(client, workflowId, viewer) {
+  const handle = client.workflow.getHandle(workflowId);
+
+  let description;
+  try {
+    description = await handle.describe();
+  } catch (error) {
+    if (error.name === "WorkflowNotFoundError") {
+      throw workflowError("Workflow not found", "WORKFLOW_NOT_FOUND");
+    }
+    throw error;
+  }
+
+  if (!viewer.canManageAll && getWorkflowOwner(description) !== Number(viewer.userId)) {
+    logger.warn(`User ${viewer.userId} denied access to workflow ${workflowId}`);
+    throw workflowError("Workflow not found", "WORKFLOW_NOT_FOUND");
+  }
+
+  return { handle, description };
+}
 
 /**
  * Get workflow status and details using handle.describe()
  * @param {string} workflowId - Workflow ID
+ * @param {{userId: number, canManageAll: boolean}} viewer - Caller; non-admins only see their own workflows
  * @returns {Promise<Object>} Workflow description
  */
-async function getWorkflowStatus(workflowId) {
+async function getWorkflowStatus(workflowId, viewer) {
   if (!workflowId) {
     throw new Error("Workflow ID is required");
   }
 
   try {
     const client = await getTemporalClient();
-    const handle = client.workflow.getHandle(workflowId);
-    const description = await handle.describe();
+    const { description } = await getAuthorizedWorkflow(client, workflowId, viewer);
 
     logger.info(`Retrieved workflow status for: ${workflowId}`);
 
@@ -40,16 +102,17 @@ async function getWorkflowStatus(workflowId) {
 /**
  * Get workflow result using handle.result()
  * @param {string} workflowId - Workflow ID
+ * @param {{userId: number, canManageAll: boolean}} viewer - Caller; non-admins only see their own workflows
  * @returns {Promise<any>} Workflow result
  */
-async function getWorkflowResult(workflowId) {
+async function getWorkflowResult(workflowId, viewer) {
   if (!workflowId) {
     throw new Error("Workflow ID is required");
   }
 
   try {
     const client = await getTemporalClient();
-    const handle = client.workflow.getHandle(workflowId);
+    const { handle } = await getAuthorizedWorkflow(client, workflowId, viewer);
     const result = await handle.result();
 
     logger.info(`Retrieved workflow result for: ${workflowId}`);
@@ -65,9 +128,10 @@ async function getWorkflowResult(workflowId) {
  * @param {string} workflowId - Workflow ID
  * @param {string} queryType - Query name/type
  * @param {any} queryArgs - Query arguments
+ * @param {{userId: number, canManageAll: boolean}} viewer - Caller; non-admins only see their own workflows
  * @returns {Promise<any>} Query result
  */
-async function queryWorkflow(workflowId, queryType, queryArgs = {}) {
+async function queryWorkflow(workflowId, queryType, queryArgs = {}, viewer) {
   if (!workflowId) {
     throw new Error("Workflow ID is required");
   }
@@ -77,7 +141,7 @@ async function queryWorkflow(workflowId, queryType, queryArgs = {}) {
 
   try {
     const client = await getTemporalClient();
-    const handle = client.workflow.getHandle(workflowId);
+    const { handle } = await getAuthorizedWorkflow(client, workflowId, viewer);
     const result = await handle.query(queryType, queryArgs);
 
     logger.info(`Queried workflow ${workflowId} with query type: ${queryType}`);
@@ -88,23 +152,68 @@ async function queryWorkflow(workflowId, queryType, queryArgs = {}) {
   }
 }
 
+/**
+ * Build the visibility query for a list request. Admins may pass a raw Temporal query;
+ * everyone else is limited to their own workflows, filtered by type and status.
+ * @param {Object} options - { query, workflowType, status }
+ * @param {{userId: number, canManageAll: boolean}} viewer - Caller
+ * @returns {string|undefined} - Visibility query
+ */
+function buildListQuery({ query, workflowType, status }, viewer) {
+  const clauses = [];
+
+  if (query) {
+    if (!viewer.canManageAll) {
+      throw workflowError("Custom workflow queries are restricted to admins; filter by workflowType or status instead", "WORKFLOW_QUERY_FORBIDDEN");
+    }
+    clauses.push(`(${query})`);
+  }
+
+  if (!viewer.canManageAll) {
+    if (!temporalConfig.ownerSearchAttribute) {
+      throw workflowError("Listing your workflows is not available: TEMPORAL_OWNER_SEARCH_ATTRIBUTE is not configured", "OWNER_LISTING_UNAVAILABLE");
+    }
+    clauses.push(`${temporalConfig.ownerSearchAttribute} = ${Number(viewer.userId)}`);
+  }
+
+  if (workflowType) {
+    if (!/^[A-Za-z0-9_-]+$/.test(workflowType)) {
+      throw workflowError("Invalid workflow type", "INVALID_WORKFLOW_FILTER");
+    }
+    clauses.push(`WorkflowType = '${workflowType}'`);
+  }
+
+  if (status) {
+    if (!EXECUTION_STATUSES.includes(status)) {
+      throw workflowError(`Status must be one of: ${EXECUTION_STATUSES.join(", ")}`, "INVALID_WORKFLOW_FILTER");
+    }
+    clauses.push(`ExecutionStatus = '${status}'`);
+  }
+
+  return clauses.length > 0 ? clauses.join(" AND ") : undefined;
+}
+
 /**
  * List workflows with optional filters using client.workflow.list()
  * @param {Object} options - List options
- * @param {string} options.query - Temporal query string (e.g., "WorkflowType='MyWorkflow'")
+ * @param {string} options.query - Temporal query string, admins only (e.g., "WorkflowType='MyWorkflow'")
+ * @param {string} options.workflowType - Only workflows of this type
+ * @param {string} options.status - Only workflows in this execution status (e.g., Running)
  * @param {number} options.pageSize - Number of results per page (default: 10)
+ * @param {{userId: number, canManageAll: boolean}} viewer - Caller; non-admins only see their own workflows
  * @returns {Promise<Object>} List of workflows
  */
-async function listWorkflows(options = {}) {
+async function listWorkflows(options = {}, viewer) {
   try {
+    const query = buildListQuery(options, viewer);
     const client = await getTemporalClient();
     
     const listOptions = {
       pageSize: options.pageSize || 10,
     };
 
-    if (options.query) {
-      listOptions.query = options.query;
+    if (query) {
+      listOptions.query = query;
     }
 
     const workflows = [];
@@ -142,23 +251,32 @@ async function listWorkflows(options = {}) {
 }
 
 /**
- * Signal a workflow using handle.signal()
+ * Signal a workflow using handle.signal(). Admins only, and never one of INTERNAL_SIGNALS:
+ * payment captures and moderation decisions are signalled by the services that record them.
  * @param {string} workflowId - Workflow ID
  * @param {string} signalName - Signal name
  * @param {any} signalArgs - Signal arguments
+ * @param {{userId: number, canManageAll: boolean}} viewer - Caller
  * @returns {Promise<void>}
  */
-async function signalWorkflow(workflowId, signalName, signalArgs = {}) {
+async function signalWorkflow(workflowId, signalName, signalArgs = {}, viewer) {
   if (!workflowId) {
     throw new Error("Workflow ID is required");
   }
   if (!signalName) {
     throw new Error("Signal name is required");
   }
+  if (INTERNAL_SIGNALS.includes(signalName)) {
+    logger.warn(`User ${viewer.userId} tried to send internal signal '${signalName}' to workflow ${workflowId}`);
+    throw workflowError(`Signal '${signalName}' can only be sent by the server`, "WORKFLOW_SIGNAL_FORBIDDEN");
+  }
+  if (!viewer.canManageAll) {
+    throw workflowError("Signalling workflows is restricted to admins", "WORKFLOW_SIGNAL_FORBIDDEN");
+  }
 
   try {
     const client = await getTemporalClient();
-    const handle = client.workflow.getHandle(workflowId);
+    const { handle } = await getAuthorizedWorkflow(client, workflowId, viewer);
     await handle.signal(signalName, signalArgs);
 
     logger.info(`Sent signal '${signalName}' to workflow ${workflowId}`);
@@ -169,18 +287,26 @@ async function signalWorkflow(workflowId, signalName, signalArgs = {}) {
 }
 
 /**
- * Cancel a workflow using handle.cancel()
+ * Cancel a workflow using handle.cancel(). Publishing workflows finish any credit hold
+ * step in flight and release an open hold before stopping; NON_CANCELLABLE_WORKFLOW_TYPES
+ * are refused.
  * @param {string} workflowId - Workflow ID
+ * @param {{userId: number, canManageAll: boolean}} viewer - Caller; non-admins only control their own workflows
  * @returns {Promise<void>}
  */
-async function cancelWorkflow(workflowId) {
+async function cancelWorkflow(workflowId, viewer) {
   if (!workflowId) {
     throw new Error("Workflow ID is required");
   }
 
   try {
     const client = await getTemporalClient();
-    const handle = client.workflow.getHandle(workflowId);
+    const { handle, description } = await getAuthorizedWorkflow(client, workflowId, viewer);
+
+    if (NON_CANCELLABLE_WORKFLOW_TYPES.includes(description.type)) {
+      throw workflowError(`${description.type} workflows cannot be cancelled`, "WORKFLOW_NOT_CANCELLABLE");
+    }
+
     await handle.cancel();
 
     logger.info(`Cancelled workflow: ${workflowId}`);
@@ -191,19 +317,24 @@ async function cancelWorkflow(workflowId) {
 }
 
 /**
- * Terminate a workflow using handle.terminate()
+ * Terminate a workflow using handle.terminate(). Admins only: termination skips the
+ * workflow's own clean-up, such as releasing or capturing a credit hold.
  * @param {string} workflowId - Workflow ID
  * @param {string} reason - Termination reason
+ * @param {{userId: number, canManageAll: boolean}} viewer - Caller
  * @returns {Promise<void>}
  */
-async function terminateWorkflow(workflowId, reason = "Manual termination") {
+async function terminateWorkflow(workflowId, reason = "Manual termination", viewer) {
   if (!workflowId) {
     throw new Error("Workflow ID is required");
   }
+  if (!viewer.canManageAll) {
+    throw workflowError("Terminating workflows is restricted to admins", "WORKFLOW_TERMINATE_FORBIDDEN");
+  }
 
   try {
     const client = await getTemporalClient();
-    const handle = client.workflow.getHandle(workflowId);
+    const { handle } = await getAuthorizedWorkflow(client, workflowId, viewer);
     await handle.terminate(reason);
 
     logger.info(`Terminated workflow ${workflowId}: ${reason}`);
@@ -0,0 +1,322 @@
+/**
+ * Credit Pack Purchase Activities
+ *
+ * Activities for settling Razorpay credit pack orders: crediting the wallet,
+ * expiring unpaid orders, and reversing/refunding purchases that could not be completed.
+ *
+ * Every activity is safe to retry: wallet postings use idempotency keys derived from
+ * the payment order, and order updates check the current status first.
+ *
+ * @module temporal/activities/creditPackPurchase
+ */
+
+const logger = require('../../config/winston.config');
+const db = require('../../entity/index');
+const WalletService = require('../../service/WalletService.service');
+const { CREDIT_PACKS } = require('../../config/razorpay.config');
+const { CREDIT_SOURCES } = require('../../config/walletCredits.config');
+const { getRazorpayClient } = require('../../utils/razorpayClient');
+
+/**
+ * Idempotency key of the wallet credit for a payment order
+ * @param {number} paymentOrderId - Payment order ID
+ * @returns {string}
+ */
+const walletCreditKey = (paymentOrderId) => `payment-order:${paymentOrderId}`;
+
+/**
+ * Idempotency key of the debit that reverses the wallet credit
+ * @param {number} paymentOrderId - Payment order ID
+ * @returns {string}
+ */
+const walletReversalKey = (paymentOrderId) => `payment-order-reversal:${paymentOrderId}`;
+
+/**
+ * Load a payment order or fail the activity
+ * @param {number} paymentOrderId - Payment order ID
+ * @returns {Promise<object>} - PaymentOrder instance
+ */
+async function loadPaymentOrder(paymentOrderId) {
+    const order = await db.PaymentOrder.findByPk(paymentOrderId);
+    if (!order) {
+        throw new Error(`Payment order ${paymentOrderId} not found`);
+    }
+    return order;
+}
+
+/**
+ * The Razorpay SDK rejects with { statusCode, error: { description } } rather than an Error;
+ * wrap it so Temporal records a readable failure
+ * @param {any} error - SDK rejection
+ * @returns {Error}
+ */
+function toGatewayError(error) {
+    if (error instanceof Error) {
+        return error;
+    }
+    return new Error(error?.error?.description || 'Razorpay request failed');
+}
+
+/**
+ * Why a Razorpay payment cannot settle a payment order, if it cannot
+ * @param {object} payment - Razorpay payment entity
+ * @param {object} order - PaymentOrder instance
+ * @returns {string|null} - Mismatch reason, or null when the payment pays for the order
+ */
+function paymentMismatch(payment, order) {
+    if (payment.status !== 'captured') {
+        return `payment is ${payment.status}, not captured`;
+    }
+    if (payment.order_id !== order.providerOrderId) {
+        return `payment belongs to Razorpay order ${payment.order_id}, not ${order.providerOrderId}`;
+    }
+    if (payment.amount !== order.amount || payment.currency !== order.currency) {
+        return `payment of ${payment.amount} ${payment.currency} does not match order amount ${order.amount} ${order.currency}`;
+    }
+    return null;
+}
+
+/**
+ * Credit Payment Order Activity
+ *
+ * Fetches the payment from Razorpay and adds the pack's credits to the buyer's wallet
+ * only when it is captured, against this order, for the order amount. A payment that
+ * does not check out returns success: false with rejected set instead of crediting.
+ * Throws on other failures so Temporal retries; a retry after a committed credit
+ * returns the original transaction.
+ *
+ * @param {Object} input
+ * @param {number} input.paymentOrderId - Payment order ID
+ * @param {string} input.paymentId - Captured Razorpay payment id
+ * @returns {Promise<{success: boolean, walletTransactionId?: number, rejected?: boolean, message?: string}>}
+ */
+async function creditPaymentOrder({ paymentOrderId, paymentId }) {
+    logger.info(`[Credit Payment Order] Crediting wallet for payment order ${paymentOrderId}`);
+
+    const order = await loadPaymentOrder(paymentOrderId);
+    const pack = CREDIT_PACKS[order.packId];
+
+    let payment;
+    try {
+        payment = await getRazorpayClient().payments.fetch(paymentId);
+    } catch (error) {
+        logger.error(`[Credit Payment Order] Could not fetch payment ${paymentId} for payment order ${paymentOrderId}:`, error);
+        throw toGatewayError(error);
+    }
+
+    const mismatch = paymentMismatch(payment, order);
+    if (mismatch) {
+        logger.error(`[Credit Payment Order] Refusing to credit payment order ${paymentOrderId} with payment ${paymentId}: ${mismatch}`);
+        return { success: false, rejected: true, message: `Payment ${paymentId} rejected: ${mismatch}` };
+    }
+
+    const result = await WalletService.addFunds(
+        order.userId,
+        order.credits,
+        `Purchased ${pack ? pack.name : order.packId}`,
+        {
+            type: 'CREDIT_PACK_PURCHASE',
+            paymentOrderId: order.paymentOrderId,
+            packId: order.packId,
+            razorpayOrderId: order.providerOrderId,
+            razorpayPaymentId: paymentId
+        },
+        { idempotencyKey: walletCreditKey(order.paymentOrderId), source: CREDIT_SOURCES.PURCHASED }
+    );
+
+    if (!result.success) {
+        logger.error(`[Credit Payment Order] Failed to credit wallet for payment order ${paymentOrderId}: ${result.message}`);
+        throw new Error(result.message || 'Failed to credit wallet');
+    }
+
+    logger.info(`[Credit Payment Order] Wallet transaction ${result.transaction.transactionId} for payment order ${paymentOrderId}${result.replayed ? ' (replayed)' : ''}`);
+    return { success: true, walletTransactionId: result.transaction.transactionId };
+}
+
+/**
+ * Mark Payment Order Paid Activity
+ *
+ * A late capture on an EXPIRED or FAILED order still counts: the buyer's money arrived.
+ *
+ * @param {Object} input
+ * @param {number} input.paymentOrderId - Payment order ID
+ * @param {string} input.paymentId - Captured Razorpay payment id
+ * @param {number} input.walletTransactionId - Wallet credit for the order
+ * @returns {Promise<{success: boolean}>}
+ */
+async function markPaymentOrderPaid({ paymentOrderId, paymentId, walletTransactionId }) {
+    const order = await loadPaymentOrder(paymentOrderId);
+
+    if (order.status === 'PAID') {
+        return { success: true };
+    }
+
+    await order.update({
+        status: 'PAID',
+        providerPaymentId: paymentId,
+        walletTransactionId,
+        failureReason: null,
+        paidAt: new Date()
+    });
+
+    logger.info(`[Mark Payment Order Paid] Payment order ${paymentOrderId} paid (${paymentId}), ${order.credits} credits added to user ${order.userId}`);
+    return { success: true };
+}
+
+/**
+ * Expire Payment Order Activity
+ *
+ * Expires an order that was never paid. Orders with a recorded failed attempt keep
+ * FAILED and its reason; paid orders are left alone.
+ *
+ * @param {Object} input
+ * @param {number} input.paymentOrderId - Payment order ID
+ * @returns {Promise<{success: boolean, status: string}>}
+ */
+async function expirePaymentOrder({ paymentOrderId }) {
+    const order = await loadPaymentOrder(paymentOrderId);
+
+    if (order.status === 'CREATED') {
+        await order.update({
+            status: 'EXPIRED',
+            failureReason: 'Payment not completed in time'
+        });
+        logger.info(`[Expire Payment Order] Payment order ${paymentOrderId} expired unpaid`);
+    }
+
+    return { success: true, status: order.status };
+}
+
+/**
+ * Reverse Payment Order Credit Activity
+ *
+ * Posts a debit cancelling the order's wallet credit, if one was posted. Returns
+ * success: false when the credits have already been spent, so the caller can stop
+ * short of refunding money for credits the buyer kept.
+ *
+ * @param {Object} input
+ * @param {number} input.paymentOrderId - Payment order ID
+ * @param {string} input.reason - Why the purchase is being reversed
+ * @returns {Promise<{success: boolean, reversed?: boolean, message?: string}>}
+ */
+async function reversePaymentOrderCredit({ paymentOrderId, reason }) {
+    const order = await loadPaymentOrder(paymentOrderId);
+    const credit = await db.WalletTransaction.findOne({
+        where: { userId: order.userId, idempotencyKey: walletCreditKey(paymentOrderId) }
+    });
+
+    if (!credit) {
+        return { success: true, reversed: false };
+    }
+
+    const result = await WalletService.deductFunds(
+        credit.userId,
+        credit.amount,
+        'Credit pack purchase reversed',
+        {
+            type: 'CREDIT_PACK_REVERSAL',
+            paymentOrderId,
+            reversedTransactionId: credit.transactionId,
+            reason
+        },
+        // Take back the credits this purchase added, not promo credits spent first by default
+        { idempotencyKey: walletReversalKey(paymentOrderId), creditTransactionId: credit.transactionId }
+    );
+
+    if (!result.success) {
+        logger.error(`[Reverse Payment Order Credit] Could not reverse credit ${credit.transactionId} for payment order ${paymentOrderId}: ${result.message}`);
+        return { success: false, message: result.message };
+    }
+
+    logger.info(`[Reverse Payment Order Credit] Reversed credit ${credit.transactionId} for payment order ${paymentOrderId}`);
+    return { success: true, reversed: true };
+}
+
+/**
+ * Refund Payment Order Activity
+ *
+ * Refunds the captured payment in full and marks the order REFUNDED. A retry reuses
+ * a refund already created for the payment instead of requesting another.
+ *
+ * @param {Object} input
+ * @param {number} input.paymentOrderId - Payment order ID
+ * @param {string} input.paymentId - Captured Razorpay payment id
+ * @param {string} input.reason - Why the payment is being refunded
+ * @returns {Promise<{success: boolean, refundId: string}>}
+ */
+async function refundPaymentOrder({ paymentOrderId, paymentId, reason }) {
+    const order = await loadPaymentOrder(paymentOrderId);
+
+    if (order.status === 'REFUNDED') {
+        return { success: true, refundId: order.providerRefundId };
+    }
+
+    let refund;
+    try {
+        const razorpay = getRazorpayClient();
+        const existing = await razorpay.payments.fetchMultipleRefund(paymentId);
+        refund = (existing.items || []).find(item => item.status !== 'failed');
+
+        if (!refund) {
+            refund = await razorpay.payments.refund(paymentId, {
+                amount: order.amount,
+                notes: {
+                    paymentOrderId: String(paymentOrderId),
+                    reason: String(reason || '').slice(0, 250)
+                }
+            });
+        }
+    } catch (error) {
+        logger.error(`[Refund Payment Order] Refund failed for payment order ${paymentOrderId}:`, error);
+        throw toGatewayError(error);
+    }
+
+    await order.update({
+        status: 'REFUNDED',
+        providerPaymentId: paymentId,
+        providerRefundId: refund.id,
+        failureReason: String(reason || 'Purchase could not be completed').slice(0, 500)
+    });
+
+    logger.info(`[Refund Payment Order] Payment order ${paymentOrderId} refunded (${refund.id})`);
+    return { success: true, refundId: refund.id };
+}
+
+/**
+ * Mark Payment Order Failed Activity
+ *
+ * Records a purchase that needs manual attention (e.g. the credit could not be reversed).
+ * A PAID or REFUNDED order keeps its status; the failure is only logged for review.
+ *
+ * @param {Object} input
+ * @param {number} input.paymentOrderId - Payment order ID
+ * @param {string} input.paymentId - Razorpay payment id
+ * @param {string} input.reason - Failure reason
+ * @returns {Promise<{success: boolean}>}
+ */
+async function markPaymentOrderFailed({ paymentOrderId, paymentId, reason }) {
+    const order = await loadPaymentOrder(paymentOrderId);
+
+    if (order.status === 'PAID' || order.status === 'REFUNDED') {
+        logger.error(`[Mark Payment Order Failed] Payment order ${paymentOrderId} is ${order.status}, not marking it failed: ${reason}`);
+        return { success: true };
+    }
+
+    await order.update({
+        status: 'FAILED',
+        providerPaymentId: paymentId,
+        failureReason: String(reason || 'Purchase could not be completed').slice(0, 500)
+    });
+
+    logger.warn(`[Mark Payment Order Failed] Payment order ${paymentOrderId}: ${reason}`);
+    return { success: true };
+}
+
+module.exports = {
+    creditPaymentOrder,
+    markPaymentOrderPaid,
+    expirePaymentOrder,
+    reversePaymentOrderCredit,
+    refundPaymentOrder,
+    markPaymentOrderFailed,
+};
@@ -0,0 +1,129 @@
+/**
+ * Listing Charge Activities
+ *
+ * Wallet credits for publishing listings, shared by the publishing workflows:
+ * credits are reserved before the listing record is created, captured once it exists,
+ * and released if publishing fails. A hold that cannot be captured once the listing is
+ * live is flagged for the wallet reconciliation job to capture. Prices come from
+ * config/listingPricing.config.
+ *
+ * @module temporal/activities/listingCharge
+ */
+
+const logger = require('../../config/winston.config');
+const WalletService = require('../../service/WalletService.service');
+const { getListingPrice } = require('../../config/listingPricing.config');
+
+/**
+ * Reserve Listing Credits Activity
+ *
+ * Holds the publishing price in the user's wallet. Returns success: false (without
+ * throwing) when the wallet cannot cover it, so the workflow can stop before creating
+ * anything. Free listings (price 0) reserve nothing and return reservationId: null.
+ *
+ * @param {Object} input
+ * @param {number} input.userId - User ID
+ * @param {string} input.listingType - One of LISTING_TYPES
+ * @param {number} [input.draftId] - Draft being published
+ * @returns {Promise<{success: boolean, reservationId?: number, amount?: number, message?: string}>}
+ */
+async function reserveListingCredits({ userId, listingType, draftId = null }) {
+    const price = getListingPrice(listingType);
+
+    if (price === 0) {
+        return { success: true, reservationId: null, amount: 0 };
+    }
+
+    logger.info(`[Listing Charge] Reserving ${price} credits for user ${userId} (${listingType}, draft ${draftId})`);
+
+    const result = await WalletService.reserveFunds(userId, price, {
+        // Without a draft there is nothing stable to dedupe retries on
+        reference: draftId ? `listing-publish:${listingType}:${draftId}` : null,
+        reason: `Publish ${listingType.toLowerCase().replace('_', '/')} listing`,
+        metadata: {
+            type: 'LISTING_PUBLISH',
+            listingType,
+            draftId,
+            listingPrice: price
+        }
+    });
+
+    if (!result.success) {
+        logger.warn(`[Listing Charge] Could not reserve credits for user ${userId}: ${result.message}`);
+        return { success: false, message: result.message };
+    }
+
+    return {
+        success: true,
+        reservationId: result.reservation.reservationId,
+        amount: result.reservation.amount
+    };
+}
+
+/**
+ * Capture Listing Credits Activity
+ *
+ * Debits the reserved credits; the debit's metadata links to the published listing.
+ * On failure the hold is flagged for the wallet reconciliation job (which captures it if
+ * every retry fails too), then the error is thrown so Temporal retries.
+ *
+ * @param {Object} input
+ * @param {number|null} input.reservationId - From reserveListingCredits (null for free listings)
+ * @param {number} input.listingId - ID of the created listing record
+ * @returns {Promise<{success: boolean, transactionId?: number}>}
+ */
+async function captureListingCredits({ reservationId, listingId }) {
+    if (!reservationId) {
+        return { success: true };
+    }
+
+    const result = await WalletService.captureReservation(reservationId, { listingId });
+
+    if (!result.success) {
+        logger.error(`[Listing Charge] Failed to capture reservation ${reservationId}: ${result.message}`);
+
+        const flagged = await WalletService.flagReservationForCapture(reservationId, { listingId, reason: result.message });
+        if (!flagged.success) {
+            logger.error(`[Listing Charge] Failed to flag reservation ${reservationId} for reconciliation: ${flagged.message}`);
+        }
+
+        throw new Error(result.message || 'Failed to capture listing credits');
+    }
+
+    const transactionId = result.transaction ? result.transaction.transactionId : result.reservation.transactionId;
+    logger.info(`[Listing Charge] Captured reservation ${reservationId} for listing ${listingId} (transaction ${transactionId})`);
+
+    return { success: true, transactionId };
+}
+
+/**
+ * Release Listing Credits Activity
+ *
+ * Returns reserved credits when publishing fails. Throws on failure so Temporal retries.
+ *
+ * @param {Object} input
+ * @param {number|null} input.reservationId - From reserveListingCredits (null for free listings)
+ * @param {string} [input.reason] - Why publishing failed (logged)
+ * @returns {Promise<{success: boolean}>}
+ */
+async function releaseListingCredits({ reservationId, reason }) {
+    if (!reservationId) {
+        return { success: true };
+    }
+
+    const result = await WalletService.releaseReservation(reservationId);
+
+    if (!result.success) {
+        logger.error(`[Listing Charge] Failed to release reservation ${reservationId}: ${result.message}`);
+        throw new Error(result.message || 'Failed to release listing credits');
+    }
+
+    logger.info(`[Listing Charge] Released reservation ${reservationId}${reason ? `: ${reason}` : ''}`);
+    return { success: true };
+}
+
+module.exports = {
+    reserveListingCredits,
+    captureListingCredits,
+    releaseListingCredits,
+};
@@ -0,0 +1,73 @@
+/**
+ * Listing Duplicate Activities
+ *
+ * Duplicate detection for the property and PG/hostel publishing workflows: a submission
+ * is compared with the published listings around it before moderation (and refused when
+ * config/listingDuplicate.config's LISTING_DUPLICATE_BLOCK is on), and the published
+ * listing's suspected duplicates are recorded for admins once it is live.
+ *
+ * @module temporal/activities/listingDuplicate
+ */
+
+const logger = require('../../config/winston.config');
+const ListingDuplicateService = require('../../service/ListingDuplicateService.service');
+const { LISTING_DUPLICATE_BLOCK } = require('../../config/listingDuplicate.config');
+
+/**
+ * Check Listing Duplicates Activity
+ *
+ * Throws on failure so Temporal retries.
+ *
+ * @param {Object} input
+ * @param {number} input.userId - Listing owner
+ * @param {number} [input.draftId] - Draft being published (its own published listing is not compared)
+ * @param {string} input.listingType - PROPERTY | PG_HOSTEL
+ * @param {Object} input.listingData - Validated listing data
+ * @returns {Promise<{success: boolean, blocked: boolean, matches: Array<{listingId: number, score: number}>}>}
+ *          blocked is true when publishing must stop
+ */
+async function checkListingDuplicates({ userId, draftId = null, listingType, listingData }) {
+    const result = await ListingDuplicateService.findDuplicatesForSubmission(listingType, listingData, { userId, draftId });
+
+    if (!result.success) {
+        throw new Error(result.message || 'Failed to check for duplicate listings');
+    }
+
+    const matches = result.data.matches.map(match => ({ listingId: match.listingId, score: match.score }));
+
+    if (matches.length > 0) {
+        logger.warn(`[Listing Duplicates] ${listingType} draft ${draftId} (user ${userId}) matches published listing(s) ${matches.map(match => `${match.listingId} (${match.score})`).join(', ')}${LISTING_DUPLICATE_BLOCK ? '; blocking' : ''}`);
+    }
+
+    return {
+        success: true,
+        blocked: LISTING_DUPLICATE_BLOCK && matches.length > 0,
+        matches
+    };
+}
+
+/**
+ * Record Listing Duplicates Activity
+ *
+ * Recomputes the suspected duplicate pairs of a listing that was just created or updated.
+ * Throws on failure so Temporal retries.
+ *
+ * @param {Object} input
+ * @param {string} input.listingType - PROPERTY | PG_HOSTEL
+ * @param {number} input.listingId - property_id or pg_hostel_id
+ * @returns {Promise<{success: boolean, matches: number}>}
+ */
+async function recordListingDuplicates({ listingType, listingId }) {
+    const result = await ListingDuplicateService.recordDuplicatesForListing(listingType, listingId);
+
+    if (!result.success) {
+        throw new Error(result.message || `Failed to record duplicates of ${listingType} ${listingId}`);
+    }
+
+    return { success: true, matches: result.summary.matches };
+}
+
+module.exports = {
+    checkListingDuplicates,
+    recordListingDuplicates,
+};
@@ -0,0 +1,258 @@
+/**
+ * Listing Moderation Activities
+ *
+ * Moderation queue items for the publishing workflows: a workflow opens an item once the
+ * listing data has been validated and scored by the automated review. Listings the review
+ * did not flag are approved on the spot; the rest wait for a reviewer's decision, and the
+ * item is escalated each time config/moderation.config's escalation interval passes unanswered.
+ *
+ * @module temporal/activities/listingModeration
+ */
+
+const { Op } = require('sequelize');
+const logger = require('../../config/winston.config');
+const db = require('../../entity/index');
+const {
+    MODERATION_STATUS,
+    OPEN_MODERATION_STATUSES,
+    MODERATION_ESCALATION_MS
+} = require('../../config/moderation.config');
+
+const ListingModeration = db.ListingModeration;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Field-level differences between two versions of listing data. Nested objects are
+ * walked; arrays and scalars are compared as a whole.
+ * @param {*} before - Previous value (undefined when absent)
+ * @param {*} after - Submitted value (undefined when absent)
+ * @param {string} [path] - Dotted path of the values being compared
+ * @returns {Array<{path: string, change: string, before?: *, after?: *}>}
+ */
+const diffListingData = (before, after, path = '') => {
+    if (isPlainObject(before) && isPlainObject(after)) {
+        const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+        return keys.flatMap(key => diffListingData(before[key], after[key], path ? `${path}.${key}` : key));
+    }
+
+    if (JSON.stringify(before) === JSON.stringify(after)) {
+        return [];
+    }
+    if (before === undefined) {
+        return [{ path, change: 'ADDED', after }];
+    }
+    if (after === undefined) {
+        return [{ path, change: 'REMOVED', before }];
+    }
+    return [{ path, change: 'CHANGED', before, after }];
+};
+
+/**
+ * Decision recorded on a moderation item, as the publishing workflows consume it
+ * @param {object} item - Decided ListingModeration instance
+ * @returns {{moderationId: number, decision: string, reviewerId: number|null, comment: string|null}}
+ */
+const toDecision = (item) => ({
+    moderationId: item.moderationId,
+    decision: item.status,
+    reviewerId: item.reviewerId,
+    comment: item.reviewComment
+});
+
+/**
+ * Open Moderation Item Activity
+ *
+ * Records the validated listing data with its automated review result and a diff against
+ * the last approved submission of the same draft. A listing the review did not assign a
+ * tier to is approved immediately (decision is returned); otherwise the item is queued
+ * for a reviewer. Safe to retry: a workflow gets back the item it already opened.
+ * Returns success: false (without throwing) when the draft is already waiting for review
+ * under another submission.
+ *
+ * @param {Object} input
+ * @param {string|null} input.workflowId - Temporal workflow to signal (null in direct mode)
+ * @param {string} input.workflowName - Publishing workflow name
+ * @param {Object} [input.workflowInput] - Direct mode: input to re-run the workflow with once decided
+ * @param {number} input.userId - Listing owner
+ * @param {number} [input.draftId] - Draft being published
+ * @param {string} input.listingType - PROPERTY | PG_HOSTEL | PROJECT | DEVELOPER
+ * @param {boolean} input.isUpdate - Whether the listing is already published
+ * @param {Object} input.listingData - Listing data as validated
+ * @param {Object} input.review - From runAutomatedListingReview: { riskScore, riskFlags, reviewTier }
+ * @returns {Promise<{success: boolean, moderationId?: number, decision?: Object, escalateAfterMs?: number, message?: string}>}
+ *          decision is set when the item is already decided, e.g. approved automatically
+ */
+async function openModerationItem({
+    workflowId,
+    workflowName,
+    workflowInput = null,
+    userId,
+    draftId = null,
+    listingType,
+    isUpdate,
+    listingData,
+    review
+}) {
+    if (workflowId) {
+        const existing = await ListingModeration.findOne({ where: { workflowId } });
+        if (existing) {
+            return {
+                success: true,
+                moderationId: existing.moderationId,
+                ...(!OPEN_MODERATION_STATUSES.includes(existing.status) && { decision: toDecision(existing) }),
+                escalateAfterMs: MODERATION_ESCALATION_MS
+            };
+        }
+    }
+
+    let baseline = null;
+
+    if (draftId) {
+        const open = await ListingModeration.findOne({
+            where: { draftId, listingType, status: { [Op.in]: OPEN_MODERATION_STATUSES } }
+        });
+        if (open) {
+            logger.warn(`[Listing Moderation] Draft ${draftId} is already awaiting review (item ${open.moderationId})`);
+            return { success: false, message: 'This draft is already awaiting review' };
+        }
+
+        baseline = await ListingModeration.findOne({
+            where: { draftId, listingType, status: MODERATION_STATUS.APPROVED },
+            order: [['decidedAt', 'DESC']]
+        });
+    }
+
+    const autoApproved = !review.reviewTier;
+
+    const item = await ListingModeration.create({
+        workflowId,
+        workflowName,
+        workflowInput,
+        userId,
+        draftId,
+        listingType,
+        isUpdate: !!isUpdate,
+        status: autoApproved ? MODERATION_STATUS.APPROVED : MODERATION_STATUS.PENDING,
+        listingData,
+        baselineModerationId: baseline ? baseline.moderationId : null,
+        changes: diffListingData(baseline ? baseline.listingData : {}, listingData),
+        reviewTier: review.reviewTier,
+        riskScore: review.riskScore,
+        riskFlags: review.riskFlags,
+        decidedAt: autoApproved ? new Date() : null
+    });
+
+    if (autoApproved) {
+        logger.info(`[Listing Moderation] Item ${item.moderationId} for ${listingType} draft ${draftId} (user ${userId}) approved by automated review (score ${review.riskScore})`);
+        return { success: true, moderationId: item.moderationId, decision: toDecision(item), escalateAfterMs: MODERATION_ESCALATION_MS };
+    }
+
+    logger.info(`[Listing Moderation] Opened ${review.reviewTier} item ${item.moderationId} for ${listingType} draft ${draftId} (user ${userId}, score ${review.riskScore}${workflowId ? `, workflow ${workflowId}` : ''})`);
+
+    return { success: true, moderationId: item.moderationId, escalateAfterMs: MODERATION_ESCALATION_MS };
+}
+
+/**
+ * Escalate Moderation Item Activity
+ *
+ * Called when an escalation interval passes without a decision signal. A decision that is
+ * already recorded (its signal was lost) is returned instead, so the workflow can continue.
+ *
+ * @param {Object} input
+ * @param {number} input.moderationId - From openModerationItem
+ * @returns {Promise<{decided: boolean, decision?: Object, escalationLevel?: number}>}
+ */
+async function escalateModerationItem({ moderationId }) {
+    const item = await ListingModeration.findByPk(moderationId);
+
+    if (!item) {
+        throw new Error(`Moderation item ${moderationId} not found`);
+    }
+
+    if (!OPEN_MODERATION_STATUSES.includes(item.status)) {
+        logger.info(`[Listing Moderation] Item ${moderationId} was already decided (${item.status})`);
+        return {
+            decided: true,
+            decision: toDecision(item)
+        };
+    }
+
+    // Conditional on the status, so a decision recorded meanwhile is not overwritten
+    const [escalated] = await ListingModeration.update({
+        status: MODERATION_STATUS.ESCALATED,
+        escalationLevel: item.escalationLevel + 1,
+        escalatedAt: new Date()
+    }, {
+        where: { moderationId, status: { [Op.in]: OPEN_MODERATION_STATUSES } }
+    });
+
+    if (!escalated) {
+        return escalateModerationItem({ moderationId });
+    }
+
+    logger.warn(`[Listing Moderation] Item ${moderationId} (${item.listingType} draft ${item.draftId}) escalated to level ${item.escalationLevel + 1}`);
+
+    return { decided: false, escalationLevel: item.escalationLevel + 1 };
+}
+
+/**
+ * Get Moderation Decision Activity
+ *
+ * Reads the decision recorded on a moderation item. The moderationDecision signal only
+ * wakes the workflow; the decision it acts on is always the one in the database.
+ *
+ * @param {Object} input
+ * @param {number} input.moderationId - From openModerationItem
+ * @returns {Promise<{decided: boolean, decision?: Object}>}
+ */
+async function getModerationDecision({ moderationId }) {
+    const item = await ListingModeration.findByPk(moderationId);
+
+    if (!item) {
+        throw new Error(`Moderation item ${moderationId} not found`);
+    }
+
+    if (OPEN_MODERATION_STATUSES.includes(item.status)) {
+        return { decided: false };
+    }
+
+    return {
+        decided: true,
+        decision: toDecision(item)
+    };
+}
+
+/**
+ * Get Moderated Listing Data Activity
+ *
+ * Returns the listing data recorded on a moderation item: the submission the reviewer
+ * decided on. A direct-mode re-run publishes this rather than the draft, which the owner
+ * may have edited while the item was waiting.
+ *
+ * @param {Object} input
+ * @param {number} input.moderationId - Item the workflow was re-run with
+ * @param {number} input.userId - Owner of the run
+ * @param {number} [input.draftId] - Draft of the run
+ * @returns {Promise<{listingData: Object}>}
+ */
+async function getModeratedListingData({ moderationId, userId, draftId = null }) {
+    const item = await ListingModeration.findByPk(moderationId);
+
+    if (!item) {
+        throw new Error(`Moderation item ${moderationId} not found`);
+    }
+
+    if (item.userId !== userId || (item.draftId || null) !== (draftId || null)) {
+        throw new Error(`Moderation item ${moderationId} does not belong to this submission`);
+    }
+
+    return { listingData: item.listingData };
+}
+
+module.exports = {
+    openModerationItem,
+    escalateModerationItem,
+    getModerationDecision,
+    getModeratedListingData,
+};
@@ -0,0 +1,402 @@
+/**
+ * Automated Listing Review Activities
+ *
+ * Scores validated listing data before it reaches the moderation queue: prices far from
+ * the locality median, photos or near-identical descriptions already used by another
+ * account, contact details in the description and coordinates outside the stated city.
+ * Weights and thresholds live in config/listingReview.config.
+ *
+ * @module temporal/activities/listingReview
+ */
+
+const { QueryTypes } = require('sequelize');
+const logger = require('../../config/winston.config');
+const db = require('../../entity/index');
+const {
+    REVIEW_TIERS,
+    REVIEW_CHECKS,
+    REVIEW_CHECK_WEIGHTS,
+    LISTING_REVIEW_THRESHOLD,
+    LISTING_MANUAL_REVIEW_THRESHOLD,
+    PRICE_OUTLIER_FACTOR,
+    MIN_COMPARABLE_LISTINGS,
+    DESCRIPTION_SIMILARITY_THRESHOLD,
+    DESCRIPTION_MIN_WORDS,
+    DESCRIPTION_CANDIDATE_LIMIT,
+    CITY_RADIUS_KM
+} = require('../../config/listingReview.config');
+
+/**
+ * Published listings of both listing tables.
+ * Every select yields: listing_type, listing_id, owner_id, draft_id, city, locality,
+ * description, media_data, lat, lng, created_at
+ */
+const PUBLISHED_LISTINGS_SQL = `
+    SELECT 'PROPERTY' AS listing_type, p.property_id AS listing_id, p.created_by AS owner_id,
+           p.draft_id, p.city, p.locality, p.description, p.media_data, p.lat, p.lng,
+           p.property_created_at AS created_at
+    FROM property p
+    WHERE p.property_deleted_at IS NULL
+      AND p.status = 'ACTIVE'
+    UNION ALL
+    SELECT 'PG_HOSTEL' AS listing_type, h.pg_hostel_id AS listing_id, h.user_id AS owner_id,
+           h.draft_id, h.city, h.locality, h.description, h.media_data, h.lat, h.lng,
+           h.pg_hostel_created_at AS created_at
+    FROM pg_colive_hostel h
+    WHERE h.pg_hostel_deleted_at IS NULL`;
+
+/**
+ * SQL expression that reads a pricing entry value as numeric (NULL when not a number)
+ */
+const PRICE_VALUE_SQL = `(CASE WHEN (price_entry->>'value') ~ '^[0-9]+(\\.[0-9]+)?$' THEN (price_entry->>'value')::numeric END)`;
+
+/**
+ * Comparable pricing entries per listing type, in the same city and locality.
+ * Property prices are compared within the same property type, PG prices within the same room category.
+ */
+const COMPARABLE_PRICES_SQL = {
+    PROPERTY: `
+        SELECT ${PRICE_VALUE_SQL} AS price
+        FROM property p,
+             jsonb_array_elements(CASE WHEN jsonb_typeof(p.pricing) = 'array' THEN p.pricing ELSE '[]'::jsonb END) AS price_entry
+        WHERE p.property_deleted_at IS NULL
+          AND p.status = 'ACTIVE'
+          AND p.draft_id IS DISTINCT FROM :draftId
+          AND LOWER(p.city) = LOWER(:city)
+          AND LOWER(p.locality) = LOWER(:locality)
+          AND (CAST(:segment AS text) IS NULL OR p.property_type = :segment)
+          AND LOWER(price_entry->>'type') IS NOT DISTINCT FROM LOWER(:priceType)
+          AND LOWER(price_entry->>'unit') IS NOT DISTINCT FROM LOWER(:priceUnit)`,
+    PG_HOSTEL: `
+        SELECT ${PRICE_VALUE_SQL} AS price
+        FROM pg_colive_hostel h,
+             jsonb_array_elements(CASE WHEN jsonb_typeof(h.room_types) = 'array' THEN h.room_types ELSE '[]'::jsonb END) AS room_type,
+             jsonb_array_elements(CASE WHEN jsonb_typeof(room_type->'pricing') = 'array' THEN room_type->'pricing' ELSE '[]'::jsonb END) AS price_entry
+        WHERE h.pg_hostel_deleted_at IS NULL
+          AND h.draft_id IS DISTINCT FROM :draftId
+          AND LOWER(h.city) = LOWER(:city)
+          AND LOWER(h.locality) = LOWER(:locality)
+          AND (CAST(:segment AS text) IS NULL OR room_type->>'category' = :segment)
+          AND LOWER(price_entry->>'type') IS NOT DISTINCT FROM LOWER(:priceType)
+          AND LOWER(price_entry->>'unit') IS NOT DISTINCT FROM LOWER(:priceUnit)`
+};
+
+// Keys of a media entry that identify the stored file
+const MEDIA_REF_FIELDS = ['url', 'key'];
+
+// Indian mobile numbers, with or without +91/0 and spacing
+const PHONE_PATTERN = /(?<!\d)(?:\+?91[\s-]?|0)?[6-9]\d{2}(?:\d{2}[\s-]?\d{5}|[\s-]?\d{3}[\s-]?\d{4})(?!\d)/g;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g;
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|in|net|org|co|io|info|biz)\b(?:\/\S*)?/gi;
+
+const EARTH_RADIUS_KM = 6371;
+
+const toNumber = (value) => {
+    const number = Number(value);
+    return value !== null && value !== '' && Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Great-circle distance between two points
+ * @returns {number} - Kilometres
+ */
+const distanceKm = (from, to) => {
+    const rad = (degrees) => degrees * Math.PI / 180;
+    const dLat = rad(to.lat - from.lat);
+    const dLng = rad(to.lng - from.lng);
+    const a = Math.sin(dLat / 2) ** 2
+        + Math.cos(rad(from.lat)) * Math.cos(rad(to.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Numeric pricing entries of the listing, with the segment they are compared within
+ * @returns {Array<{segment: string|null, type: string|null, unit: string|null, value: number}>}
+ */
+const getPriceEntries = (listingType, listingData) => {
+    const toEntries = (pricing, segment) => (Array.isArray(pricing) ? pricing : [])
+        .map(entry => ({
+            segment: segment || null,
+            type: entry && entry.type ? String(entry.type) : null,
+            unit: entry && entry.unit ? String(entry.unit) : null,
+            value: toNumber(entry && entry.value)
+        }))
+        .filter(entry => entry.value !== null && entry.value > 0);
+
+    if (listingType === 'PROPERTY') {
+        return toEntries(listingData.pricing, listingData.propertyType);
+    }
+    if (listingType === 'PG_HOSTEL') {
+        return (Array.isArray(listingData.roomTypes) ? listingData.roomTypes : [])
+            .flatMap(roomType => toEntries(roomType && roomType.pricing, roomType && roomType.category));
+    }
+    return [];
+};
+
+/**
+ * URLs and storage keys referenced by the listing's media entries
+ * @returns {Array<string>}
+ */
+const getMediaRefs = (mediaData) => {
+    const refs = (Array.isArray(mediaData) ? mediaData : []).flatMap(entry => {
+        if (typeof entry === 'string') {
+            return [entry];
+        }
+        if (entry && typeof entry === 'object') {
+            return MEDIA_REF_FIELDS.map(field => entry[field]).filter(value => typeof value === 'string');
+        }
+        return [];
+    });
+    return [...new Set(refs.map(ref => ref.trim()).filter(Boolean))];
+};
+
+/**
+ * Lower-cased 3-word phrases of a description
+ * @returns {Set<string>|null} - null when the description is too short to compare
+ */
+const getShingles = (text) => {
+    const words = String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+    if (words.length < DESCRIPTION_MIN_WORDS) {
+        return null;
+    }
+
+    const shingles = new Set();
+    for (let i = 0; i + 3 <= words.length; i++) {
+        shingles.add(words.slice(i, i + 3).join(' '));
+    }
+    return shingles;
+};
+
+const jaccard = (a, b) => {
+    let shared = 0;
+    a.forEach(shingle => {
+        if (b.has(shingle)) {
+            shared++;
+        }
+    });
+    return shared / (a.size + b.size - shared);
+};
+
+const getCoordinates = (listingData) => {
+    const source = listingData.coordinates || listingData;
+    const lat = toNumber(source.lat);
+    const lng = toNumber(source.lng);
+    return lat !== null && lng !== null ? { lat, lng } : null;
+};
+
+/**
+ * Prices more than PRICE_OUTLIER_FACTOR times above or below the median of comparable
+ * listings in the same locality
+ */
+async function checkPriceOutliers({ draftId, listingType, listingData }) {
+    const entries = getPriceEntries(listingType, listingData);
+    if (!COMPARABLE_PRICES_SQL[listingType] || !listingData.city || !listingData.locality || entries.length === 0) {
+        return null;
+    }
+
+    const outliers = [];
+    for (const entry of entries) {
+        const [stats] = await db.sequelize.query(
+            `SELECT percentile_cont(0.5) WITHIN GROUP (ORDER BY price) AS median, COUNT(*)::int AS samples
+             FROM (${COMPARABLE_PRICES_SQL[listingType]}) AS comparable
+             WHERE price IS NOT NULL`,
+            {
+                replacements: {
+                    draftId,
+                    city: listingData.city,
+                    locality: listingData.locality,
+                    segment: entry.segment,
+                    priceType: entry.type,
+                    priceUnit: entry.unit
+                },
+                type: QueryTypes.SELECT
+            }
+        );
+
+        const median = toNumber(stats && stats.median);
+        if (!median || stats.samples < MIN_COMPARABLE_LISTINGS) {
+            continue;
+        }
+
+        if (entry.value > median * PRICE_OUTLIER_FACTOR || entry.value < median / PRICE_OUTLIER_FACTOR) {
+            outliers.push({ ...entry, median, samples: stats.samples });
+        }
+    }
+
+    return outliers.length > 0 ? { outliers } : null;
+}
+
+/**
+ * Photos (by URL or storage key) already used by another account's published listing
+ */
+async function checkDuplicatePhotos({ userId, listingData }) {
+    const refs = getMediaRefs(listingData.mediaData);
+    if (refs.length === 0) {
+        return null;
+    }
+
+    const matches = await db.sequelize.query(
+        `SELECT listing_type, listing_id, owner_id
+         FROM (${PUBLISHED_LISTINGS_SQL}) AS listings
+         WHERE owner_id <> :userId
+           AND jsonb_path_exists(COALESCE(media_data, '[]'::jsonb), '$.** ? (@ == $refs[*])', jsonb_build_object('refs', CAST(:refs AS jsonb)))
+         LIMIT 10`,
+        {
+            replacements: { userId, refs: JSON.stringify(refs) },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    if (matches.length === 0) {
+        return null;
+    }
+
+    return {
+        listings: matches.map(match => ({
+            listingType: match.listing_type,
+            listingId: match.listing_id,
+            ownerId: match.owner_id
+        }))
+    };
+}
+
+/**
+ * Descriptions nearly identical to another account's listing in the same city
+ */
+async function checkDuplicateDescription({ userId, listingData }) {
+    const shingles = getShingles(listingData.description);
+    if (!shingles || !listingData.city) {
+        return null;
+    }
+
+    const candidates = await db.sequelize.query(
+        `SELECT listing_type, listing_id, owner_id, description
+         FROM (${PUBLISHED_LISTINGS_SQL}) AS listings
+         WHERE owner_id <> :userId
+           AND LOWER(city) = LOWER(:city)
+           AND description IS NOT NULL
+         ORDER BY created_at DESC
+         LIMIT :limit`,
+        {
+            replacements: { userId, city: listingData.city, limit: DESCRIPTION_CANDIDATE_LIMIT },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    const matches = candidates
+        .map(candidate => {
+            const other = getShingles(candidate.description);
+            return other && {
+                listingType: candidate.listing_type,
+                listingId: candidate.listing_id,
+                ownerId: candidate.owner_id,
+                similarity: Math.round(jaccard(shingles, other) * 100) / 100
+            };
+        })
+        .filter(match => match && match.similarity >= DESCRIPTION_SIMILARITY_THRESHOLD)
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, 5);
+
+    return matches.length > 0 ? { listings: matches } : null;
+}
+
+/**
+ * Phone numbers, email addresses or links in the description
+ */
+function checkContactInDescription({ listingData }) {
+    const description = String(listingData.description || '');
+    const found = {
+        phones: description.match(PHONE_PATTERN) || [],
+        emails: description.match(EMAIL_PATTERN) || [],
+        urls: description.replace(EMAIL_PATTERN, ' ').match(URL_PATTERN) || []
+    };
+
+    return found.phones.length + found.emails.length + found.urls.length > 0 ? found : null;
+}
+
+/**
+ * Coordinates further than CITY_RADIUS_KM from the median position of the city's listings
+ */
+async function checkCoordinatesOutsideCity({ draftId, listingData }) {
+    const coordinates = getCoordinates(listingData);
+    if (!coordinates || !listingData.city) {
+        return null;
+    }
+
+    const [centre] = await db.sequelize.query(
+        `SELECT percentile_cont(0.5) WITHIN GROUP (ORDER BY lat) AS lat,
+                percentile_cont(0.5) WITHIN GROUP (ORDER BY lng) AS lng,
+                COUNT(*)::int AS samples
+         FROM (${PUBLISHED_LISTINGS_SQL}) AS listings
+         WHERE LOWER(city) = LOWER(:city)
+           AND draft_id IS DISTINCT FROM :draftId
+           AND lat IS NOT NULL
+           AND lng IS NOT NULL`,
+        {
+            replacements: { city: listingData.city, draftId },
+            type: QueryTypes.SELECT
+        }
+    );
+
+    if (!centre || centre.samples < MIN_COMPARABLE_LISTINGS) {
+        return null;
+    }
+
+    const cityCentre = { lat: toNumber(centre.lat), lng: toNumber(centre.lng) };
+    const distance = distanceKm(coordinates, cityCentre);
+
+    return distance > CITY_RADIUS_KM
+        ? { city: listingData.city, distanceKm: Math.round(distance), cityCentre }
+        : null;
+}
+
+const CHECKS = {
+    [REVIEW_CHECKS.PRICE_OUTLIER]: checkPriceOutliers,
+    [REVIEW_CHECKS.DUPLICATE_PHOTOS]: checkDuplicatePhotos,
+    [REVIEW_CHECKS.DUPLICATE_DESCRIPTION]: checkDuplicateDescription,
+    [REVIEW_CHECKS.CONTACT_IN_DESCRIPTION]: checkContactInDescription,
+    [REVIEW_CHECKS.COORDINATES_OUTSIDE_CITY]: checkCoordinatesOutsideCity
+};
+
+/**
+ * Run Automated Listing Review Activity
+ *
+ * Runs every check against the validated listing data and decides whether the listing
+ * can go live without a reviewer. Checks that do not apply to the listing type, or lack
+ * enough comparable listings, pass.
+ *
+ * @param {Object} input
+ * @param {number} input.userId - Listing owner
+ * @param {number} [input.draftId] - Draft being published (its own published listing is not compared)
+ * @param {string} input.listingType - PROPERTY | PG_HOSTEL | PROJECT | DEVELOPER
+ * @param {Object} input.listingData - Validated listing data
+ * @returns {Promise<{riskScore: number, riskFlags: Array<{check: string, weight: number, detail: Object}>, reviewTier: string|null}>}
+ *          reviewTier is null when the listing can be approved automatically
+ */
+async function runAutomatedListingReview({ userId, draftId = null, listingType, listingData }) {
+    const riskFlags = [];
+
+    for (const [check, run] of Object.entries(CHECKS)) {
+        const detail = await run({ userId, draftId, listingType, listingData: listingData || {} });
+        if (detail) {
+            riskFlags.push({ check, weight: REVIEW_CHECK_WEIGHTS[check], detail });
+        }
+    }
+
+    const riskScore = Math.min(100, riskFlags.reduce((sum, flag) => sum + flag.weight, 0));
+
+    let reviewTier = null;
+    if (riskScore >= LISTING_MANUAL_REVIEW_THRESHOLD) {
+        reviewTier = REVIEW_TIERS.MANUAL_REVIEW;
+    } else if (riskScore >= LISTING_REVIEW_THRESHOLD) {
+        reviewTier = REVIEW_TIERS.AUTOMATED_REVIEW;
+    }
+
+    logger.info(`[Listing Review] ${listingType} draft ${draftId} (user ${userId}) scored ${riskScore}${riskFlags.length ? ` [${riskFlags.map(flag => flag.check).join(', ')}]` : ''}: ${reviewTier || 'auto-approved'}`);
+
+    return { riskScore, riskFlags, reviewTier };
+}
+
+module.exports = {
+    runAutomatedListingReview,
+};
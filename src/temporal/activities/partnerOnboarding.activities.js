@@ -11,6 +11,7 @@ const { s3, defaultBucket } = require('../../config/s3.config');
 const db = require('../../entity/index');
 const PartnerBusinessService = require('../../service/PartnerBusiness.service');
 const WalletService = require('../../service/WalletService.service');
+const { CREDIT_SOURCES, getPromoCreditExpiry } = require('../../config/walletCredits.config');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -459,19 +460,29 @@ function getInitials(name) {
  * @param {number} params.amount - Amount of credits to add
  * @param {string} params.reason - Reason for adding credits
  * @param {Object} params.metadata - Additional metadata
+ * @param {string} params.idempotencyKey - Stable key for this credit; activity retries
+ *                                         return the original transaction instead of crediting again
+ * @param {string} params.source - Credit bucket source (default PURCHASED); PROMO credits
+ *                                 expire after PROMO_CREDIT_EXPIRY_DAYS
  * @returns {Promise<{success: boolean, message?: string}>}
  */
-async function addCredits({ userId, amount, reason, metadata }) {
+async function addCredits({ userId, amount, reason, metadata, idempotencyKey, source = CREDIT_SOURCES.PURCHASED }) {
     try {
-        logger.info(`[Add Credits Activity] Adding ${amount} credits to user ${userId}`);
+        logger.info(`[Add Credits Activity] Adding ${amount} ${source} credits to user ${userId}`);
         
-        const result = await WalletService.addFunds(userId, amount, reason, metadata);
+        const expiresAt = source === CREDIT_SOURCES.PROMO ? getPromoCreditExpiry() : null;
+        const result = await WalletService.addFunds(userId, amount, reason, metadata, { idempotencyKey, source, expiresAt });
         
         if (!result.success) {
             logger.error(`[Add Credits Activity] Failed to add credits: ${result.message}`);
             return { success: false, message: result.message };
         }
         
+        if (result.replayed) {
+            logger.info(`[Add Credits Activity] Credits already added for key ${idempotencyKey}, returning transaction ${result.transaction.transactionId}`);
+            return { success: true, transaction: result.transaction };
+        }
+        
         logger.info(`[Add Credits Activity] Successfully added ${amount} credits to user ${userId}`);
         return { success: true, transaction: result.transaction };
     } catch (error) {
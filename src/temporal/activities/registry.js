@@ -24,6 +24,15 @@ const propertyPublishingActivities = require('./propertyPublishing.activities');
 // Project activities
 const projectPublishingActivities = require('./projectPublishing.activities');
 
+// Payment activities
+const creditPackPurchaseActivities = require('./creditPackPurchase.activities');
+const listingChargeActivities = require('./listingCharge.activities');
+
+// Moderation activities
+const listingReviewActivities = require('./listingReview.activities');
+const listingModerationActivities = require('./listingModeration.activities');
+const listingDuplicateActivities = require('./listingDuplicate.activities');
+
  
 /**
  * Export all activities
@@ -53,5 +62,20 @@ module.exports = {
     
     // Project publishing activities
     ...projectPublishingActivities,
+    
+    // Credit pack purchase activities
+    ...creditPackPurchaseActivities,
+    
+    // Listing charge activities (shared by the publishing workflows)
+    ...listingChargeActivities,
+    
+    // Automated listing review activities (shared by the publishing workflows)
+    ...listingReviewActivities,
+    
+    // Listing moderation activities (shared by the publishing workflows)
+    ...listingModerationActivities,
+    
+    // Duplicate listing detection activities (property and PG/hostel publishing)
+    ...listingDuplicateActivities,
  
 };
@@ -94,7 +94,8 @@ const PAYMENT_CONFIG = {
     activityTimeout: ACTIVITY_TIMEOUTS.MEDIUM,
     workflowTimeout: WORKFLOW_TIMEOUTS.MEDIUM,
     retryPolicy: AGGRESSIVE_RETRY_POLICY,
-    maxInventoryReservationTime: '10 minutes',
+    // Unpaid credit pack orders are expired after this long
+    orderExpiry: '30 minutes',
     paymentGatewayTimeout: '2 minutes',
 };
 
@@ -158,8 +159,10 @@ const SIGNALS = {
     // Listing signals
     APPROVE_LISTING: 'approve',
     REJECT_LISTING: 'reject',
+    MODERATION_DECISION: 'moderationDecision',
     
     // Payment signals
+    PAYMENT_CAPTURED: 'paymentCaptured',
     CANCEL_PAYMENT: 'cancelPayment',
     RETRY_PAYMENT: 'retryPayment',
     
@@ -169,6 +172,15 @@ const SIGNALS = {
     UPDATE_CONFIG: 'updateConfig',
 };
 
+// Signals that move money or moderation state: sent only by server code (PaymentService,
+// ListingModerationService), never accepted from POST /api/workflow/:workflowId/signal
+const INTERNAL_SIGNALS = [
+    SIGNALS.APPROVE_LISTING,
+    SIGNALS.REJECT_LISTING,
+    SIGNALS.MODERATION_DECISION,
+    SIGNALS.PAYMENT_CAPTURED,
+];
+
 const QUERIES = {
     GET_STATUS: 'getStatus',
     GET_PROGRESS: 'getProgress',
@@ -196,6 +208,13 @@ const LISTING_STATUS = {
     ERROR: 'error',
 };
 
+// Reviewer decisions on a publishing workflow parked in moderation
+const MODERATION_DECISIONS = {
+    APPROVED: 'APPROVED',
+    REJECTED: 'REJECTED',
+    CHANGES_REQUESTED: 'CHANGES_REQUESTED',
+};
+
 const ORDER_STATUS = {
     PENDING: 'pending',
     PAID: 'paid',
@@ -284,11 +303,13 @@ module.exports = {
     
     // Signals and Queries
     SIGNALS,
+    INTERNAL_SIGNALS,
     QUERIES,
     
     // Status Constants
     WORKFLOW_STATUS,
     LISTING_STATUS,
+    MODERATION_DECISIONS,
     ORDER_STATUS,
     SUBSCRIPTION_STATUS,
     
@@ -5,45 +5,32 @@
  * into your Partner Platform application.
  */
 
-const { startWorkflow, executeWorkflow, getWorkflowHandle } = require('../utils/temporalClient');
+const { startWorkflow, getWorkflowHandle } = require('../utils/temporalClient');
 const logger = require('../config/winston.config');
 
 /**
- * Example 1: Payment Processing Integration
- * Use this in your order/payment controller
+ * Example 1: Credit Pack Purchase
+ * The real flow lives in PaymentService: the workflow is started with the order and
+ * waits for the gateway callback, which is relayed to it as a signal
  */
-async function handlePaymentOrder(req, res) {
+async function handleCreditPackPurchase(paymentOrderId, userId) {
     try {
-        const { orderId, amount, currency, paymentMethod } = req.body;
-        const userId = req.user.email; // From auth middleware
-        
-        // Start payment workflow
         const { workflowId } = await startWorkflow(
-            'processPaymentWorkflow',
-            {
-                orderId,
-                userId,
-                amount,
-                currency,
-                paymentMethod,
-            },
-            `payment-${orderId}` // Unique workflow ID prevents duplicates
+            'creditPackPurchase',
+            { paymentOrderId, userId },
+            `credit-pack-purchase-${paymentOrderId}` // Unique workflow ID prevents duplicates
         );
         
-        logger.info(`Payment workflow started for order ${orderId}: ${workflowId}`);
+        logger.info(`Credit pack purchase workflow started for order ${paymentOrderId}: ${workflowId}`);
         
-        // Return immediately, payment will be processed asynchronously
-        res.json({
-            success: true,
-            orderId,
-            workflowId,
-            status: 'processing',
-            message: 'Payment is being processed',
-        });
+        // Later, once the captured payment has been verified:
+        // await signalWorkflow(workflowId, 'paymentCaptured', { paymentId: 'pay_...' });
+        
+        return workflowId;
         
     } catch (error) {
-        logger.error('Failed to start payment workflow:', error);
-        res.status(500).json({ success: false, error: error.message });
+        logger.error('Failed to start credit pack purchase workflow:', error);
+        throw error;
     }
 }
 
@@ -278,84 +265,7 @@ async function checkWorkflowStatus(workflowId) {
 }
 
 /**
- * Example 9: Wait for Workflow Result
- * Use this when you need immediate result (e.g., critical operations)
- */
-async function processPaymentAndWait(orderData) {
-    try {
-        // Execute workflow and wait for completion
-        const result = await executeWorkflow(
-            'processPaymentWorkflow',
-            orderData,
-            `payment-${orderData.orderId}`
-        );
-        
-        if (result.success) {
-            logger.info(`Payment successful: ${result.transactionId}`);
-            return {
-                success: true,
-                transactionId: result.transactionId,
-                message: 'Payment processed successfully',
-            };
-        } else {
-            logger.error('Payment failed:', result);
-            return {
-                success: false,
-                error: 'Payment processing failed',
-            };
-        }
-        
-    } catch (error) {
-        logger.error('Payment workflow execution failed:', error);
-        throw error;
-    }
-}
-
-/**
- * Example 10: Subscription Billing (Recurring)
- * Call this from a cron job daily to process due subscriptions
- */
-async function processDueSubscriptions() {
-    try {
-        // Get all subscriptions due today
-        // const dueSubscriptions = await db.Subscription.findAll({
-        //     where: {
-        //         nextPaymentDate: { [Op.lte]: new Date() },
-        //         status: 'active'
-        //     }
-        // });
-        
-        // Mock data for example
-        const dueSubscriptions = [
-            { id: 'SUB1', userId: 'user1@example.com', amount: 29.99, currency: 'USD', billingPeriod: 'monthly' },
-            { id: 'SUB2', userId: 'user2@example.com', amount: 99.99, currency: 'USD', billingPeriod: 'yearly' },
-        ];
-        
-        logger.info(`Processing ${dueSubscriptions.length} due subscriptions`);
-        
-        for (const subscription of dueSubscriptions) {
-            await startWorkflow(
-                'subscriptionPaymentWorkflow',
-                {
-                    subscriptionId: subscription.id,
-                    userId: subscription.userId,
-                    amount: subscription.amount,
-                    currency: subscription.currency,
-                    billingPeriod: subscription.billingPeriod,
-                },
-                `subscription-payment-${subscription.id}-${Date.now()}`
-            );
-        }
-        
-        logger.info('Subscription payment workflows started');
-        
-    } catch (error) {
-        logger.error('Failed to process due subscriptions:', error);
-    }
-}
-
-/**
- * Example 11: Bulk Listing Expiration Check
+ * Example 9: Bulk Listing Expiration Check
  * Run this daily to handle expiring listings
  */
 async function checkExpiringListings() {
@@ -406,7 +316,7 @@ async function checkExpiringListings() {
 
 // Export examples
 module.exports = {
-    handlePaymentOrder,
+    handleCreditPackPurchase,
     registerNewUser,
     createPropertyListing,
     approveListing,
@@ -414,8 +324,6 @@ module.exports = {
     scheduleWeeklyCleanup,
     schedulePaymentReminder,
     checkWorkflowStatus,
-    processPaymentAndWait,
-    processDueSubscriptions,
     checkExpiringListings,
 };
 
@@ -19,6 +19,7 @@ const { propertyPublishing } = require('./workflows/skip-workflow/propertyPublis
 const { developerPublishing } = require('./workflows/skip-workflow/developerPublishing-non.workflow');
 const { projectPublishing } = require('./workflows/skip-workflow/projectPublishing-non.workflow');
 const { pgHostelPublishing } = require('./workflows/skip-workflow/pgHostelPublishing-non.workflow');
+const { creditPackPurchase } = require('./workflows/skip-workflow/creditPackPurchase-non.workflow');
 
 /**
  * Execute a workflow directly without Temporal
@@ -60,6 +61,10 @@ async function executeWorkflowDirect(workflowName, workflowInput) {
             case 'pgHostelPublishing':
                 result = await pgHostelPublishing(workflowInput);
                 break;
+            
+            case 'creditPackPurchase':
+                result = await creditPackPurchase(workflowInput);
+                break;
 
             default:
                 throw new Error(`Unknown workflow: ${workflowName}. Add a case for this workflow or create a ${workflowName}-non.workflow.js file.`);
@@ -0,0 +1,168 @@
+/**
+ * Credit Pack Purchase Workflow
+ *
+ * Settles a Razorpay credit pack order. Started when the order is created, it waits
+ * for the gateway callback (checkout verification or webhook, relayed as the
+ * paymentCaptured signal), credits the wallet, and expires orders left unpaid.
+ *
+ * @module temporal/workflows/creditPackPurchase.workflow
+ */
+
+const { proxyActivities, defineSignal, setHandler, condition } = require('@temporalio/workflow');
+const { ACTIVITY_OPTIONS, PAYMENT_CONFIG, SIGNALS } = require('../config/constants');
+
+/** @typedef {import('../../types').WorkflowResult} WorkflowResult */
+
+// Proxy credit pack purchase activities with the payment retry policy
+const {
+    creditPaymentOrder,
+    markPaymentOrderPaid,
+    expirePaymentOrder,
+    reversePaymentOrderCredit,
+    refundPaymentOrder,
+    markPaymentOrderFailed,
+} = proxyActivities(ACTIVITY_OPTIONS.payment);
+
+/**
+ * Sent by PaymentService once a captured payment has been verified against the order
+ * Payload: { paymentId: string }
+ */
+const paymentCapturedSignal = defineSignal(SIGNALS.PAYMENT_CAPTURED);
+
+/**
+ * Credit Pack Purchase Workflow
+ *
+ * Orchestrates the purchase:
+ * 1. Waits for the paymentCaptured signal (up to PAYMENT_CONFIG.orderExpiry)
+ * 2. Expires the order if no payment was captured in time
+ * 3. Verifies the payment with Razorpay, credits the wallet and marks the order PAID
+ *    (a payment that does not match the order marks it FAILED, without a refund)
+ * 4. If the purchase cannot be completed: reverses any wallet credit, then refunds the payment
+ *
+ * @param {Object} workflowInput - Workflow input data
+ * @param {number} workflowInput.paymentOrderId - Payment order ID
+ * @param {number} workflowInput.userId - Buyer
+ * @param {Object} [workflowInput.capture] - Captured payment, when already known at start ({ paymentId })
+ * @returns {Promise<WorkflowResult>} - Workflow result
+ *
+ * @example
+ * await startWorkflow('creditPackPurchase', {
+ *   paymentOrderId: 42,
+ *   userId: 123
+ * }, 'credit-pack-purchase-42');
+ */
+async function creditPackPurchase(workflowInput) {
+    const { paymentOrderId, userId } = workflowInput;
+
+    console.log(`[Credit Pack Purchase Workflow] Starting for payment order ${paymentOrderId}, user ${userId}`);
+
+    // Checkout verification and the webhook may both report the capture; the first one wins
+    let capture = workflowInput.capture || null;
+    setHandler(paymentCapturedSignal, (payload) => {
+        if (!capture) {
+            capture = payload;
+        }
+    });
+
+    // Step 1: Wait for the gateway callback
+    console.log(`[Credit Pack Purchase] Step 1: Waiting for payment capture`);
+
+    const captured = await condition(() => capture !== null, PAYMENT_CONFIG.orderExpiry);
+
+    if (!captured) {
+        // Step 2: Expire the unpaid order
+        console.log(`[Credit Pack Purchase] Step 2: No payment captured, expiring order`);
+
+        const expiry = await expirePaymentOrder({ paymentOrderId });
+
+        return {
+            success: false,
+            paymentOrderId,
+            status: expiry.status,
+            message: 'Payment not completed in time',
+        };
+    }
+
+    const { paymentId } = capture;
+
+    try {
+        // Step 3: Credit the wallet and mark the order paid
+        console.log(`[Credit Pack Purchase] Step 3: Crediting wallet for payment ${paymentId}`);
+
+        const credit = await creditPaymentOrder({ paymentOrderId, paymentId });
+
+        if (!credit.success) {
+            // Nothing was credited, and a payment that is not this order's must not be refunded from it
+            await markPaymentOrderFailed({
+                paymentOrderId,
+                paymentId,
+                reason: credit.message,
+            });
+
+            return {
+                success: false,
+                paymentOrderId,
+                status: 'FAILED',
+                message: credit.message,
+            };
+        }
+
+        await markPaymentOrderPaid({
+            paymentOrderId,
+            paymentId,
+            walletTransactionId: credit.walletTransactionId,
+        });
+
+        console.log(`[Credit Pack Purchase] Payment order ${paymentOrderId} completed`);
+
+        return {
+            success: true,
+            paymentOrderId,
+            status: 'PAID',
+            walletTransactionId: credit.walletTransactionId,
+            message: 'Credits added to wallet',
+        };
+
+    } catch (error) {
+        // Step 4: Compensate - the buyer must not end up paying without credits, or with both
+        console.error(`[Credit Pack Purchase] Purchase failed for payment order ${paymentOrderId}:`, error.message);
+
+        const reversal = await reversePaymentOrderCredit({
+            paymentOrderId,
+            reason: error.message,
+        });
+
+        if (!reversal.success) {
+            await markPaymentOrderFailed({
+                paymentOrderId,
+                paymentId,
+                reason: `Needs manual review: credit could not be reversed (${reversal.message})`,
+            });
+
+            return {
+                success: false,
+                paymentOrderId,
+                status: 'FAILED',
+                message: 'Purchase failed and the wallet credit could not be reversed',
+            };
+        }
+
+        const refund = await refundPaymentOrder({
+            paymentOrderId,
+            paymentId,
+            reason: error.message,
+        });
+
+        return {
+            success: false,
+            paymentOrderId,
+            status: 'REFUNDED',
+            refundId: refund.refundId,
+            message: `Purchase failed and was refunded: ${error.message}`,
+        };
+    }
+}
+
+module.exports = {
+    creditPackPurchase,
+};
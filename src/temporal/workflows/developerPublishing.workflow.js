@@ -9,6 +9,13 @@
  */
 
 const { proxyActivities } = require('@temporalio/workflow');
+const { awaitModerationDecision, getModerationStopResult } = require('./listingModeration.helper');
+const {
+    runToCompletion,
+    reserveListingCredits,
+    captureListingCredits,
+    releaseListingCredits,
+} = require('./listingCharge.helper');
 
 /** @typedef {import('../../types').WorkflowResult} WorkflowResult */
 
@@ -58,7 +65,13 @@ const { updateDeveloperRecord } = proxyActivities({
  * 1. Fetches developer data from ListingDraft entity using draftId
  * 2. Validates all developer data (name, type, contact info, projects, etc.)
  * 3. Checks if developer already exists for the draft
+ *    Then scores the listing in the automated review (price outliers, duplicate photos or
+ *    descriptions, contact details, coordinates outside the city). Flagged listings wait in
+ *    the moderation queue until a reviewer approves, rejects or requests changes
+ *    (escalated every MODERATION_ESCALATION_HOURS while unanswered)
  * 4. Creates or updates developer record in database (based on existence)
+ *    New listings reserve the publishing price in wallet credits first, capture it once
+ *    created, and release it on failure
  * 5. Updates draft status to PUBLISHED
  * 6. Sends notification email to user (final step)
  * 
@@ -81,6 +94,9 @@ async function developerPublishing(workflowInput) {
     
     console.log(`[Developer Publishing Workflow] Starting for user ${userId}`);
     
+    // Open credit hold, released if publishing fails before the listing exists
+    let reservationId = null;
+    
     try {
         // Step 1: Fetch developer data from ListingDraft
         console.log(`[Developer Publishing] Step 1: Fetching developer data from draft ${draftId}`);
@@ -131,12 +147,54 @@ async function developerPublishing(workflowInput) {
             };
         }
         
+        const isUpdate = checkResult.exists;
+        
+        // Automated review, then moderation: nothing is charged or published until the listing is approved
+        console.log(`[Developer Publishing] Running automated review and moderation`);
+        
+        const moderation = await awaitModerationDecision({
+            userId,
+            draftId,
+            listingType: 'DEVELOPER',
+            isUpdate,
+            listingData: developerData,
+        });
+        
+        const moderationResult = getModerationStopResult('Developer', moderation);
+        if (moderationResult) {
+            console.log(`[Developer Publishing] Stopped at moderation: ${moderationResult.message}`);
+            return moderationResult;
+        }
+        
+        console.log(`[Developer Publishing] Approved in moderation ${moderation.reviewerId ? `by reviewer ${moderation.reviewerId}` : 'by automated review'}`);
+        
+        // Reserve publishing credits before creating anything (first publish only; updates are free)
+        if (!isUpdate) {
+            console.log(`[Developer Publishing] Reserving publishing credits`);
+            
+            const reservation = await reserveListingCredits({
+                userId,
+                listingType: 'DEVELOPER',
+                draftId,
+            });
+            
+            if (!reservation.success) {
+                console.error(`[Developer Publishing] Credit reservation failed:`, reservation.message);
+                return {
+                    success: false,
+                    message: reservation.message || 'Insufficient wallet credits to publish',
+                };
+            }
+            
+            reservationId = reservation.reservationId;
+        }
+        
         let developer;
         let developerId;
         let action;
         
         // Step 4: Create or update based on existence
-        if (checkResult.exists) {
+        if (isUpdate) {
             console.log(`[Developer Publishing] Step 4: Updating existing developer ${checkResult.data.developerId}`);
             
             const updateResult = await updateDeveloperRecord({
@@ -160,14 +218,15 @@ async function developerPublishing(workflowInput) {
         } else {
             console.log(`[Developer Publishing] Step 4: Creating new developer record`);
             
-            const createResult = await createDeveloperRecord({
+            const createResult = await runToCompletion(() => createDeveloperRecord({
                 userId,
                 draftId,
                 developerData
-            });
+            }));
             
             if (!createResult.success) {
                 console.error(`[Developer Publishing] Failed to create developer record`);
+                await releaseListingCredits({ reservationId, reason: createResult.message });
                 return {
                     success: false,
                     message: createResult.message || 'Failed to create developer record'
@@ -181,6 +240,16 @@ async function developerPublishing(workflowInput) {
         
         console.log(`[Developer Publishing] Developer record ${action} with ID: ${developerId}`);
         
+        // Charge the reserved credits now that the listing exists
+        try {
+            await captureListingCredits({ reservationId, listingId: developerId });
+        } catch (chargeError) {
+            // The listing is live, so the hold is not released: the activity flagged it for
+            // the wallet reconciliation job to capture
+            console.error(`[Developer Publishing] Failed to capture reservation ${reservationId}; left for wallet reconciliation:`, chargeError);
+        }
+        reservationId = null;
+        
         // Step 5: Update ListingDraft status to PUBLISHED
         console.log(`[Developer Publishing] Step 5: Updating ListingDraft status`);
         
@@ -240,6 +309,14 @@ async function developerPublishing(workflowInput) {
     } catch (error) {
         console.error(`[Developer Publishing Workflow] Error:`, error);
         
+        if (reservationId) {
+            try {
+                await releaseListingCredits({ reservationId, reason: error.message });
+            } catch (releaseError) {
+                console.error(`[Developer Publishing] Failed to release reservation ${reservationId}:`, releaseError);
+            }
+        }
+        
         return {
             success: false,
             message: error.message || 'Failed to publish developer profile',
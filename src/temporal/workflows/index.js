@@ -13,6 +13,7 @@ const { developerPublishing } = require('./developerPublishing.workflow');
 const { pgHostelPublishing } = require('./pgHostelPublishing.workflow');
 const { propertyPublishing } = require('./propertyPublishing.workflow');
 const { projectPublishing } = require('./projectPublishing.workflow');
+const { creditPackPurchase } = require('./creditPackPurchase.workflow');
 
 
 /**
@@ -29,5 +30,6 @@ module.exports = {
     pgHostelPublishing,
     propertyPublishing,
     projectPublishing,
+    creditPackPurchase,
 
 };
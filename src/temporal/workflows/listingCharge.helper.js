@@ -0,0 +1,52 @@
+/**
+ * Listing Charge - Workflow Helper
+ *
+ * Shared by the publishing workflows. Once credits are reserved, the hold must end
+ * captured (the listing was created) or released (it was not). A cancellation request
+ * would abandon whichever of those steps is in flight and leave the hold HELD, so the
+ * charge activities, and creating the listing they pay for (runToCompletion), run in a
+ * non-cancellable scope. The cancellation surfaces at the next step instead, where the
+ * workflow's error path releases any hold still open.
+ *
+ * @module temporal/workflows/listingCharge.helper
+ */
+
+const { proxyActivities, CancellationScope } = require('@temporalio/workflow');
+const { ACTIVITY_OPTIONS } = require('../config/constants');
+
+const charge = proxyActivities(ACTIVITY_OPTIONS.listing);
+
+/**
+ * Run a step to completion even if the workflow is cancelled meanwhile
+ * @template T
+ * @param {() => Promise<T>} step - Activity call
+ * @returns {Promise<T>}
+ */
+function runToCompletion(step) {
+    return CancellationScope.nonCancellable(step);
+}
+
+/**
+ * reserveListingCredits activity, run to completion
+ * @param {Object} input - See listingCharge.activities
+ */
+const reserveListingCredits = (input) => runToCompletion(() => charge.reserveListingCredits(input));
+
+/**
+ * captureListingCredits activity, run to completion
+ * @param {Object} input - See listingCharge.activities
+ */
+const captureListingCredits = (input) => runToCompletion(() => charge.captureListingCredits(input));
+
+/**
+ * releaseListingCredits activity, run to completion
+ * @param {Object} input - See listingCharge.activities
+ */
+const releaseListingCredits = (input) => runToCompletion(() => charge.releaseListingCredits(input));
+
+module.exports = {
+    runToCompletion,
+    reserveListingCredits,
+    captureListingCredits,
+    releaseListingCredits,
+};
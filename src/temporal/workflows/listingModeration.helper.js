@@ -0,0 +1,147 @@
+/**
+ * Listing Moderation - Workflow Helper
+ *
+ * Shared by the publishing workflows: once the listing data is validated, runs the
+ * automated review and records the result in the moderation queue. Listings the review
+ * flags wait for a reviewer's decision, with the queue item escalated every time the
+ * escalation interval passes unanswered; the rest continue immediately. The
+ * moderationDecision signal only wakes the workflow: the decision is read back from the
+ * moderation item, never taken from the signal payload.
+ *
+ * MAINTENANCE: Keep this in sync with skip-workflow/listingModeration-non.helper.js
+ *
+ * @module temporal/workflows/listingModeration.helper
+ */
+
+const { proxyActivities, defineSignal, setHandler, condition, workflowInfo } = require('@temporalio/workflow');
+const { ACTIVITY_OPTIONS, SIGNALS, MODERATION_DECISIONS } = require('../config/constants');
+
+const {
+    runAutomatedListingReview,
+    openModerationItem,
+    escalateModerationItem,
+    getModerationDecision,
+} = proxyActivities(ACTIVITY_OPTIONS.listing);
+
+/**
+ * Sent by ListingModerationService once a reviewer has decided
+ * Payload: { moderationId } (ignored; the workflow re-reads the item)
+ */
+const moderationDecisionSignal = defineSignal(SIGNALS.MODERATION_DECISION);
+
+/**
+ * Score the listing, then open a moderation item and wait for the reviewer's decision
+ * when the score calls for one
+ *
+ * @param {Object} submission
+ * @param {number} submission.userId - Listing owner
+ * @param {number} [submission.draftId] - Draft being published
+ * @param {string} submission.listingType - PROPERTY | PG_HOSTEL | PROJECT | DEVELOPER
+ * @param {boolean} submission.isUpdate - Whether the listing is already published
+ * @param {Object} submission.listingData - Validated listing data
+ * @returns {Promise<{success: boolean, moderationId?: number, decision?: string, reviewerId?: number|null, comment?: string, message?: string}>}
+ *          reviewerId is null when the listing was approved by the automated review
+ */
+async function awaitModerationDecision({ userId, draftId, listingType, isUpdate, listingData }) {
+    let decision = null;
+    let woken = false;
+    setHandler(moderationDecisionSignal, () => {
+        woken = true;
+    });
+
+    const { workflowId, workflowType } = workflowInfo();
+
+    const review = await runAutomatedListingReview({
+        userId,
+        draftId,
+        listingType,
+        listingData,
+    });
+
+    const item = await openModerationItem({
+        workflowId,
+        workflowName: workflowType,
+        userId,
+        draftId,
+        listingType,
+        isUpdate,
+        listingData,
+        review,
+    });
+
+    if (!item.success) {
+        return { success: false, message: item.message };
+    }
+
+    if (item.decision) {
+        decision = item.decision;
+    }
+
+    while (!decision) {
+        const answered = await condition(() => woken, item.escalateAfterMs);
+
+        if (answered) {
+            woken = false;
+            const recorded = await getModerationDecision({ moderationId: item.moderationId });
+
+            if (recorded.decided) {
+                decision = recorded.decision;
+            }
+            continue;
+        }
+
+        const escalation = await escalateModerationItem({ moderationId: item.moderationId });
+
+        // Decided while the signal went missing
+        if (escalation.decided) {
+            decision = escalation.decision;
+        }
+    }
+
+    return {
+        success: true,
+        moderationId: item.moderationId,
+        decision: decision.decision,
+        reviewerId: decision.reviewerId,
+        comment: decision.comment,
+    };
+}
+
+/**
+ * Workflow result to return when publishing must stop at moderation
+ *
+ * @param {string} listingLabel - e.g. 'Property', used in messages
+ * @param {Object} moderation - From awaitModerationDecision
+ * @returns {Object|null} - null when the submission was approved
+ */
+function getModerationStopResult(listingLabel, moderation) {
+    if (!moderation.success) {
+        return {
+            success: false,
+            message: moderation.message,
+            step: 'moderation',
+        };
+    }
+
+    if (moderation.decision === MODERATION_DECISIONS.APPROVED) {
+        return null;
+    }
+
+    return {
+        success: false,
+        message: moderation.decision === MODERATION_DECISIONS.REJECTED
+            ? `${listingLabel} was rejected in moderation`
+            : `${listingLabel} needs changes before it can be published`,
+        step: 'moderation',
+        data: {
+            moderationId: moderation.moderationId,
+            decision: moderation.decision,
+            comment: moderation.comment,
+        },
+    };
+}
+
+module.exports = {
+    awaitModerationDecision,
+    getModerationStopResult,
+};
@@ -9,6 +9,13 @@
  */
 
 const { proxyActivities } = require('@temporalio/workflow');
+const { awaitModerationDecision, getModerationStopResult } = require('./listingModeration.helper');
+const {
+    runToCompletion,
+    reserveListingCredits,
+    captureListingCredits,
+    releaseListingCredits,
+} = require('./listingCharge.helper');
 
 /** @typedef {import('../../types').WorkflowResult} WorkflowResult */
 
@@ -20,6 +27,8 @@ const {
     updatePgHostelRecord,
     sendPgHostelPublishingNotification,
     updateListingDraftStatus,
+    checkListingDuplicates,
+    recordListingDuplicates,
 } = proxyActivities({
     startToCloseTimeout: '2 minutes',
     retry: {
@@ -36,7 +45,16 @@ const {
  * Orchestrates the PG/Hostel publishing process:
  * 1. Fetches PG/Hostel data from ListingDraft entity
  * 2. Validates all PG/Hostel data (property details, room types, amenities, etc.)
+ *    Then compares it with published listings nearby (same unit or name, area, photo hashes)
+ *    and, with LISTING_DUPLICATE_BLOCK on, refuses likely duplicates.
+ *    It then scores the listing in the automated review (price outliers, duplicate photos or
+ *    descriptions, contact details, coordinates outside the city). Flagged listings wait in
+ *    the moderation queue until a reviewer approves, rejects or requests changes
+ *    (escalated every MODERATION_ESCALATION_HOURS while unanswered)
  * 3. Creates or updates PG/Hostel record in database
+ *    New listings reserve the publishing price in wallet credits first, capture it once
+ *    created, and release it on failure.
+ *    Suspected duplicates of the published listing are recorded for admins
  * 4. Updates draft status
  * 5. Sends notification to user
  * 
@@ -59,6 +77,9 @@ async function pgHostelPublishing(workflowInput) {
     
     console.log(`[PG Hostel Publishing Workflow] Starting for user ${userId}, draft ${draftId}`);
     
+    // Open credit hold, released if publishing fails before the listing exists
+    let reservationId = null;
+    
     try {
         // Step 1: Fetch PG/Hostel data from ListingDraft
         console.log(`[PG Hostel Publishing] Step 1: Fetching PG/Hostel data from draft ${draftId}`);
@@ -104,6 +125,67 @@ async function pgHostelPublishing(workflowInput) {
         const isUpdate = validationResult.isUpdate || false;
         const existingPgHostelId = validationResult.existingPgHostelId;
         
+        // Compare with the published listings around it (blocks only when LISTING_DUPLICATE_BLOCK is on)
+        console.log(`[PG Hostel Publishing] Checking for duplicate listings`);
+        
+        const duplicateCheck = await checkListingDuplicates({
+            userId,
+            draftId,
+            listingType: 'PG_HOSTEL',
+            listingData: pgHostelData,
+        });
+        
+        if (duplicateCheck.blocked) {
+            console.log(`[PG Hostel Publishing] Blocked as a duplicate of listing(s) ${duplicateCheck.matches.map(match => match.listingId).join(', ')}`);
+            return {
+                success: false,
+                message: 'This PG/hostel appears to duplicate a listing that is already published',
+                step: 'duplicates',
+                data: { listingIds: duplicateCheck.matches.map(match => match.listingId) },
+            };
+        }
+        
+        // Automated review, then moderation: nothing is charged or published until the listing is approved
+        console.log(`[PG Hostel Publishing] Running automated review and moderation`);
+        
+        const moderation = await awaitModerationDecision({
+            userId,
+            draftId,
+            listingType: 'PG_HOSTEL',
+            isUpdate,
+            listingData: pgHostelData,
+        });
+        
+        const moderationResult = getModerationStopResult('PG/Hostel', moderation);
+        if (moderationResult) {
+            console.log(`[PG Hostel Publishing] Stopped at moderation: ${moderationResult.message}`);
+            return moderationResult;
+        }
+        
+        console.log(`[PG Hostel Publishing] Approved in moderation ${moderation.reviewerId ? `by reviewer ${moderation.reviewerId}` : 'by automated review'}`);
+        
+        // Reserve publishing credits before creating anything (first publish only; updates are free)
+        if (!isUpdate) {
+            console.log(`[PG Hostel Publishing] Reserving publishing credits`);
+            
+            const reservation = await reserveListingCredits({
+                userId,
+                listingType: 'PG_HOSTEL',
+                draftId,
+            });
+            
+            if (!reservation.success) {
+                console.error(`[PG Hostel Publishing] Credit reservation failed:`, reservation.message);
+                return {
+                    success: false,
+                    message: reservation.message || 'Insufficient wallet credits to publish',
+                    step: 'payment',
+                };
+            }
+            
+            reservationId = reservation.reservationId;
+        }
+        
         // Step 3: Create or Update PG/Hostel record in database
         console.log(`[PG Hostel Publishing] Step 3: ${isUpdate ? 'Updating' : 'Creating'} PG/Hostel record`);
         
@@ -118,15 +200,16 @@ async function pgHostelPublishing(workflowInput) {
             });
         } else {
             // Create new record
-            operationResult = await createPgHostelRecord({
+            operationResult = await runToCompletion(() => createPgHostelRecord({
                 userId,
                 draftId,
                 pgHostelData,
-            });
+            }));
         }
         
         if (!operationResult.success) {
             console.error(`[PG Hostel Publishing] Record ${isUpdate ? 'update' : 'creation'} failed:`, operationResult);
+            await releaseListingCredits({ reservationId, reason: operationResult.message });
             return {
                 success: false,
                 message: `Failed to ${isUpdate ? 'update' : 'create'} PG/Hostel record`,
@@ -139,6 +222,23 @@ async function pgHostelPublishing(workflowInput) {
         
         const { pgHostelId, slug, propertyName } = operationResult.data;
         
+        // Charge the reserved credits now that the listing exists
+        try {
+            await captureListingCredits({ reservationId, listingId: pgHostelId });
+        } catch (chargeError) {
+            // The listing is live, so the hold is not released: the activity flagged it for
+            // the wallet reconciliation job to capture
+            console.error(`[PG Hostel Publishing] Failed to capture reservation ${reservationId}; left for wallet reconciliation:`, chargeError);
+        }
+        reservationId = null;
+        
+        // Record suspected duplicates for admins; a failure here doesn't unpublish the listing
+        try {
+            await recordListingDuplicates({ listingType: 'PG_HOSTEL', listingId: pgHostelId });
+        } catch (duplicateError) {
+            console.error(`[PG Hostel Publishing] Failed to record duplicates:`, duplicateError);
+        }
+        
         // Step 4: Update ListingDraft status to PUBLISHED (only for new creations)
         if (!isUpdate) {
             console.log(`[PG Hostel Publishing] Step 4: Updating ListingDraft status`);
@@ -187,6 +287,14 @@ async function pgHostelPublishing(workflowInput) {
     } catch (error) {
         console.error(`[PG Hostel Publishing] Workflow error:`, error);
         
+        if (reservationId) {
+            try {
+                await releaseListingCredits({ reservationId, reason: error.message });
+            } catch (releaseError) {
+                console.error(`[PG Hostel Publishing] Failed to release reservation ${reservationId}:`, releaseError);
+            }
+        }
+        
         // Try to send failure notification
         try {
             await sendPgHostelPublishingNotification({
@@ -9,6 +9,13 @@
  */
 
 const { proxyActivities } = require('@temporalio/workflow');
+const { awaitModerationDecision, getModerationStopResult } = require('./listingModeration.helper');
+const {
+    runToCompletion,
+    reserveListingCredits,
+    captureListingCredits,
+    releaseListingCredits,
+} = require('./listingCharge.helper');
 
 /** @typedef {import('../../types').WorkflowResult} WorkflowResult */
 
@@ -34,7 +41,13 @@ const {
  * 
  * Orchestrates the project publishing process:
  * 1. Validates all project data (project details, metadata, etc.)
+ *    Then scores the listing in the automated review (price outliers, duplicate photos or
+ *    descriptions, contact details, coordinates outside the city). Flagged listings wait in
+ *    the moderation queue until a reviewer approves, rejects or requests changes
+ *    (escalated every MODERATION_ESCALATION_HOURS while unanswered)
  * 2. Creates or updates project record in database
+ *    New listings reserve the publishing price in wallet credits first, capture it once
+ *    created, and release it on failure
  * 3. Updates draft status (if draft provided)
  * 4. Sends notification to user
  * 
@@ -73,6 +86,9 @@ async function projectPublishing(workflowInput) {
     
     console.log(`[Project Publishing Workflow] Starting for user ${userId}`);
     
+    // Open credit hold, released if publishing fails before the listing exists
+    let reservationId = null;
+    
     try {
         // Step 1: Validate project data
         console.log(`[Project Publishing] Step 1: Validating project data`);
@@ -98,6 +114,46 @@ async function projectPublishing(workflowInput) {
         const existingProject = validationResult.existingProject;
         const isUpdate = !!existingProject;
         
+        // Automated review, then moderation: nothing is charged or published until the listing is approved
+        console.log(`[Project Publishing] Running automated review and moderation`);
+        
+        const moderation = await awaitModerationDecision({
+            userId,
+            draftId,
+            listingType: 'PROJECT',
+            isUpdate,
+            listingData: projectData,
+        });
+        
+        const moderationResult = getModerationStopResult('Project', moderation);
+        if (moderationResult) {
+            console.log(`[Project Publishing] Stopped at moderation: ${moderationResult.message}`);
+            return moderationResult;
+        }
+        
+        console.log(`[Project Publishing] Approved in moderation ${moderation.reviewerId ? `by reviewer ${moderation.reviewerId}` : 'by automated review'}`);
+        
+        // Reserve publishing credits before creating anything (first publish only; updates are free)
+        if (!isUpdate) {
+            console.log(`[Project Publishing] Reserving publishing credits`);
+            
+            const reservation = await reserveListingCredits({
+                userId,
+                listingType: 'PROJECT',
+                draftId,
+            });
+            
+            if (!reservation.success) {
+                console.error(`[Project Publishing] Credit reservation failed:`, reservation.message);
+                return {
+                    success: false,
+                    message: reservation.message || 'Insufficient wallet credits to publish',
+                };
+            }
+            
+            reservationId = reservation.reservationId;
+        }
+        
         console.log(`[Project Publishing] Step 2: ${isUpdate ? 'Updating' : 'Creating'} project record`);
         
         let projectResult;
@@ -111,15 +167,16 @@ async function projectPublishing(workflowInput) {
             });
         } else {
             // Create new project
-            projectResult = await createProjectRecord({
+            projectResult = await runToCompletion(() => createProjectRecord({
                 userId,
                 draftId: draftId || null,
                 projectData,
-            });
+            }));
         }
         
         if (!projectResult.success) {
             console.error(`[Project Publishing] Failed to ${isUpdate ? 'update' : 'create'} project:`, projectResult.message);
+            await releaseListingCredits({ reservationId, reason: projectResult.message });
             return {
                 success: false,
                 message: `Failed to ${isUpdate ? 'update' : 'create'} project`,
@@ -129,6 +186,16 @@ async function projectPublishing(workflowInput) {
         
         console.log(`[Project Publishing] Project ${isUpdate ? 'updated' : 'created'} successfully:`, projectResult.data.projectId);
         
+        // Charge the reserved credits now that the listing exists
+        try {
+            await captureListingCredits({ reservationId, listingId: projectResult.data.projectId });
+        } catch (chargeError) {
+            // The listing is live, so the hold is not released: the activity flagged it for
+            // the wallet reconciliation job to capture
+            console.error(`[Project Publishing] Failed to capture reservation ${reservationId}; left for wallet reconciliation:`, chargeError);
+        }
+        reservationId = null;
+        
         // Step 3: Update draft status if draft was provided
         if (draftId) {
             console.log(`[Project Publishing] Step 3: Updating draft status`);
@@ -172,6 +239,14 @@ async function projectPublishing(workflowInput) {
     } catch (error) {
         console.error(`[Project Publishing] Workflow failed:`, error);
         
+        if (reservationId) {
+            try {
+                await releaseListingCredits({ reservationId, reason: error.message });
+            } catch (releaseError) {
+                console.error(`[Project Publishing] Failed to release reservation ${reservationId}:`, releaseError);
+            }
+        }
+        
         return {
             success: false,
             message: 'Project publishing workflow failed',
@@ -9,6 +9,13 @@
  */
 
 const { proxyActivities } = require('@temporalio/workflow');
+const { awaitModerationDecision, getModerationStopResult } = require('./listingModeration.helper');
+const {
+    runToCompletion,
+    reserveListingCredits,
+    captureListingCredits,
+    releaseListingCredits,
+} = require('./listingCharge.helper');
 
 /** @typedef {import('../../types').WorkflowResult} WorkflowResult */
 
@@ -20,6 +27,8 @@ const {
     updatePropertyRecord,
     sendPropertyPublishingNotification,
     updateListingDraftStatus,
+    checkListingDuplicates,
+    recordListingDuplicates,
 } = proxyActivities({
     startToCloseTimeout: '2 minutes',
     retry: {
@@ -36,7 +45,16 @@ const {
  * Orchestrates the property publishing process:
  * 1. Fetches property data from ListingDraft entity
  * 2. Validates all property data (property details, metadata, etc.)
+ *    Then compares it with published listings nearby (same unit or name, area, photo hashes)
+ *    and, with LISTING_DUPLICATE_BLOCK on, refuses likely duplicates.
+ *    It then scores the listing in the automated review (price outliers, duplicate photos or
+ *    descriptions, contact details, coordinates outside the city). Flagged listings wait in
+ *    the moderation queue until a reviewer approves, rejects or requests changes
+ *    (escalated every MODERATION_ESCALATION_HOURS while unanswered)
  * 3. Creates or updates property record in database
+ *    New listings reserve the publishing price in wallet credits first, capture it once
+ *    created, and release it on failure.
+ *    Suspected duplicates of the published listing are recorded for admins
  * 4. Updates draft status
  * 5. Sends notification to user
  * 
@@ -59,6 +77,9 @@ async function propertyPublishing(workflowInput) {
     
     console.log(`[Property Publishing Workflow] Starting for user ${userId}, draft ${draftId}`);
     
+    // Open credit hold, released if publishing fails before the listing exists
+    let reservationId = null;
+    
     try {
         // Step 1: Fetch property data from ListingDraft
         console.log(`[Property Publishing] Step 1: Fetching property data from draft ${draftId}`);
@@ -103,6 +124,65 @@ async function propertyPublishing(workflowInput) {
         const existingProperty = validationResult.existingProperty;
         const isUpdate = !!existingProperty;
         
+        // Compare with the published listings around it (blocks only when LISTING_DUPLICATE_BLOCK is on)
+        console.log(`[Property Publishing] Checking for duplicate listings`);
+        
+        const duplicateCheck = await checkListingDuplicates({
+            userId,
+            draftId,
+            listingType: 'PROPERTY',
+            listingData: propertyData,
+        });
+        
+        if (duplicateCheck.blocked) {
+            console.log(`[Property Publishing] Blocked as a duplicate of listing(s) ${duplicateCheck.matches.map(match => match.listingId).join(', ')}`);
+            return {
+                success: false,
+                message: 'This property appears to duplicate a listing that is already published',
+                data: { listingIds: duplicateCheck.matches.map(match => match.listingId) },
+            };
+        }
+        
+        // Automated review, then moderation: nothing is charged or published until the listing is approved
+        console.log(`[Property Publishing] Running automated review and moderation`);
+        
+        const moderation = await awaitModerationDecision({
+            userId,
+            draftId,
+            listingType: 'PROPERTY',
+            isUpdate,
+            listingData: propertyData,
+        });
+        
+        const moderationResult = getModerationStopResult('Property', moderation);
+        if (moderationResult) {
+            console.log(`[Property Publishing] Stopped at moderation: ${moderationResult.message}`);
+            return moderationResult;
+        }
+        
+        console.log(`[Property Publishing] Approved in moderation ${moderation.reviewerId ? `by reviewer ${moderation.reviewerId}` : 'by automated review'}`);
+        
+        // Reserve publishing credits before creating anything (first publish only; updates are free)
+        if (!isUpdate) {
+            console.log(`[Property Publishing] Reserving publishing credits`);
+            
+            const reservation = await reserveListingCredits({
+                userId,
+                listingType: 'PROPERTY',
+                draftId,
+            });
+            
+            if (!reservation.success) {
+                console.error(`[Property Publishing] Credit reservation failed:`, reservation.message);
+                return {
+                    success: false,
+                    message: reservation.message || 'Insufficient wallet credits to publish',
+                };
+            }
+            
+            reservationId = reservation.reservationId;
+        }
+        
         let propertyResult;
         
         if (isUpdate) {
@@ -118,15 +198,16 @@ async function propertyPublishing(workflowInput) {
             // Create new property
             console.log(`[Property Publishing] Step 3: Creating new property`);
             
-            propertyResult = await createPropertyRecord({
+            propertyResult = await runToCompletion(() => createPropertyRecord({
                 userId,
                 draftId,
                 propertyData,
-            });
+            }));
         }
         
         if (!propertyResult.success) {
             console.error(`[Property Publishing] Failed to ${isUpdate ? 'update' : 'create'} property:`, propertyResult.message);
+            await releaseListingCredits({ reservationId, reason: propertyResult.message });
             return {
                 success: false,
                 message: propertyResult.message || `Failed to ${isUpdate ? 'update' : 'create'} property`,
@@ -136,6 +217,23 @@ async function propertyPublishing(workflowInput) {
         const property = propertyResult.data;
         console.log(`[Property Publishing] Property ${isUpdate ? 'updated' : 'created'} successfully: ${property.propertyId}`);
         
+        // Charge the reserved credits now that the listing exists
+        try {
+            await captureListingCredits({ reservationId, listingId: property.propertyId });
+        } catch (chargeError) {
+            // The listing is live, so the hold is not released: the activity flagged it for
+            // the wallet reconciliation job to capture
+            console.error(`[Property Publishing] Failed to capture reservation ${reservationId}; left for wallet reconciliation:`, chargeError);
+        }
+        reservationId = null;
+        
+        // Record suspected duplicates for admins; a failure here doesn't unpublish the listing
+        try {
+            await recordListingDuplicates({ listingType: 'PROPERTY', listingId: property.propertyId });
+        } catch (duplicateError) {
+            console.error(`[Property Publishing] Failed to record duplicates:`, duplicateError);
+        }
+        
         // Step 4: Update draft status
         console.log(`[Property Publishing] Step 4: Updating draft status`);
         
@@ -176,6 +274,15 @@ async function propertyPublishing(workflowInput) {
         
     } catch (error) {
         console.error(`[Property Publishing] Workflow error:`, error);
+        
+        if (reservationId) {
+            try {
+                await releaseListingCredits({ reservationId, reason: error.message });
+            } catch (releaseError) {
+                console.error(`[Property Publishing] Failed to release reservation ${reservationId}:`, releaseError);
+            }
+        }
+        
         return {
             success: false,
             message: error.message || 'Property publishing workflow failed',
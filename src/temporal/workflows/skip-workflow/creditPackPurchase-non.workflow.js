@@ -0,0 +1,139 @@
+/**
+ * Credit Pack Purchase Workflow - Direct Execution (Non-Temporal)
+ *
+ * This is the direct execution version of creditPackPurchase.workflow.js
+ * It has the SAME settlement logic but without Temporal's proxyActivities.
+ *
+ * Without Temporal there is no long-running execution to signal, so PaymentService
+ * runs this once per gateway callback with the captured payment in `capture`.
+ * Started without a capture (at order creation) it returns immediately; unpaid
+ * orders are not expired in this mode.
+ *
+ * MAINTENANCE: Keep this in sync with creditPackPurchase.workflow.js
+ *
+ * @module temporal/workflows/creditPackPurchase-non.workflow
+ */
+
+// Import Credit Pack Purchase specific activities
+const creditPackPurchaseActivities = require('../../activities/creditPackPurchase.activities');
+
+// Combine all activities into a single object
+const activities = {
+    ...creditPackPurchaseActivities,
+};
+
+/**
+ * Credit Pack Purchase Workflow - Direct Execution
+ *
+ * Orchestrates the purchase:
+ * 1. Returns straight away when no payment has been captured yet
+ * 2. Verifies the payment with Razorpay, credits the wallet and marks the order PAID
+ *    (a payment that does not match the order marks it FAILED, without a refund)
+ * 3. If the purchase cannot be completed: reverses any wallet credit, then refunds the payment
+ *
+ * @param {Object} workflowInput - Workflow input data
+ * @param {number} workflowInput.paymentOrderId - Payment order ID
+ * @param {number} workflowInput.userId - Buyer
+ * @param {Object} [workflowInput.capture] - Captured payment ({ paymentId })
+ * @returns {Promise<Object>} - Workflow result
+ */
+async function creditPackPurchase(workflowInput) {
+    const { paymentOrderId, userId, capture } = workflowInput;
+
+    console.log(`[Credit Pack Purchase Workflow - Direct] Starting for payment order ${paymentOrderId}, user ${userId}`);
+
+    // Step 1: Nothing to settle until the gateway callback arrives
+    if (!capture) {
+        console.log(`[Credit Pack Purchase] Step 1: No payment captured yet`);
+
+        return {
+            success: true,
+            paymentOrderId,
+            status: 'CREATED',
+            message: 'Awaiting payment',
+        };
+    }
+
+    const { paymentId } = capture;
+
+    try {
+        // Step 2: Credit the wallet and mark the order paid
+        console.log(`[Credit Pack Purchase] Step 2: Crediting wallet for payment ${paymentId}`);
+
+        const credit = await activities.creditPaymentOrder({ paymentOrderId, paymentId });
+
+        if (!credit.success) {
+            // Nothing was credited, and a payment that is not this order's must not be refunded from it
+            await activities.markPaymentOrderFailed({
+                paymentOrderId,
+                paymentId,
+                reason: credit.message,
+            });
+
+            return {
+                success: false,
+                paymentOrderId,
+                status: 'FAILED',
+                message: credit.message,
+            };
+        }
+
+        await activities.markPaymentOrderPaid({
+            paymentOrderId,
+            paymentId,
+            walletTransactionId: credit.walletTransactionId,
+        });
+
+        console.log(`[Credit Pack Purchase] Payment order ${paymentOrderId} completed`);
+
+        return {
+            success: true,
+            paymentOrderId,
+            status: 'PAID',
+            walletTransactionId: credit.walletTransactionId,
+            message: 'Credits added to wallet',
+        };
+
+    } catch (error) {
+        // Step 3: Compensate - the buyer must not end up paying without credits, or with both
+        console.error(`[Credit Pack Purchase] Purchase failed for payment order ${paymentOrderId}:`, error.message);
+
+        const reversal = await activities.reversePaymentOrderCredit({
+            paymentOrderId,
+            reason: error.message,
+        });
+
+        if (!reversal.success) {
+            await activities.markPaymentOrderFailed({
+                paymentOrderId,
+                paymentId,
+                reason: `Needs manual review: credit could not be reversed (${reversal.message})`,
+            });
+
+            return {
+                success: false,
+                paymentOrderId,
+                status: 'FAILED',
+                message: 'Purchase failed and the wallet credit could not be reversed',
+            };
+        }
+
+        const refund = await activities.refundPaymentOrder({
+            paymentOrderId,
+            paymentId,
+            reason: error.message,
+        });
+
+        return {
+            success: false,
+            paymentOrderId,
+            status: 'REFUNDED',
+            refundId: refund.refundId,
+            message: `Purchase failed and was refunded: ${error.message}`,
+        };
+    }
+}
+
+module.exports = {
+    creditPackPurchase,
+};
@@ -12,9 +12,16 @@
 // Import Developer specific activities
 const developerActivities = require('../../activities/developerPublishing.activities');
 
+// Wallet charge activities shared by the publishing workflows
+const listingChargeActivities = require('../../activities/listingCharge.activities');
+
+// Moderation queue shared by the publishing workflows
+const { resolveListingData, awaitModerationDecision, getModerationStopResult } = require('./listingModeration-non.helper');
+
 // Combine all activities into a single object
 const activities = {
     ...developerActivities,
+    ...listingChargeActivities,
     // Add more activity imports here if needed
 };
 
@@ -29,6 +36,9 @@ async function developerPublishing(workflowInput) {
     
     console.log(`[Developer Publishing Workflow] Starting for user ${userId}`);
     
+    // Open credit hold, released if publishing fails before the listing exists
+    let reservationId = null;
+    
     try {
         // Step 1: Fetch developer data from ListingDraft
         console.log(`[Developer Publishing] Step 1: Fetching developer data from draft ${draftId}`);
@@ -43,7 +53,8 @@ async function developerPublishing(workflowInput) {
             };
         }
         
-        const developerData = draftDataResult.data;
+        // A re-run after moderation publishes the submission the reviewer approved
+        const developerData = await resolveListingData(workflowInput, draftDataResult.data);
         console.log(`[Developer Publishing] Developer data fetched successfully`);
         
         // Step 2: Validate developer data
@@ -79,12 +90,52 @@ async function developerPublishing(workflowInput) {
             };
         }
         
+        const isUpdate = checkResult.exists;
+        
+        // Automated review, then moderation: nothing is charged or published until the listing is approved
+        console.log(`[Developer Publishing] Running automated review and moderation`);
+        
+        const moderation = await awaitModerationDecision('developerPublishing', workflowInput, {
+            listingType: 'DEVELOPER',
+            isUpdate,
+            listingData: developerData,
+        });
+        
+        const moderationResult = getModerationStopResult('Developer', moderation);
+        if (moderationResult) {
+            console.log(`[Developer Publishing] Stopped at moderation: ${moderationResult.message}`);
+            return moderationResult;
+        }
+        
+        console.log(`[Developer Publishing] Approved in moderation ${moderation.reviewerId ? `by reviewer ${moderation.reviewerId}` : 'by automated review'}`);
+        
+        // Reserve publishing credits before creating anything (first publish only; updates are free)
+        if (!isUpdate) {
+            console.log(`[Developer Publishing] Reserving publishing credits`);
+            
+            const reservation = await activities.reserveListingCredits({
+                userId,
+                listingType: 'DEVELOPER',
+                draftId,
+            });
+            
+            if (!reservation.success) {
+                console.error(`[Developer Publishing] Credit reservation failed:`, reservation.message);
+                return {
+                    success: false,
+                    message: reservation.message || 'Insufficient wallet credits to publish',
+                };
+            }
+            
+            reservationId = reservation.reservationId;
+        }
+        
         let developer;
         let developerId;
         let action;
         
         // Step 4: Create or update based on existence
-        if (checkResult.exists) {
+        if (isUpdate) {
             console.log(`[Developer Publishing] Step 4: Updating existing developer ${checkResult.data.developerId}`);
             
             const updateResult = await activities.updateDeveloperRecord({
@@ -116,6 +167,7 @@ async function developerPublishing(workflowInput) {
             
             if (!createResult.success) {
                 console.error(`[Developer Publishing] Failed to create developer record`);
+                await activities.releaseListingCredits({ reservationId, reason: createResult.message });
                 return {
                     success: false,
                     message: createResult.message || 'Failed to create developer record'
@@ -129,6 +181,16 @@ async function developerPublishing(workflowInput) {
         
         console.log(`[Developer Publishing] Developer record ${action} with ID: ${developerId}`);
         
+        // Charge the reserved credits now that the listing exists
+        try {
+            await activities.captureListingCredits({ reservationId, listingId: developerId });
+        } catch (chargeError) {
+            // The listing is live, so the hold is not released: the activity flagged it for
+            // the wallet reconciliation job to capture
+            console.error(`[Developer Publishing] Failed to capture reservation ${reservationId}; left for wallet reconciliation:`, chargeError);
+        }
+        reservationId = null;
+        
         // Step 5: Update ListingDraft status to PUBLISHED
         console.log(`[Developer Publishing] Step 5: Updating ListingDraft status`);
         
@@ -188,6 +250,14 @@ async function developerPublishing(workflowInput) {
     } catch (error) {
         console.error(`[Developer Publishing Workflow] Error:`, error);
         
+        if (reservationId) {
+            try {
+                await activities.releaseListingCredits({ reservationId, reason: error.message });
+            } catch (releaseError) {
+                console.error(`[Developer Publishing] Failed to release reservation ${reservationId}:`, releaseError);
+            }
+        }
+        
         return {
             success: false,
             message: error.message || 'Failed to publish developer profile',
@@ -0,0 +1,148 @@
+/**
+ * Listing Moderation - Direct Execution Helper (Non-Temporal)
+ *
+ * Direct-mode version of listingModeration.helper.js. A direct run cannot wait for a
+ * reviewer: the first run scores the listing and opens the moderation item, continuing
+ * only if the automated review approved it. Otherwise it stops, and ListingModerationService
+ * re-runs the workflow with the item in workflowInput.moderation once a reviewer decides;
+ * the decision itself is read back from the moderation item, and the re-run publishes the
+ * listing data the item recorded (resolveListingData), not the draft as it is now. Escalation is handled by the listing-moderation-escalation-queue sweep.
+ *
+ * MAINTENANCE: Keep this in sync with listingModeration.helper.js
+ *
+ * @module temporal/workflows/skip-workflow/listingModeration-non.helper
+ */
+
+const { runAutomatedListingReview } = require('../../activities/listingReview.activities');
+const { openModerationItem, getModerationDecision, getModeratedListingData } = require('../../activities/listingModeration.activities');
+const { MODERATION_DECISIONS } = require('../../config/constants');
+
+/**
+ * Listing data the run works on. A re-run after a reviewer's decision uses the submission
+ * recorded on the moderation item, so edits made to the draft while it waited for review
+ * are never published unreviewed.
+ *
+ * @param {Object} workflowInput - Input of this run
+ * @param {Object} listingData - Data fetched for this run
+ * @returns {Promise<Object>}
+ */
+async function resolveListingData(workflowInput, listingData) {
+    if (!workflowInput.moderation) {
+        return listingData;
+    }
+
+    const moderated = await getModeratedListingData({
+        moderationId: workflowInput.moderation.moderationId,
+        userId: workflowInput.userId,
+        draftId: workflowInput.draftId,
+    });
+    return moderated.listingData;
+}
+
+/**
+ * Score the listing and open a moderation item, or return the decision the workflow
+ * was re-run with
+ *
+ * @param {string} workflowName - Publishing workflow, used to re-run it once decided
+ * @param {Object} workflowInput - Input of this run (workflowInput.moderation: { moderationId } once decided)
+ * @param {Object} submission
+ * @param {string} submission.listingType - PROPERTY | PG_HOSTEL | PROJECT | DEVELOPER
+ * @param {boolean} submission.isUpdate - Whether the listing is already published
+ * @param {Object} submission.listingData - Validated listing data
+ * @returns {Promise<{success: boolean, moderationId?: number, decision?: string|null, reviewerId?: number|null, comment?: string, message?: string}>}
+ *          decision is null while the item waits for a reviewer; reviewerId is null when
+ *          the listing was approved by the automated review
+ */
+async function awaitModerationDecision(workflowName, workflowInput, { listingType, isUpdate, listingData }) {
+    if (workflowInput.moderation) {
+        const recorded = await getModerationDecision({ moderationId: workflowInput.moderation.moderationId });
+
+        if (!recorded.decided) {
+            return { success: false, message: 'Moderation item has not been decided' };
+        }
+        return { success: true, ...recorded.decision };
+    }
+
+    const review = await runAutomatedListingReview({
+        userId: workflowInput.userId,
+        draftId: workflowInput.draftId,
+        listingType,
+        listingData,
+    });
+
+    const item = await openModerationItem({
+        workflowId: null,
+        workflowName,
+        workflowInput,
+        userId: workflowInput.userId,
+        draftId: workflowInput.draftId,
+        listingType,
+        isUpdate,
+        listingData,
+        review,
+    });
+
+    if (!item.success) {
+        return { success: false, message: item.message };
+    }
+
+    if (item.decision) {
+        return { success: true, ...item.decision };
+    }
+
+    return { success: true, moderationId: item.moderationId, reviewTier: review.reviewTier, decision: null };
+}
+
+/**
+ * Workflow result to return when publishing must stop at moderation
+ *
+ * @param {string} listingLabel - e.g. 'Property', used in messages
+ * @param {Object} moderation - From awaitModerationDecision
+ * @returns {Object|null} - null when the submission was approved
+ */
+function getModerationStopResult(listingLabel, moderation) {
+    if (!moderation.success) {
+        return {
+            success: false,
+            message: moderation.message,
+            step: 'moderation',
+        };
+    }
+
+    // Parked until a reviewer decides
+    if (!moderation.decision) {
+        return {
+            success: true,
+            message: `${listingLabel} submitted for review`,
+            step: 'moderation',
+            data: {
+                moderationId: moderation.moderationId,
+                status: 'PENDING',
+                reviewTier: moderation.reviewTier,
+            },
+        };
+    }
+
+    if (moderation.decision === MODERATION_DECISIONS.APPROVED) {
+        return null;
+    }
+
+    return {
+        success: false,
+        message: moderation.decision === MODERATION_DECISIONS.REJECTED
+            ? `${listingLabel} was rejected in moderation`
+            : `${listingLabel} needs changes before it can be published`,
+        step: 'moderation',
+        data: {
+            moderationId: moderation.moderationId,
+            decision: moderation.decision,
+            comment: moderation.comment,
+        },
+    };
+}
+
+module.exports = {
+    resolveListingData,
+    awaitModerationDecision,
+    getModerationStopResult,
+};
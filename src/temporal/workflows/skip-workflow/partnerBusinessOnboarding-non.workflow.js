@@ -93,6 +93,9 @@ async function partnerBusinessOnboarding(workflowInput) {
             amount: 200,
             reason: 'Welcome bonus for completing business onboarding',
             metadata: { type: 'ONBOARDING_BONUS', workflowType: 'partnerBusinessOnboarding', businessName: businessData.businessName },
+            source: 'PROMO',
+            // One welcome bonus per user, however often this step is retried or the onboarding resubmitted
+            idempotencyKey: `welcome-bonus:partnerBusinessOnboarding:${userId}`,
         });
         
         if (creditResult.success) {
@@ -125,6 +125,9 @@ async function partnerUserOnboarding(workflowInput) {
             amount: 200,
             reason: 'Welcome bonus for completing profile onboarding',
             metadata: { type: 'ONBOARDING_BONUS', workflowType: 'partnerUserOnboarding' },
+            source: 'PROMO',
+            // One welcome bonus per user, however often this step is retried or the onboarding resubmitted
+            idempotencyKey: `welcome-bonus:partnerUserOnboarding:${userId}`,
         });
         
         if (creditResult.success) {
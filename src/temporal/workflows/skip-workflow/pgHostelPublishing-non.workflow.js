@@ -12,9 +12,20 @@
 // Import PG/Hostel specific activities
 const pgHostelActivities = require('../../activities/pgHostelPublishing.activities');
 
+// Wallet charge activities shared by the publishing workflows
+const listingChargeActivities = require('../../activities/listingCharge.activities');
+
+// Duplicate listing detection shared by the property and PG/hostel workflows
+const listingDuplicateActivities = require('../../activities/listingDuplicate.activities');
+
+// Moderation queue shared by the publishing workflows
+const { resolveListingData, awaitModerationDecision, getModerationStopResult } = require('./listingModeration-non.helper');
+
 // Combine all activities into a single object
 const activities = {
     ...pgHostelActivities,
+    ...listingChargeActivities,
+    ...listingDuplicateActivities,
     // Add more activity imports here if needed
 };
 
@@ -29,6 +40,9 @@ async function pgHostelPublishing(workflowInput) {
     
     console.log(`[PG Hostel Publishing Workflow] Starting for user ${userId}, draft ${draftId}`);
     
+    // Open credit hold, released if publishing fails before the listing exists
+    let reservationId = null;
+    
     try {
         // Step 1: Fetch PG/Hostel data from ListingDraft
         console.log(`[PG Hostel Publishing] Step 1: Fetching PG/Hostel data from draft ${draftId}`);
@@ -47,7 +61,8 @@ async function pgHostelPublishing(workflowInput) {
             };
         }
         
-        const pgHostelData = fetchResult.data;
+        // A re-run after moderation publishes the submission the reviewer approved
+        const pgHostelData = await resolveListingData(workflowInput, fetchResult.data);
         console.log(`[PG Hostel Publishing] Draft data fetched successfully`);
         
         // Step 2: Validate PG/Hostel data
@@ -74,6 +89,65 @@ async function pgHostelPublishing(workflowInput) {
         const isUpdate = validationResult.isUpdate || false;
         const existingPgHostelId = validationResult.existingPgHostelId;
         
+        // Compare with the published listings around it (blocks only when LISTING_DUPLICATE_BLOCK is on)
+        console.log(`[PG Hostel Publishing] Checking for duplicate listings`);
+        
+        const duplicateCheck = await activities.checkListingDuplicates({
+            userId,
+            draftId,
+            listingType: 'PG_HOSTEL',
+            listingData: pgHostelData,
+        });
+        
+        if (duplicateCheck.blocked) {
+            console.log(`[PG Hostel Publishing] Blocked as a duplicate of listing(s) ${duplicateCheck.matches.map(match => match.listingId).join(', ')}`);
+            return {
+                success: false,
+                message: 'This PG/hostel appears to duplicate a listing that is already published',
+                step: 'duplicates',
+                data: { listingIds: duplicateCheck.matches.map(match => match.listingId) },
+            };
+        }
+        
+        // Automated review, then moderation: nothing is charged or published until the listing is approved
+        console.log(`[PG Hostel Publishing] Running automated review and moderation`);
+        
+        const moderation = await awaitModerationDecision('pgHostelPublishing', workflowInput, {
+            listingType: 'PG_HOSTEL',
+            isUpdate,
+            listingData: pgHostelData,
+        });
+        
+        const moderationResult = getModerationStopResult('PG/Hostel', moderation);
+        if (moderationResult) {
+            console.log(`[PG Hostel Publishing] Stopped at moderation: ${moderationResult.message}`);
+            return moderationResult;
+        }
+        
+        console.log(`[PG Hostel Publishing] Approved in moderation ${moderation.reviewerId ? `by reviewer ${moderation.reviewerId}` : 'by automated review'}`);
+        
+        // Reserve publishing credits before creating anything (first publish only; updates are free)
+        if (!isUpdate) {
+            console.log(`[PG Hostel Publishing] Reserving publishing credits`);
+            
+            const reservation = await activities.reserveListingCredits({
+                userId,
+                listingType: 'PG_HOSTEL',
+                draftId,
+            });
+            
+            if (!reservation.success) {
+                console.error(`[PG Hostel Publishing] Credit reservation failed:`, reservation.message);
+                return {
+                    success: false,
+                    message: reservation.message || 'Insufficient wallet credits to publish',
+                    step: 'payment',
+                };
+            }
+            
+            reservationId = reservation.reservationId;
+        }
+        
         // Step 3: Create or Update PG/Hostel record in database
         console.log(`[PG Hostel Publishing] Step 3: ${isUpdate ? 'Updating' : 'Creating'} PG/Hostel record`);
         
@@ -97,6 +171,7 @@ async function pgHostelPublishing(workflowInput) {
         
         if (!operationResult.success) {
             console.error(`[PG Hostel Publishing] Record ${isUpdate ? 'update' : 'creation'} failed:`, operationResult);
+            await activities.releaseListingCredits({ reservationId, reason: operationResult.message });
             return {
                 success: false,
                 message: `Failed to ${isUpdate ? 'update' : 'create'} PG/Hostel record`,
@@ -109,6 +184,23 @@ async function pgHostelPublishing(workflowInput) {
         
         const { pgHostelId, slug, propertyName } = operationResult.data;
         
+        // Charge the reserved credits now that the listing exists
+        try {
+            await activities.captureListingCredits({ reservationId, listingId: pgHostelId });
+        } catch (chargeError) {
+            // The listing is live, so the hold is not released: the activity flagged it for
+            // the wallet reconciliation job to capture
+            console.error(`[PG Hostel Publishing] Failed to capture reservation ${reservationId}; left for wallet reconciliation:`, chargeError);
+        }
+        reservationId = null;
+        
+        // Record suspected duplicates for admins; a failure here doesn't unpublish the listing
+        try {
+            await activities.recordListingDuplicates({ listingType: 'PG_HOSTEL', listingId: pgHostelId });
+        } catch (duplicateError) {
+            console.error(`[PG Hostel Publishing] Failed to record duplicates:`, duplicateError);
+        }
+        
         // Step 4: Update ListingDraft status to PUBLISHED (only for new creations)
         if (!isUpdate) {
             console.log(`[PG Hostel Publishing] Step 4: Updating ListingDraft status`);
@@ -157,6 +249,14 @@ async function pgHostelPublishing(workflowInput) {
     } catch (error) {
         console.error(`[PG Hostel Publishing] Workflow error:`, error);
         
+        if (reservationId) {
+            try {
+                await activities.releaseListingCredits({ reservationId, reason: error.message });
+            } catch (releaseError) {
+                console.error(`[PG Hostel Publishing] Failed to release reservation ${reservationId}:`, releaseError);
+            }
+        }
+        
         // Try to send failure notification
         try {
             await activities.sendPgHostelPublishingNotification({
@@ -12,9 +12,16 @@
 // Import Project specific activities
 const projectActivities = require('../../activities/projectPublishing.activities');
 
+// Wallet charge activities shared by the publishing workflows
+const listingChargeActivities = require('../../activities/listingCharge.activities');
+
+// Moderation queue shared by the publishing workflows
+const { resolveListingData, awaitModerationDecision, getModerationStopResult } = require('./listingModeration-non.helper');
+
 // Combine all activities into a single object
 const activities = {
     ...projectActivities,
+    ...listingChargeActivities,
     // Add more activity imports here if needed
 };
 
@@ -24,13 +31,18 @@ const activities = {
 async function projectPublishing(workflowInput) {
     const { 
         userId,
-        draftId,
-        projectData
+        draftId
     } = workflowInput;
     
     console.log(`[Project Publishing Workflow - Direct] Starting for user ${userId}`);
     
+    // Open credit hold, released if publishing fails before the listing exists
+    let reservationId = null;
+    
     try {
+        // A re-run after moderation publishes the submission the reviewer approved
+        const projectData = await resolveListingData(workflowInput, workflowInput.projectData);
+        
         // Step 1: Validate project data
         console.log(`[Project Publishing] Step 1: Validating project data`);
         
@@ -51,11 +63,51 @@ async function projectPublishing(workflowInput) {
         
         console.log(`[Project Publishing] Validation successful`);
         
+        const isUpdate = !!projectData.projectId;
+        
+        // Automated review, then moderation: nothing is charged or published until the listing is approved
+        console.log(`[Project Publishing] Running automated review and moderation`);
+        
+        const moderation = await awaitModerationDecision('projectPublishing', workflowInput, {
+            listingType: 'PROJECT',
+            isUpdate,
+            listingData: projectData,
+        });
+        
+        const moderationResult = getModerationStopResult('Project', moderation);
+        if (moderationResult) {
+            console.log(`[Project Publishing] Stopped at moderation: ${moderationResult.message}`);
+            return moderationResult;
+        }
+        
+        console.log(`[Project Publishing] Approved in moderation ${moderation.reviewerId ? `by reviewer ${moderation.reviewerId}` : 'by automated review'}`);
+        
+        // Reserve publishing credits before creating anything (first publish only; updates are free)
+        if (!isUpdate) {
+            console.log(`[Project Publishing] Reserving publishing credits`);
+            
+            const reservation = await activities.reserveListingCredits({
+                userId,
+                listingType: 'PROJECT',
+                draftId,
+            });
+            
+            if (!reservation.success) {
+                console.error(`[Project Publishing] Credit reservation failed:`, reservation.message);
+                return {
+                    success: false,
+                    message: reservation.message || 'Insufficient wallet credits to publish',
+                };
+            }
+            
+            reservationId = reservation.reservationId;
+        }
+        
         // Step 2: Create or update project record
         console.log(`[Project Publishing] Step 2: Creating/updating project record`);
         
         let projectResult;
-        if (projectData.projectId) {
+        if (isUpdate) {
             projectResult = await activities.updateProjectRecord({
                 projectId: projectData.projectId,
                 userId,
@@ -71,6 +123,7 @@ async function projectPublishing(workflowInput) {
         
         if (!projectResult.success) {
             console.error(`[Project Publishing] Project creation/update failed:`, projectResult.error);
+            await activities.releaseListingCredits({ reservationId, reason: projectResult.message });
             return {
                 success: false,
                 message: projectResult.error || 'Failed to create/update project',
@@ -80,6 +133,16 @@ async function projectPublishing(workflowInput) {
         const projectId = projectResult.projectId;
         console.log(`[Project Publishing] Project record saved: ID ${projectId}`);
         
+        // Charge the reserved credits now that the listing exists
+        try {
+            await activities.captureListingCredits({ reservationId, listingId: projectResult.data.projectId });
+        } catch (chargeError) {
+            // The listing is live, so the hold is not released: the activity flagged it for
+            // the wallet reconciliation job to capture
+            console.error(`[Project Publishing] Failed to capture reservation ${reservationId}; left for wallet reconciliation:`, chargeError);
+        }
+        reservationId = null;
+        
         // Step 3: Update draft status if draft was provided
         if (draftId) {
             console.log(`[Project Publishing] Step 3: Updating draft status`);
@@ -123,6 +186,14 @@ async function projectPublishing(workflowInput) {
     } catch (error) {
         console.error(`[Project Publishing] Workflow failed:`, error);
         
+        if (reservationId) {
+            try {
+                await activities.releaseListingCredits({ reservationId, reason: error.message });
+            } catch (releaseError) {
+                console.error(`[Project Publishing] Failed to release reservation ${reservationId}:`, releaseError);
+            }
+        }
+        
         return {
             success: false,
             message: 'Project publishing workflow failed',
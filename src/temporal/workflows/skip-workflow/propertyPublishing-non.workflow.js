@@ -12,9 +12,20 @@
 // Import Property specific activities
 const propertyActivities = require('../../activities/propertyPublishing.activities');
 
+// Wallet charge activities shared by the publishing workflows
+const listingChargeActivities = require('../../activities/listingCharge.activities');
+
+// Duplicate listing detection shared by the property and PG/hostel workflows
+const listingDuplicateActivities = require('../../activities/listingDuplicate.activities');
+
+// Moderation queue shared by the publishing workflows
+const { resolveListingData, awaitModerationDecision, getModerationStopResult } = require('./listingModeration-non.helper');
+
 // Combine all activities into a single object
 const activities = {
     ...propertyActivities,
+    ...listingChargeActivities,
+    ...listingDuplicateActivities,
     // Add more activity imports here if needed
 };
 
@@ -29,6 +40,9 @@ async function propertyPublishing(workflowInput) {
     
     console.log(`[Property Publishing Workflow] Starting for user ${userId}, draft ${draftId}`);
     
+    // Open credit hold, released if publishing fails before the listing exists
+    let reservationId = null;
+    
     try {
         // Step 1: Fetch property data from ListingDraft
         console.log(`[Property Publishing] Step 1: Fetching property data from draft ${draftId}`);
@@ -46,7 +60,8 @@ async function propertyPublishing(workflowInput) {
             };
         }
         
-        const propertyData = fetchResult.data;
+        // A re-run after moderation publishes the submission the reviewer approved
+        const propertyData = await resolveListingData(workflowInput, fetchResult.data);
         console.log(`[Property Publishing] Draft data fetched successfully`);
         
         // Step 2: Validate property data
@@ -73,6 +88,63 @@ async function propertyPublishing(workflowInput) {
         const existingProperty = validationResult.existingProperty;
         const isUpdate = !!existingProperty;
         
+        // Compare with the published listings around it (blocks only when LISTING_DUPLICATE_BLOCK is on)
+        console.log(`[Property Publishing] Checking for duplicate listings`);
+        
+        const duplicateCheck = await activities.checkListingDuplicates({
+            userId,
+            draftId,
+            listingType: 'PROPERTY',
+            listingData: propertyData,
+        });
+        
+        if (duplicateCheck.blocked) {
+            console.log(`[Property Publishing] Blocked as a duplicate of listing(s) ${duplicateCheck.matches.map(match => match.listingId).join(', ')}`);
+            return {
+                success: false,
+                message: 'This property appears to duplicate a listing that is already published',
+                data: { listingIds: duplicateCheck.matches.map(match => match.listingId) },
+            };
+        }
+        
+        // Automated review, then moderation: nothing is charged or published until the listing is approved
+        console.log(`[Property Publishing] Running automated review and moderation`);
+        
+        const moderation = await awaitModerationDecision('propertyPublishing', workflowInput, {
+            listingType: 'PROPERTY',
+            isUpdate,
+            listingData: propertyData,
+        });
+        
+        const moderationResult = getModerationStopResult('Property', moderation);
+        if (moderationResult) {
+            console.log(`[Property Publishing] Stopped at moderation: ${moderationResult.message}`);
+            return moderationResult;
+        }
+        
+        console.log(`[Property Publishing] Approved in moderation ${moderation.reviewerId ? `by reviewer ${moderation.reviewerId}` : 'by automated review'}`);
+        
+        // Reserve publishing credits before creating anything (first publish only; updates are free)
+        if (!isUpdate) {
+            console.log(`[Property Publishing] Reserving publishing credits`);
+            
+            const reservation = await activities.reserveListingCredits({
+                userId,
+                listingType: 'PROPERTY',
+                draftId,
+            });
+            
+            if (!reservation.success) {
+                console.error(`[Property Publishing] Credit reservation failed:`, reservation.message);
+                return {
+                    success: false,
+                    message: reservation.message || 'Insufficient wallet credits to publish',
+                };
+            }
+            
+            reservationId = reservation.reservationId;
+        }
+        
         let propertyResult;
         
         if (isUpdate) {
@@ -97,6 +169,7 @@ async function propertyPublishing(workflowInput) {
         
         if (!propertyResult.success) {
             console.error(`[Property Publishing] Failed to ${isUpdate ? 'update' : 'create'} property:`, propertyResult.message);
+            await activities.releaseListingCredits({ reservationId, reason: propertyResult.message });
             return {
                 success: false,
                 message: propertyResult.message || `Failed to ${isUpdate ? 'update' : 'create'} property`,
@@ -106,6 +179,23 @@ async function propertyPublishing(workflowInput) {
         const property = propertyResult.data;
         console.log(`[Property Publishing] Property ${isUpdate ? 'updated' : 'created'} successfully: ${property.propertyId}`);
         
+        // Charge the reserved credits now that the listing exists
+        try {
+            await activities.captureListingCredits({ reservationId, listingId: property.propertyId });
+        } catch (chargeError) {
+            // The listing is live, so the hold is not released: the activity flagged it for
+            // the wallet reconciliation job to capture
+            console.error(`[Property Publishing] Failed to capture reservation ${reservationId}; left for wallet reconciliation:`, chargeError);
+        }
+        reservationId = null;
+        
+        // Record suspected duplicates for admins; a failure here doesn't unpublish the listing
+        try {
+            await activities.recordListingDuplicates({ listingType: 'PROPERTY', listingId: property.propertyId });
+        } catch (duplicateError) {
+            console.error(`[Property Publishing] Failed to record duplicates:`, duplicateError);
+        }
+        
         // Step 4: Update draft status
         console.log(`[Property Publishing] Step 4: Updating draft status`);
         
@@ -146,6 +236,15 @@ async function propertyPublishing(workflowInput) {
         
     } catch (error) {
         console.error(`[Property Publishing] Workflow error:`, error);
+        
+        if (reservationId) {
+            try {
+                await activities.releaseListingCredits({ reservationId, reason: error.message });
+            } catch (releaseError) {
+                console.error(`[Property Publishing] Failed to release reservation ${reservationId}:`, releaseError);
+            }
+        }
+        
         return {
             success: false,
             message: error.message || 'Property publishing workflow failed',
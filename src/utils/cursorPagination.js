@@ -0,0 +1,235 @@
+/**
+ * Cursor (Keyset) Pagination Helpers
+ *
+ * Lists are ordered by one or more sort keys ending with the primary key. The opaque
+ * cursor carries the sort name and the last row's key values (read back from Postgres
+ * as text, so timestamps keep microsecond precision), and the next page continues
+ * strictly after that row instead of skipping OFFSET rows.
+ */
+
+const { Op, literal } = require("sequelize");
+
+/**
+ * Attribute alias that carries the sort key values of each row
+ */
+const CURSOR_ATTRIBUTE = 'cursor_values';
+
+/**
+ * Encode a cursor
+ * @param {string} sort - Sort name the cursor belongs to
+ * @param {Array<string|null>} values - Sort key values of the last row
+ * @returns {string} - Opaque base64url cursor
+ */
+const encodeCursor = (sort, values) => {
+  return Buffer.from(JSON.stringify({ s: sort, v: values })).toString('base64url');
+};
+
+/**
+ * Decode a cursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {object|null} - { sort, values } or null when malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (!payload || typeof payload.s !== 'string' || !Array.isArray(payload.v)) {
+      return null;
+    }
+
+    const valid = payload.v.every(value => value === null || typeof value === 'string');
+    return valid ? { sort: payload.s, values: payload.v } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Validate a cursor against the sort it will be used with
+ * @param {string} cursor - Opaque cursor
+ * @param {string} sort - Current sort name
+ * @param {number} keyCount - Number of sort keys for that sort
+ * @returns {string|null} - Error message or null when valid
+ */
+const validateCursor = (cursor, sort, keyCount) => {
+  const decoded = decodeCursor(cursor);
+
+  if (!decoded || decoded.values.length !== keyCount) {
+    return 'Invalid cursor';
+  }
+
+  if (decoded.sort !== sort) {
+    return 'Cursor does not match the requested sort order';
+  }
+
+  return null;
+};
+
+/**
+ * Build the "strictly after the cursor row" condition.
+ * Nullable keys sort NULLS LAST, so nulls come after every value in either direction.
+ * @param {Array<object>} keys - Sort keys
+ * @param {Array<string|null>} values - Cursor values
+ * @returns {object} - { sql, replacements }
+ */
+const buildAfterCondition = (keys, values) => {
+  const replacements = {};
+  const branches = [];
+
+  keys.forEach((key, index) => {
+    const value = values[index];
+    const name = `cursorValue${index}`;
+
+    if (value !== null) {
+      replacements[name] = value;
+    }
+
+    // Every earlier key equals the cursor row, this key is strictly after it
+    const equalities = keys.slice(0, index).map((previousKey, previousIndex) => (
+      values[previousIndex] === null
+        ? `${previousKey.sql} IS NULL`
+        : `${previousKey.sql} = :cursorValue${previousIndex}`
+    ));
+
+    let after;
+    if (value === null) {
+      // Nothing sorts after NULL except other NULLs, which tie
+      after = null;
+    } else {
+      const operator = key.direction === 'DESC' ? '<' : '>';
+      after = key.nullable
+        ? `(${key.sql} ${operator} :${name} OR ${key.sql} IS NULL)`
+        : `${key.sql} ${operator} :${name}`;
+    }
+
+    if (after) {
+      branches.push(`(${[...equalities, after].join(' AND ')})`);
+    }
+  });
+
+  return {
+    sql: branches.length > 0 ? `(${branches.join(' OR ')})` : 'FALSE',
+    replacements
+  };
+};
+
+/**
+ * Build keyset query fragments
+ * @param {object} options - Keyset options
+ * @param {string} options.sort - Sort name stored in the cursor (cursors from another sort are rejected)
+ * @param {Array<object>} options.keys - [{ sql, direction: 'ASC'|'DESC', nullable }] code constants,
+ *                                       the last key must be unique (primary key)
+ * @param {string} options.cursor - Cursor from the previous page (optional), already accepted by validateCursor
+ * @returns {object} - { sort, attribute, order, condition, replacements }
+ */
+const buildKeysetQuery = ({ sort, keys, cursor }) => {
+  let condition = null;
+  let replacements = {};
+
+  if (cursor) {
+    const after = buildAfterCondition(keys, decodeCursor(cursor).values);
+    condition = literal(after.sql);
+    replacements = after.replacements;
+  }
+
+  return {
+    sort,
+    attribute: [literal(`json_build_array(${keys.map(key => `(${key.sql})::text`).join(', ')})`), CURSOR_ATTRIBUTE],
+    order: keys.map(key => literal(`${key.sql} ${key.direction}${key.nullable ? ' NULLS LAST' : ''}`)),
+    condition,
+    replacements
+  };
+};
+
+/**
+ * Read the next cursor from a page of rows and drop the helper attribute from every row
+ * @param {Array<object>} rows - Sequelize instances fetched with keyset.attribute
+ * @param {object} keyset - Result of buildKeysetQuery
+ * @param {boolean} hasMore - Whether more rows follow this page
+ * @returns {string|null} - Next cursor, or null on the last page
+ */
+const getNextCursor = (rows, keyset, hasMore) => {
+  const lastRow = rows[rows.length - 1];
+  const nextCursor = hasMore && lastRow
+    ? encodeCursor(keyset.sort, lastRow.get(CURSOR_ATTRIBUTE))
+    : null;
+
+  rows.forEach(row => {
+    delete row.dataValues[CURSOR_ATTRIBUTE];
+  });
+
+  return nextCursor;
+};
+
+/**
+ * Fetch one page of a keyset-ordered list.
+ * With a cursor the page continues after the cursor row and skips the COUNT query;
+ * without one the classic page/limit mode is used. Both modes return nextCursor.
+ * @param {object} model - Sequelize model
+ * @param {object} queryOptions - findAll options (where, include, replacements, ...) without order/limit/offset
+ * @param {object} options - Paging options
+ * @param {object} options.keyset - Result of buildKeysetQuery
+ * @param {string} options.cursor - Cursor from the previous page (optional)
+ * @param {number} options.page - Page number (ignored when a cursor is given)
+ * @param {number} options.limit - Items per page
+ * @returns {Promise<object>} - { rows, pagination }
+ */
+const findKeysetPage = async (model, queryOptions, { keyset, cursor, page, limit }) => {
+  const where = queryOptions.where || {};
+  const attributes = queryOptions.attributes || {};
+
+  const options = {
+    ...queryOptions,
+    where: keyset.condition
+      ? { ...where, [Op.and]: [...(where[Op.and] || []), keyset.condition] }
+      : where,
+    attributes: {
+      ...attributes,
+      include: [...(attributes.include || []), keyset.attribute]
+    },
+    order: keyset.order,
+    replacements: {
+      ...(queryOptions.replacements || {}),
+      ...keyset.replacements
+    }
+  };
+
+  if (cursor) {
+    // One extra row tells whether another page follows
+    const rows = await model.findAll({ ...options, limit: limit + 1 });
+    const pageRows = rows.slice(0, limit);
+    const nextCursor = getNextCursor(pageRows, keyset, rows.length > limit);
+
+    return {
+      rows: pageRows,
+      pagination: {
+        limit,
+        nextCursor,
+        hasNextPage: nextCursor !== null
+      }
+    };
+  }
+
+  const offset = (page - 1) * limit;
+  const { count, rows } = await model.findAndCountAll({ ...options, limit, offset });
+
+  return {
+    rows,
+    pagination: {
+      total: count,
+      page,
+      limit,
+      totalPages: Math.ceil(count / limit),
+      nextCursor: getNextCursor(rows, keyset, offset + rows.length < count)
+    }
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  validateCursor,
+  buildAfterCondition,
+  buildKeysetQuery,
+  findKeysetPage
+};
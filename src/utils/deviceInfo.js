@@ -0,0 +1,13 @@
+/**
+ * Device details recorded against a login session
+ * @param {object} req - Express request
+ * @returns {{userAgent: string|null, ipAddress: string|null}}
+ */
+const getDeviceInfo = (req) => ({
+  userAgent: (req.get('User-Agent') || '').slice(0, 500) || null,
+  ipAddress: req.ip || null
+});
+
+module.exports = {
+  getDeviceInfo
+};
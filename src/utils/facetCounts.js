@@ -0,0 +1,71 @@
+/**
+ * Facet Count Helpers
+ *
+ * Counts listings per filter bucket for the search sidebar. Each facet is counted
+ * against the current filter set minus the facet's own filter, so picking one bucket
+ * still shows how many results its siblings would return.
+ */
+
+const { fn, literal } = require("sequelize");
+
+/**
+ * Maximum number of buckets returned per facet (largest buckets first)
+ */
+const MAX_FACET_BUCKETS = 50;
+
+/**
+ * Count rows per facet value
+ * @param {object} model - Sequelize model to count
+ * @param {object} options - Count options
+ * @param {object} options.where - Where clause for the current filters
+ * @param {object} options.replacements - Named replacements used by literals in the where clause
+ * @param {string} options.valueSql - SQL expression producing the bucket value (code constant, never user input)
+ * @returns {Promise<Array<object>>} - [{ value, count }] ordered by count, empty values skipped
+ */
+const countFacetBuckets = async (model, { where, replacements, valueSql }) => {
+  const rows = await model.findAll({
+    where,
+    attributes: [
+      [literal(valueSql), 'facet_value'],
+      [fn('COUNT', literal('*')), 'facet_count']
+    ],
+    // Group by output alias so set-returning value expressions (JSONB arrays) work too
+    group: [literal('facet_value')],
+    order: [[literal('facet_count'), 'DESC'], [literal('facet_value'), 'ASC']],
+    limit: MAX_FACET_BUCKETS,
+    replacements,
+    raw: true
+  });
+
+  return rows
+    .filter(row => row.facet_value !== null && row.facet_value !== '')
+    .map(row => ({
+      value: row.facet_value,
+      count: parseInt(row.facet_count)
+    }));
+};
+
+/**
+ * Count every facet of a listing type against the current filters
+ * @param {object} model - Sequelize model to count
+ * @param {object} facets - Facet definitions keyed by facet name: { filter, valueSql }
+ *                          filter is the filter key dropped while counting that facet
+ * @param {Function} buildFilters - (filters) => { where, replacements }
+ * @param {object} filters - Current filter set
+ * @returns {Promise<object>} - { [facetName]: [{ value, count }] }
+ */
+const buildFacetCounts = async (model, facets, buildFilters, filters) => {
+  const entries = await Promise.all(
+    Object.entries(facets).map(async ([name, facet]) => {
+      const { where, replacements } = buildFilters({ ...filters, [facet.filter]: undefined });
+      const buckets = await countFacetBuckets(model, { where, replacements, valueSql: facet.valueSql });
+      return [name, buckets];
+    })
+  );
+
+  return Object.fromEntries(entries);
+};
+
+module.exports = {
+  buildFacetCounts
+};
@@ -0,0 +1,99 @@
+/**
+ * Full-Text Search Helpers
+ *
+ * Weighted Postgres tsvector search (title > locality/city > description) combined
+ * with pg_trgm word similarity on locality and city (developer name for developers) to tolerate typos.
+ *
+ * The vector expressions below must stay identical to the expression indexes in
+ * migrations/add-full-text-search-indexes.sql and add-developer-search-indexes.sql,
+ * otherwise Postgres cannot use them.
+ */
+
+/**
+ * Weight given to the trigram similarity score when ranking results
+ */
+const TRIGRAM_RANK_WEIGHT = 0.5;
+
+/**
+ * Maximum accepted search text length
+ */
+const MAX_SEARCH_LENGTH = 200;
+
+/**
+ * Searchable document definition per listing table.
+ * vector: weighted tsvector expression, fuzzyFields: text expressions for typo-tolerant matching
+ */
+const SEARCH_DOCUMENTS = {
+  property: {
+    vector: `(setweight(to_tsvector('simple', coalesce("property"."title", '') || ' ' || coalesce("property"."property_name", '')), 'A')
+      || setweight(to_tsvector('simple', coalesce("property"."locality", '') || ' ' || coalesce("property"."city", '')), 'B')
+      || setweight(to_tsvector('simple', coalesce("property"."description", '')), 'C'))`,
+    fuzzyFields: ['"property"."locality"', '"property"."city"']
+  },
+  pgHostel: {
+    vector: `(setweight(to_tsvector('simple', coalesce("pg_colive_hostel"."property_name", '') || ' ' || coalesce("pg_colive_hostel"."brand_name", '')), 'A')
+      || setweight(to_tsvector('simple', coalesce("pg_colive_hostel"."locality", '') || ' ' || coalesce("pg_colive_hostel"."city", '')), 'B')
+      || setweight(to_tsvector('simple', coalesce("pg_colive_hostel"."description", '')), 'C'))`,
+    fuzzyFields: ['"pg_colive_hostel"."locality"', '"pg_colive_hostel"."city"']
+  },
+  project: {
+    vector: `(setweight(to_tsvector('simple', coalesce("project"."project_name", '')), 'A')
+      || setweight(to_tsvector('simple', coalesce("project"."project_details"->>'locality', '') || ' ' || coalesce("project"."project_details"->>'city', '')), 'B')
+      || setweight(to_tsvector('simple', coalesce("project"."project_details"->>'description', '')), 'C'))`,
+    fuzzyFields: [`("project"."project_details"->>'locality')`, `("project"."project_details"->>'city')`]
+  },
+  developer: {
+    vector: `setweight(to_tsvector('simple', coalesce("developer"."developer_name", '')), 'A')`,
+    fuzzyFields: ['"developer"."developer_name"']
+  }
+};
+
+/**
+ * Normalise raw search input
+ * @param {any} search - Raw search text
+ * @returns {string|null} - Trimmed search text or null when empty
+ */
+const normaliseSearchText = (search) => {
+  if (search === undefined || search === null) {
+    return null;
+  }
+
+  const text = String(search).replace(/\s+/g, ' ').trim().slice(0, MAX_SEARCH_LENGTH);
+  return text.length > 0 ? text : null;
+};
+
+/**
+ * Build full-text search fragments for a listing table
+ * @param {string} documentName - Key of SEARCH_DOCUMENTS (property, pgHostel, project, developer)
+ * @param {string} search - Raw search text
+ * @returns {object|null} - { condition, rank, replacements } SQL using named replacements, or null when search is empty
+ */
+const buildFullTextSearch = (documentName, search) => {
+  const searchText = normaliseSearchText(search);
+  if (!searchText) {
+    return null;
+  }
+
+  const document = SEARCH_DOCUMENTS[documentName];
+  if (!document) {
+    throw new Error(`Unknown search document: ${documentName}`);
+  }
+
+  const tsQuery = `websearch_to_tsquery('simple', :ftsQuery)`;
+
+  // <% is index-assisted word similarity: a word in the query closely matches part of the column
+  const fuzzyConditions = document.fuzzyFields.map(field => `OR :ftsQuery <% ${field}`);
+  const fuzzyScores = document.fuzzyFields.map(field => `word_similarity(:ftsQuery, coalesce(${field}, ''))`);
+
+  return {
+    condition: `(${document.vector} @@ ${tsQuery}
+      ${fuzzyConditions.join('\n      ')})`,
+    rank: `(ts_rank_cd(${document.vector}, ${tsQuery})
+      + ${TRIGRAM_RANK_WEIGHT} * GREATEST(${fuzzyScores.join(', ')}))`,
+    replacements: { ftsQuery: searchText }
+  };
+};
+
+module.exports = {
+  buildFullTextSearch
+};
@@ -0,0 +1,261 @@
+/**
+ * Geo Query Builder
+ *
+ * Builds PostGIS fragments for spatial searches with bound replacements only.
+ * Coordinates, radius and shapes are validated here and never interpolated into SQL.
+ */
+
+/**
+ * Maximum radius (km) accepted for nearby searches
+ */
+const MAX_NEARBY_RADIUS_KM = 100;
+
+/**
+ * Maximum number of vertices accepted in a search polygon
+ */
+const MAX_POLYGON_VERTICES = 500;
+
+/**
+ * Check that a value is a finite number
+ * @param {any} value - Value to check
+ * @returns {boolean} - True when value is a finite number
+ */
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Check latitude type and range
+ * @param {any} latitude - Latitude
+ * @returns {boolean} - True when valid
+ */
+const isValidLatitude = (latitude) => isFiniteNumber(latitude) && latitude >= -90 && latitude <= 90;
+
+/**
+ * Check longitude type and range
+ * @param {any} longitude - Longitude
+ * @returns {boolean} - True when valid
+ */
+const isValidLongitude = (longitude) => isFiniteNumber(longitude) && longitude >= -180 && longitude <= 180;
+
+/**
+ * Check that a value is a valid GeoJSON [lng, lat] position
+ * @param {any} position - GeoJSON position
+ * @returns {boolean} - True when valid
+ */
+const isValidPosition = (position) => {
+  return Array.isArray(position)
+    && position.length >= 2
+    && isValidLongitude(position[0])
+    && isValidLatitude(position[1]);
+};
+
+/**
+ * Validate nearby search parameters
+ * @param {object} params - { latitude, longitude, radiusKm }
+ * @returns {string|null} - Error message or null when valid
+ */
+const validateNearbyParams = ({ latitude, longitude, radiusKm }) => {
+  if (!isFiniteNumber(latitude) || !isFiniteNumber(longitude) || !isFiniteNumber(radiusKm)) {
+    return 'Invalid latitude, longitude, or radius value';
+  }
+
+  if (!isValidLatitude(latitude) || !isValidLongitude(longitude)) {
+    return 'Invalid coordinate values. Latitude must be between -90 and 90, longitude between -180 and 180';
+  }
+
+  if (radiusKm <= 0 || radiusKm > MAX_NEARBY_RADIUS_KM) {
+    return `Radius must be between 0 and ${MAX_NEARBY_RADIUS_KM} km`;
+  }
+
+  return null;
+};
+
+/**
+ * Parse and validate nearby search parameters from a request query
+ * @param {object} query - Express request query (lat, lng, radius in km)
+ * @returns {object} - { params: { latitude, longitude, radiusKm } } or { error }
+ */
+const parseNearbyQuery = (query) => {
+  const { lat, lng, radius } = query;
+
+  if (!lat || !lng || !radius) {
+    return { error: 'Latitude, longitude, and radius are required' };
+  }
+
+  // Number() rejects trailing garbage that parseFloat would silently accept
+  const params = {
+    latitude: Number(lat),
+    longitude: Number(lng),
+    radiusKm: Number(radius)
+  };
+
+  const error = validateNearbyParams(params);
+  return error ? { error } : { params };
+};
+
+/**
+ * Validate a bounding box
+ * @param {object} bbox - { minLng, minLat, maxLng, maxLat }
+ * @returns {string|null} - Error message or null when valid
+ */
+const validateBbox = (bbox) => {
+  const { minLng, minLat, maxLng, maxLat } = bbox || {};
+
+  if (![minLng, minLat, maxLng, maxLat].every(isFiniteNumber)) {
+    return 'Bounding box must contain numeric minLng, minLat, maxLng, maxLat';
+  }
+
+  if (!isValidPosition([minLng, minLat]) || !isValidPosition([maxLng, maxLat])) {
+    return 'Bounding box coordinates are out of range';
+  }
+
+  if (minLng >= maxLng || minLat >= maxLat) {
+    return 'Bounding box min values must be smaller than max values';
+  }
+
+  return null;
+};
+
+/**
+ * Validate a GeoJSON Polygon or MultiPolygon geometry
+ * @param {object} polygon - GeoJSON geometry
+ * @returns {string|null} - Error message or null when valid
+ */
+const validatePolygon = (polygon) => {
+  if (!polygon || typeof polygon !== 'object') {
+    return 'Polygon must be a GeoJSON geometry object';
+  }
+
+  let polygons;
+  if (polygon.type === 'Polygon') {
+    polygons = [polygon.coordinates];
+  } else if (polygon.type === 'MultiPolygon') {
+    polygons = polygon.coordinates;
+  } else {
+    return 'Polygon type must be Polygon or MultiPolygon';
+  }
+
+  if (!Array.isArray(polygons) || polygons.length === 0) {
+    return 'Polygon coordinates are required';
+  }
+
+  let vertexCount = 0;
+
+  for (const rings of polygons) {
+    if (!Array.isArray(rings) || rings.length === 0) {
+      return 'Polygon must contain at least one linear ring';
+    }
+
+    for (const ring of rings) {
+      if (!Array.isArray(ring) || ring.length < 4) {
+        return 'Each polygon ring must have at least 4 positions';
+      }
+
+      if (!ring.every(isValidPosition)) {
+        return 'Polygon positions must be [lng, lat] within valid coordinate ranges';
+      }
+
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      if (first[0] !== last[0] || first[1] !== last[1]) {
+        return 'Polygon rings must be closed (first and last positions equal)';
+      }
+
+      vertexCount += ring.length;
+    }
+  }
+
+  if (vertexCount > MAX_POLYGON_VERTICES) {
+    return `Polygon cannot have more than ${MAX_POLYGON_VERTICES} vertices`;
+  }
+
+  return null;
+};
+
+/**
+ * Create a 400 error for invalid geo input reaching the builder
+ * @param {string} message - Validation message
+ * @returns {Error} - Error with status 400
+ */
+const createGeoValidationError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Build nearby (radius) search fragments for a geography column
+ * @param {object} options - Builder options
+ * @param {string} options.column - Qualified geography column, e.g. '"property"."location"' (code constant, never user input)
+ * @param {number} options.latitude - Search center latitude
+ * @param {number} options.longitude - Search center longitude
+ * @param {number} options.radiusKm - Search radius in kilometers
+ * @returns {object} - { condition, distanceKm, distanceOrder, replacements } SQL strings using named replacements
+ * @throws {Error} - status 400 when the parameters are invalid
+ */
+const buildNearbyQuery = ({ column, latitude, longitude, radiusKm }) => {
+  const error = validateNearbyParams({ latitude, longitude, radiusKm });
+  if (error) {
+    throw createGeoValidationError(error);
+  }
+
+  const searchPoint = 'ST_SetSRID(ST_MakePoint(:geoLng, :geoLat), 4326)::geography';
+
+  return {
+    // ST_DWithin on geography uses the GIST index and measures in meters
+    condition: `ST_DWithin(${column}, ${searchPoint}, :geoRadiusMeters)`,
+    distanceKm: `ROUND(CAST(ST_Distance(${column}, ${searchPoint}) / 1000 AS numeric), 2)`,
+    distanceOrder: `ST_Distance(${column}, ${searchPoint}) ASC`,
+    replacements: {
+      geoLat: latitude,
+      geoLng: longitude,
+      // Convert radius from km to meters for PostGIS
+      geoRadiusMeters: radiusKm * 1000
+    }
+  };
+};
+
+/**
+ * Build the search area geometry for a bounding box or polygon
+ * @param {object} area - { bbox } or { polygon } (polygon takes precedence)
+ * @returns {object} - { areaSql, replacements } geometry SQL (SRID 4326) using named replacements
+ * @throws {Error} - status 400 when the area is invalid
+ */
+const buildAreaGeometry = ({ bbox, polygon }) => {
+  if (polygon) {
+    const error = validatePolygon(polygon);
+    if (error) {
+      throw createGeoValidationError(error);
+    }
+
+    return {
+      areaSql: 'ST_SetSRID(ST_GeomFromGeoJSON(:geoAreaPolygon), 4326)',
+      replacements: { geoAreaPolygon: JSON.stringify(polygon) }
+    };
+  }
+
+  const error = validateBbox(bbox);
+  if (error) {
+    throw createGeoValidationError(error);
+  }
+
+  return {
+    areaSql: 'ST_MakeEnvelope(:geoMinLng, :geoMinLat, :geoMaxLng, :geoMaxLat, 4326)',
+    replacements: {
+      geoMinLng: bbox.minLng,
+      geoMinLat: bbox.minLat,
+      geoMaxLng: bbox.maxLng,
+      geoMaxLat: bbox.maxLat
+    }
+  };
+};
+
+module.exports = {
+  MAX_NEARBY_RADIUS_KM,
+  MAX_POLYGON_VERTICES,
+  validateNearbyParams,
+  parseNearbyQuery,
+  validateBbox,
+  validatePolygon,
+  buildNearbyQuery,
+  buildAreaGeometry
+};
@@ -0,0 +1,68 @@
+const sharp = require("sharp");
+
+// Images are reduced to SAMPLE_SIZE x SAMPLE_SIZE grey pixels; the hash keeps the
+// lowest HASH_SIZE x HASH_SIZE DCT frequencies
+const SAMPLE_SIZE = 32;
+const HASH_SIZE = 8;
+
+// cos((2x + 1) * u * PI / 2N) for every pixel/frequency pair, shared by rows and columns
+const DCT_COSINES = Array.from({ length: HASH_SIZE }, (_, u) =>
+  Array.from({ length: SAMPLE_SIZE }, (__, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * SAMPLE_SIZE)))
+);
+
+/**
+ * Low-frequency DCT coefficients of a square grey image
+ * @param {Buffer} pixels - SAMPLE_SIZE * SAMPLE_SIZE grey values
+ * @returns {Array<number>} - HASH_SIZE * HASH_SIZE coefficients, row by row
+ */
+function lowFrequencies(pixels) {
+  // Columns first: rows[y][u] = sum over x
+  const rows = Array.from({ length: SAMPLE_SIZE }, (_, y) =>
+    DCT_COSINES.map(cosines => cosines.reduce((sum, cos, x) => sum + pixels[y * SAMPLE_SIZE + x] * cos, 0))
+  );
+
+  const coefficients = [];
+  for (let v = 0; v < HASH_SIZE; v++) {
+    for (let u = 0; u < HASH_SIZE; u++) {
+      coefficients.push(DCT_COSINES[v].reduce((sum, cos, y) => sum + rows[y][u] * cos, 0));
+    }
+  }
+  return coefficients;
+}
+
+/**
+ * 64-bit perceptual hash (pHash) of an image: resized copies, recompressions and small
+ * edits of the same photo hash within a few bits of each other
+ * @param {Buffer} imageBuffer - Encoded image (JPEG, PNG, WebP, HEIC, ...)
+ * @returns {Promise<string|null>} - 16 hex characters, or null when the image cannot be decoded
+ */
+async function computePhash(imageBuffer) {
+  let pixels;
+  try {
+    pixels = await sharp(imageBuffer)
+      .rotate() // Honour EXIF orientation so a rotated upload of the same photo matches
+      .greyscale()
+      .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: "fill" })
+      .raw()
+      .toBuffer();
+  } catch (error) {
+    return null;
+  }
+
+  const coefficients = lowFrequencies(pixels);
+
+  // The DC term is the average brightness; leave it out of the median
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = sorted[Math.floor(sorted.length / 2)];
+
+  let hash = 0n;
+  for (const coefficient of coefficients) {
+    hash = (hash << 1n) | (coefficient > median ? 1n : 0n);
+  }
+
+  return hash.toString(16).padStart(16, "0");
+}
+
+module.exports = {
+  computePhash,
+};
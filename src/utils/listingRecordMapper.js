@@ -0,0 +1,287 @@
+/**
+ * Listing Record Mapper
+ *
+ * Maps listing draft data to the create payload of each listing entity, for the entity
+ * services the publishing activities call. Only attributes the entity defines are set.
+ */
+
+/**
+ * Validate and format date field
+ * @param {any} dateValue - Date value to validate
+ * @returns {Date|null} - Valid date or null
+ */
+const validateDate = (dateValue) => {
+  if (!dateValue) return null;
+
+  // If it's already a Date object
+  if (dateValue instanceof Date) {
+    return isNaN(dateValue.getTime()) ? null : dateValue;
+  }
+
+  // If it's a string
+  if (typeof dateValue === 'string') {
+    // Check for "Invalid date" string
+    if (dateValue === 'Invalid date' || dateValue.trim() === '') {
+      return null;
+    }
+
+    const parsedDate = new Date(dateValue);
+    return isNaN(parsedDate.getTime()) ? null : parsedDate;
+  }
+
+  // Try to convert to date
+  const parsedDate = new Date(dateValue);
+  return isNaN(parsedDate.getTime()) ? null : parsedDate;
+};
+
+/**
+ * Create slug from property name
+ * @param {string} name - Property name
+ * @returns {string} - URL-friendly slug
+ */
+const createSlug = (name) => {
+  return name
+    .toLowerCase()
+    .replace(/[^\w\s-]/g, '') // Remove special characters
+    .replace(/\s+/g, '-')      // Replace spaces with hyphens
+    .replace(/--+/g, '-')      // Replace multiple hyphens with single hyphen
+    .trim();
+};
+
+/**
+ * PostGIS point for a GEOGRAPHY column
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @returns {object|null} - GeoJSON point, or null unless both coordinates are set
+ */
+const toLocationPoint = (lat, lng) => {
+  if (!lat || !lng) return null;
+
+  return {
+    type: 'Point',
+    coordinates: [lng, lat], // [longitude, latitude] for PostGIS
+    crs: { type: 'name', properties: { name: 'EPSG:4326' } }
+  };
+};
+
+/**
+ * Property create payload from PROPERTY draft data
+ * @param {number} userId - Owner
+ * @param {number} draftId - Draft ID (one draft = one property)
+ * @param {object} propertyData - Draft data
+ * @returns {object} - Property attributes
+ */
+const toPropertyRecord = (userId, draftId, propertyData) => ({
+  propertyName: propertyData.propertyName || propertyData.title || propertyData.customPropertyName,
+  projectId: propertyData.projectId || null,
+  createdBy: userId,
+  draftId: draftId,
+  status: propertyData.status || 'ACTIVE',
+
+  // Basic Information
+  title: propertyData.title,
+  description: propertyData.description,
+  propertyType: propertyData.propertyType,
+  listingType: propertyData.listingType,
+  isNewProperty: propertyData.isNewProperty || false,
+
+  // Location
+  city: propertyData.city,
+  locality: propertyData.locality,
+  landmark: propertyData.landmark,
+  addressText: propertyData.addressText,
+  lat: propertyData.coordinates?.lat || null,
+  lng: propertyData.coordinates?.lng || null,
+  location: toLocationPoint(propertyData.coordinates?.lat, propertyData.coordinates?.lng),
+  showMapExact: propertyData.showMapExact || false,
+
+  // Specifications
+  bedrooms: propertyData.bedrooms,
+  bathrooms: propertyData.bathrooms,
+  facing: propertyData.facing,
+  view: propertyData.view,
+  floorNumber: propertyData.floorNumber,
+  totalFloors: propertyData.totalFloors,
+  unitNumber: propertyData.unitNumber,
+  towerName: propertyData.towerName,
+  isUnitNumberPrivate: propertyData.isUnitNumberPrivate || false,
+
+  // Area
+  carpetArea: propertyData.carpetArea,
+  superArea: propertyData.superArea,
+  areaConfig: propertyData.areaConfig || [],
+  measurementMethod: propertyData.measurementMethod,
+
+  // Status & Type
+  ownershipType: propertyData.ownershipType,
+  furnishingStatus: propertyData.furnishingStatus,
+  possessionStatus: propertyData.possessionStatus,
+  ageOfProperty: propertyData.ageOfProperty,
+  propertyPosition: propertyData.propertyPosition,
+  availableFrom: validateDate(propertyData.availableFrom),
+  possessionDate: validateDate(propertyData.possessionDate),
+
+  // Pricing
+  pricing: propertyData.pricing || [],
+  isPriceVerified: propertyData.isPriceVerified || false,
+  isPriceNegotiable: propertyData.isPriceNegotiable || false,
+
+  // Project & Names
+  projectName: propertyData.projectName,
+  customPropertyName: propertyData.customPropertyName,
+
+  // Features & Amenities
+  features: propertyData.features || [],
+  amenities: propertyData.amenities || [],
+  flooringTypes: propertyData.flooringTypes || [],
+  smartHomeDevices: propertyData.smartHomeDevices || [],
+  maintenanceIncludes: propertyData.maintenanceIncludes || [],
+
+  // Boolean Flags
+  isGated: propertyData.isGated || false,
+  fireSafety: propertyData.fireSafety || false,
+  hasIntercom: propertyData.hasIntercom || false,
+  petFriendly: propertyData.petFriendly || false,
+  hasEmergencyExit: propertyData.hasEmergencyExit || false,
+
+  // RERA & Documents
+  reraIds: propertyData.reraIds || [],
+  documents: propertyData.documents || [],
+
+  // Media
+  mediaData: propertyData.mediaData || [],
+  propertyPlans: propertyData.propertyPlans || [],
+
+  // Additional Details
+  furnishingDetails: propertyData.furnishingDetails || {}
+});
+
+/**
+ * PG/Colive/Hostel create payload from PG draft data
+ * @param {number} userId - Owner
+ * @param {number} draftId - Draft ID (one draft = one PG/hostel)
+ * @param {object} pgHostelData - Draft data
+ * @param {string} slug - Unique slug for the listing
+ * @returns {object} - PgColiveHostel attributes
+ * @throws {Error} - When coordinates are missing (location is required)
+ */
+const toPgHostelRecord = (userId, draftId, pgHostelData, slug) => {
+  // Validate coordinates are provided (required for location field)
+  if (!pgHostelData.coordinates || !pgHostelData.coordinates.lat || !pgHostelData.coordinates.lng) {
+    throw new Error('Coordinates (lat, lng) are required for creating PG/Hostel listing');
+  }
+
+  return {
+    userId,
+    draftId,
+    propertyName: pgHostelData.propertyName,
+    slug,
+    genderAllowed: pgHostelData.genderAllowed,
+    description: pgHostelData.description,
+    isBrandManaged: pgHostelData.isBrandManaged || false,
+    brandName: pgHostelData.brandName,
+    yearBuilt: pgHostelData.yearBuilt,
+    location: toLocationPoint(pgHostelData.coordinates.lat, pgHostelData.coordinates.lng),
+    lat: pgHostelData.coordinates.lat,
+    lng: pgHostelData.coordinates.lng,
+    city: pgHostelData.city,
+    locality: pgHostelData.locality,
+    addressText: pgHostelData.addressText,
+    landmark: pgHostelData.landmark,
+    roomTypes: pgHostelData.roomTypes || [],
+    commonAmenities: pgHostelData.commonAmenities || [],
+    commonAmenitiesLegacy: pgHostelData.commonAmenitiesLegacy || [],
+    roomAmenities: pgHostelData.roomAmenities || [],
+    foodMess: pgHostelData.foodMess,
+    rules: pgHostelData.rules || [],
+    mediaData: pgHostelData.mediaData || []
+  };
+};
+
+/**
+ * Project create payload from PROJECT draft data
+ * @param {number} userId - Owner
+ * @param {object} projectData - Draft data
+ * @returns {object} - Project attributes
+ */
+const toProjectRecord = (userId, projectData) => {
+  const lat = projectData.coordinates?.lat || projectData.lat || null;
+  const lng = projectData.coordinates?.lng || projectData.lng || null;
+
+  return {
+    projectName: projectData.projectName || projectData.name,
+    createdBy: userId,
+
+    // Location
+    lat,
+    lng,
+    location: toLocationPoint(lat, lng),
+
+    // Project details as JSONB
+    projectDetails: {
+      description: projectData.description || null,
+      city: projectData.city || null,
+      locality: projectData.locality || null,
+      area: projectData.area || null,
+      addressText: projectData.addressText || null,
+      landmark: projectData.landmark || null,
+
+      // Project specifications
+      totalUnits: projectData.totalUnits || null,
+      totalTowers: projectData.totalTowers || null,
+      totalAcres: projectData.totalAcres || null,
+      launchDate: projectData.launchDate || null,
+      possessionDate: projectData.possessionDate || null,
+      completionDate: projectData.completionDate || null,
+      projectStatus: projectData.projectStatus || null, // Upcoming, Ongoing, Completed
+
+      // Amenities and Features
+      amenities: projectData.amenities || [],
+      features: projectData.features || [],
+
+      // Media
+      images: projectData.images || [],
+      videos: projectData.videos || [],
+      brochure: projectData.brochure || null,
+      floorPlans: projectData.floorPlans || [],
+
+      // Developer info (if provided)
+      developerName: projectData.developerName || null,
+      developerId: projectData.developerId || null,
+
+      // Pricing
+      priceRange: projectData.priceRange || null,
+
+      // Additional metadata
+      reraNumber: projectData.reraNumber || null,
+      projectType: projectData.projectType || null, // Residential, Commercial, Mixed
+
+      // Any other custom fields
+      ...projectData.customFields
+    }
+  };
+};
+
+/**
+ * Developer create payload from DEVELOPER draft data
+ * @param {number} userId - Owner
+ * @param {number} draftId - Draft ID (one draft = one developer profile)
+ * @param {object} developerData - Draft data
+ * @returns {object} - Developer attributes
+ */
+const toDeveloperRecord = (userId, draftId, developerData) => ({
+  userId,
+  draftId,
+  developerName: developerData.developerName,
+  subscribeForDeveloperPage: developerData.subscribeForDeveloperPage || false
+});
+
+module.exports = {
+  validateDate,
+  createSlug,
+  toLocationPoint,
+  toPropertyRecord,
+  toPgHostelRecord,
+  toProjectRecord,
+  toDeveloperRecord
+};
@@ -0,0 +1,137 @@
+/**
+ * Minimal PDF writer for text documents (statements, receipts).
+ * Lays out lines top to bottom on A4 pages using the PDF standard fonts, so no font files
+ * or PDF library are needed. Text is Latin-1 only; other characters print as '?'.
+ */
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 40;
+const LINE_SPACING = 1.35;
+
+// Standard Type 1 fonts every PDF reader ships with
+const FONTS = {
+  regular: { resource: 'F1', baseFont: 'Helvetica' },
+  bold: { resource: 'F2', baseFont: 'Helvetica-Bold' },
+  mono: { resource: 'F3', baseFont: 'Courier' }
+};
+
+/**
+ * Escape text for a PDF string literal
+ * @param {string} text - Raw text
+ * @returns {string} - Latin-1 text with \, ( and ) escaped
+ */
+const escapePdfText = (text) => String(text)
+  .replace(/[^\x20-\x7e\xa0-\xff]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+/**
+ * Split lines into pages
+ * @param {Array<object>} lines - Document lines
+ * @returns {Array<Array<{line: object, y: number}>>} - Positioned lines per page
+ */
+const paginate = (lines) => {
+  const pages = [];
+  let current = [];
+  let y = PAGE_HEIGHT - MARGIN;
+
+  for (const line of lines) {
+    const size = line.size || 10;
+    const height = line.gap !== undefined ? line.gap : size * LINE_SPACING;
+
+    // Reserve the bottom margin for the page footer
+    if (y - height < MARGIN + 20 || (line.pageBreak && current.length > 0)) {
+      pages.push(current);
+      current = [];
+      y = PAGE_HEIGHT - MARGIN;
+    }
+
+    y -= height;
+    current.push({ line, y });
+  }
+
+  pages.push(current);
+  return pages;
+};
+
+/**
+ * Content stream for one page
+ * @param {Array<{line: object, y: number}>} positioned - Lines on the page
+ * @param {string} footer - Footer text
+ * @returns {string} - PDF content stream
+ */
+const renderPage = (positioned, footer) => {
+  const ops = [];
+
+  for (const { line, y } of positioned) {
+    if (!line.text) {
+      continue;
+    }
+    const font = FONTS[line.font || 'regular'];
+    ops.push(`BT /${font.resource} ${line.size || 10} Tf ${MARGIN + (line.indent || 0)} ${y.toFixed(2)} Td (${escapePdfText(line.text)}) Tj ET`);
+  }
+
+  if (footer) {
+    ops.push(`BT /${FONTS.regular.resource} 8 Tf ${MARGIN} ${MARGIN / 2} Td (${escapePdfText(footer)}) Tj ET`);
+  }
+
+  return ops.join('\n');
+};
+
+/**
+ * Build a PDF from lines of text
+ * @param {Array<object>} lines - { text, font: 'regular'|'bold'|'mono', size, indent, gap, pageBreak };
+ *                                gap overrides the line height (e.g. { gap: 8 } for a blank space)
+ * @param {object} options - { title, footer: (pageNumber, pageCount) => string }
+ * @returns {Buffer} - PDF file contents
+ */
+const buildTextPdf = (lines, { title = '', footer = null } = {}) => {
+  const pages = paginate(lines);
+  const fontKeys = Object.keys(FONTS);
+
+  // Object numbers: 1 catalog, 2 page tree, 3 info, fonts, then a page and its content per page
+  const firstFontId = 4;
+  const firstPageId = firstFontId + fontKeys.length;
+  const pageIds = pages.map((_, index) => firstPageId + index * 2);
+
+  const objects = [];
+  objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+  objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+  objects[3] = `<< /Title (${escapePdfText(title)}) /Producer (partner-platform) >>`;
+
+  const fontResources = fontKeys.map((key, index) => {
+    const font = FONTS[key];
+    objects[firstFontId + index] = `<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`;
+    return `/${font.resource} ${firstFontId + index} 0 R`;
+  }).join(' ');
+
+  pages.forEach((positioned, index) => {
+    const pageId = pageIds[index];
+    const stream = renderPage(positioned, footer ? footer(index + 1, pages.length) : null);
+    objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] /Resources << /Font << ${fontResources} >> >> /Contents ${pageId + 1} 0 R >>`;
+    objects[pageId + 1] = `<< /Length ${Buffer.byteLength(stream, 'latin1')} >>\nstream\n${stream}\nendstream`;
+  });
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+
+  for (let id = 1; id < objects.length; id++) {
+    offsets[id] = Buffer.byteLength(pdf, 'latin1');
+    pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+  }
+
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+  return Buffer.from(pdf, 'latin1');
+};
+
+module.exports = {
+  buildTextPdf
+};
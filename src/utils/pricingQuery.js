@@ -0,0 +1,90 @@
+/**
+ * Pricing Query Builder
+ *
+ * Property prices live in the pricing JSONB array (one entry per sale price, monthly
+ * rent, deposit, ...). These fragments expand that array so listings can be filtered
+ * by a price range and sorted by price. User input is bound through replacements only.
+ */
+
+/**
+ * SQL expression that expands the pricing JSONB into one row per pricing entry.
+ * Non-array values are treated as empty so a malformed row never breaks the query.
+ */
+const PRICING_ENTRIES_SQL = `jsonb_array_elements(
+  CASE WHEN jsonb_typeof("property"."pricing") = 'array' THEN "property"."pricing" ELSE '[]'::jsonb END
+) AS price_entry`;
+
+/**
+ * SQL expression that reads a pricing entry value as numeric (NULL when not a number)
+ */
+const PRICE_VALUE_SQL = `(CASE WHEN (price_entry->>'value') ~ '^[0-9]+(\\.[0-9]+)?$' THEN (price_entry->>'value')::numeric END)`;
+
+/**
+ * Build the SQL conditions that restrict pricing entries by type and unit
+ * @param {string} priceType - Pricing entry type (e.g. sale, rent, deposit)
+ * @param {string} priceUnit - Pricing entry unit (e.g. total, monthly)
+ * @returns {Array<string>} - SQL condition fragments using named replacements
+ */
+const buildPriceEntryConditions = (priceType, priceUnit) => {
+  const conditions = [`${PRICE_VALUE_SQL} IS NOT NULL`];
+
+  if (priceType) {
+    conditions.push(`LOWER(price_entry->>'type') = LOWER(:priceType)`);
+  }
+
+  if (priceUnit) {
+    conditions.push(`LOWER(price_entry->>'unit') = LOWER(:priceUnit)`);
+  }
+
+  return conditions;
+};
+
+/**
+ * Build price range filter and price sort expressions over the pricing JSONB array
+ * A property matches when at least one of its pricing entries (optionally restricted
+ * by type/unit) falls inside the requested range.
+ * @param {object} options - Price options
+ * @param {number} options.minPrice - Minimum price (inclusive)
+ * @param {number} options.maxPrice - Maximum price (inclusive)
+ * @param {string} options.priceType - Pricing entry type to match
+ * @param {string} options.priceUnit - Pricing entry unit to match
+ * @returns {object} - { filter, sortValue, replacements }
+ */
+const buildPricingQuery = ({ minPrice, maxPrice, priceType, priceUnit }) => {
+  const replacements = {};
+  const entryConditions = buildPriceEntryConditions(priceType, priceUnit);
+
+  if (priceType) {
+    replacements.priceType = priceType;
+  }
+
+  if (priceUnit) {
+    replacements.priceUnit = priceUnit;
+  }
+
+  const rangeConditions = [...entryConditions];
+
+  if (minPrice !== null && minPrice !== undefined) {
+    rangeConditions.push(`${PRICE_VALUE_SQL} >= :minPrice`);
+    replacements.minPrice = minPrice;
+  }
+
+  if (maxPrice !== null && maxPrice !== undefined) {
+    rangeConditions.push(`${PRICE_VALUE_SQL} <= :maxPrice`);
+    replacements.maxPrice = maxPrice;
+  }
+
+  const hasRange = replacements.minPrice !== undefined || replacements.maxPrice !== undefined;
+
+  return {
+    filter: (hasRange || priceType || priceUnit)
+      ? `EXISTS (SELECT 1 FROM ${PRICING_ENTRIES_SQL} WHERE ${rangeConditions.join(' AND ')})`
+      : null,
+    sortValue: `(SELECT MIN(${PRICE_VALUE_SQL}) FROM ${PRICING_ENTRIES_SQL} WHERE ${entryConditions.join(' AND ')})`,
+    replacements
+  };
+};
+
+module.exports = {
+  buildPricingQuery
+};
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+const { razorpayConfig } = require('../config/razorpay.config');
+
+let razorpayClient = null;
+
+/**
+ * Get the Razorpay SDK client (singleton)
+ * @returns {Razorpay}
+ * @throws {Error} - When Razorpay keys are not configured
+ */
+function getRazorpayClient() {
+    if (!razorpayClient) {
+        if (!razorpayConfig.keyId || !razorpayConfig.keySecret) {
+            const error = new Error('Razorpay is not configured. Set RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET.');
+            error.code = 'RAZORPAY_NOT_CONFIGURED';
+            throw error;
+        }
+
+        razorpayClient = new Razorpay({
+            key_id: razorpayConfig.keyId,
+            key_secret: razorpayConfig.keySecret
+        });
+
+        // The SDK has no host option; point its HTTP client at the stub instead
+        if (razorpayConfig.apiUrl) {
+            razorpayClient.api.rq.defaults.baseURL = razorpayConfig.apiUrl;
+        }
+    }
+    return razorpayClient;
+}
+
+/**
+ * Constant-time comparison of a hex HMAC-SHA256 against a received signature
+ * @param {string|Buffer} payload - Signed payload
+ * @param {string} signature - Received signature (hex)
+ * @param {string} secret - HMAC secret
+ * @returns {boolean}
+ */
+function hmacMatches(payload, signature, secret) {
+    if (!signature || !secret) {
+        return false;
+    }
+
+    const expected = Buffer.from(crypto.createHmac('sha256', secret).update(payload).digest('hex'));
+    const received = Buffer.from(String(signature));
+
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Verify the signature Razorpay Checkout returns after a payment
+ * @param {string} orderId - Razorpay order id (order_...)
+ * @param {string} paymentId - Razorpay payment id (pay_...)
+ * @param {string} signature - razorpay_signature from Checkout
+ * @returns {boolean}
+ */
+function verifyPaymentSignature(orderId, paymentId, signature) {
+    return hmacMatches(`${orderId}|${paymentId}`, signature, razorpayConfig.keySecret);
+}
+
+/**
+ * Verify a webhook delivery against the raw request body
+ * @param {Buffer|string} rawBody - Request body exactly as received
+ * @param {string} signature - X-Razorpay-Signature header
+ * @returns {boolean}
+ */
+function verifyWebhookSignature(rawBody, signature) {
+    return hmacMatches(rawBody, signature, razorpayConfig.webhookSecret);
+}
+
+module.exports = {
+    getRazorpayClient,
+    verifyPaymentSignature,
+    verifyWebhookSignature
+};
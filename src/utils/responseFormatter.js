@@ -219,9 +219,46 @@ function requestIdMiddleware(req, res, next) {
   next();
 }
 
+/**
+ * Build the common pagination block used by list endpoints
+ * @param {number} total - Total number of matching items
+ * @param {number} page - Current page (1-based)
+ * @param {number} limit - Items per page
+ * @returns {Object} - Pagination block
+ */
+function buildPagination(total, page, limit) {
+  const totalPages = limit > 0 ? Math.ceil(total / limit) : 0;
+
+  return {
+    total,
+    page,
+    limit,
+    totalPages,
+    hasNextPage: page < totalPages,
+    hasPreviousPage: page > 1
+  };
+}
+
+/**
+ * Build the common paginated envelope: { items, pagination, ...extra }
+ * @param {Array} items - Items on the current page
+ * @param {Object} paging - { total, page, limit }
+ * @param {Object} extra - Additional top-level fields (e.g. facets)
+ * @returns {Object} - Paginated envelope
+ */
+function buildPaginatedData(items, { total, page, limit }, extra = {}) {
+  return {
+    items,
+    pagination: buildPagination(total, page, limit),
+    ...extra
+  };
+}
+
 module.exports = {
   ApiResponse,
   requestIdMiddleware,
+  buildPagination,
+  buildPaginatedData,
   
   // Helper functions for backward compatibility
   sendSuccessResponse: (res, data = null, message = 'Success', statusCode = 200) => {
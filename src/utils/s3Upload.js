@@ -1,5 +1,7 @@
 const { s3, defaultBucket } = require("../config/s3.config");
 const path = require("path");
+const { computePhash } = require("./imageHash");
+const { recordMediaHash } = require("../service/ListingMediaHashService.service");
 
 // Lazy load uuid to handle ES Module
 let uuidv4;
@@ -50,6 +52,16 @@ async function uploadToS3({ fileBuffer, fileName, mimetype, folder, userId, buck
     
     // Construct file URL
     const fileUrl = uploadResult.Location || `${process.env.S3_ENDPOINT}/${uploadParams.Bucket}/${s3Key}`;
+
+    // Perceptual hash for duplicate listing detection; a failure here only delays
+    // hashing until the listing is checked
+    if (mimetype.startsWith("image/")) {
+      try {
+        await recordMediaHash({ mediaKey: s3Key, phash: await computePhash(fileBuffer), userId: userId || null });
+      } catch (error) {
+        console.error("Error recording hash of uploaded image:", error);
+      }
+    }
     
     return {
       success: true,
@@ -0,0 +1,45 @@
+/**
+ * SMS delivery errors
+ *
+ * Adapters throw these so the queue worker can tell transient failures (retried)
+ * from permanent ones such as an invalid number or bad credentials (not retried).
+ */
+
+/**
+ * Create an SMS delivery error
+ * @param {string} message - Error message
+ * @param {object} options - { provider, retryable, statusCode }
+ * @returns {Error} - Error with provider, retryable and statusCode fields
+ */
+const createSmsDeliveryError = (message, { provider, retryable = true, statusCode = null } = {}) => {
+  const error = new Error(message);
+  error.provider = provider;
+  error.retryable = retryable;
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Convert an axios error from a provider HTTP API into an SMS delivery error.
+ * 4xx responses (except 429) are permanent; network errors, 429 and 5xx are retried.
+ * @param {string} provider - Provider name
+ * @param {Error} error - axios error
+ * @returns {Error} - SMS delivery error
+ */
+const fromHttpError = (provider, error) => {
+  const statusCode = error.response ? error.response.status : null;
+  const detail = error.response && error.response.data
+    ? JSON.stringify(error.response.data)
+    : error.message;
+
+  return createSmsDeliveryError(`${provider} request failed${statusCode ? ` (${statusCode})` : ''}: ${detail}`, {
+    provider,
+    statusCode,
+    retryable: !statusCode || statusCode === 429 || statusCode >= 500
+  });
+};
+
+module.exports = {
+  createSmsDeliveryError,
+  fromHttpError
+};
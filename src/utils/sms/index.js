@@ -0,0 +1,100 @@
+/**
+ * SMS Provider Registry
+ *
+ * Every adapter implements the same interface:
+ *   { name, send({ to, body, template, variables }) => Promise<{ messageId }> }
+ * `to` is always E.164, `body` is the rendered template; adapters that use
+ * provider-side templates (MSG91) read `template` and `variables` instead.
+ * Adapters throw errors with `retryable` set (see ./errors).
+ */
+
+const { SMS_PROVIDERS, smsConfig } = require('../../config/sms.config');
+const { renderSmsTemplate } = require('./templates');
+const { createSmsDeliveryError } = require('./errors');
+const { createTwilioProvider } = require('./twilio.provider');
+const { createSnsProvider } = require('./sns.provider');
+const { createMsg91Provider } = require('./msg91.provider');
+const { createSinkProvider } = require('./sink.provider');
+
+let provider = null;
+
+/**
+ * Create an SMS provider by name
+ * @param {string} name - One of SMS_PROVIDERS
+ * @returns {object} - SMS provider
+ */
+const createSmsProvider = (name) => {
+  switch (name) {
+    case 'twilio':
+      return createTwilioProvider(smsConfig.twilio);
+    case 'sns':
+      return createSnsProvider(smsConfig.sns);
+    case 'msg91':
+      return createMsg91Provider(smsConfig.msg91);
+    case 'sink':
+      return createSinkProvider(smsConfig.sink);
+    default:
+      throw new Error(`Unknown SMS provider: ${name}. Allowed values: ${SMS_PROVIDERS.join(', ')}`);
+  }
+};
+
+/**
+ * Get the configured SMS provider (created once per process)
+ * @returns {object} - SMS provider
+ */
+const getSmsProvider = () => {
+  if (!provider) {
+    provider = createSmsProvider(smsConfig.provider);
+  }
+  return provider;
+};
+
+/**
+ * Normalise a phone number to E.164
+ * @param {string} phone - Phone number, with or without country code
+ * @returns {string} - E.164 number (e.g. +919876543210)
+ */
+const toE164 = (phone) => {
+  const digits = String(phone).replace(/[^\d+]/g, '');
+
+  if (digits.startsWith('+')) {
+    return digits;
+  }
+
+  return `+${smsConfig.defaultCountryCode}${digits}`;
+};
+
+/**
+ * Render and deliver one templated SMS through the configured provider
+ * @param {object} message - { to, template, variables }
+ * @returns {Promise<{provider: string, messageId: string}>}
+ */
+const deliverSms = async ({ to, template, variables }) => {
+  const smsProvider = getSmsProvider();
+
+  let body;
+  try {
+    body = renderSmsTemplate(template, variables);
+  } catch (error) {
+    // Unknown template or missing variables will fail the same way on every retry
+    throw createSmsDeliveryError(error.message, { provider: smsProvider.name, retryable: false });
+  }
+
+  const result = await smsProvider.send({
+    to: toE164(to),
+    body,
+    template,
+    variables
+  });
+
+  return {
+    provider: smsProvider.name,
+    messageId: result.messageId
+  };
+};
+
+module.exports = {
+  getSmsProvider,
+  toE164,
+  deliverSms
+};
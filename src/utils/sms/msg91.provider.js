@@ -0,0 +1,71 @@
+const axios = require('axios');
+const { createSmsDeliveryError, fromHttpError } = require('./errors');
+
+const MSG91_FLOW_URL = 'https://control.msg91.com/api/v5/flow/';
+
+/**
+ * MSG91 SMS adapter (Flow API with DLT-registered templates).
+ * MSG91 renders the registered template itself, so the template variables are sent
+ * instead of the rendered body.
+ * @param {object} config - { authKey, templateIds: { [templateName]: flowTemplateId } }
+ * @returns {object} - SMS provider
+ */
+const createMsg91Provider = (config) => {
+  if (!config.authKey) {
+    throw new Error('MSG91 requires MSG91_AUTH_KEY');
+  }
+
+  return {
+    name: 'msg91',
+
+    /**
+     * @param {object} message - { to (E.164), template, variables }
+     * @returns {Promise<{messageId: string}>}
+     */
+    send: async ({ to, template, variables }) => {
+      const templateId = config.templateIds[template];
+      if (!templateId) {
+        throw createSmsDeliveryError(`No MSG91 template id configured for ${template}`, {
+          provider: 'msg91',
+          retryable: false
+        });
+      }
+
+      try {
+        const response = await axios.post(
+          MSG91_FLOW_URL,
+          {
+            template_id: templateId,
+            short_url: '0',
+            recipients: [
+              {
+                // MSG91 expects the number with country code but without "+"
+                mobiles: to.replace(/^\+/, ''),
+                ...variables
+              }
+            ]
+          },
+          {
+            headers: { authkey: config.authKey, 'Content-Type': 'application/json' },
+            timeout: 10000
+          }
+        );
+
+        if (!response.data || response.data.type !== 'success') {
+          throw createSmsDeliveryError(`MSG91 rejected the message: ${JSON.stringify(response.data)}`, {
+            provider: 'msg91',
+            retryable: false
+          });
+        }
+
+        return { messageId: response.data.message };
+      } catch (error) {
+        throw error.provider ? error : fromHttpError('msg91', error);
+      }
+    }
+  };
+};
+
+module.exports = {
+  createMsg91Provider
+};
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+/**
+ * Messages delivered to the sink in this process (newest last)
+ */
+const sentMessages = [];
+
+/**
+ * Maximum messages kept in memory
+ */
+const MAX_SINK_MESSAGES = 1000;
+
+/**
+ * Local SMS sink adapter. Nothing leaves the machine: messages are kept in memory
+ * and, when a file is configured, appended to it as JSON lines so another process
+ * (e.g. an end-to-end test runner) can read the OTPs.
+ * @param {object} config - { file }
+ * @returns {object} - SMS provider
+ */
+const createSinkProvider = (config = {}) => {
+  return {
+    name: 'sink',
+
+    /**
+     * @param {object} message - { to, body, template, variables }
+     * @returns {Promise<{messageId: string}>}
+     */
+    send: async ({ to, body, template, variables }) => {
+      const message = {
+        messageId: `sink_${crypto.randomUUID()}`,
+        to,
+        body,
+        template,
+        variables,
+        sentAt: new Date().toISOString()
+      };
+
+      sentMessages.push(message);
+      if (sentMessages.length > MAX_SINK_MESSAGES) {
+        sentMessages.shift();
+      }
+
+      if (config.file) {
+        await fs.promises.appendFile(config.file, `${JSON.stringify(message)}\n`);
+      }
+
+      return { messageId: message.messageId };
+    }
+  };
+};
+
+/**
+ * Get messages sent through the sink
+ * @param {string} to - Optional recipient filter (E.164)
+ * @returns {Array<object>} - Messages, oldest first
+ */
+const getSentMessages = (to) => {
+  return to ? sentMessages.filter(message => message.to === to) : [...sentMessages];
+};
+
+/**
+ * Get the latest message sent to a recipient
+ * @param {string} to - Recipient (E.164)
+ * @returns {object|null} - Message or null
+ */
+const getLastMessage = (to) => {
+  const messages = getSentMessages(to);
+  return messages.length > 0 ? messages[messages.length - 1] : null;
+};
+
+/**
+ * Forget every message kept in memory
+ */
+const clearSentMessages = () => {
+  sentMessages.length = 0;
+};
+
+module.exports = {
+  createSinkProvider,
+  getSentMessages,
+  getLastMessage,
+  clearSentMessages
+};
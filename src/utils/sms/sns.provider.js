@@ -0,0 +1,61 @@
+const AWS = require('aws-sdk');
+const { createSmsDeliveryError } = require('./errors');
+
+/**
+ * AWS SNS error codes that will not succeed on retry
+ */
+const PERMANENT_SNS_ERRORS = ['InvalidParameter', 'InvalidParameterValue', 'AuthorizationError', 'OptedOut'];
+
+/**
+ * AWS SNS SMS adapter (direct publish to a phone number)
+ * @param {object} config - { region, accessKeyId, secretAccessKey, senderId }
+ * @returns {object} - SMS provider
+ */
+const createSnsProvider = (config) => {
+  const sns = new AWS.SNS({
+    region: config.region,
+    // Fall back to the default AWS credential chain (instance role, env) when keys are not set
+    ...(config.accessKeyId && {
+      accessKeyId: config.accessKeyId,
+      secretAccessKey: config.secretAccessKey
+    })
+  });
+
+  return {
+    name: 'sns',
+
+    /**
+     * @param {object} message - { to (E.164), body }
+     * @returns {Promise<{messageId: string}>}
+     */
+    send: async ({ to, body }) => {
+      const messageAttributes = {
+        'AWS.SNS.SMS.SMSType': { DataType: 'String', StringValue: 'Transactional' }
+      };
+
+      if (config.senderId) {
+        messageAttributes['AWS.SNS.SMS.SenderID'] = { DataType: 'String', StringValue: config.senderId };
+      }
+
+      try {
+        const result = await sns.publish({
+          PhoneNumber: to,
+          Message: body,
+          MessageAttributes: messageAttributes
+        }).promise();
+
+        return { messageId: result.MessageId };
+      } catch (error) {
+        throw createSmsDeliveryError(`SNS publish failed: ${error.code || ''} ${error.message}`.trim(), {
+          provider: 'sns',
+          statusCode: error.statusCode || null,
+          retryable: !PERMANENT_SNS_ERRORS.includes(error.code)
+        });
+      }
+    }
+  };
+};
+
+module.exports = {
+  createSnsProvider
+};
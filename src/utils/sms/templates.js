@@ -0,0 +1,39 @@
+/**
+ * SMS Templates
+ *
+ * Message bodies with {{variable}} placeholders. Providers that require pre-registered
+ * (DLT) templates, such as MSG91, send the template id and variables instead of the body.
+ */
+
+const SMS_TEMPLATES = {
+  OTP: {
+    body: 'Your Huskite verification code is {{otp}}. It is valid for {{expiryMinutes}} minutes. Do not share it with anyone.',
+    variables: ['otp', 'expiryMinutes']
+  }
+};
+
+/**
+ * Render a template body
+ * @param {string} templateName - Key of SMS_TEMPLATES
+ * @param {object} variables - Template variables
+ * @returns {string} - Message body
+ * @throws {Error} - When the template is unknown or a variable is missing
+ */
+const renderSmsTemplate = (templateName, variables = {}) => {
+  const template = SMS_TEMPLATES[templateName];
+  if (!template) {
+    throw new Error(`Unknown SMS template: ${templateName}`);
+  }
+
+  const missing = template.variables.filter(name => variables[name] === undefined || variables[name] === null);
+  if (missing.length > 0) {
+    throw new Error(`Missing variables for SMS template ${templateName}: ${missing.join(', ')}`);
+  }
+
+  return template.body.replace(/\{\{(\w+)\}\}/g, (match, name) => String(variables[name]));
+};
+
+module.exports = {
+  SMS_TEMPLATES,
+  renderSmsTemplate
+};
@@ -0,0 +1,56 @@
+const axios = require('axios');
+const { createSmsDeliveryError, fromHttpError } = require('./errors');
+
+const TWILIO_API_URL = 'https://api.twilio.com/2010-04-01';
+
+/**
+ * Twilio SMS adapter (Programmable Messaging REST API)
+ * @param {object} config - { accountSid, authToken, from, messagingServiceSid }
+ * @returns {object} - SMS provider
+ */
+const createTwilioProvider = (config) => {
+  if (!config.accountSid || !config.authToken || !(config.from || config.messagingServiceSid)) {
+    throw new Error('Twilio requires TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER or TWILIO_MESSAGING_SERVICE_SID');
+  }
+
+  return {
+    name: 'twilio',
+
+    /**
+     * @param {object} message - { to (E.164), body }
+     * @returns {Promise<{messageId: string}>}
+     */
+    send: async ({ to, body }) => {
+      const params = new URLSearchParams({ To: to, Body: body });
+      if (config.messagingServiceSid) {
+        params.append('MessagingServiceSid', config.messagingServiceSid);
+      } else {
+        params.append('From', config.from);
+      }
+
+      try {
+        const response = await axios.post(
+          `${TWILIO_API_URL}/Accounts/${config.accountSid}/Messages.json`,
+          params.toString(),
+          {
+            auth: { username: config.accountSid, password: config.authToken },
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            timeout: 10000
+          }
+        );
+
+        if (!response.data || !response.data.sid) {
+          throw createSmsDeliveryError('Twilio response did not include a message sid', { provider: 'twilio' });
+        }
+
+        return { messageId: response.data.sid };
+      } catch (error) {
+        throw error.provider ? error : fromHttpError('twilio', error);
+      }
+    }
+  };
+};
+
+module.exports = {
+  createTwilioProvider
+};
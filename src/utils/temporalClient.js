@@ -107,6 +107,25 @@ async function getTemporalClient() {
     throw enhancedError;
 }
 
+/**
+ * Tag a workflow with the user it runs for (the userId in its input), so the workflow
+ * control endpoints can restrict access to the owner
+ * @param {object} args - Workflow input
+ * @returns {object} - memo (and search attributes when configured) for client.workflow.start()
+ */
+function getOwnerTagOptions(args) {
+    const ownerUserId = Number(args && args.userId);
+    if (!Number.isInteger(ownerUserId) || ownerUserId <= 0) {
+        return {};
+    }
+
+    const options = { memo: { ownerUserId } };
+    if (temporalConfig.ownerSearchAttribute) {
+        options.searchAttributes = { [temporalConfig.ownerSearchAttribute]: [ownerUserId] };
+    }
+    return options;
+}
+
 /**
  * Start a workflow execution
  * Automatically falls back to direct execution if Temporal is disabled
@@ -114,9 +133,10 @@ async function getTemporalClient() {
  * @param {string} workflowName - The name of the workflow to execute
  * @param {object} args - Arguments to pass to the workflow
  * @param {string} workflowId - Optional workflow ID (auto-generated if not provided)
+ * @param {object} [startOptions] - Extra Temporal start options, e.g. { workflowIdReusePolicy }
  * @returns {Promise<object>} - Workflow handle or execution result
  */
-async function startWorkflow(workflowName, args, workflowId = null) {
+async function startWorkflow(workflowName, args, workflowId = null, startOptions = {}) {
     // Check if Temporal is enabled
     if (!isTemporalEnabled()) {
         logger.info(`Temporal disabled, executing workflow directly: ${workflowName}`);
@@ -142,6 +162,8 @@ async function startWorkflow(workflowName, args, workflowId = null) {
             taskQueue: temporalConfig.taskQueue,
             args: [args],
             workflowId: workflowId || `${workflowName}-${Date.now()}`,
+            ...getOwnerTagOptions(args),
+            ...startOptions,
         });
         
         logger.info(`Workflow started: ${workflowName} (ID: ${handle.workflowId})`);
@@ -207,6 +229,7 @@ async function executeWorkflow(workflowName, args, workflowId = null) {
             taskQueue: temporalConfig.taskQueue,
             args: [args],
             workflowId: workflowId || `${workflowName}-${Date.now()}`,
+            ...getOwnerTagOptions(args),
         });
         
         logger.info(`Executing workflow: ${workflowName} (ID: ${handle.workflowId})`);
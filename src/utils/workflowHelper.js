@@ -18,13 +18,14 @@ const logger = require('../config/winston.config');
  * @param {string} workflowName - Name of the workflow
  * @param {Object} input - Workflow input data
  * @param {string} [workflowId] - Optional custom workflow ID
+ * @param {Object} [startOptions] - Extra Temporal start options, e.g. { workflowIdReusePolicy }
  * @returns {Promise<{workflowId: string, mode: string, result?: any}>}
  */
-async function runWorkflowAsync(workflowName, input, workflowId = null) {
+async function runWorkflowAsync(workflowName, input, workflowId = null, startOptions = {}) {
     const enabled = isTemporalEnabled();
     logger.info(`[Workflow Helper] Running ${workflowName} async (Temporal: ${enabled})`);
     
-    return await startWorkflow(workflowName, input, workflowId);
+    return await startWorkflow(workflowName, input, workflowId, startOptions);
 }
 
 /**
@@ -75,6 +76,7 @@ const WORKFLOWS = {
     DEVELOPER_PUBLISHING: 'developerPublishing',
     PROJECT_PUBLISHING: 'projectPublishing',
     PG_HOSTEL_PUBLISHING: 'pgHostelPublishing',
+    CREDIT_PACK_PURCHASE: 'creditPackPurchase',
 };
 
 module.exports = {
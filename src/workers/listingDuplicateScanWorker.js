@@ -0,0 +1,93 @@
+const { Worker } = require('bullmq');
+const { getRedisConfig } = require('../config/redis.config');
+const {
+    LISTING_DUPLICATE_SCAN_QUEUE_NAME,
+    scheduleListingDuplicateScan
+} = require('../queues/listingDuplicateScanQueue');
+const ListingDuplicateService = require('../service/ListingDuplicateService.service');
+const logger = require('../config/winston.config.js');
+
+/**
+ * Listing Moderation Escalation Worker
+ * Runs ListingDuplicateService.scanDuplicates for scheduled and admin-requested duplicate scans
+ */
+
+let listingDuplicateScanWorker = null;
+
+// Job processor function
+const processListingDuplicateScanJob = async (job) => {
+    logger.info(`Processing listing duplicate scan job: ${job.id}, attempt: ${job.attemptsMade + 1}`);
+
+    const result = await ListingDuplicateService.scanDuplicates();
+
+    if (!result.success) {
+        throw new Error(result.message || 'Listing duplicate scan failed'); // BullMQ will handle retries
+    }
+
+    return result.summary;
+};
+
+// Start the listing duplicate scan worker and register its schedule
+const startListingDuplicateScanWorker = () => {
+    if (listingDuplicateScanWorker) {
+        logger.warn('Listing duplicate scan worker already running');
+        return listingDuplicateScanWorker;
+    }
+
+    try {
+        listingDuplicateScanWorker = new Worker(LISTING_DUPLICATE_SCAN_QUEUE_NAME, processListingDuplicateScanJob, {
+            connection: getRedisConfig(),
+            // One scan at a time
+            concurrency: 1
+        });
+
+        listingDuplicateScanWorker.on('completed', (job, result) => {
+            logger.info(`Listing duplicate scan job ${job.id} completed: ${JSON.stringify(result)}`);
+        });
+
+        listingDuplicateScanWorker.on('failed', (job, error) => {
+            logger.error(`Listing duplicate scan job ${job?.id} failed after ${job?.attemptsMade} attempts:`, error.message);
+        });
+
+        listingDuplicateScanWorker.on('error', (error) => {
+            logger.error('Listing duplicate scan worker error:', error);
+        });
+
+        scheduleListingDuplicateScan().catch((error) => {
+            logger.error('Failed to schedule listing duplicate scan:', error);
+        });
+
+        logger.info('Listing duplicate scan worker started successfully');
+
+        return listingDuplicateScanWorker;
+    } catch (error) {
+        logger.error('Failed to start listing duplicate scan worker:', error);
+        throw error;
+    }
+};
+
+// Stop the worker gracefully (waits for an active run to complete)
+const stopListingDuplicateScanWorker = async () => {
+    if (listingDuplicateScanWorker) {
+        try {
+            logger.info('Stopping listing duplicate scan worker gracefully...');
+            await listingDuplicateScanWorker.close();
+            listingDuplicateScanWorker = null;
+            logger.info('Listing duplicate scan worker stopped successfully');
+        } catch (error) {
+            logger.error('Failed to stop listing duplicate scan worker:', error);
+            throw error;
+        }
+    }
+};
+
+// Initialize worker on module load
+if (process.env.START_LISTING_DUPLICATE_SCAN_WORKER !== 'false') {
+    startListingDuplicateScanWorker();
+}
+
+module.exports = {
+    startListingDuplicateScanWorker,
+    stopListingDuplicateScanWorker,
+    processListingDuplicateScanJob
+};
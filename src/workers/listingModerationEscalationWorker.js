@@ -0,0 +1,93 @@
+const { Worker } = require('bullmq');
+const { getRedisConfig } = require('../config/redis.config');
+const {
+    LISTING_MODERATION_ESCALATION_QUEUE_NAME,
+    scheduleListingModerationEscalation
+} = require('../queues/listingModerationEscalationQueue');
+const ListingModerationService = require('../service/ListingModerationService.service');
+const logger = require('../config/winston.config.js');
+
+/**
+ * Listing Moderation Escalation Worker
+ * Runs ListingModerationService.escalateOverdueItems for scheduled escalation sweeps
+ */
+
+let listingModerationEscalationWorker = null;
+
+// Job processor function
+const processListingModerationEscalationJob = async (job) => {
+    logger.info(`Processing listing moderation escalation job: ${job.id}, attempt: ${job.attemptsMade + 1}`);
+
+    const result = await ListingModerationService.escalateOverdueItems();
+
+    if (!result.success) {
+        throw new Error(result.message || 'Listing moderation escalation failed'); // BullMQ will handle retries
+    }
+
+    return result.summary;
+};
+
+// Start the listing moderation escalation worker and register its schedule
+const startListingModerationEscalationWorker = () => {
+    if (listingModerationEscalationWorker) {
+        logger.warn('Listing moderation escalation worker already running');
+        return listingModerationEscalationWorker;
+    }
+
+    try {
+        listingModerationEscalationWorker = new Worker(LISTING_MODERATION_ESCALATION_QUEUE_NAME, processListingModerationEscalationJob, {
+            connection: getRedisConfig(),
+            // One sweep at a time
+            concurrency: 1
+        });
+
+        listingModerationEscalationWorker.on('completed', (job, result) => {
+            logger.info(`Listing moderation escalation job ${job.id} completed: ${result.escalated} item(s) escalated`);
+        });
+
+        listingModerationEscalationWorker.on('failed', (job, error) => {
+            logger.error(`Listing moderation escalation job ${job?.id} failed after ${job?.attemptsMade} attempts:`, error.message);
+        });
+
+        listingModerationEscalationWorker.on('error', (error) => {
+            logger.error('Listing moderation escalation worker error:', error);
+        });
+
+        scheduleListingModerationEscalation().catch((error) => {
+            logger.error('Failed to schedule listing moderation escalation:', error);
+        });
+
+        logger.info('Listing moderation escalation worker started successfully');
+
+        return listingModerationEscalationWorker;
+    } catch (error) {
+        logger.error('Failed to start listing moderation escalation worker:', error);
+        throw error;
+    }
+};
+
+// Stop the worker gracefully (waits for an active run to complete)
+const stopListingModerationEscalationWorker = async () => {
+    if (listingModerationEscalationWorker) {
+        try {
+            logger.info('Stopping listing moderation escalation worker gracefully...');
+            await listingModerationEscalationWorker.close();
+            listingModerationEscalationWorker = null;
+            logger.info('Listing moderation escalation worker stopped successfully');
+        } catch (error) {
+            logger.error('Failed to stop listing moderation escalation worker:', error);
+            throw error;
+        }
+    }
+};
+
+// Initialize worker on module load
+if (process.env.START_LISTING_MODERATION_ESCALATION_WORKER !== 'false') {
+    startListingModerationEscalationWorker();
+}
+
+module.exports = {
+    startListingModerationEscalationWorker,
+    stopListingModerationEscalationWorker,
+    processListingModerationEscalationJob
+};
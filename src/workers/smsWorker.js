@@ -0,0 +1,108 @@
+const { Worker, UnrecoverableError } = require('bullmq');
+const { getRedisConfig } = require('../config/redis.config');
+const { smsConfig } = require('../config/sms.config');
+const { SMS_QUEUE_NAME } = require('../queues/smsQueue');
+const { deliverSms } = require('../utils/sms');
+const logger = require('../config/winston.config.js');
+
+/**
+ * SMS Worker
+ * Delivers templated SMS jobs through the configured provider (SMS_PROVIDER)
+ */
+
+let smsWorker = null;
+
+// Job processor function
+const processSmsJob = async (job) => {
+    const { to, template, variables } = job.data;
+
+    logger.info(`Processing SMS job: ${job.id}, template: ${template}, attempt: ${job.attemptsMade + 1}`);
+
+    try {
+        const result = await deliverSms({ to, template, variables });
+
+        logger.info(`SMS sent successfully: ${job.id}, provider: ${result.provider}, messageId: ${result.messageId}`);
+
+        return {
+            success: true,
+            ...result,
+            jobId: job.id
+        };
+    } catch (error) {
+        logger.error(`Failed to process SMS job ${job.id}:`, error.message);
+
+        // Invalid numbers, bad credentials, missing templates: retrying will not help
+        if (error.retryable === false) {
+            throw new UnrecoverableError(error.message);
+        }
+
+        throw error; // BullMQ will handle retries
+    }
+};
+
+// Start the SMS worker
+const startSmsWorker = () => {
+    if (smsWorker) {
+        logger.warn('SMS worker already running');
+        return smsWorker;
+    }
+
+    try {
+        // BullMQ will create its own connection using the config
+        const connection = getRedisConfig();
+
+        smsWorker = new Worker(SMS_QUEUE_NAME, processSmsJob, {
+            connection,
+            concurrency: 5,
+            limiter: {
+                max: 20, // Maximum 20 messages
+                duration: 1000 // Per second
+            }
+        });
+
+        smsWorker.on('completed', (job, result) => {
+            logger.info(`SMS job ${job.id} completed successfully`, result);
+        });
+
+        smsWorker.on('failed', (job, error) => {
+            logger.error(`SMS job ${job?.id} failed after ${job?.attemptsMade} attempts:`, error.message);
+        });
+
+        smsWorker.on('error', (error) => {
+            logger.error('SMS worker error:', error);
+        });
+
+        logger.info('SMS worker started successfully');
+
+        return smsWorker;
+    } catch (error) {
+        logger.error('Failed to start SMS worker:', error);
+        throw error;
+    }
+};
+
+// Stop the SMS worker gracefully (waits for active jobs to complete)
+const stopSmsWorker = async () => {
+    if (smsWorker) {
+        try {
+            logger.info('Stopping SMS worker gracefully...');
+            await smsWorker.close();
+            smsWorker = null;
+            logger.info('SMS worker stopped successfully');
+        } catch (error) {
+            logger.error('Failed to stop SMS worker:', error);
+            throw error;
+        }
+    }
+};
+
+// Initialize worker on module load
+if (smsConfig.queueEnabled && process.env.START_SMS_WORKER !== 'false') {
+    startSmsWorker();
+}
+
+module.exports = {
+    startSmsWorker,
+    stopSmsWorker,
+    processSmsJob
+};
@@ -0,0 +1,93 @@
+const { Worker } = require('bullmq');
+const { getRedisConfig } = require('../config/redis.config');
+const {
+    WALLET_CREDIT_EXPIRY_QUEUE_NAME,
+    scheduleWalletCreditExpiry
+} = require('../queues/walletCreditExpiryQueue');
+const WalletService = require('../service/WalletService.service');
+const logger = require('../config/winston.config.js');
+
+/**
+ * Wallet Credit Expiry Worker
+ * Runs WalletService.expireCredits for scheduled expiry jobs
+ */
+
+let walletCreditExpiryWorker = null;
+
+// Job processor function
+const processWalletCreditExpiryJob = async (job) => {
+    logger.info(`Processing wallet credit expiry job: ${job.id}, attempt: ${job.attemptsMade + 1}`);
+
+    const result = await WalletService.expireCredits();
+
+    if (!result.success) {
+        throw new Error(result.message || 'Wallet credit expiry failed'); // BullMQ will handle retries
+    }
+
+    return result.summary;
+};
+
+// Start the wallet credit expiry worker and register its schedule
+const startWalletCreditExpiryWorker = () => {
+    if (walletCreditExpiryWorker) {
+        logger.warn('Wallet credit expiry worker already running');
+        return walletCreditExpiryWorker;
+    }
+
+    try {
+        walletCreditExpiryWorker = new Worker(WALLET_CREDIT_EXPIRY_QUEUE_NAME, processWalletCreditExpiryJob, {
+            connection: getRedisConfig(),
+            // One run at a time; a run walks every wallet with lapsed credits
+            concurrency: 1
+        });
+
+        walletCreditExpiryWorker.on('completed', (job, result) => {
+            logger.info(`Wallet credit expiry job ${job.id} completed: ${result.creditsExpired} credits expired, ${result.bucketsDeferred} buckets deferred`);
+        });
+
+        walletCreditExpiryWorker.on('failed', (job, error) => {
+            logger.error(`Wallet credit expiry job ${job?.id} failed after ${job?.attemptsMade} attempts:`, error.message);
+        });
+
+        walletCreditExpiryWorker.on('error', (error) => {
+            logger.error('Wallet credit expiry worker error:', error);
+        });
+
+        scheduleWalletCreditExpiry().catch((error) => {
+            logger.error('Failed to schedule wallet credit expiry:', error);
+        });
+
+        logger.info('Wallet credit expiry worker started successfully');
+
+        return walletCreditExpiryWorker;
+    } catch (error) {
+        logger.error('Failed to start wallet credit expiry worker:', error);
+        throw error;
+    }
+};
+
+// Stop the worker gracefully (waits for an active run to complete)
+const stopWalletCreditExpiryWorker = async () => {
+    if (walletCreditExpiryWorker) {
+        try {
+            logger.info('Stopping wallet credit expiry worker gracefully...');
+            await walletCreditExpiryWorker.close();
+            walletCreditExpiryWorker = null;
+            logger.info('Wallet credit expiry worker stopped successfully');
+        } catch (error) {
+            logger.error('Failed to stop wallet credit expiry worker:', error);
+            throw error;
+        }
+    }
+};
+
+// Initialize worker on module load
+if (process.env.START_WALLET_CREDIT_EXPIRY_WORKER !== 'false') {
+    startWalletCreditExpiryWorker();
+}
+
+module.exports = {
+    startWalletCreditExpiryWorker,
+    stopWalletCreditExpiryWorker,
+    processWalletCreditExpiryJob
+};
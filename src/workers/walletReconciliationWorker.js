@@ -0,0 +1,102 @@
+const { Worker } = require('bullmq');
+const { getRedisConfig } = require('../config/redis.config');
+const {
+    WALLET_RECONCILIATION_QUEUE_NAME,
+    scheduleWalletReconciliation
+} = require('../queues/walletReconciliationQueue');
+const WalletService = require('../service/WalletService.service');
+const logger = require('../config/winston.config.js');
+
+/**
+ * Wallet Reconciliation Worker
+ * Runs WalletService.reconcileWallets for scheduled and one-off reconciliation jobs
+ */
+
+let walletReconciliationWorker = null;
+
+// Job processor function
+const processWalletReconciliationJob = async (job) => {
+    logger.info(`Processing wallet reconciliation job: ${job.id}, attempt: ${job.attemptsMade + 1}`);
+
+    const result = await WalletService.reconcileWallets();
+
+    if (!result.success) {
+        throw new Error(result.message || 'Wallet reconciliation failed'); // BullMQ will handle retries
+    }
+
+    return {
+        checked: result.summary.checked,
+        walletsWithoutAccount: result.summary.walletsWithoutAccount,
+        capturedReservations: result.summary.capturedReservations,
+        uncapturedReservations: result.summary.uncapturedReservations,
+        drifted: result.summary.drifted.map(wallet => ({
+            userId: wallet.userId,
+            driftAmount: wallet.driftAmount
+        }))
+    };
+};
+
+// Start the wallet reconciliation worker and register its schedule
+const startWalletReconciliationWorker = () => {
+    if (walletReconciliationWorker) {
+        logger.warn('Wallet reconciliation worker already running');
+        return walletReconciliationWorker;
+    }
+
+    try {
+        walletReconciliationWorker = new Worker(WALLET_RECONCILIATION_QUEUE_NAME, processWalletReconciliationJob, {
+            connection: getRedisConfig(),
+            // One run at a time; a run walks every wallet
+            concurrency: 1
+        });
+
+        walletReconciliationWorker.on('completed', (job, result) => {
+            logger.info(`Wallet reconciliation job ${job.id} completed: ${result.checked} checked, ${result.drifted.length} drifted`);
+        });
+
+        walletReconciliationWorker.on('failed', (job, error) => {
+            logger.error(`Wallet reconciliation job ${job?.id} failed after ${job?.attemptsMade} attempts:`, error.message);
+        });
+
+        walletReconciliationWorker.on('error', (error) => {
+            logger.error('Wallet reconciliation worker error:', error);
+        });
+
+        scheduleWalletReconciliation().catch((error) => {
+            logger.error('Failed to schedule wallet reconciliation:', error);
+        });
+
+        logger.info('Wallet reconciliation worker started successfully');
+
+        return walletReconciliationWorker;
+    } catch (error) {
+        logger.error('Failed to start wallet reconciliation worker:', error);
+        throw error;
+    }
+};
+
+// Stop the worker gracefully (waits for an active run to complete)
+const stopWalletReconciliationWorker = async () => {
+    if (walletReconciliationWorker) {
+        try {
+            logger.info('Stopping wallet reconciliation worker gracefully...');
+            await walletReconciliationWorker.close();
+            walletReconciliationWorker = null;
+            logger.info('Wallet reconciliation worker stopped successfully');
+        } catch (error) {
+            logger.error('Failed to stop wallet reconciliation worker:', error);
+            throw error;
+        }
+    }
+};
+
+// Initialize worker on module load
+if (process.env.START_WALLET_RECONCILIATION_WORKER !== 'false') {
+    startWalletReconciliationWorker();
+}
+
+module.exports = {
+    startWalletReconciliationWorker,
+    stopWalletReconciliationWorker,
+    processWalletReconciliationJob
+};
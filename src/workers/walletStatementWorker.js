@@ -0,0 +1,90 @@
+const { Worker } = require('bullmq');
+const { getRedisConfig } = require('../config/redis.config');
+const { WALLET_STATEMENT_QUEUE_NAME } = require('../queues/walletStatementQueue');
+const WalletStatementService = require('../service/WalletStatementService.service');
+const logger = require('../config/winston.config.js');
+
+/**
+ * Wallet Statement Worker
+ * Generates queued CSV/PDF statement exports and stores them in S3
+ */
+
+let walletStatementWorker = null;
+
+// Job processor function
+const processWalletStatementJob = async (job) => {
+    logger.info(`Processing wallet statement job: ${job.id}, attempt: ${job.attemptsMade + 1}`);
+
+    const result = await WalletStatementService.processStatementExport(job.data.statementId);
+
+    if (!result.success) {
+        throw new Error(result.message || 'Wallet statement generation failed'); // BullMQ will handle retries
+    }
+
+    return {
+        statementId: result.statement.statementId,
+        invoiceNumber: result.statement.invoiceNumber,
+        transactionCount: result.statement.transactionCount
+    };
+};
+
+// Start the wallet statement worker
+const startWalletStatementWorker = () => {
+    if (walletStatementWorker) {
+        logger.warn('Wallet statement worker already running');
+        return walletStatementWorker;
+    }
+
+    try {
+        walletStatementWorker = new Worker(WALLET_STATEMENT_QUEUE_NAME, processWalletStatementJob, {
+            connection: getRedisConfig(),
+            // Large statements hold every entry of the period in memory while rendering
+            concurrency: 2
+        });
+
+        walletStatementWorker.on('completed', (job, result) => {
+            logger.info(`Wallet statement job ${job.id} completed: ${result.invoiceNumber} (${result.transactionCount} transactions)`);
+        });
+
+        walletStatementWorker.on('failed', (job, error) => {
+            logger.error(`Wallet statement job ${job?.id} failed after ${job?.attemptsMade} attempts:`, error.message);
+        });
+
+        walletStatementWorker.on('error', (error) => {
+            logger.error('Wallet statement worker error:', error);
+        });
+
+        logger.info('Wallet statement worker started successfully');
+
+        return walletStatementWorker;
+    } catch (error) {
+        logger.error('Failed to start wallet statement worker:', error);
+        throw error;
+    }
+};
+
+// Stop the worker gracefully (waits for active jobs to complete)
+const stopWalletStatementWorker = async () => {
+    if (walletStatementWorker) {
+        try {
+            logger.info('Stopping wallet statement worker gracefully...');
+            await walletStatementWorker.close();
+            walletStatementWorker = null;
+            logger.info('Wallet statement worker stopped successfully');
+        } catch (error) {
+            logger.error('Failed to stop wallet statement worker:', error);
+            throw error;
+        }
+    }
+};
+
+// Initialize worker on module load
+if (process.env.START_WALLET_STATEMENT_WORKER !== 'false') {
+    startWalletStatementWorker();
+}
+
+module.exports = {
+    startWalletStatementWorker,
+    stopWalletStatementWorker,
+    processWalletStatementJob
+};
@@ -0,0 +1,78 @@
+/**
+ * Permission checks on the role claim of the verified token.
+ */
+
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { PERMISSIONS, ROLES } = require('../src/config/roles.config');
+
+let requirePermission;
+let requireRole;
+let hasPermission;
+
+before(() => {
+    require('../src/config/winston.config').silent = true;
+    ({ requirePermission, requireRole, hasPermission } = require('../src/middleware/authorizationMiddleware'));
+});
+
+/**
+ * Run a middleware against a request for the given token claims
+ * @param {Function} middleware - Express middleware
+ * @param {object|undefined} user - Verified token claims
+ * @returns {{nextCalled: boolean, statusCode: number|null}}
+ */
+const run = (middleware, user) => {
+    const outcome = { nextCalled: false, statusCode: null };
+    const res = {
+        status(code) {
+            outcome.statusCode = code;
+            return this;
+        },
+        json() {
+            return this;
+        }
+    };
+    middleware({ user, method: 'GET', originalUrl: '/test' }, res, () => { outcome.nextCalled = true; });
+    return outcome;
+};
+
+describe('requirePermission', () => {
+    it('lets a role holding the permission through', () => {
+        const outcome = run(requirePermission(PERMISSIONS.USERS_VERIFY), { userId: 1, role: ROLES.REVIEWER });
+
+        assert.equal(outcome.nextCalled, true);
+    });
+
+    it('refuses a role without the permission', () => {
+        const outcome = run(requirePermission(PERMISSIONS.USERS_VERIFY), { userId: 1, role: ROLES.PARTNER });
+
+        assert.equal(outcome.statusCode, 403);
+    });
+
+    it('refuses a token without a role claim', () => {
+        const outcome = run(requirePermission(PERMISSIONS.USERS_VERIFY), { userId: 1 });
+
+        assert.equal(outcome.statusCode, 403);
+        assert.equal(hasPermission({ user: { userId: 1 } }, PERMISSIONS.USERS_VERIFY), false);
+    });
+
+    it('requires authentication', () => {
+        const outcome = run(requirePermission(PERMISSIONS.USERS_VERIFY), undefined);
+
+        assert.equal(outcome.statusCode, 401);
+    });
+});
+
+describe('requireRole', () => {
+    it('does not take a token without a role claim for a partner', () => {
+        const outcome = run(requireRole(ROLES.PARTNER), { userId: 1 });
+
+        assert.equal(outcome.statusCode, 403);
+    });
+
+    it('lets a listed role through', () => {
+        const outcome = run(requireRole(ROLES.PARTNER), { userId: 1, role: ROLES.PARTNER });
+
+        assert.equal(outcome.nextCalled, true);
+    });
+});
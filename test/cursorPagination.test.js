@@ -0,0 +1,114 @@
+/**
+ * Keyset cursors: encoding, validation against the sort they were issued for,
+ * and the "strictly after the cursor row" condition.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    encodeCursor,
+    decodeCursor,
+    validateCursor,
+    buildAfterCondition,
+    buildKeysetQuery
+} = require('../src/utils/cursorPagination');
+
+const NEWEST_KEYS = [
+    { sql: '"property"."property_created_at"', direction: 'DESC' },
+    { sql: '"property"."property_id"', direction: 'DESC' }
+];
+
+const PRICE_KEYS = [
+    { sql: 'price_value', direction: 'ASC', nullable: true },
+    { sql: '"property"."property_id"', direction: 'ASC' }
+];
+
+/**
+ * Re-encode a cursor payload as-is (what a client editing the cursor would send)
+ * @param {object} payload - Raw cursor payload
+ * @returns {string}
+ */
+const forge = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+describe('encodeCursor / decodeCursor', () => {
+    it('round-trips the sort and the key values', () => {
+        const values = ['2026-10-19 08:15:42.123456+00', '42'];
+
+        const cursor = encodeCursor('newest', values);
+
+        assert.match(cursor, /^[A-Za-z0-9_-]+$/);
+        assert.deepEqual(decodeCursor(cursor), { sort: 'newest', values });
+    });
+
+    it('keeps null key values', () => {
+        assert.deepEqual(decodeCursor(encodeCursor('price_asc', [null, '7'])), { sort: 'price_asc', values: [null, '7'] });
+    });
+});
+
+describe('validateCursor', () => {
+    it('accepts a cursor issued for the same sort', () => {
+        assert.equal(validateCursor(encodeCursor('newest', ['2026-10-19', '42']), 'newest', 2), null);
+    });
+
+    for (const [label, cursor] of [
+        ['garbage', 'not-a-cursor'],
+        ['a payload without values', forge({ s: 'newest' })],
+        ['non-string values', forge({ s: 'newest', v: [{ $gt: 1 }, '42'] })],
+        ['numeric values', forge({ s: 'newest', v: [1, 2] })],
+        ['the wrong number of values', forge({ s: 'newest', v: ['42'] })]
+    ]) {
+        it(`rejects a tampered cursor with ${label}`, () => {
+            assert.equal(validateCursor(cursor, 'newest', 2), 'Invalid cursor');
+        });
+    }
+
+    it('rejects a cursor from another sort order', () => {
+        const cursor = encodeCursor('oldest', ['2026-10-19', '42']);
+
+        assert.equal(validateCursor(cursor, 'newest', 2), 'Cursor does not match the requested sort order');
+    });
+});
+
+describe('buildAfterCondition', () => {
+    it('continues strictly after the cursor row in descending order', () => {
+        const after = buildAfterCondition(NEWEST_KEYS, ['2026-10-19', '42']);
+
+        assert.equal(
+            after.sql,
+            '(("property"."property_created_at" < :cursorValue0) OR ("property"."property_created_at" = :cursorValue0 AND "property"."property_id" < :cursorValue1))'
+        );
+        assert.deepEqual(after.replacements, { cursorValue0: '2026-10-19', cursorValue1: '42' });
+    });
+
+    it('lets NULLS LAST keys include the null rows after a value', () => {
+        const after = buildAfterCondition(PRICE_KEYS, ['1500', '42']);
+
+        assert.equal(
+            after.sql,
+            '(((price_value > :cursorValue0 OR price_value IS NULL)) OR (price_value = :cursorValue0 AND "property"."property_id" > :cursorValue1))'
+        );
+    });
+
+    it('only ties on a null key value, since nothing sorts after NULL', () => {
+        const after = buildAfterCondition(PRICE_KEYS, [null, '42']);
+
+        assert.equal(after.sql, '((price_value IS NULL AND "property"."property_id" > :cursorValue1))');
+        assert.deepEqual(after.replacements, { cursorValue1: '42' });
+    });
+});
+
+describe('buildKeysetQuery', () => {
+    it('orders nullable keys NULLS LAST', () => {
+        const keyset = buildKeysetQuery({ sort: 'price_asc', keys: PRICE_KEYS });
+
+        assert.deepEqual(keyset.order.map(order => order.val), ['price_value ASC NULLS LAST', '"property"."property_id" ASC']);
+        assert.equal(keyset.condition, null);
+    });
+
+    it('binds the cursor values as replacements', () => {
+        const keyset = buildKeysetQuery({ sort: 'newest', keys: NEWEST_KEYS, cursor: encodeCursor('newest', ["x' OR '1'='1", '42']) });
+
+        assert.ok(!keyset.condition.val.includes("x' OR"));
+        assert.deepEqual(keyset.replacements, { cursorValue0: "x' OR '1'='1", cursorValue1: '42' });
+    });
+});
@@ -0,0 +1,179 @@
+/**
+ * In-memory stand-ins for the database layer
+ *
+ * The services run against Postgres-only SQL, so tests swap src/entity and
+ * WalletService for in-memory versions through the require cache. install()
+ * (and any stubModule() call) must run before the module under test is first required.
+ * Tests of WalletService itself keep the real service with install({ stubWallet: false })
+ * and seed a WalletAccount row per user, so it never takes the raw-SQL first-use path.
+ */
+
+const path = require('path');
+const Sequelize = require('sequelize');
+
+const SRC = path.join(__dirname, '..', '..', 'src');
+
+/**
+ * Minimal Sequelize-like model over an array of rows
+ * @param {string} primaryKey - Primary key attribute
+ * @param {object} [defaults] - Attribute defaults applied on create
+ * @returns {object} - Model with create/upsert/update/findOne/findAll/findByPk/count and a rows array
+ */
+function createModel(primaryKey, defaults = {}) {
+    const rows = [];
+    let nextId = 1;
+
+    const matches = (row, where = {}) => Object.entries(where).every(([key, value]) => (
+        value && Array.isArray(value[Sequelize.Op.in]) ? value[Sequelize.Op.in].includes(row[key]) : row[key] === value
+    ));
+
+    const wrap = (row) => Object.assign(Object.create({
+        async update(values) {
+            Object.assign(row, values, { updatedAt: new Date() });
+            Object.assign(this, row);
+            return this;
+        },
+        async reload() {
+            Object.assign(this, row);
+            return this;
+        },
+        toJSON() {
+            return { ...row };
+        }
+    }), row);
+
+    return {
+        rows,
+        async create(values) {
+            const row = {
+                ...defaults,
+                ...values,
+                [primaryKey]: values[primaryKey] === undefined ? nextId++ : values[primaryKey],
+                createdAt: new Date(),
+                updatedAt: new Date()
+            };
+            rows.push(row);
+            return wrap(row);
+        },
+        async upsert(values) {
+            const row = rows.find(candidate => candidate[primaryKey] === values[primaryKey]);
+            if (row) {
+                Object.assign(row, values, { updatedAt: new Date() });
+                return [wrap(row), false];
+            }
+            const created = { ...defaults, ...values, createdAt: new Date(), updatedAt: new Date() };
+            rows.push(created);
+            return [wrap(created), true];
+        },
+        async findOne({ where } = {}) {
+            const row = rows.find(candidate => matches(candidate, where));
+            return row ? wrap(row) : null;
+        },
+        async findAll({ where } = {}) {
+            return rows.filter(candidate => matches(candidate, where)).map(wrap);
+        },
+        async update(values, { where } = {}) {
+            const updated = rows.filter(candidate => matches(candidate, where));
+            updated.forEach(row => Object.assign(row, values, { updatedAt: new Date() }));
+            return [updated.length];
+        },
+        async findByPk(id) {
+            const row = rows.find(candidate => String(candidate[primaryKey]) === String(id));
+            return row ? wrap(row) : null;
+        },
+        async count({ where } = {}) {
+            return rows.filter(candidate => matches(candidate, where)).length;
+        }
+    };
+}
+
+/**
+ * Replace a src module with the given exports
+ * @param {string} modulePath - Path relative to src/
+ * @param {object} exports - What requiring it returns
+ */
+function stubModule(modulePath, exports) {
+    const filename = require.resolve(path.join(SRC, modulePath));
+    require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+/**
+ * Swap the entity index and WalletService for in-memory versions
+ * @param {object} [options]
+ * @param {boolean} [options.stubWallet=true] - Also replace WalletService
+ * @returns {{db: object, wallet: object}} - db holds the models; wallet.balance(userId) sums postings
+ */
+function install({ stubWallet = true } = {}) {
+    const db = {
+        Sequelize,
+        sequelize: {
+            transaction: async () => {
+                const transaction = {
+                    LOCK: Sequelize.Transaction.LOCK,
+                    finished: undefined,
+                    commit: async () => { transaction.finished = 'commit'; },
+                    rollback: async () => { transaction.finished = 'rollback'; }
+                };
+                return transaction;
+            }
+        },
+        PaymentOrder: createModel('paymentOrderId', { provider: 'RAZORPAY', currency: 'INR', status: 'CREATED' }),
+        WalletTransaction: createModel('transactionId'),
+        WalletAccount: createModel('userId', { balance: 0, heldBalance: 0 }),
+        WalletCreditBucket: createModel('bucketId', { status: 'ACTIVE', expiredAmount: 0, expiresAt: null }),
+        WalletAdjustmentRequest: createModel('adjustmentId', { status: 'PENDING', requiredApprovals: 1 }),
+        WalletAdjustmentApproval: createModel('approvalId'),
+        ListingModeration: createModel('moderationId', { status: 'PENDING', escalationLevel: 0 }),
+        ListingDraft: createModel('draftId', { draftStatus: 'DRAFT', draftData: {} }),
+        PlatformUser: createModel('userId', { role: 'PARTNER' }),
+        RefreshToken: createModel('tokenId'),
+        PartnerBusiness: createModel('businessId'),
+        ListingMediaHash: createModel('mediaKey')
+    };
+
+    /**
+     * Post an idempotent wallet entry the way WalletService does
+     * @param {string} type - CREDIT | DEBIT
+     * @returns {Function}
+     */
+    const post = (type) => async (userId, amount, description, metadata = {}, options = {}) => {
+        const existing = options.idempotencyKey
+            ? await db.WalletTransaction.findOne({ where: { userId, idempotencyKey: options.idempotencyKey } })
+            : null;
+        if (existing) {
+            return { success: true, transaction: existing, replayed: true };
+        }
+        if (type === 'DEBIT' && wallet.balance(userId) < amount) {
+            return { success: false, message: 'Insufficient balance' };
+        }
+        const transaction = await db.WalletTransaction.create({
+            userId,
+            amount,
+            type,
+            description,
+            metadata,
+            idempotencyKey: options.idempotencyKey || null
+        });
+        return { success: true, transaction };
+    };
+
+    const wallet = {
+        addFunds: post('CREDIT'),
+        deductFunds: post('DEBIT'),
+        balance: (userId) => db.WalletTransaction.rows
+            .filter(row => row.userId === userId)
+            .reduce((sum, row) => sum + (row.type === 'CREDIT' ? row.amount : -row.amount), 0)
+    };
+
+    stubModule('entity/index.js', db);
+    if (stubWallet) {
+        stubModule('service/WalletService.service.js', wallet);
+    }
+
+    return { db, wallet };
+}
+
+module.exports = {
+    install,
+    stubModule
+};
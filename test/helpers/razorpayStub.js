@@ -0,0 +1,178 @@
+/**
+ * Razorpay API Stub
+ *
+ * In-process HTTP server answering the Razorpay endpoints the payment code uses
+ * (orders, payment fetch, refunds). Point RAZORPAY_API_URL at it and the real SDK
+ * talks to it instead of https://api.razorpay.com.
+ *
+ * Run it on its own for local development:
+ *   node test/helpers/razorpayStub.js   # listens on RAZORPAY_STUB_PORT or 4010
+ * and pay an order the way Checkout would with
+ *   curl -X POST localhost:4010/stub/orders/<order_id>/payments -d '{"status":"captured"}'
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Start the stub
+ * @param {number} [port=0] - Port to listen on (0 picks a free one)
+ * @returns {Promise<object>} - { url, orders, payments, refunds, failNext, addPayment, close }
+ */
+async function startRazorpayStub(port = 0) {
+    const orders = new Map();
+    const payments = new Map();
+    const refunds = new Map();
+    let nextFailure = null;
+    let sequence = 0;
+
+    const newId = (prefix) => `${prefix}_stub${String(++sequence).padStart(6, '0')}`;
+
+    /**
+     * Record a payment against an order, as Checkout would
+     * @param {string} orderId - Stub order id
+     * @param {object} [overrides] - Fields to override (status, amount, ...)
+     * @returns {object} - Payment entity
+     */
+    const addPayment = (orderId, overrides = {}) => {
+        const order = orders.get(orderId);
+        const payment = {
+            id: newId('pay'),
+            entity: 'payment',
+            order_id: orderId,
+            amount: order ? order.amount : 0,
+            currency: order ? order.currency : 'INR',
+            status: 'captured',
+            amount_refunded: 0,
+            ...overrides
+        };
+        payments.set(payment.id, payment);
+        return payment;
+    };
+
+    const send = (res, statusCode, body) => {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(body));
+    };
+
+    const notFound = (res, description) => send(res, 400, {
+        error: { code: 'BAD_REQUEST_ERROR', description }
+    });
+
+    const routes = [
+        ['POST', /^\/stub\/orders\/([^/]+)\/payments$/, (body, [orderId]) => {
+            return orders.has(orderId) ? [200, addPayment(orderId, body)] : null;
+        }],
+        ['POST', /^\/v1\/orders$/, (body) => {
+            const order = {
+                id: newId('order'),
+                entity: 'order',
+                amount: body.amount,
+                currency: body.currency,
+                receipt: body.receipt,
+                notes: body.notes || {},
+                status: 'created',
+                created_at: Math.floor(Date.now() / 1000)
+            };
+            orders.set(order.id, order);
+            return [200, order];
+        }],
+        ['GET', /^\/v1\/payments\/([^/]+)$/, (body, [paymentId]) => {
+            const payment = payments.get(paymentId);
+            return payment ? [200, payment] : null;
+        }],
+        ['GET', /^\/v1\/payments\/([^/]+)\/refunds$/, (body, [paymentId]) => {
+            const items = [...refunds.values()].filter(refund => refund.payment_id === paymentId);
+            return [200, { entity: 'collection', count: items.length, items }];
+        }],
+        ['POST', /^\/v1\/payments\/([^/]+)\/refund$/, (body, [paymentId]) => {
+            const payment = payments.get(paymentId);
+            if (!payment) {
+                return null;
+            }
+            const refund = {
+                id: newId('rfnd'),
+                entity: 'refund',
+                payment_id: paymentId,
+                amount: body.amount || payment.amount,
+                notes: body.notes || {},
+                status: 'processed'
+            };
+            refunds.set(refund.id, refund);
+            payment.amount_refunded = refund.amount;
+            payment.status = 'refunded';
+            return [200, refund];
+        }]
+    ];
+
+    const server = http.createServer((req, res) => {
+        let raw = '';
+        req.on('data', chunk => { raw += chunk; });
+        req.on('end', () => {
+            if (nextFailure) {
+                const [statusCode, description] = nextFailure;
+                nextFailure = null;
+                send(res, statusCode, { error: { code: 'SERVER_ERROR', description } });
+                return;
+            }
+
+            const path = req.url.split('?')[0];
+            for (const [method, pattern, handler] of routes) {
+                const match = req.method === method && path.match(pattern);
+                if (match) {
+                    const result = handler(raw ? JSON.parse(raw) : {}, match.slice(1));
+                    if (!result) {
+                        notFound(res, 'The id provided does not exist');
+                        return;
+                    }
+                    send(res, ...result);
+                    return;
+                }
+            }
+            notFound(res, `No stub for ${req.method} ${path}`);
+        });
+    });
+
+    await new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        orders,
+        payments,
+        refunds,
+
+        /**
+         * Make the next request fail with a gateway error
+         * @param {number} [statusCode=502]
+         * @param {string} [description]
+         */
+        failNext(statusCode = 502, description = 'Gateway unavailable') {
+            nextFailure = [statusCode, description];
+        },
+
+        addPayment,
+
+        close() {
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+/**
+ * Hex HMAC-SHA256, as Razorpay signs checkout callbacks and webhooks
+ * @param {string|Buffer} payload - Signed payload
+ * @param {string} secret - Key secret or webhook secret
+ * @returns {string}
+ */
+const sign = (payload, secret) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+if (require.main === module) {
+    startRazorpayStub(Number(process.env.RAZORPAY_STUB_PORT) || 4010).then(stub => {
+        console.log(`Razorpay stub listening on ${stub.url}`);
+    });
+}
+
+module.exports = {
+    startRazorpayStub,
+    sign
+};
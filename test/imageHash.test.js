@@ -0,0 +1,52 @@
+/**
+ * Perceptual hashes: the same photo re-encoded stays within PHASH_MAX_DISTANCE, different
+ * photos do not, and files that are not images have no hash.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { computePhash } = require('../src/utils/imageHash');
+const { PHASH_MAX_DISTANCE } = require('../src/config/listingDuplicate.config');
+
+/**
+ * Deterministic RGB test picture
+ * @param {Function} shade - (x, y) => 0..255
+ * @returns {Promise<Buffer>} - PNG
+ */
+const picture = (shade, size = 256) => {
+    const pixels = Buffer.alloc(size * size * 3);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const value = Math.max(0, Math.min(255, Math.round(shade(x / size, y / size))));
+            pixels.set([value, (value * 3) % 256, 255 - value], (y * size + x) * 3);
+        }
+    }
+    return sharp(pixels, { raw: { width: size, height: size, channels: 3 } }).png().toBuffer();
+};
+
+const distance = (a, b) => [...(BigInt(`0x${a}`) ^ BigInt(`0x${b}`)).toString(2)].filter(bit => bit === '1').length;
+
+const room = () => picture((x, y) => 128 + 90 * Math.sin(6 * x) * Math.cos(4 * y) + (x > 0.6 && y < 0.4 ? 60 : 0));
+const street = () => picture((x, y) => 128 + 100 * Math.cos(9 * y + 2 * x) - (x < 0.3 ? 70 : 0));
+
+describe('computePhash', () => {
+    it('returns 16 hex characters for an image', async () => {
+        assert.match(await computePhash(await room()), /^[0-9a-f]{16}$/);
+    });
+
+    it('keeps a resized, recompressed copy within PHASH_MAX_DISTANCE', async () => {
+        const original = await room();
+        const copy = await sharp(original).resize(180, 180).jpeg({ quality: 40 }).toBuffer();
+
+        assert.ok(distance(await computePhash(original), await computePhash(copy)) <= PHASH_MAX_DISTANCE);
+    });
+
+    it('puts a different photo further than PHASH_MAX_DISTANCE away', async () => {
+        assert.ok(distance(await computePhash(await room()), await computePhash(await street())) > PHASH_MAX_DISTANCE);
+    });
+
+    it('returns null for a file that is not an image', async () => {
+        assert.equal(await computePhash(Buffer.from('%PDF-1.7 not an image')), null);
+    });
+});
@@ -0,0 +1,62 @@
+/**
+ * Listing charge capture: a hold that cannot be captured once the listing is live is
+ * flagged for the wallet reconciliation job, and the activity still fails so Temporal retries.
+ */
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fakeDb = require('./helpers/fakeDb');
+
+let captureResult;
+let flagged;
+let flagResult;
+let captureListingCredits;
+
+before(() => {
+    fakeDb.install();
+    fakeDb.stubModule('service/WalletService.service.js', {
+        captureReservation: async (reservationId, metadata) => captureResult(reservationId, metadata),
+        flagReservationForCapture: async (reservationId, failure) => {
+            flagged.push({ reservationId, ...failure });
+            return flagResult;
+        }
+    });
+    require('../src/config/winston.config').silent = true;
+
+    ({ captureListingCredits } = require('../src/temporal/activities/listingCharge.activities'));
+});
+
+beforeEach(() => {
+    flagged = [];
+    flagResult = { success: true };
+});
+
+describe('captureListingCredits', () => {
+    it('captures the hold for the published listing', async () => {
+        captureResult = async (reservationId, metadata) => ({ success: true, transaction: { transactionId: 90 }, reservation: { reservationId, metadata } });
+
+        assert.deepEqual(await captureListingCredits({ reservationId: 5, listingId: 12 }), { success: true, transactionId: 90 });
+        assert.deepEqual(flagged, []);
+    });
+
+    it('flags the hold for reconciliation and throws when capture fails', async () => {
+        captureResult = async () => ({ success: false, message: 'connection terminated' });
+
+        await assert.rejects(captureListingCredits({ reservationId: 5, listingId: 12 }), /connection terminated/);
+        assert.deepEqual(flagged, [{ reservationId: 5, listingId: 12, reason: 'connection terminated' }]);
+    });
+
+    it('still throws the capture error when the hold cannot be flagged', async () => {
+        captureResult = async () => ({ success: false, message: 'connection terminated' });
+        flagResult = { success: false, message: 'connection terminated' };
+
+        await assert.rejects(captureListingCredits({ reservationId: 5, listingId: 12 }), /connection terminated/);
+        assert.equal(flagged.length, 1);
+    });
+
+    it('does nothing for free listings', async () => {
+        captureResult = async () => assert.fail('free listings hold nothing');
+
+        assert.deepEqual(await captureListingCredits({ reservationId: null, listingId: 12 }), { success: true });
+    });
+});
@@ -0,0 +1,161 @@
+/**
+ * submitDraft hands every draft type to its publishing workflow.
+ */
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fakeDb = require('./helpers/fakeDb');
+
+const USER_ID = 5;
+
+let db;
+let started;
+let nextRun;
+let ListingDraftService;
+
+before(() => {
+    ({ db } = fakeDb.install());
+
+    const workflowHelper = require('../src/utils/workflowHelper');
+    fakeDb.stubModule('utils/workflowHelper.js', {
+        ...workflowHelper,
+        runWorkflowAsync: async (workflowName, input, workflowId, startOptions) => {
+            started.push({ workflowName, input, workflowId, startOptions });
+            return nextRun(workflowId);
+        }
+    });
+
+    ListingDraftService = require('../src/service/ListingDraftService.service');
+});
+
+beforeEach(() => {
+    db.ListingDraft.rows.length = 0;
+    started = [];
+    nextRun = (workflowId) => ({ workflowId, mode: 'temporal' });
+});
+
+/**
+ * Draft owned by USER_ID
+ * @param {string} draftType - PROPERTY | PG | PROJECT | DEVELOPER
+ * @param {object} [values] - Other attributes
+ * @returns {Promise<object>}
+ */
+const createDraft = (draftType, values = {}) => db.ListingDraft.create({
+    userId: USER_ID,
+    draftType,
+    draftData: { propertyName: 'Lake View' },
+    ...values
+});
+
+describe('submitDraft', () => {
+    for (const [draftType, workflowName, workflowIdPrefix] of [
+        ['PROPERTY', 'propertyPublishing', 'property-publish'],
+        ['PG', 'pgHostelPublishing', 'pg-hostel-publish'],
+        ['DEVELOPER', 'developerPublishing', 'developer-publish']
+    ]) {
+        it(`starts ${workflowName} for a ${draftType} draft`, async () => {
+            const draft = await createDraft(draftType);
+
+            const result = await ListingDraftService.submitDraft(draft.draftId, USER_ID);
+
+            assert.equal(result.success, true);
+            assert.equal(started.length, 1);
+            assert.equal(started[0].workflowName, workflowName);
+            assert.deepEqual(started[0].input, { userId: USER_ID, draftId: draft.draftId });
+            assert.equal(started[0].workflowId, `${workflowIdPrefix}-draft-${draft.draftId}`);
+            assert.deepEqual(started[0].startOptions, { workflowIdReusePolicy: 'REJECT_DUPLICATE' });
+            assert.equal(result.data.workflowId, started[0].workflowId);
+            assert.equal(result.data.executionMode, 'temporal');
+        });
+    }
+
+    it('starts projectPublishing with the draft data for a PROJECT draft', async () => {
+        const draft = await createDraft('PROJECT', { draftData: { projectName: 'Green Valley' } });
+
+        const result = await ListingDraftService.submitDraft(draft.draftId, USER_ID);
+
+        assert.equal(result.success, true);
+        assert.equal(started[0].workflowName, 'projectPublishing');
+        assert.deepEqual(started[0].input, {
+            userId: USER_ID,
+            draftId: draft.draftId,
+            projectData: { projectName: 'Green Valley' }
+        });
+        assert.match(started[0].workflowId, /^project-publish-/);
+    });
+
+    it('does not touch the draft or create listings itself', async () => {
+        const draft = await createDraft('PROPERTY');
+
+        await ListingDraftService.submitDraft(draft.draftId, USER_ID);
+
+        assert.equal(db.ListingDraft.rows[0].draftStatus, 'DRAFT');
+    });
+
+    it('reports a direct run that stopped short', async () => {
+        const draft = await createDraft('PG');
+        nextRun = (workflowId) => ({
+            workflowId,
+            mode: 'direct',
+            result: { success: false, message: 'Listing looks like a duplicate' }
+        });
+
+        const result = await ListingDraftService.submitDraft(draft.draftId, USER_ID);
+
+        assert.equal(result.success, false);
+        assert.equal(result.statusCode, 422);
+        assert.equal(result.message, 'Listing looks like a duplicate');
+    });
+
+    it('returns the result of a direct run', async () => {
+        const draft = await createDraft('DEVELOPER');
+        nextRun = (workflowId) => ({ workflowId, mode: 'direct', result: { success: true, message: 'Developer submitted for review' } });
+
+        const result = await ListingDraftService.submitDraft(draft.draftId, USER_ID);
+
+        assert.equal(result.success, true);
+        assert.equal(result.data.executionMode, 'direct');
+        assert.equal(result.data.result.message, 'Developer submitted for review');
+    });
+
+    it('refuses a draft of another user', async () => {
+        const draft = await createDraft('PROPERTY');
+
+        const result = await ListingDraftService.submitDraft(draft.draftId, USER_ID + 1);
+
+        assert.equal(result.statusCode, 404);
+        assert.equal(started.length, 0);
+    });
+
+    it('refuses a published draft', async () => {
+        const draft = await createDraft('PROPERTY', { draftStatus: 'PUBLISHED' });
+
+        const result = await ListingDraftService.submitDraft(draft.draftId, USER_ID);
+
+        assert.equal(result.statusCode, 409);
+        assert.equal(started.length, 0);
+    });
+
+    it('refuses a draft whose publishing workflow was already started', async () => {
+        const draft = await createDraft('PROPERTY');
+        nextRun = (workflowId) => {
+            const error = new Error(`Workflow execution already started: ${workflowId}`);
+            error.name = 'WorkflowExecutionAlreadyStartedError';
+            throw error;
+        };
+
+        const result = await ListingDraftService.submitDraft(draft.draftId, USER_ID);
+
+        assert.equal(result.success, false);
+        assert.equal(result.statusCode, 409);
+    });
+
+    it('refuses an unknown draft type', async () => {
+        const draft = await createDraft('BOAT');
+
+        const result = await ListingDraftService.submitDraft(draft.draftId, USER_ID);
+
+        assert.equal(result.statusCode, 400);
+        assert.equal(started.length, 0);
+    });
+});
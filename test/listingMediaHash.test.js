@@ -0,0 +1,120 @@
+/**
+ * Listing photo hashes come from the stored files: recorded on upload, or hashed from
+ * storage for direct uploads. Hashes supplied with the listing data are never used.
+ */
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const fakeDb = require('./helpers/fakeDb');
+
+let db;
+let objects;
+let fetched;
+let ListingMediaHashService;
+let uploadToS3;
+
+/**
+ * Just enough of the aws-sdk S3 client, over an in-memory bucket
+ */
+const s3 = {
+    upload(params) {
+        return { promise: async () => { objects.set(params.Key, params.Body); return { Location: `https://listings.example.com/${params.Key}` }; } };
+    },
+    headObject({ Key }) {
+        return {
+            promise: async () => {
+                if (!objects.has(Key)) {
+                    throw Object.assign(new Error('NotFound'), { code: 'NotFound' });
+                }
+                return { ContentLength: objects.get(Key).length };
+            }
+        };
+    },
+    getObject({ Key }) {
+        return { promise: async () => { fetched.push(Key); return { Body: objects.get(Key) }; } };
+    }
+};
+
+const photo = () => sharp({ create: { width: 64, height: 48, channels: 3, background: '#8a5a2b' } })
+    .composite([{ input: Buffer.from('<svg width="64" height="48"><rect x="8" y="6" width="30" height="20" fill="#fff"/></svg>'), left: 0, top: 0 }])
+    .jpeg()
+    .toBuffer();
+
+before(() => {
+    process.env.S3_LISTING_BUCKET = 'listings';
+
+    ({ db } = fakeDb.install());
+    fakeDb.stubModule('config/s3.config.js', { s3, defaultBucket: 'listings' });
+    require('../src/config/winston.config').silent = true;
+
+    ListingMediaHashService = require('../src/service/ListingMediaHashService.service');
+    ({ uploadToS3 } = require('../src/utils/s3Upload'));
+});
+
+beforeEach(() => {
+    objects = new Map();
+    fetched = [];
+    db.ListingMediaHash.rows.length = 0;
+});
+
+describe('getMediaKey', () => {
+    it('prefers the entry key and otherwise reads the URL path', () => {
+        assert.equal(ListingMediaHashService.getMediaKey({ key: 'drafts/a.jpg', url: 'https://x/other.jpg' }), 'drafts/a.jpg');
+        assert.equal(ListingMediaHashService.getMediaKey({ url: 'https://listings.s3.amazonaws.com/drafts/b.jpg' }), 'drafts/b.jpg');
+        assert.equal(ListingMediaHashService.getMediaKey('https://storage.example.com/listings/drafts/c.jpg'), 'drafts/c.jpg');
+        assert.equal(ListingMediaHashService.getMediaKey({ url: 'not a url' }), null);
+    });
+});
+
+describe('uploadToS3', () => {
+    it('records the hash of an uploaded image', async () => {
+        const { key } = await uploadToS3({ fileBuffer: await photo(), fileName: 'room.jpg', mimetype: 'image/jpeg', folder: 'drafts', userId: 7 });
+
+        const [row] = db.ListingMediaHash.rows;
+        assert.equal(row.mediaKey, key);
+        assert.match(row.phash, /^[0-9a-f]{16}$/);
+        assert.equal(row.userId, 7);
+    });
+
+    it('does not hash other files', async () => {
+        await uploadToS3({ fileBuffer: Buffer.from('%PDF'), fileName: 'plan.pdf', mimetype: 'application/pdf', folder: 'drafts', userId: 7 });
+
+        assert.equal(db.ListingMediaHash.rows.length, 0);
+    });
+});
+
+describe('hashListingMedia', () => {
+    it('hashes a direct upload from storage once and reuses the stored hash', async () => {
+        objects.set('drafts/direct.jpg', await photo());
+        const mediaData = [{ key: 'drafts/direct.jpg', mimetype: 'image/jpeg' }];
+
+        const first = await ListingMediaHashService.hashListingMedia(mediaData, 3);
+        const second = await ListingMediaHashService.hashListingMedia(mediaData, 3);
+
+        assert.equal(first.length, 1);
+        assert.deepEqual(second, first);
+        assert.deepEqual(fetched, ['drafts/direct.jpg']);
+    });
+
+    it('ignores a hash supplied with the listing data', async () => {
+        objects.set('drafts/direct.jpg', await photo());
+
+        const [phash] = await ListingMediaHashService.hashListingMedia([{ key: 'drafts/direct.jpg', mimetype: 'image/jpeg', phash: 'ffffffffffffffff' }]);
+
+        assert.notEqual(phash, 'ffffffffffffffff');
+        assert.equal(phash, await require('../src/utils/imageHash').computePhash(objects.get('drafts/direct.jpg')));
+    });
+
+    it('skips files that are not photos or cannot be read yet', async () => {
+        const phashes = await ListingMediaHashService.hashListingMedia([
+            { key: 'drafts/brochure.pdf', mimetype: 'application/pdf' },
+            { key: 'drafts/missing.jpg' }
+        ]);
+
+        assert.deepEqual(phashes, []);
+        assert.deepEqual(fetched, []);
+        // The missing photo is retried on the next check
+        assert.equal(db.ListingMediaHash.rows.length, 0);
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * Moderation decisions reach the publishing workflows from the moderation item,
+ * never from what the signal or re-run carries.
+ */
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fakeDb = require('./helpers/fakeDb');
+
+let db;
+let activities;
+let directHelper;
+
+before(() => {
+    ({ db } = fakeDb.install());
+    require('../src/config/winston.config').silent = true;
+
+    activities = require('../src/temporal/activities/listingModeration.activities');
+    directHelper = require('../src/temporal/workflows/skip-workflow/listingModeration-non.helper');
+});
+
+beforeEach(() => {
+    db.ListingModeration.rows.length = 0;
+});
+
+/**
+ * Moderation item as a reviewer left it
+ * @param {object} [values] - Attributes to set
+ * @returns {Promise<object>}
+ */
+const createItem = (values = {}) => db.ListingModeration.create({
+    userId: 1,
+    draftId: 10,
+    listingType: 'PROPERTY',
+    reviewerId: null,
+    reviewComment: null,
+    ...values
+});
+
+describe('getModerationDecision', () => {
+    it('reports an open item as undecided', async () => {
+        const item = await createItem({ status: 'ESCALATED' });
+
+        const result = await activities.getModerationDecision({ moderationId: item.moderationId });
+
+        assert.deepEqual(result, { decided: false });
+    });
+
+    it('returns the recorded decision', async () => {
+        const item = await createItem({ status: 'REJECTED', reviewerId: 3, reviewComment: 'Blurry photos' });
+
+        const result = await activities.getModerationDecision({ moderationId: item.moderationId });
+
+        assert.deepEqual(result, {
+            decided: true,
+            decision: { moderationId: item.moderationId, decision: 'REJECTED', reviewerId: 3, comment: 'Blurry photos' }
+        });
+    });
+
+    it('fails for an unknown item', async () => {
+        await assert.rejects(activities.getModerationDecision({ moderationId: 404 }), /not found/);
+    });
+});
+
+describe('direct-mode awaitModerationDecision', () => {
+    it('uses the decision on the item rather than the one in the workflow input', async () => {
+        const item = await createItem({ status: 'REJECTED', reviewerId: 3, reviewComment: 'Duplicate' });
+
+        const moderation = await directHelper.awaitModerationDecision('propertyPublishing', {
+            userId: 1,
+            draftId: 10,
+            moderation: { moderationId: item.moderationId, decision: 'APPROVED' }
+        }, { listingType: 'PROPERTY', isUpdate: false, listingData: {} });
+
+        assert.equal(moderation.success, true);
+        assert.equal(moderation.decision, 'REJECTED');
+        assert.notEqual(directHelper.getModerationStopResult('Property', moderation), null);
+    });
+
+    it('refuses to continue while the item is still open', async () => {
+        const item = await createItem({ status: 'PENDING' });
+
+        const moderation = await directHelper.awaitModerationDecision('propertyPublishing', {
+            userId: 1,
+            draftId: 10,
+            moderation: { moderationId: item.moderationId }
+        }, { listingType: 'PROPERTY', isUpdate: false, listingData: {} });
+
+        assert.equal(moderation.success, false);
+    });
+});
+
+describe('direct-mode resolveListingData', () => {
+    it('publishes the submission the reviewer approved, not the edited draft', async () => {
+        const item = await createItem({ status: 'APPROVED', reviewerId: 3, listingData: { title: 'Reviewed 2BHK' } });
+
+        const listingData = await directHelper.resolveListingData({
+            userId: 1,
+            draftId: 10,
+            moderation: { moderationId: item.moderationId }
+        }, { title: 'Edited while pending' });
+
+        assert.deepEqual(listingData, { title: 'Reviewed 2BHK' });
+    });
+
+    it('uses the fetched draft on a first run', async () => {
+        const listingData = await directHelper.resolveListingData({ userId: 1, draftId: 10 }, { title: 'New' });
+
+        assert.deepEqual(listingData, { title: 'New' });
+    });
+
+    it('refuses an item recorded for another draft', async () => {
+        const item = await createItem({ status: 'APPROVED', draftId: 11, listingData: {} });
+
+        await assert.rejects(directHelper.resolveListingData({
+            userId: 1,
+            draftId: 10,
+            moderation: { moderationId: item.moderationId }
+        }, {}), /does not belong/);
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Direct-mode property publishing: the credit hold is captured once the listing exists
+ * and released when publishing fails after the reservation.
+ */
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fakeDb = require('./helpers/fakeDb');
+
+const USER_ID = 3;
+const DRAFT_ID = 41;
+const RESERVATION_ID = 17;
+
+let calls;
+let createRecord;
+let propertyPublishing;
+
+before(() => {
+    fakeDb.install();
+    fakeDb.stubModule('temporal/activities/propertyPublishing.activities.js', {
+        fetchListingDraftData: async () => ({ success: true, data: { propertyName: 'Lake View' } }),
+        validatePropertyData: async () => ({ success: true, existingProperty: null }),
+        createPropertyRecord: async (input) => createRecord(input),
+        updateListingDraftStatus: async () => ({ success: true }),
+        getUserEmail: async () => ({ success: false }),
+        sendPropertyPublishingNotification: async () => ({ success: true })
+    });
+    fakeDb.stubModule('temporal/activities/listingDuplicate.activities.js', {
+        checkListingDuplicates: async () => ({ blocked: false, matches: [] }),
+        recordListingDuplicates: async () => ({ success: true })
+    });
+    fakeDb.stubModule('temporal/activities/listingCharge.activities.js', {
+        reserveListingCredits: async (input) => {
+            calls.push(['reserve', input]);
+            return { success: true, reservationId: RESERVATION_ID, amount: 10 };
+        },
+        captureListingCredits: async (input) => {
+            calls.push(['capture', input]);
+            return { success: true };
+        },
+        releaseListingCredits: async (input) => {
+            calls.push(['release', input]);
+            return { success: true };
+        }
+    });
+    fakeDb.stubModule('temporal/workflows/skip-workflow/listingModeration-non.helper.js', {
+        resolveListingData: async (workflowInput, listingData) => listingData,
+        awaitModerationDecision: async () => ({ success: true, decision: 'APPROVED' }),
+        getModerationStopResult: () => null
+    });
+    require('../src/config/winston.config').silent = true;
+
+    ({ propertyPublishing } = require('../src/temporal/workflows/skip-workflow/propertyPublishing-non.workflow'));
+});
+
+beforeEach(() => {
+    calls = [];
+    createRecord = async () => ({ success: true, data: { propertyId: 90 } });
+});
+
+/**
+ * Charge steps the workflow ran, by name
+ * @returns {Array<string>}
+ */
+const chargeSteps = () => calls.map(([step]) => step);
+
+describe('direct-mode propertyPublishing credit hold', () => {
+    it('captures the hold once the listing exists', async () => {
+        const result = await propertyPublishing({ userId: USER_ID, draftId: DRAFT_ID });
+
+        assert.equal(result.success, true, result.message);
+        assert.deepEqual(chargeSteps(), ['reserve', 'capture']);
+        assert.deepEqual(calls[1][1], { reservationId: RESERVATION_ID, listingId: 90 });
+    });
+
+    it('releases the hold when the listing cannot be created', async () => {
+        createRecord = async () => ({ success: false, message: 'Invalid locality' });
+
+        const result = await propertyPublishing({ userId: USER_ID, draftId: DRAFT_ID });
+
+        assert.equal(result.success, false);
+        assert.deepEqual(chargeSteps(), ['reserve', 'release']);
+        assert.deepEqual(calls[1][1], { reservationId: RESERVATION_ID, reason: 'Invalid locality' });
+    });
+
+    it('releases the hold when creating the listing throws', async () => {
+        createRecord = async () => { throw new Error('connection terminated'); };
+
+        const result = await propertyPublishing({ userId: USER_ID, draftId: DRAFT_ID });
+
+        assert.equal(result.success, false);
+        assert.deepEqual(chargeSteps(), ['reserve', 'release']);
+        assert.equal(calls[1][1].reservationId, RESERVATION_ID);
+    });
+});
@@ -0,0 +1,145 @@
+/**
+ * Draft data to entity create payloads, per listing type.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    validateDate,
+    createSlug,
+    toLocationPoint,
+    toPropertyRecord,
+    toPgHostelRecord,
+    toProjectRecord,
+    toDeveloperRecord
+} = require('../src/utils/listingRecordMapper');
+
+const COORDINATES = { lat: 12.97, lng: 77.59 };
+
+const POINT = {
+    type: 'Point',
+    coordinates: [77.59, 12.97],
+    crs: { type: 'name', properties: { name: 'EPSG:4326' } }
+};
+
+describe('helpers', () => {
+    it('validateDate keeps valid dates and drops invalid ones', () => {
+        assert.deepEqual(validateDate('2026-01-15'), new Date('2026-01-15'));
+        assert.equal(validateDate('Invalid date'), null);
+        assert.equal(validateDate('  '), null);
+        assert.equal(validateDate('not a date'), null);
+        assert.equal(validateDate(null), null);
+    });
+
+    it('createSlug lowercases and hyphenates', () => {
+        assert.equal(createSlug('Sunrise  PG & Hostel!'), 'sunrise-pg-hostel');
+    });
+
+    it('toLocationPoint builds a lng/lat GeoJSON point only when both coordinates are set', () => {
+        assert.deepEqual(toLocationPoint(12.97, 77.59), POINT);
+        assert.equal(toLocationPoint(12.97, null), null);
+    });
+});
+
+describe('toPropertyRecord', () => {
+    it('maps draft data onto property attributes with defaults', () => {
+        const record = toPropertyRecord(5, 40, {
+            title: '2 BHK near the lake',
+            propertyType: 'APARTMENT',
+            listingType: 'SALE',
+            coordinates: COORDINATES,
+            bedrooms: 2,
+            availableFrom: 'Invalid date',
+            pricing: [{ amount: 7500000 }]
+        });
+
+        assert.equal(record.propertyName, '2 BHK near the lake');
+        assert.equal(record.createdBy, 5);
+        assert.equal(record.draftId, 40);
+        assert.equal(record.status, 'ACTIVE');
+        assert.equal(record.projectId, null);
+        assert.equal(record.lat, 12.97);
+        assert.equal(record.lng, 77.59);
+        assert.deepEqual(record.location, POINT);
+        assert.equal(record.bedrooms, 2);
+        assert.equal(record.availableFrom, null);
+        assert.deepEqual(record.pricing, [{ amount: 7500000 }]);
+        assert.deepEqual(record.amenities, []);
+        assert.equal(record.isGated, false);
+        assert.deepEqual(record.furnishingDetails, {});
+    });
+
+    it('leaves location empty without coordinates', () => {
+        const record = toPropertyRecord(5, 40, { propertyName: 'Plot 7' });
+
+        assert.equal(record.propertyName, 'Plot 7');
+        assert.equal(record.lat, null);
+        assert.equal(record.location, null);
+    });
+});
+
+describe('toPgHostelRecord', () => {
+    it('maps draft data onto PG/hostel attributes', () => {
+        const record = toPgHostelRecord(5, 41, {
+            propertyName: 'Sunrise PG',
+            genderAllowed: 'FEMALE',
+            coordinates: COORDINATES,
+            city: 'Bengaluru',
+            locality: 'Indiranagar',
+            addressText: '12 Main Road',
+            roomTypes: [{ type: 'SINGLE' }]
+        }, 'sunrise-pg');
+
+        assert.equal(record.userId, 5);
+        assert.equal(record.draftId, 41);
+        assert.equal(record.slug, 'sunrise-pg');
+        assert.equal(record.genderAllowed, 'FEMALE');
+        assert.deepEqual(record.location, POINT);
+        assert.equal(record.locality, 'Indiranagar');
+        assert.deepEqual(record.roomTypes, [{ type: 'SINGLE' }]);
+        assert.deepEqual(record.rules, []);
+        assert.equal(record.isBrandManaged, false);
+    });
+
+    it('requires coordinates', () => {
+        assert.throws(
+            () => toPgHostelRecord(5, 41, { propertyName: 'Sunrise PG', coordinates: { lat: 12.97 } }, 'sunrise-pg'),
+            /Coordinates \(lat, lng\) are required/
+        );
+    });
+});
+
+describe('toProjectRecord', () => {
+    it('keeps project details in the projectDetails JSONB', () => {
+        const record = toProjectRecord(5, {
+            name: 'Green Valley',
+            lat: 12.97,
+            lng: 77.59,
+            city: 'Bengaluru',
+            totalUnits: 500,
+            amenities: ['Gym'],
+            customFields: { clubHouse: true }
+        });
+
+        assert.equal(record.projectName, 'Green Valley');
+        assert.equal(record.createdBy, 5);
+        assert.deepEqual(record.location, POINT);
+        assert.equal(record.projectDetails.city, 'Bengaluru');
+        assert.equal(record.projectDetails.totalUnits, 500);
+        assert.deepEqual(record.projectDetails.amenities, ['Gym']);
+        assert.deepEqual(record.projectDetails.videos, []);
+        assert.equal(record.projectDetails.reraNumber, null);
+        assert.equal(record.projectDetails.clubHouse, true);
+    });
+});
+
+describe('toDeveloperRecord', () => {
+    it('maps the developer profile', () => {
+        assert.deepEqual(toDeveloperRecord(5, 42, { developerName: 'Acme Builders', website: 'ignored' }), {
+            userId: 5,
+            draftId: 42,
+            developerName: 'Acme Builders',
+            subscribeForDeveloperPage: false
+        });
+    });
+});
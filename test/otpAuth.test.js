@@ -0,0 +1,142 @@
+/**
+ * OTP verification: the code is consumed only once the user is logged in.
+ */
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fakeDb = require('./helpers/fakeDb');
+
+const PHONE = '+919800000001';
+const OTP_SECRET = 'test_otp_secret';
+
+let db;
+let store;
+let OtpAuthService;
+
+/**
+ * Just enough of the node-redis client for OTP verification
+ */
+const redis = {
+    async ttl(key) {
+        return store.has(key) ? -1 : -2;
+    },
+    async hGetAll(key) {
+        return { ...(store.get(key) || {}) };
+    },
+    // Only the attempt-counting script is used
+    async eval(script, { keys: [key] }) {
+        const hash = store.get(key);
+        if (!hash) {
+            return null;
+        }
+        hash.attempts = Number(hash.attempts || 0) + 1;
+        return hash.attempts;
+    },
+    async incr(key) {
+        store.set(key, Number(store.get(key) || 0) + 1);
+        return store.get(key);
+    },
+    async expire() {},
+    async del(keys) {
+        [].concat(keys).forEach(key => store.delete(key));
+    }
+};
+
+before(() => {
+    process.env.OTP_HASH_SECRET = OTP_SECRET;
+    process.env.SMS_PROVIDER = 'sink';
+
+    ({ db } = fakeDb.install());
+    fakeDb.stubModule('config/redis.config.js', { getRedisConnection: async () => redis });
+    require('../src/config/winston.config').silent = true;
+
+    OtpAuthService = require('../src/service/OtpAuthService.service');
+});
+
+beforeEach(() => {
+    store = new Map();
+    db.PlatformUser.rows.length = 0;
+});
+
+/**
+ * Store an OTP the way sendOtp does
+ * @param {string} otp - Code
+ */
+const issueOtp = (otp) => {
+    const hash = crypto.createHmac('sha256', OTP_SECRET).update(`${PHONE}:${otp}`).digest('hex');
+    store.set(`otp:code:${PHONE}`, { hash, attempts: '0' });
+};
+
+describe('verifyOtp', () => {
+    it('creates a user for a new phone and consumes the code', async () => {
+        issueOtp('123456');
+
+        const result = await OtpAuthService.verifyOtp(PHONE, '123456');
+
+        assert.equal(result.verified, true);
+        assert.equal(result.user.phone, PHONE);
+        assert.equal(result.user.role, 'PARTNER');
+        assert.equal(db.PlatformUser.rows.length, 1);
+        assert.equal(store.has(`otp:code:${PHONE}`), false);
+    });
+
+    it('logs in an existing user', async () => {
+        const user = await db.PlatformUser.create({ phone: PHONE, firstName: 'Asha', lastName: 'Rao', role: 'REVIEWER' });
+        issueOtp('123456');
+
+        const result = await OtpAuthService.verifyOtp(PHONE, '123456');
+
+        assert.equal(result.verified, true);
+        assert.equal(result.user.userId, user.userId);
+        assert.equal(result.user.role, 'REVIEWER');
+        assert.ok(db.PlatformUser.rows[0].phoneVerifiedAt instanceof Date);
+        assert.equal(db.PlatformUser.rows.length, 1);
+    });
+
+    it('keeps the code when the login cannot be completed', async () => {
+        issueOtp('123456');
+        const findOne = db.PlatformUser.findOne;
+        db.PlatformUser.findOne = async () => { throw new Error('connection lost'); };
+
+        try {
+            await assert.rejects(OtpAuthService.verifyOtp(PHONE, '123456'), /Failed to verify OTP/);
+        } finally {
+            db.PlatformUser.findOne = findOne;
+        }
+
+        assert.equal(store.has(`otp:code:${PHONE}`), true);
+        const retry = await OtpAuthService.verifyOtp(PHONE, '123456');
+        assert.equal(retry.verified, true);
+    });
+
+    it('does not recreate a code that expired after it was read', async () => {
+        issueOtp('123456');
+        const hGetAll = redis.hGetAll;
+        redis.hGetAll = async (key) => {
+            const otpData = await hGetAll(key);
+            store.delete(key);
+            return otpData;
+        };
+
+        try {
+            const result = await OtpAuthService.verifyOtp(PHONE, '123456');
+            assert.equal(result.verified, false);
+            assert.match(result.message, /expired/);
+        } finally {
+            redis.hGetAll = hGetAll;
+        }
+
+        assert.equal(store.has(`otp:code:${PHONE}`), false);
+    });
+
+    it('rejects a wrong code', async () => {
+        issueOtp('123456');
+
+        const result = await OtpAuthService.verifyOtp(PHONE, '654321');
+
+        assert.equal(result.verified, false);
+        assert.match(result.message, /2 attempts remaining/);
+        assert.equal(db.PlatformUser.rows.length, 0);
+    });
+});
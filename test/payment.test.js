@@ -0,0 +1,342 @@
+/**
+ * Credit pack purchases against the Razorpay stub: order creation, checkout
+ * verification, webhooks, and settlement/expiry of payment orders.
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startRazorpayStub, sign } = require('./helpers/razorpayStub');
+const fakeDb = require('./helpers/fakeDb');
+
+const KEY_SECRET = 'test_key_secret';
+const WEBHOOK_SECRET = 'test_webhook_secret';
+const USER_ID = 7;
+
+let stub;
+let db;
+let wallet;
+let PaymentService;
+let activities;
+
+before(async () => {
+    stub = await startRazorpayStub();
+
+    process.env.RAZORPAY_KEY_ID = 'rzp_test_key';
+    process.env.RAZORPAY_KEY_SECRET = KEY_SECRET;
+    process.env.RAZORPAY_WEBHOOK_SECRET = WEBHOOK_SECRET;
+    process.env.RAZORPAY_API_URL = stub.url;
+    process.env.TEMPORAL_ENABLED = 'false';
+
+    ({ db, wallet } = fakeDb.install());
+    require('../src/config/winston.config').silent = true;
+
+    PaymentService = require('../src/service/PaymentService.service');
+    activities = require('../src/temporal/activities/creditPackPurchase.activities');
+});
+
+after(async () => {
+    await stub.close();
+});
+
+beforeEach(() => {
+    db.PaymentOrder.rows.length = 0;
+    db.WalletTransaction.rows.length = 0;
+    stub.refunds.clear();
+});
+
+/**
+ * Create a STARTER order through the service
+ * @returns {Promise<object>} - Service response data
+ */
+async function createOrder() {
+    const result = await PaymentService.createTopUpOrder(USER_ID, 'STARTER');
+    assert.equal(result.success, true, result.message);
+    return result.data;
+}
+
+/**
+ * Raw webhook body for a payment event
+ * @param {string} event - Event name
+ * @param {object} payment - Payment entity
+ * @returns {Buffer}
+ */
+const webhookBody = (event, payment) => Buffer.from(JSON.stringify({
+    event,
+    payload: { payment: { entity: payment } }
+}));
+
+describe('createTopUpOrder', () => {
+    it('creates a Razorpay order for the pack and links it to the payment order', async () => {
+        const order = await createOrder();
+
+        const razorpayOrder = stub.orders.get(order.razorpayOrderId);
+        assert.ok(razorpayOrder);
+        assert.equal(razorpayOrder.amount, 49900);
+        assert.equal(razorpayOrder.currency, 'INR');
+        assert.equal(razorpayOrder.receipt, `payment_order_${order.paymentOrderId}`);
+        assert.equal(order.status, 'CREATED');
+        assert.equal(order.keyId, 'rzp_test_key');
+    });
+
+    it('rejects an unknown pack', async () => {
+        const result = await PaymentService.createTopUpOrder(USER_ID, 'NOPE');
+
+        assert.equal(result.success, false);
+        assert.equal(result.statusCode, 400);
+        assert.equal(db.PaymentOrder.rows.length, 0);
+    });
+
+    it('fails the payment order when the gateway is down', async () => {
+        stub.failNext(502);
+
+        const result = await PaymentService.createTopUpOrder(USER_ID, 'STARTER');
+
+        assert.equal(result.success, false);
+        assert.equal(result.statusCode, 502);
+        assert.equal(db.PaymentOrder.rows[0].status, 'FAILED');
+    });
+});
+
+describe('verifyTopUpPayment', () => {
+    it('credits the wallet for a captured payment with a valid signature', async () => {
+        const order = await createOrder();
+        const payment = stub.addPayment(order.razorpayOrderId);
+
+        const result = await PaymentService.verifyTopUpPayment(USER_ID, {
+            razorpayOrderId: order.razorpayOrderId,
+            razorpayPaymentId: payment.id,
+            razorpaySignature: sign(`${order.razorpayOrderId}|${payment.id}`, KEY_SECRET)
+        });
+
+        assert.equal(result.success, true, result.message);
+        assert.equal(result.data.status, 'PAID');
+        assert.equal(wallet.balance(USER_ID), 100);
+    });
+
+    it('rejects an invalid signature', async () => {
+        const order = await createOrder();
+        const payment = stub.addPayment(order.razorpayOrderId);
+
+        const result = await PaymentService.verifyTopUpPayment(USER_ID, {
+            razorpayOrderId: order.razorpayOrderId,
+            razorpayPaymentId: payment.id,
+            razorpaySignature: sign(`${order.razorpayOrderId}|${payment.id}`, 'wrong_secret')
+        });
+
+        assert.equal(result.success, false);
+        assert.equal(result.statusCode, 400);
+        assert.equal(wallet.balance(USER_ID), 0);
+    });
+
+    it('rejects a payment made against another order', async () => {
+        const order = await createOrder();
+        const other = await createOrder();
+        const payment = stub.addPayment(other.razorpayOrderId);
+
+        const result = await PaymentService.verifyTopUpPayment(USER_ID, {
+            razorpayOrderId: order.razorpayOrderId,
+            razorpayPaymentId: payment.id,
+            razorpaySignature: sign(`${order.razorpayOrderId}|${payment.id}`, KEY_SECRET)
+        });
+
+        assert.equal(result.success, false);
+        assert.equal(result.statusCode, 400);
+        assert.equal(wallet.balance(USER_ID), 0);
+    });
+
+    it('rejects a payment in another currency', async () => {
+        const order = await createOrder();
+        const payment = stub.addPayment(order.razorpayOrderId, { currency: 'USD' });
+
+        const result = await PaymentService.verifyTopUpPayment(USER_ID, {
+            razorpayOrderId: order.razorpayOrderId,
+            razorpayPaymentId: payment.id,
+            razorpaySignature: sign(`${order.razorpayOrderId}|${payment.id}`, KEY_SECRET)
+        });
+
+        assert.equal(result.success, false);
+        assert.equal(result.statusCode, 400);
+        assert.equal(wallet.balance(USER_ID), 0);
+    });
+
+    it('leaves an authorized payment for the capture webhook', async () => {
+        const order = await createOrder();
+        const payment = stub.addPayment(order.razorpayOrderId, { status: 'authorized' });
+
+        const result = await PaymentService.verifyTopUpPayment(USER_ID, {
+            razorpayOrderId: order.razorpayOrderId,
+            razorpayPaymentId: payment.id,
+            razorpaySignature: sign(`${order.razorpayOrderId}|${payment.id}`, KEY_SECRET)
+        });
+
+        assert.equal(result.success, true);
+        assert.equal(result.data.status, 'CREATED');
+        assert.equal(wallet.balance(USER_ID), 0);
+    });
+});
+
+describe('handleRazorpayWebhook', () => {
+    it('rejects a delivery with an invalid signature', async () => {
+        const body = webhookBody('payment.captured', {});
+
+        const result = await PaymentService.handleRazorpayWebhook(body, sign(body, 'wrong_secret'));
+
+        assert.equal(result.success, false);
+        assert.equal(result.statusCode, 400);
+    });
+
+    it('credits a captured payment once, however often it is delivered', async () => {
+        const order = await createOrder();
+        const payment = stub.addPayment(order.razorpayOrderId);
+        const body = webhookBody('payment.captured', payment);
+
+        const first = await PaymentService.handleRazorpayWebhook(body, sign(body, WEBHOOK_SECRET));
+        const second = await PaymentService.handleRazorpayWebhook(body, sign(body, WEBHOOK_SECRET));
+
+        assert.equal(first.success, true);
+        assert.equal(second.message, 'Payment already processed');
+        assert.equal(db.PaymentOrder.rows[0].status, 'PAID');
+        assert.equal(db.PaymentOrder.rows[0].providerPaymentId, payment.id);
+        assert.equal(wallet.balance(USER_ID), 100);
+    });
+
+    it('records a failed payment', async () => {
+        const order = await createOrder();
+        const payment = stub.addPayment(order.razorpayOrderId, { status: 'failed', error_description: 'Card declined' });
+        const body = webhookBody('payment.failed', payment);
+
+        const result = await PaymentService.handleRazorpayWebhook(body, sign(body, WEBHOOK_SECRET));
+
+        assert.equal(result.success, true);
+        assert.equal(db.PaymentOrder.rows[0].status, 'FAILED');
+        assert.equal(db.PaymentOrder.rows[0].failureReason, 'Card declined');
+    });
+
+    it('ignores payments for orders it did not create', async () => {
+        const payment = stub.addPayment('order_elsewhere', { amount: 100 });
+        const body = webhookBody('payment.captured', payment);
+
+        const result = await PaymentService.handleRazorpayWebhook(body, sign(body, WEBHOOK_SECRET));
+
+        assert.equal(result.success, true);
+        assert.equal(result.message, 'Unknown order ignored');
+        assert.equal(db.WalletTransaction.rows.length, 0);
+    });
+});
+
+describe('creditPaymentOrder', () => {
+    it('credits a captured payment for the order amount', async () => {
+        const order = await createOrder();
+        const payment = stub.addPayment(order.razorpayOrderId);
+
+        const result = await activities.creditPaymentOrder({ paymentOrderId: order.paymentOrderId, paymentId: payment.id });
+
+        assert.equal(result.success, true);
+        assert.equal(wallet.balance(USER_ID), 100);
+    });
+
+    for (const [label, overrides] of [
+        ['not captured', { status: 'authorized' }],
+        ['for a different amount', { amount: 100 }],
+        ['in a different currency', { currency: 'USD' }]
+    ]) {
+        it(`refuses a payment ${label}`, async () => {
+            const order = await createOrder();
+            const payment = stub.addPayment(order.razorpayOrderId, overrides);
+
+            const result = await activities.creditPaymentOrder({ paymentOrderId: order.paymentOrderId, paymentId: payment.id });
+
+            assert.equal(result.success, false);
+            assert.equal(result.rejected, true);
+            assert.equal(wallet.balance(USER_ID), 0);
+        });
+    }
+
+    it('refuses a payment for another order', async () => {
+        const order = await createOrder();
+        const other = await createOrder();
+        const payment = stub.addPayment(other.razorpayOrderId);
+
+        const result = await activities.creditPaymentOrder({ paymentOrderId: order.paymentOrderId, paymentId: payment.id });
+
+        assert.equal(result.rejected, true);
+        assert.equal(wallet.balance(USER_ID), 0);
+    });
+
+    it('fails the order without refunding when settlement gets a foreign payment', async () => {
+        const { runWorkflowDirect, WORKFLOWS } = require('../src/utils/workflowHelper');
+        const order = await createOrder();
+        const other = await createOrder();
+        const payment = stub.addPayment(other.razorpayOrderId);
+
+        const result = await runWorkflowDirect(WORKFLOWS.CREDIT_PACK_PURCHASE, {
+            paymentOrderId: order.paymentOrderId,
+            userId: USER_ID,
+            capture: { paymentId: payment.id }
+        });
+
+        assert.equal(result.success, false);
+        assert.equal(result.status, 'FAILED');
+        assert.equal(db.PaymentOrder.rows[0].status, 'FAILED');
+        assert.equal(stub.refunds.size, 0);
+        assert.equal(wallet.balance(USER_ID), 0);
+    });
+
+    it('throws on a gateway error so the activity is retried', async () => {
+        const order = await createOrder();
+        const payment = stub.addPayment(order.razorpayOrderId);
+        stub.failNext(500);
+
+        await assert.rejects(
+            activities.creditPaymentOrder({ paymentOrderId: order.paymentOrderId, paymentId: payment.id }),
+            /Gateway unavailable/
+        );
+        assert.equal(wallet.balance(USER_ID), 0);
+    });
+});
+
+describe('expirePaymentOrder', () => {
+    it('expires an unpaid order', async () => {
+        const order = await createOrder();
+
+        const result = await activities.expirePaymentOrder({ paymentOrderId: order.paymentOrderId });
+
+        assert.equal(result.success, true);
+        assert.equal(db.PaymentOrder.rows[0].status, 'EXPIRED');
+    });
+
+    it('leaves paid and failed orders alone', async () => {
+        const paid = await createOrder();
+        const failed = await createOrder();
+        db.PaymentOrder.rows[0].status = 'PAID';
+        db.PaymentOrder.rows[1].status = 'FAILED';
+
+        await activities.expirePaymentOrder({ paymentOrderId: paid.paymentOrderId });
+        await activities.expirePaymentOrder({ paymentOrderId: failed.paymentOrderId });
+
+        assert.deepEqual(db.PaymentOrder.rows.map(row => row.status), ['PAID', 'FAILED']);
+    });
+});
+
+describe('markPaymentOrderFailed', () => {
+    it('fails an unpaid order with the reason', async () => {
+        const order = await createOrder();
+
+        await activities.markPaymentOrderFailed({ paymentOrderId: order.paymentOrderId, paymentId: 'pay_1', reason: 'Needs manual review' });
+
+        assert.equal(db.PaymentOrder.rows[0].status, 'FAILED');
+        assert.equal(db.PaymentOrder.rows[0].failureReason, 'Needs manual review');
+    });
+
+    it('leaves paid and refunded orders alone', async () => {
+        const paid = await createOrder();
+        const refunded = await createOrder();
+        db.PaymentOrder.rows[0].status = 'PAID';
+        db.PaymentOrder.rows[1].status = 'REFUNDED';
+
+        await activities.markPaymentOrderFailed({ paymentOrderId: paid.paymentOrderId, paymentId: 'pay_1', reason: 'Needs manual review' });
+        await activities.markPaymentOrderFailed({ paymentOrderId: refunded.paymentOrderId, paymentId: 'pay_2', reason: 'Needs manual review' });
+
+        assert.deepEqual(db.PaymentOrder.rows.map(row => row.status), ['PAID', 'REFUNDED']);
+    });
+});
@@ -0,0 +1,45 @@
+/**
+ * Price range filter and price sort over the pricing JSONB array.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildPricingQuery } = require('../src/utils/pricingQuery');
+
+describe('buildPricingQuery', () => {
+    it('adds no filter without a range, type or unit', () => {
+        const query = buildPricingQuery({ minPrice: null, maxPrice: undefined });
+
+        assert.equal(query.filter, null);
+        assert.deepEqual(query.replacements, {});
+        assert.match(query.sortValue, /^\(SELECT MIN\(/);
+    });
+
+    it('binds both bounds of a range', () => {
+        const query = buildPricingQuery({ minPrice: 1000, maxPrice: 5000 });
+
+        assert.match(query.filter, /^EXISTS \(/);
+        assert.match(query.filter, />= :minPrice/);
+        assert.match(query.filter, /<= :maxPrice/);
+        assert.deepEqual(query.replacements, { minPrice: 1000, maxPrice: 5000 });
+    });
+
+    it('keeps a zero bound and leaves the other end open', () => {
+        const query = buildPricingQuery({ minPrice: 0, maxPrice: null });
+
+        assert.match(query.filter, />= :minPrice/);
+        assert.doesNotMatch(query.filter, /:maxPrice/);
+        assert.deepEqual(query.replacements, { minPrice: 0 });
+    });
+
+    it('binds type and unit rather than writing them into the SQL', () => {
+        const priceType = "rent') OR 1=1 --";
+        const query = buildPricingQuery({ priceType, priceUnit: 'monthly' });
+
+        assert.ok(!query.filter.includes(priceType));
+        assert.ok(!query.sortValue.includes(priceType));
+        assert.match(query.filter, /LOWER\(:priceType\)/);
+        assert.match(query.sortValue, /LOWER\(:priceUnit\)/);
+        assert.deepEqual(query.replacements, { priceType, priceUnit: 'monthly' });
+    });
+});
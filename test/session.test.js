@@ -0,0 +1,96 @@
+/**
+ * Refresh token rotation: each refresh replaces the token, and a rotated token
+ * presented again signs the whole session out.
+ */
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const fakeDb = require('./helpers/fakeDb');
+
+let db;
+let SessionService;
+let user;
+
+before(() => {
+    process.env.ACCESS_TOKEN_SECRET = 'test_access_secret';
+    process.env.REFRESH_TOKEN_SECRET = 'test_refresh_secret';
+    process.env.REFRESH_TOKEN_REUSE_GRACE_SECONDS = '10';
+
+    ({ db } = fakeDb.install());
+    require('../src/config/winston.config').silent = true;
+
+    SessionService = require('../src/service/SessionService.service');
+});
+
+beforeEach(async () => {
+    db.PlatformUser.rows.length = 0;
+    db.RefreshToken.rows.length = 0;
+
+    user = await db.PlatformUser.create({ role: 'PARTNER' });
+});
+
+/**
+ * Start a session for the test user
+ * @returns {Promise<object>} - { accessToken, refreshToken, sessionId }
+ */
+const login = () => SessionService.createSession({ userId: user.userId, role: user.role });
+
+describe('rotateRefreshToken', () => {
+    it('replaces the refresh token and keeps the session', async () => {
+        const session = await login();
+
+        const result = await SessionService.rotateRefreshToken(session.refreshToken);
+
+        assert.equal(result.success, true, result.message);
+        assert.equal(result.data.sessionId, session.sessionId);
+        assert.notEqual(result.data.refreshToken, session.refreshToken);
+        assert.deepEqual(db.RefreshToken.rows.map(row => row.status), ['ROTATED', 'ACTIVE']);
+    });
+
+    it('signs the session out when a rotated token is reused', async () => {
+        const session = await login();
+        const rotated = await SessionService.rotateRefreshToken(session.refreshToken);
+        // Past the grace window for concurrent tabs
+        db.RefreshToken.rows[0].rotatedAt = new Date(Date.now() - 60 * 1000);
+
+        const reuse = await SessionService.rotateRefreshToken(session.refreshToken);
+
+        assert.equal(reuse.success, false);
+        assert.equal(reuse.statusCode, 403);
+        assert.equal(db.RefreshToken.rows[1].status, 'REVOKED');
+
+        const next = await SessionService.rotateRefreshToken(rotated.data.refreshToken);
+        assert.equal(next.success, false);
+        assert.equal(next.statusCode, 403);
+    });
+
+    it('refuses a token signed with another secret', async () => {
+        const forged = jwt.sign({ userId: user.userId, sid: 'x' }, 'wrong_secret', { jwtid: 'y' });
+
+        const result = await SessionService.rotateRefreshToken(forged);
+
+        assert.equal(result.statusCode, 403);
+    });
+
+    it('refuses a token rotated moments ago without signing the session out', async () => {
+        const session = await login();
+        await SessionService.rotateRefreshToken(session.refreshToken);
+
+        const concurrent = await SessionService.rotateRefreshToken(session.refreshToken);
+
+        assert.equal(concurrent.statusCode, 409);
+        assert.equal(db.RefreshToken.rows[1].status, 'ACTIVE');
+    });
+});
+
+describe('revokeSession', () => {
+    it('does not reveal sessions of other users', async () => {
+        const session = await login();
+
+        const result = await SessionService.revokeSession(user.userId + 1, session.sessionId);
+
+        assert.equal(result.statusCode, 404);
+        assert.equal(db.RefreshToken.rows[0].status, 'ACTIVE');
+    });
+});
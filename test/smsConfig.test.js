@@ -0,0 +1,45 @@
+/**
+ * SMS provider selection: the in-memory sink is only a default outside production.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('child_process');
+const path = require('path');
+
+/**
+ * Load the SMS config in a fresh process
+ * @param {object} env - Environment overrides
+ * @returns {{status: number, provider: string, stderr: string}}
+ */
+const loadConfig = (env) => {
+    const result = spawnSync(process.execPath, ['-e', "process.stdout.write(require('./src/config/sms.config').smsConfig.provider)"], {
+        cwd: path.join(__dirname, '..'),
+        env: { ...process.env, ...env },
+        encoding: 'utf8'
+    });
+    return { status: result.status, provider: result.stdout, stderr: result.stderr };
+};
+
+describe('SMS_PROVIDER', () => {
+    it('defaults to the sink outside production', () => {
+        const { status, provider } = loadConfig({ NODE_ENV: 'development', SMS_PROVIDER: '' });
+
+        assert.equal(status, 0);
+        assert.equal(provider, 'sink');
+    });
+
+    it('refuses to load in production when unset', () => {
+        const { status, stderr } = loadConfig({ NODE_ENV: 'production', SMS_PROVIDER: '' });
+
+        assert.notEqual(status, 0);
+        assert.match(stderr, /SMS_PROVIDER must be set in production/);
+    });
+
+    it('uses the configured provider in production', () => {
+        const { status, provider } = loadConfig({ NODE_ENV: 'production', SMS_PROVIDER: 'MSG91' });
+
+        assert.equal(status, 0);
+        assert.equal(provider, 'msg91');
+    });
+});
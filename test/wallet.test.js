@@ -0,0 +1,103 @@
+/**
+ * WalletService postings with an idempotency key (replays, key reuse, keys scoped
+ * to the wallet owner) and the order debits spend credit buckets in.
+ */
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fakeDb = require('./helpers/fakeDb');
+
+let db;
+let WalletService;
+let owner;
+let otherUser;
+
+before(() => {
+    ({ db } = fakeDb.install({ stubWallet: false }));
+    require('../src/config/winston.config').silent = true;
+
+    WalletService = require('../src/service/WalletService.service');
+});
+
+beforeEach(async () => {
+    for (const model of ['PlatformUser', 'WalletAccount', 'WalletTransaction', 'WalletCreditBucket']) {
+        db[model].rows.length = 0;
+    }
+
+    owner = await db.PlatformUser.create({});
+    otherUser = await db.PlatformUser.create({});
+    await db.WalletAccount.upsert({ userId: owner.userId });
+    await db.WalletAccount.upsert({ userId: otherUser.userId });
+});
+
+/**
+ * Ledger entries posted to a wallet
+ * @param {number} userId - Wallet owner
+ * @returns {Array<object>}
+ */
+const ledgerRows = (userId) => db.WalletTransaction.rows.filter(row => row.userId === userId);
+
+describe('idempotent wallet postings', () => {
+    it('replays a retried credit without posting a second ledger row', async () => {
+        const first = await WalletService.addFunds(owner.userId, 50, 'Top-up', {}, { idempotencyKey: 'retry-1' });
+        const retry = await WalletService.addFunds(owner.userId, 50, 'Top-up', {}, { idempotencyKey: 'retry-1' });
+
+        assert.equal(first.success, true, first.message);
+        assert.equal(retry.success, true, retry.message);
+        assert.equal(retry.replayed, true);
+        assert.equal(retry.transaction.transactionId, first.transaction.transactionId);
+        assert.equal(ledgerRows(owner.userId).length, 1);
+
+        const balance = await WalletService.getWalletBalance(owner.userId);
+        assert.equal(balance.balance, 50);
+    });
+
+    it('rejects a key reused for a different amount on the same wallet', async () => {
+        await WalletService.addFunds(owner.userId, 50, 'Top-up', {}, { idempotencyKey: 'retry-1' });
+        const reuse = await WalletService.addFunds(owner.userId, 80, 'Top-up', {}, { idempotencyKey: 'retry-1' });
+
+        assert.equal(reuse.success, false);
+        assert.equal(reuse.statusCode, 409);
+        assert.equal(ledgerRows(owner.userId).length, 1);
+    });
+
+    it('lets another wallet use the same key independently', async () => {
+        await WalletService.addFunds(owner.userId, 50, 'Top-up', {}, { idempotencyKey: 'shared-key' });
+        const other = await WalletService.addFunds(otherUser.userId, 80, 'Top-up', {}, { idempotencyKey: 'shared-key' });
+
+        assert.equal(other.success, true, other.message);
+        assert.equal(other.replayed, undefined);
+        assert.equal(ledgerRows(otherUser.userId).length, 1);
+        assert.equal(ledgerRows(otherUser.userId)[0].amount, 80);
+    });
+});
+
+describe('credit buckets', () => {
+    /**
+     * Credits left per bucket source
+     * @param {number} userId - Wallet owner
+     * @returns {object} - { PROMO: n, PURCHASED: n }
+     */
+    const remainingBySource = (userId) => db.WalletCreditBucket.rows
+        .filter(row => row.userId === userId)
+        .reduce((totals, row) => ({ ...totals, [row.source]: (totals[row.source] || 0) + row.remainingAmount }), {});
+
+    it('spends promo credits before purchased ones', async () => {
+        await WalletService.addFunds(owner.userId, 100, 'Credit pack', {}, { source: 'PURCHASED' });
+        await WalletService.addFunds(owner.userId, 30, 'Welcome bonus', {}, { source: 'PROMO' });
+
+        const debit = await WalletService.deductFunds(owner.userId, 50, 'Listing');
+
+        assert.equal(debit.success, true, debit.message);
+        assert.deepEqual(remainingBySource(owner.userId), { PURCHASED: 80, PROMO: 0 });
+    });
+
+    it('spends the bucket a debit names first', async () => {
+        const purchase = await WalletService.addFunds(owner.userId, 100, 'Credit pack', {}, { source: 'PURCHASED' });
+        await WalletService.addFunds(owner.userId, 30, 'Welcome bonus', {}, { source: 'PROMO' });
+
+        await WalletService.deductFunds(owner.userId, 100, 'Purchase reversed', {}, { creditTransactionId: purchase.transaction.transactionId });
+
+        assert.deepEqual(remainingBySource(owner.userId), { PURCHASED: 0, PROMO: 30 });
+    });
+});
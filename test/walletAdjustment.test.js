@@ -0,0 +1,96 @@
+/**
+ * Maker-checker wallet adjustments: who may approve, idempotent requests,
+ * and posting once the approvals are in.
+ */
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fakeDb = require('./helpers/fakeDb');
+
+const REQUESTER_ID = 1;
+const APPROVER_ID = 2;
+
+let db;
+let wallet;
+let WalletAdjustmentService;
+let owner;
+
+before(() => {
+    ({ db, wallet } = fakeDb.install());
+    require('../src/config/winston.config').silent = true;
+
+    WalletAdjustmentService = require('../src/service/WalletAdjustmentService.service');
+});
+
+beforeEach(async () => {
+    for (const model of ['PlatformUser', 'WalletTransaction', 'WalletAdjustmentRequest', 'WalletAdjustmentApproval']) {
+        db[model].rows.length = 0;
+    }
+
+    await db.PlatformUser.create({ role: 'ADMIN' });
+    await db.PlatformUser.create({ role: 'ADMIN' });
+    owner = await db.PlatformUser.create({});
+});
+
+/**
+ * Request a 100-credit adjustment for the wallet owner
+ * @param {object} [options] - { idempotencyKey }
+ * @returns {Promise<object>} - Adjustment response data
+ */
+async function requestCredit(options) {
+    const result = await WalletAdjustmentService.requestAdjustment(
+        { userId: owner.userId, transactionType: 'CREDIT', amount: 100, reason: 'Goodwill credit' },
+        REQUESTER_ID,
+        options
+    );
+    assert.equal(result.success, true, result.message);
+    return result.data;
+}
+
+describe('approveAdjustment', () => {
+    it('refuses approval by the requester', async () => {
+        const adjustment = await requestCredit();
+
+        const result = await WalletAdjustmentService.approveAdjustment(adjustment.adjustmentId, REQUESTER_ID);
+
+        assert.equal(result.success, false);
+        assert.equal(result.statusCode, 403);
+        assert.equal(db.WalletAdjustmentApproval.rows.length, 0);
+        assert.equal(wallet.balance(owner.userId), 0);
+    });
+
+    it('refuses approval by the wallet owner', async () => {
+        const adjustment = await requestCredit();
+
+        const result = await WalletAdjustmentService.approveAdjustment(adjustment.adjustmentId, owner.userId);
+
+        assert.equal(result.success, false);
+        assert.equal(result.statusCode, 403);
+        assert.equal(wallet.balance(owner.userId), 0);
+    });
+
+    it('posts once another admin approves', async () => {
+        const adjustment = await requestCredit();
+
+        const result = await WalletAdjustmentService.approveAdjustment(adjustment.adjustmentId, APPROVER_ID);
+
+        assert.equal(result.success, true, result.message);
+        assert.equal(result.data.status, 'POSTED');
+        assert.equal(wallet.balance(owner.userId), 100);
+    });
+});
+
+describe('requestAdjustment', () => {
+    it('returns the first adjustment for a retried idempotency key', async () => {
+        const first = await requestCredit({ idempotencyKey: 'adjust-1' });
+        const retry = await WalletAdjustmentService.requestAdjustment(
+            { userId: owner.userId, transactionType: 'CREDIT', amount: 100, reason: 'Goodwill credit' },
+            REQUESTER_ID,
+            { idempotencyKey: 'adjust-1' }
+        );
+
+        assert.equal(retry.replayed, true);
+        assert.equal(retry.data.adjustmentId, first.adjustmentId);
+        assert.equal(db.WalletAdjustmentRequest.rows.length, 1);
+    });
+});
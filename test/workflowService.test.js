@@ -0,0 +1,98 @@
+/**
+ * Workflow control: owners reach only their own runs, terminating is admin-only, and
+ * credit pack purchases cannot be cancelled.
+ */
+
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fakeDb = require('./helpers/fakeDb');
+
+let workflows;
+let calls;
+let WorkflowService;
+
+const OWNER = { userId: 7, canManageAll: false };
+const OTHER_USER = { userId: 8, canManageAll: false };
+const ADMIN = { userId: 1, canManageAll: true };
+
+/**
+ * Just enough of the Temporal client for WorkflowService
+ */
+const client = {
+    workflow: {
+        getHandle(workflowId) {
+            const record = () => {
+                if (!workflows.has(workflowId)) {
+                    throw Object.assign(new Error(`Workflow not found: ${workflowId}`), { name: 'WorkflowNotFoundError' });
+                }
+                return workflows.get(workflowId);
+            };
+            return {
+                describe: async () => ({ workflowId, ...record() }),
+                cancel: async () => { record(); calls.push(['cancel', workflowId]); },
+                terminate: async (reason) => { record(); calls.push(['terminate', workflowId, reason]); }
+            };
+        }
+    }
+};
+
+before(() => {
+    fakeDb.stubModule('utils/temporalClient.js', { getTemporalClient: async () => client });
+    require('../src/config/winston.config').silent = true;
+
+    WorkflowService = require('../src/service/WorkflowService.service');
+});
+
+beforeEach(() => {
+    calls = [];
+    workflows = new Map([
+        ['property-publish-draft-10', { type: 'propertyPublishing', status: { name: 'RUNNING' }, memo: { ownerUserId: 7 } }],
+        ['credit-pack-purchase-3', { type: 'creditPackPurchase', status: { name: 'RUNNING' }, memo: { ownerUserId: 7 } }]
+    ]);
+});
+
+describe('owner access', () => {
+    it('shows the owner their workflow', async () => {
+        const status = await WorkflowService.getWorkflowStatus('property-publish-draft-10', OWNER);
+
+        assert.equal(status.type, 'propertyPublishing');
+    });
+
+    it('reports another user\'s workflow as not found', async () => {
+        await assert.rejects(
+            WorkflowService.getWorkflowStatus('property-publish-draft-10', OTHER_USER),
+            { code: 'WORKFLOW_NOT_FOUND' }
+        );
+        await assert.rejects(WorkflowService.cancelWorkflow('property-publish-draft-10', OTHER_USER), { code: 'WORKFLOW_NOT_FOUND' });
+        assert.deepEqual(calls, []);
+    });
+});
+
+describe('cancelWorkflow', () => {
+    it('lets the owner cancel a publishing run', async () => {
+        await WorkflowService.cancelWorkflow('property-publish-draft-10', OWNER);
+
+        assert.deepEqual(calls, [['cancel', 'property-publish-draft-10']]);
+    });
+
+    it('refuses to cancel a credit pack purchase, even for admins', async () => {
+        await assert.rejects(WorkflowService.cancelWorkflow('credit-pack-purchase-3', ADMIN), { code: 'WORKFLOW_NOT_CANCELLABLE' });
+        assert.deepEqual(calls, []);
+    });
+});
+
+describe('terminateWorkflow', () => {
+    it('refuses owners', async () => {
+        await assert.rejects(
+            WorkflowService.terminateWorkflow('property-publish-draft-10', 'stuck', OWNER),
+            { code: 'WORKFLOW_TERMINATE_FORBIDDEN' }
+        );
+        assert.deepEqual(calls, []);
+    });
+
+    it('lets admins terminate', async () => {
+        await WorkflowService.terminateWorkflow('property-publish-draft-10', 'stuck', ADMIN);
+
+        assert.deepEqual(calls, [['terminate', 'property-publish-draft-10', 'stuck']]);
+    });
+});